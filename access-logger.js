@@ -131,6 +131,18 @@ function parseCachedUA(userAgent) {
   return result
 }
 
+// URLs that carry a secret in the path (calendar feeds, public share links);
+// the secret never reaches the logs
+const SECRET_URL_PATTERNS = [
+  /(?<=\/api\/calendar\/)[^/?#]+(?=\.ics)/g,
+  /(?<=\/api\/public\/)[^/?#]+/g
+]
+
+export function redactUrl(url) {
+  if (!url) return url
+  return SECRET_URL_PATTERNS.reduce((redacted, pattern) => redacted.replace(pattern, '[redacted]'), url)
+}
+
 // Access log entry creator
 export function createAccessLogEntry(req, res, responseTime, user = null) {
   const realIP = getRealClientIP(req)
@@ -154,8 +166,8 @@ export function createAccessLogEntry(req, res, responseTime, user = null) {
     
     // Request information
     method: req.method,
-    url: req.originalUrl || req.url,
-    path: req.path,
+    url: redactUrl(req.originalUrl || req.url),
+    path: redactUrl(req.path),
     query: Object.keys(req.query).length > 0 ? req.query : undefined,
     
     // IP and network information
@@ -367,7 +379,7 @@ export function logError(error, req = null, user = null) {
     // Request context if available
     request: req ? {
       method: req.method,
-      url: req.originalUrl || req.url,
+      url: redactUrl(req.originalUrl || req.url),
       clientIP: getRealClientIP(req),
       userAgent: req.get('User-Agent')
     } : null,
@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Migration Script: Account System, Solo Match Fix & Extended Features
 # Version: 3.0.0
 # Run this script to apply:
@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 
 # Apply cache notify triggers migration for Redis cache invalidation
 # This script adds PostgreSQL LISTEN/NOTIFY triggers to automatically
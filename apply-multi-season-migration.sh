@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Apply multi-season migration to tennis-postgres container
 
 echo "🎾 Tennis Ranking - Multi-Season Migration Script"
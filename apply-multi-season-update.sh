@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Multi-Season Feature Update Script
 # This script applies all necessary changes for concurrent season support
 
@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Apply performance indexes migration to PostgreSQL in Docker
 # Usage: ./apply-performance-indexes.sh
 
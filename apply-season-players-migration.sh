@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Migration Script: Season Players, Lose Money Configuration, and Match Type Support
 # Version: 2.0.0
 # Run this script to apply the database migration for:
@@ -125,6 +125,12 @@ const config = {
   // Request timeout
   requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000,
 
+  // Days deleted matches/seasons stay in the trash before they are purged
+  trashRetentionDays: clampNumber(parseNumberEnv('TRASH_RETENTION_DAYS', 30), 1, 3650),
+
+  // IANA time zone of play date times in the calendar feeds
+  calendarTimezone: process.env.CALENDAR_TIMEZONE || 'Asia/Ho_Chi_Minh',
+
   // SSE
   maxSseClients: parseInt(process.env.MAX_SSE_CLIENTS) || 1000
 }
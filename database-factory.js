@@ -1,21 +1,32 @@
-import TennisDatabaseSQLite from './database.js'
-import TennisDatabasePostgreSQL from './database-postgresql.js'
 import dotenv from 'dotenv'
 
 dotenv.config()
 
+/**
+ * Picks the database backend from DB_TYPE:
+ * - 'postgresql' (default): database-postgresql.js, needs DB_NAME/DB_USER/DB_PASSWORD
+ * - 'sqlite': database.js, a single file at SQLITE_PATH (default data/tennis.db)
+ * Both classes expose the same methods. Backends are imported lazily so the
+ * SQLite driver (an optional dependency) is only loaded when it is used.
+ *
+ * options.migrate: apply pending schema migrations during init (default:
+ * yes unless MIGRATE_ON_START=false). migrate.js passes false to report
+ * and apply them itself.
+ */
 class TennisDatabaseFactory {
-  static async create() {
-    const dbType = process.env.DB_TYPE || 'sqlite'
+  static async create(options = {}) {
+    const dbType = process.env.DB_TYPE || 'postgresql'
     
-    if (dbType === 'postgresql') {
-      console.log('🐘 Initializing PostgreSQL database...')
-      const db = new TennisDatabasePostgreSQL()
+    if (dbType === 'sqlite') {
+      console.log('🗃️ Initializing SQLite database...')
+      const { default: TennisDatabaseSQLite } = await import('./database.js')
+      const db = new TennisDatabaseSQLite(options)
       await db.init()
       return db
     } else {
-      console.log('🗃️ Initializing SQLite database...')
-      const db = new TennisDatabaseSQLite()
+      console.log('🐘 Initializing PostgreSQL database...')
+      const { default: TennisDatabasePostgreSQL } = await import('./database-postgresql.js')
+      const db = new TennisDatabasePostgreSQL(options)
       await db.init()
       return db
     }
@@ -3,9 +3,25 @@ import { dirname, join, normalize, resolve } from 'path'
 import { fileURLToPath } from 'url'
 import fs from 'fs/promises'
 import { readFileSync } from 'fs'
+import { computeRatings, DEFAULT_RATING } from './lib/skill-rating.js'
+import { DEFAULT_SCORING, SCORING_COLUMNS } from './lib/scoring.js'
+import { computeStreaks, buildTimeline } from './lib/player-profile.js'
+import { summarizeAttendance, attendanceOf, profileAttendance } from './lib/attendance.js'
+import { createMigrator } from './lib/migrations.js'
 
 const { Pool } = pg
 
+// Days a deleted match/season stays restorable (TRASH_RETENTION_DAYS)
+const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+// PATCH /api/players/:id fields → players columns
+const PLAYER_COLUMNS = {
+  name: 'name',
+  nickname: 'nickname',
+  preferredHand: 'preferred_hand',
+  avatarColor: 'avatar_color'
+}
+
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
@@ -51,10 +67,99 @@ const SEASON_SELECT_COLS = `
   CASE WHEN end_date IS NOT NULL THEN TO_CHAR(end_date, 'YYYY-MM-DD') ELSE NULL END as end_date,
   is_active, auto_end, description,
   COALESCE(lose_money_per_loss, 20000) as lose_money_per_loss,
+  points_per_win, points_per_loss, margin_bonus_threshold, margin_bonus_points, no_show_penalty,
   created_at, ended_at, ended_by`
 
+// Per-participant match columns needed for money and points (seasons s, matches m).
+// The margin is in games: team scores of a set-scored match are sets won (see legacyScore)
+const MATCH_RULE_COLS = `COALESCE(s.lose_money_per_loss, 20000) as lose_money,
+          ABS(COALESCE(m.team1_games, m.team1_score) - COALESCE(m.team2_games, m.team2_score)) as margin, m.no_show_team,
+          s.points_per_win, s.points_per_loss, s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty`
+
+// Points for one participant row (mp) — mirrors calculateMatchPoints() in lib/scoring.js
+const MATCH_POINTS_SQL = `CASE
+            WHEN mp.team = mp.winning_team THEN mp.points_per_win + CASE
+              WHEN mp.no_show_team IS NULL AND mp.margin_bonus_threshold > 0
+                AND mp.margin >= mp.margin_bonus_threshold
+              THEN mp.margin_bonus_points ELSE 0 END
+            WHEN mp.no_show_team IS NOT NULL THEN -mp.no_show_penalty
+            ELSE mp.points_per_loss
+          END`
+
+// Sets/games won and lost per player over matches recorded with a set score.
+// `filter` is a WHERE condition on matches m; join the result as `ss`.
+const setStatsCte = (filter) => `set_stats AS (
+        SELECT x.player_id,
+          SUM(x.sets_won)::int as sets_won, SUM(x.sets_lost)::int as sets_lost,
+          SUM(x.games_won)::int as games_won, SUM(x.games_lost)::int as games_lost
+        FROM matches m
+        CROSS JOIN LATERAL (VALUES
+          (m.player1_id, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games),
+          (m.player2_id, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games),
+          (m.player3_id, m.team2_sets, m.team1_sets, m.team2_games, m.team1_games),
+          (m.player4_id, m.team2_sets, m.team1_sets, m.team2_games, m.team1_games)
+        ) AS x(player_id, sets_won, sets_lost, games_won, games_lost)
+        WHERE m.sets IS NOT NULL AND x.player_id IS NOT NULL AND ${filter}
+        GROUP BY x.player_id
+      )`
+
+const SET_STATS_COLS = `COALESCE(ss.sets_won, 0)::int as sets_won,
+        COALESCE(ss.sets_lost, 0)::int as sets_lost,
+        COALESCE(ss.games_won, 0)::int as games_won,
+        COALESCE(ss.games_lost, 0)::int as games_lost`
+
+// Paid and adjusted totals per player over the payments matching `filter`
+// (see lib/ledger.js); join the result as `l`.
+const ledgerCte = (filter) => `ledger AS (
+        SELECT player_id,
+          SUM(CASE WHEN kind = 'payment' THEN amount ELSE 0 END) as paid,
+          SUM(CASE WHEN kind = 'adjustment' THEN amount ELSE 0 END) as adjustments
+        FROM payments
+        WHERE ${filter}
+        GROUP BY player_id
+      )`
+
+// Ledger columns for a ranking row — outstanding mirrors outstandingBalance() in lib/ledger.js
+const ledgerCols = (moneyLost) => `COALESCE(l.paid, 0)::bigint as money_paid,
+        (${moneyLost} + COALESCE(l.adjustments, 0) - COALESCE(l.paid, 0))::bigint as money_outstanding`
+
+// Columns written for a set-by-set score (see lib/tennis-score.js); all NULL without one
+const scoreParams = (score) => score
+  ? [JSON.stringify(score.sets), score.team1Sets, score.team2Sets, score.team1Games, score.team2Games]
+  : [null, null, null, null, null]
+
+// Optional season / date-range filters on matches m for player statistics.
+// Pushes the values onto `params` and returns the extra AND conditions.
+const matchFilterSql = ({ seasonId, from, to } = {}, params) => {
+  let sql = ''
+  if (seasonId) {
+    params.push(seasonId)
+    sql += ` AND m.season_id = $${params.length}`
+  }
+  if (from) {
+    params.push(from)
+    sql += ` AND m.play_date >= $${params.length}`
+  }
+  if (to) {
+    params.push(to)
+    sql += ` AND m.play_date <= $${params.length}`
+  }
+  return sql
+}
+
+// Advisory lock key so only one rating replay runs at a time across instances
+const RATING_REBUILD_LOCK = 724501
+// Advisory lock key so PM2 cluster workers starting together migrate once
+const MIGRATION_LOCK = 724502
+
 class TennisDatabasePostgreSQL {
-  constructor() {
+  /**
+   * @param {{ migrate?: boolean }} [options] - apply pending migrations in
+   *   init() (default unless MIGRATE_ON_START=false; see migrate.js)
+   */
+  constructor(options = {}) {
+    this.dialect = 'postgresql'
+    this.autoMigrate = options.migrate ?? process.env.MIGRATE_ON_START !== 'false'
     this.config = {
       host: process.env.DB_HOST || 'localhost',
       port: parseInt(process.env.DB_PORT) || 5432,
@@ -68,6 +173,8 @@ class TennisDatabasePostgreSQL {
     }
     this.pool = null
     this.isConnected = false
+    // Set when a rating replay fails: the next refresh replays everything
+    this.ratingsStale = false
     this.initPromise = null
     this.reconnectTimer = null
     this.retryAttempt = 0
@@ -121,9 +228,11 @@ class TennisDatabasePostgreSQL {
       console.log('✅ PostgreSQL connection established successfully')
       client.release()
 
-      // Create tables
-      await this.createTables()
-      
+      if (this.autoMigrate) {
+        await createMigrator(this).up()
+        await this.backfillRatingsIfNeeded()
+      }
+
       this.isConnected = true
       this.retryAttempt = 0
       if (this.reconnectTimer) {
@@ -162,125 +271,248 @@ class TennisDatabasePostgreSQL {
     console.warn(`⚠️ PostgreSQL unavailable, retrying connection in ${Math.round(delayMs / 1000)}s`)
   }
 
-  async createTables() {
+  async createDefaultSeason() {
+    const existingSeasons = await this.query('SELECT COUNT(*) as count FROM seasons')
+    if (existingSeasons.rows[0].count == 0) {
+      const currentDate = new Date().toISOString().split('T')[0]
+      await this.query(`
+        INSERT INTO seasons (name, start_date, is_active) 
+        VALUES ($1, $2, $3)
+      `, ['Mùa giải đầu tiên', currentDate, true])
+    }
+  }
+
+  async query(text, params = []) {
+    return this.pool.query(text, params)
+  }
+
+  /**
+   * Run fn(client) inside BEGIN/COMMIT on one pooled connection, rolling
+   * back if it throws. Returns what fn returns. Backend-neutral counterpart
+   * of pool.connect() for routes (see database.js).
+   */
+  async transaction(fn) {
     const client = await this.pool.connect()
-    
     try {
       await client.query('BEGIN')
+      const result = await fn(client)
+      await client.query('COMMIT')
+      return result
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
 
-      // Players table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS players (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) UNIQUE NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `)
+  // Run a multi-statement .sql migration (simple query protocol, no params)
+  async execScript(client, sql) {
+    await client.query(sql)
+  }
 
-      // Seasons table - supports multiple concurrent active seasons
-      // lose_money_per_loss: configurable penalty amount per loss (default 20000 VND)
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS seasons (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) NOT NULL,
-          start_date DATE NOT NULL,
-          end_date DATE,
-          is_active BOOLEAN DEFAULT true,
-          auto_end BOOLEAN DEFAULT true,
-          description TEXT,
-          lose_money_per_loss INTEGER DEFAULT 20000,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          ended_at TIMESTAMP,
-          ended_by VARCHAR(255)
-        )
-      `)
+  // Held until the migration transaction ends
+  async lockMigrations(client) {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK])
+  }
 
-      // Season players junction table - controls which players can participate in each season
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS season_players (
-          id SERIAL PRIMARY KEY,
-          season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
-          player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
-          added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          added_by VARCHAR(255),
-          UNIQUE(season_id, player_id)
-        )
-      `)
+  // Start ids at 1 again after the data tables were emptied (backup restore)
+  async resetIdSequences(client) {
+    await client.query('ALTER SEQUENCE players_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE seasons_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE matches_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE payments_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE expenses_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE play_sessions_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE tournaments_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE tournament_entries_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE tournament_matches_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE season_fixtures_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE calendar_tokens_id_seq RESTART WITH 1')
+    await client.query('ALTER SEQUENCE share_links_id_seq RESTART WITH 1')
+  }
 
-      // Matches table
-      // match_type: 'duo' (đánh đôi, 4 players) or 'solo' (đánh đơn, 2 players)
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS matches (
-          id SERIAL PRIMARY KEY,
-          season_id INTEGER NOT NULL REFERENCES seasons(id),
-          play_date DATE NOT NULL,
-          player1_id INTEGER NOT NULL REFERENCES players(id),
-          player2_id INTEGER REFERENCES players(id),
-          player3_id INTEGER REFERENCES players(id),
-          player4_id INTEGER REFERENCES players(id),
-          team1_score INTEGER NOT NULL,
-          team2_score INTEGER NOT NULL,
-          winning_team INTEGER NOT NULL,
-          match_type VARCHAR(10) DEFAULT 'duo',
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          CONSTRAINT check_match_type CHECK (match_type IN ('solo', 'duo')),
-          CONSTRAINT check_match_players CHECK (
-            (match_type = 'duo' AND player2_id IS NOT NULL AND player4_id IS NOT NULL) OR
-            (match_type = 'solo' AND player2_id IS NULL AND player4_id IS NULL)
-          )
-        )
-      `)
+  // Players CRUD operations
+  // Active players only unless includeArchived (archived players keep their match history)
+  async getPlayers(includeArchived = false) {
+    const result = await this.query(`
+      SELECT * FROM players
+      ${includeArchived ? '' : 'WHERE archived_at IS NULL'}
+      ORDER BY name
+    `)
+    return result.rows
+  }
 
-      // Create indexes for better performance
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_match_type ON matches(match_type);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_season_players_season_id ON season_players(season_id);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_season_players_player_id ON season_players(player_id);
-      `)
+  async getPlayerById(playerId) {
+    const result = await this.query('SELECT * FROM players WHERE id = $1', [playerId])
+    return result.rows[0] || null
+  }
+
+  async addPlayer(name) {
+    const result = await this.query('INSERT INTO players (name) VALUES ($1) RETURNING id', [name])
+    return result.rows[0].id
+  }
+
+  // Only the profile fields that were provided are changed; returns the updated row or null
+  async updatePlayer(playerId, fields) {
+    const keys = Object.keys(fields).filter(field => PLAYER_COLUMNS[field])
+    if (keys.length === 0) return this.getPlayerById(playerId)
+    const assignments = keys.map((field, i) => `${PLAYER_COLUMNS[field]} = $${i + 1}`)
+    const result = await this.query(
+      `UPDATE players SET ${assignments.join(', ')} WHERE id = $${keys.length + 1} RETURNING *`,
+      [...keys.map(field => fields[field]), playerId]
+    )
+    return result.rows[0] || null
+  }
+
+  async countPlayerMatches(playerId) {
+    const result = await this.query(`
+      SELECT COUNT(*)::int as count FROM matches
+      WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+    `, [playerId])
+    return result.rows[0].count
+  }
+
+  // Returns false if the player was already archived (or does not exist)
+  async archivePlayer(playerId) {
+    const result = await this.query(`
+      UPDATE players SET archived_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND archived_at IS NULL
+      RETURNING id
+    `, [playerId])
+    return result.rowCount > 0
+  }
+
+  async unarchivePlayer(playerId) {
+    const result = await this.query(`
+      UPDATE players SET archived_at = NULL
+      WHERE id = $1 AND archived_at IS NOT NULL
+      RETURNING id
+    `, [playerId])
+    return result.rowCount > 0
+  }
+
+  // Number of matches where both players took part (a merge would put one player on court twice)
+  async countSharedMatches(playerAId, playerBId) {
+    const result = await this.query(`
+      SELECT COUNT(*)::int as count FROM matches
+      WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+        AND $2 IN (player1_id, player2_id, player3_id, player4_id)
+    `, [playerAId, playerBId])
+    return result.rows[0].count
+  }
 
-      // Additional indexes for player lookups (form queries)
+  // Number of tournaments that both players are entered in (a merge would leave one player with
+  // two entries, or partnering themselves)
+  async countSharedTournaments(playerAId, playerBId) {
+    const result = await this.query(`
+      SELECT COUNT(DISTINCT a.tournament_id)::int as count
+      FROM tournament_entries a
+      JOIN tournament_entries b ON b.tournament_id = a.tournament_id
+      WHERE $1 IN (a.player1_id, a.player2_id) AND $2 IN (b.player1_id, b.player2_id)
+    `, [playerAId, playerBId])
+    return result.rows[0].count
+  }
+
+  // Number of seasons whose fixtures include both players (a merge would give one player
+  // a fixture against or beside themselves, or the same fixture twice)
+  async countSharedFixtureSeasons(playerAId, playerBId) {
+    const result = await this.query(`
+      SELECT COUNT(DISTINCT a.season_id)::int as count
+      FROM season_fixtures a
+      JOIN season_fixtures b ON b.season_id = a.season_id
+      WHERE $1 IN (a.player1_id, a.player2_id, a.player3_id, a.player4_id)
+        AND $2 IN (b.player1_id, b.player2_id, b.player3_id, b.player4_id)
+    `, [playerAId, playerBId])
+    return result.rows[0].count
+  }
+
+  /**
+   * Merge a duplicate player into another: every match slot, season roster
+   * entry, ledger entry, expense, attendance row, tournament entry, league
+   * fixture and calendar feed of sourceId moves to targetId, then the source player is deleted.
+   * Runs in one transaction; the summary tables are rebuilt for the target
+   * and ratings are replayed afterwards.
+   * Returns { matchesMoved, seasonsMoved }.
+   */
+  async mergePlayers(sourceId, targetId) {
+    const client = await this.pool.connect()
+    let matchesMoved = 0
+    let seasonsMoved = 0
+    try {
+      await client.query('BEGIN')
+
+      const matches = await client.query(`
+        UPDATE matches SET
+          player1_id = CASE WHEN player1_id = $1 THEN $2 ELSE player1_id END,
+          player2_id = CASE WHEN player2_id = $1 THEN $2 ELSE player2_id END,
+          player3_id = CASE WHEN player3_id = $1 THEN $2 ELSE player3_id END,
+          player4_id = CASE WHEN player4_id = $1 THEN $2 ELSE player4_id END
+        WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+      `, [sourceId, targetId])
+      matchesMoved = matches.rowCount
+
+      const seasons = await client.query(`
+        INSERT INTO season_players (season_id, player_id, added_by)
+        SELECT season_id, $2, added_by FROM season_players WHERE player_id = $1
+        ON CONFLICT (season_id, player_id) DO NOTHING
+      `, [sourceId, targetId])
+      seasonsMoved = seasons.rowCount
+      await client.query('DELETE FROM season_players WHERE player_id = $1', [sourceId])
+      // Ledger entries and expenses follow the player instead of going away with the source
+      await client.query('UPDATE payments SET player_id = $2 WHERE player_id = $1', [sourceId, targetId])
+      await client.query('UPDATE expenses SET paid_by = $2 WHERE paid_by = $1', [sourceId, targetId])
+      // A custom split weight of the source carries over unless the target has its own
       await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_player1_id ON matches(player1_id);
-      `)
+        UPDATE expenses SET weights = (weights - $1::text)
+          || jsonb_build_object($2::text, COALESCE(weights -> $2::text, weights -> $1::text))
+        WHERE weights ? $1::text
+      `, [String(sourceId), String(targetId)])
+      // Attendance moves too; on dates both have a row, the source fills what the target lacks
       await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_player2_id ON matches(player2_id);
-      `)
+        UPDATE attendance SET
+          availability = COALESCE(availability,
+            (SELECT src.availability FROM attendance src WHERE src.player_id = $1 AND src.play_date = attendance.play_date)),
+          checked_in_at = COALESCE(checked_in_at,
+            (SELECT src.checked_in_at FROM attendance src WHERE src.player_id = $1 AND src.play_date = attendance.play_date))
+        WHERE player_id = $2 AND play_date IN (SELECT play_date FROM attendance WHERE player_id = $1)
+      `, [sourceId, targetId])
       await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_player3_id ON matches(player3_id);
-      `)
+        DELETE FROM attendance WHERE player_id = $1
+          AND play_date IN (SELECT play_date FROM attendance WHERE player_id = $2)
+      `, [sourceId, targetId])
+      await client.query('UPDATE attendance SET player_id = $2 WHERE player_id = $1', [sourceId, targetId])
+      // The route refuses players who share a tournament (countSharedTournaments)
       await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_player4_id ON matches(player4_id);
-      `)
-      
-      // Composite index for season+date queries
+        UPDATE tournament_entries SET
+          player1_id = CASE WHEN player1_id = $1 THEN $2 ELSE player1_id END,
+          player2_id = CASE WHEN player2_id = $1 THEN $2 ELSE player2_id END
+        WHERE $1 IN (player1_id, player2_id)
+      `, [sourceId, targetId])
+      // Likewise players who share a season's fixtures (countSharedFixtureSeasons)
       await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_season_date ON matches(season_id, play_date DESC);
-      `)
-      
-      // Composite index for form lookup (covering index)
+        UPDATE season_fixtures SET
+          player1_id = CASE WHEN player1_id = $1 THEN $2 ELSE player1_id END,
+          player2_id = CASE WHEN player2_id = $1 THEN $2 ELSE player2_id END,
+          player3_id = CASE WHEN player3_id = $1 THEN $2 ELSE player3_id END,
+          player4_id = CASE WHEN player4_id = $1 THEN $2 ELSE player4_id END
+        WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+      `, [sourceId, targetId])
+      // The source's feed URL keeps working unless the target has its own
       await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_form_lookup 
-        ON matches(play_date DESC, created_at DESC) 
-        INCLUDE (player1_id, player2_id, player3_id, player4_id, winning_team);
-      `)
-      
-      // Composite index for season_players
+        UPDATE calendar_tokens SET player_id = $2
+        WHERE player_id = $1 AND NOT EXISTS (SELECT 1 FROM calendar_tokens WHERE player_id = $2)
+      `, [sourceId, targetId])
+
+      // Summary rows, rating history and the player itself cascade from here
+      await client.query('DELETE FROM players WHERE id = $1', [sourceId])
+
+      await client.query('SELECT rebuild_player_lifetime_stats($1)', [targetId])
       await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_season_players_composite ON season_players(season_id, player_id);
-      `)
+        SELECT rebuild_player_season_stats($1, season_id)
+        FROM (SELECT DISTINCT season_id FROM matches
+              WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)) s
+      `, [targetId])
 
       await client.query('COMMIT')
     } catch (error) {
@@ -289,34 +521,66 @@ class TennisDatabasePostgreSQL {
     } finally {
       client.release()
     }
+    await this.refreshRatings()
+    return { matchesMoved, seasonsMoved }
   }
 
-  async createDefaultSeason() {
-    const existingSeasons = await this.query('SELECT COUNT(*) as count FROM seasons')
-    if (existingSeasons.rows[0].count == 0) {
-      const currentDate = new Date().toISOString().split('T')[0]
-      await this.query(`
-        INSERT INTO seasons (name, start_date, is_active) 
-        VALUES ($1, $2, $3)
-      `, ['Mùa giải đầu tiên', currentDate, true])
-    }
-  }
-
-  async query(text, params = []) {
-    return this.pool.query(text, params)
+  // Audit log (append-only, see migrations/postgresql/006-audit-log.sql)
+  async addAuditEntry(entityType, entityId, action, actor, before, after) {
+    await this.query(`
+      INSERT INTO audit_log (entity_type, entity_id, action, actor_id, actor_username, actor_role, before_data, after_data)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [entityType, entityId, action, actor.id, actor.username, actor.role,
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after)])
   }
 
-  // Players CRUD operations
-  async getPlayers() {
-    const result = await this.query('SELECT * FROM players ORDER BY name')
-    return result.rows
-  }
+  /**
+   * Newest entries first, with optional filters:
+   * { entityType, entityId, actor (username), action, from, to (dates, inclusive), limit, offset }
+   * Returns { entries, total }.
+   */
+  async getAuditLog({ entityType, entityId, actor, action, from, to, limit = 50, offset = 0 } = {}) {
+    const params = []
+    const conditions = []
+    if (entityType) {
+      params.push(entityType)
+      conditions.push(`entity_type = $${params.length}`)
+    }
+    if (entityId) {
+      params.push(entityId)
+      conditions.push(`entity_id = $${params.length}`)
+    }
+    if (actor) {
+      params.push(actor)
+      conditions.push(`actor_username = $${params.length}`)
+    }
+    if (action) {
+      params.push(action)
+      conditions.push(`action = $${params.length}`)
+    }
+    if (from) {
+      params.push(from)
+      conditions.push(`created_at >= $${params.length}::date`)
+    }
+    if (to) {
+      params.push(to)
+      conditions.push(`created_at < $${params.length}::date + 1`)
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
 
-  async addPlayer(name) {
-    const result = await this.query('INSERT INTO players (name) VALUES ($1) RETURNING id', [name])
-    return result.rows[0].id
+    const [entries, total] = await Promise.all([
+      this.query(`
+        SELECT * FROM audit_log ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.query(`SELECT COUNT(*)::int as count FROM audit_log ${where}`, params)
+    ])
+    return { entries: entries.rows, total: total.rows[0].count }
   }
 
+  // Hard delete — the route only uses this for players without any matches
   async removePlayer(playerId) {
     const client = await this.pool.connect()
     try {
@@ -338,6 +602,7 @@ class TennisDatabasePostgreSQL {
     } finally {
       client.release()
     }
+    await this.refreshRatings()
   }
 
   // Seasons CRUD operations
@@ -356,15 +621,18 @@ class TennisDatabasePostgreSQL {
     return result.rows[0] || null
   }
 
-  async createSeason(name, startDate, endDate = null, autoEnd = true, description = '', loseMoneyPerLoss = 20000, playerIds = []) {
+  async createSeason(name, startDate, endDate = null, autoEnd = true, description = '', loseMoneyPerLoss = 20000, playerIds = [], scoring = null) {
     const client = await this.pool.connect()
     try {
       await client.query('BEGIN')
       
+      const rules = { ...DEFAULT_SCORING, ...scoring }
       const result = await client.query(`
-        INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money_per_loss) 
-        VALUES ($1, $2, $3, true, $4, $5, $6) RETURNING id
-      `, [name, startDate, endDate, autoEnd, description, loseMoneyPerLoss])
+        INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money_per_loss,
+          points_per_win, points_per_loss, margin_bonus_threshold, margin_bonus_points, no_show_penalty) 
+        VALUES ($1, $2, $3, true, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id
+      `, [name, startDate, endDate, autoEnd, description, loseMoneyPerLoss,
+        rules.pointsPerWin, rules.pointsPerLoss, rules.marginBonusThreshold, rules.marginBonusPoints, rules.noShowPenalty])
       
       const seasonId = result.rows[0].id
       
@@ -389,19 +657,67 @@ class TennisDatabasePostgreSQL {
     }
   }
 
-  async updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoneyPerLoss = null) {
-    if (loseMoneyPerLoss !== null) {
-      await this.query(`
-        UPDATE seasons 
-        SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5, lose_money_per_loss = $6
-        WHERE id = $7
-      `, [name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, seasonId])
-    } else {
-      await this.query(`
-        UPDATE seasons 
-        SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5
-        WHERE id = $6
-      `, [name, startDate, endDate, autoEnd, description, seasonId])
+  async updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoneyPerLoss = null, scoring = null) {
+    // The season fields and its scoring rules are saved together or not at all
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      if (loseMoneyPerLoss !== null) {
+        await client.query(`
+          UPDATE seasons 
+          SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5, lose_money_per_loss = $6
+          WHERE id = $7
+        `, [name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, seasonId])
+      } else {
+        await client.query(`
+          UPDATE seasons 
+          SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5
+          WHERE id = $6
+        `, [name, startDate, endDate, autoEnd, description, seasonId])
+      }
+
+      // Only the scoring fields that were provided are changed
+      const fields = Object.keys(scoring || {}).filter(field => SCORING_COLUMNS[field])
+      if (fields.length > 0) {
+        const assignments = fields.map((field, i) => `${SCORING_COLUMNS[field]} = $${i + 1}`)
+        await client.query(
+          `UPDATE seasons SET ${assignments.join(', ')} WHERE id = $${fields.length + 1}`,
+          [...fields.map(field => scoring[field]), seasonId]
+        )
+      }
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Recompute summary stats after a season's scoring rules change.
+   * Lifetime rows are rebuilt too since lifetime points sum per-season rules.
+   */
+  async rebuildSeasonStats(seasonId) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      const { rows } = await client.query(`
+        SELECT player_id FROM player_season_stats WHERE season_id = $1
+        UNION
+        SELECT player_id FROM season_players WHERE season_id = $1
+      `, [seasonId])
+      for (const { player_id: playerId } of rows) {
+        await client.query('SELECT rebuild_player_season_stats($1, $2)', [playerId, seasonId])
+        await client.query('SELECT rebuild_player_lifetime_stats($1)', [playerId])
+      }
+      await client.query('COMMIT')
+      return rows.length
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
     }
   }
 
@@ -415,91 +731,938 @@ class TennisDatabasePostgreSQL {
 
   async reactivateSeason(seasonId) {
     await this.query(`
-      UPDATE seasons 
-      SET is_active = true, ended_at = NULL, ended_by = NULL
+      UPDATE seasons 
+      SET is_active = true, ended_at = NULL, ended_by = NULL
+      WHERE id = $1
+    `, [seasonId])
+  }
+
+  async checkAndEndExpiredSeasons() {
+    // Automatically end seasons that have passed their end date and have auto_end enabled
+    const result = await this.query(`
+      UPDATE seasons 
+      SET is_active = false, ended_at = CURRENT_TIMESTAMP, ended_by = 'system'
+      WHERE is_active = true 
+        AND auto_end = true 
+        AND end_date IS NOT NULL 
+        AND end_date < CURRENT_DATE
+      RETURNING id, name
+    `)
+    return result.rows
+  }
+
+  async getSeasonById(seasonId) {
+    const result = await this.query(`SELECT ${SEASON_SELECT_COLS} FROM seasons WHERE id = $1`, [seasonId])
+    return result.rows[0] || null
+  }
+
+  // Season Players Management
+  async getSeasonPlayers(seasonId) {
+    const result = await this.query(`
+      SELECT p.id, p.name, p.archived_at, sp.added_at, sp.added_by
+      FROM season_players sp
+      JOIN players p ON sp.player_id = p.id
+      WHERE sp.season_id = $1
+      ORDER BY p.name
+    `, [seasonId])
+    return result.rows
+  }
+
+  /**
+   * Get ALL season-player mappings in one query (eliminates N+1 in backup).
+   * Returns a Map: seasonId -> [playerId, ...]
+   */
+  async getAllSeasonPlayers() {
+    const result = await this.query('SELECT season_id, player_id FROM season_players')
+    const map = new Map()
+    for (const row of result.rows) {
+      const sid = row.season_id
+      if (!map.has(sid)) map.set(sid, [])
+      map.get(sid).push(row.player_id)
+    }
+    return map
+  }
+
+  async addPlayerToSeason(seasonId, playerId, addedBy = 'admin') {
+    const result = await this.query(`
+      INSERT INTO season_players (season_id, player_id, added_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (season_id, player_id) DO NOTHING
+      RETURNING id
+    `, [seasonId, playerId, addedBy])
+    return result.rows[0]?.id || null
+  }
+
+  async removePlayerFromSeason(seasonId, playerId) {
+    await this.query(`
+      DELETE FROM season_players
+      WHERE season_id = $1 AND player_id = $2
+    `, [seasonId, playerId])
+  }
+
+  async setSeasonPlayers(seasonId, playerIds, addedBy = 'admin') {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      
+      // Remove all existing players
+      await client.query('DELETE FROM season_players WHERE season_id = $1', [seasonId])
+      
+      // Add new players
+      for (const playerId of playerIds) {
+        await client.query(`
+          INSERT INTO season_players (season_id, player_id, added_by)
+          VALUES ($1, $2, $3)
+        `, [seasonId, playerId, addedBy])
+      }
+      
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  async isPlayerInSeason(seasonId, playerId) {
+    const result = await this.query(`
+      SELECT COUNT(*) as count FROM season_players
+      WHERE season_id = $1 AND player_id = $2
+    `, [seasonId, playerId])
+    return parseInt(result.rows[0].count) > 0
+  }
+
+  // The season, its roster, matches, ledger entries, tournaments, fixtures and share links are moved to
+  // the trash first (see restoreSeason), with the play sessions that lose their season
+  async deleteSeason(seasonId, deletedBy = null, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+
+      await client.query(`
+        INSERT INTO trash (entity_type, entity_id, data, deleted_by, expires_at)
+        SELECT 'season', s.id,
+          jsonb_build_object(
+            'season', to_jsonb(s),
+            'season_players', COALESCE((SELECT jsonb_agg(to_jsonb(sp)) FROM season_players sp WHERE sp.season_id = s.id), '[]'::jsonb),
+            'matches', COALESCE((SELECT jsonb_agg(to_jsonb(m) ORDER BY m.id) FROM matches m WHERE m.season_id = s.id), '[]'::jsonb),
+            'payments', COALESCE((SELECT jsonb_agg(to_jsonb(pay) ORDER BY pay.id) FROM payments pay WHERE pay.season_id = s.id), '[]'::jsonb),
+            -- Tournaments go with the season (ON DELETE CASCADE), with their entries and bracket
+            'tournaments', COALESCE((SELECT jsonb_agg(to_jsonb(t) ORDER BY t.id) FROM tournaments t WHERE t.season_id = s.id), '[]'::jsonb),
+            'tournament_entries', COALESCE((
+              SELECT jsonb_agg(to_jsonb(te) ORDER BY te.id) FROM tournament_entries te
+              JOIN tournaments t ON t.id = te.tournament_id WHERE t.season_id = s.id
+            ), '[]'::jsonb),
+            'tournament_matches', COALESCE((
+              SELECT jsonb_agg(to_jsonb(tm) ORDER BY tm.id) FROM tournament_matches tm
+              JOIN tournaments t ON t.id = tm.tournament_id WHERE t.season_id = s.id
+            ), '[]'::jsonb),
+            'season_fixtures', COALESCE((SELECT jsonb_agg(to_jsonb(f) ORDER BY f.id) FROM season_fixtures f WHERE f.season_id = s.id), '[]'::jsonb),
+            -- Share links stop working while the season is in the trash, and work again once it is restored
+            'share_links', COALESCE((SELECT jsonb_agg(to_jsonb(l) ORDER BY l.id) FROM share_links l WHERE l.season_id = s.id), '[]'::jsonb),
+            -- Play sessions outlive the season (season_id is set to NULL); restoreSeason links them again
+            'play_session_ids', COALESCE((SELECT jsonb_agg(ps.id ORDER BY ps.id) FROM play_sessions ps WHERE ps.season_id = s.id), '[]'::jsonb)
+          ),
+          $2, CURRENT_TIMESTAMP + make_interval(days => $3)
+        FROM seasons s WHERE s.id = $1
+      `, [seasonId, deletedBy, retentionDays])
+      
+      // First delete all matches in this season
+      await client.query('DELETE FROM matches WHERE season_id = $1', [seasonId])
+      
+      // Delete season players (cascade should handle this, but explicit is clearer)
+      await client.query('DELETE FROM season_players WHERE season_id = $1', [seasonId])
+      
+      // Then delete the season
+      await client.query('DELETE FROM seasons WHERE id = $1', [seasonId])
+      
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+    await this.refreshRatings()
+  }
+
+  // Money ledger (payments and adjustments, see lib/ledger.js)
+  // Entries newest first; filters: { seasonId, playerId }
+  async getPayments({ seasonId, playerId } = {}) {
+    const params = []
+    let where = 'TRUE'
+    if (seasonId) {
+      params.push(seasonId)
+      where += ` AND pay.season_id = $${params.length}`
+    }
+    if (playerId) {
+      params.push(playerId)
+      where += ` AND pay.player_id = $${params.length}`
+    }
+    const result = await this.query(`
+      SELECT pay.id, pay.season_id, pay.player_id, pay.kind, pay.amount, pay.note,
+        TO_CHAR(pay.paid_on, 'YYYY-MM-DD') as paid_on, pay.recorded_by, pay.created_at,
+        p.name as player_name, s.name as season_name
+      FROM payments pay
+      JOIN players p ON p.id = pay.player_id
+      JOIN seasons s ON s.id = pay.season_id
+      WHERE ${where}
+      ORDER BY pay.paid_on DESC, pay.id DESC
+    `, params)
+    return result.rows
+  }
+
+  async getPaymentById(paymentId) {
+    const result = await this.query(`
+      SELECT id, season_id, player_id, kind, amount, note,
+        TO_CHAR(paid_on, 'YYYY-MM-DD') as paid_on, recorded_by, created_at
+      FROM payments WHERE id = $1
+    `, [paymentId])
+    return result.rows[0] || null
+  }
+
+  // entry: { seasonId, playerId, kind, amount, note, paidOn } as validated by the route
+  async addPayment({ seasonId, playerId, kind, amount, note = null, paidOn = null }, recordedBy = null) {
+    const result = await this.query(`
+      INSERT INTO payments (season_id, player_id, kind, amount, note, paid_on, recorded_by)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7) RETURNING id
+    `, [seasonId, playerId, kind, amount, note, paidOn, recordedBy])
+    return result.rows[0].id
+  }
+
+  // Entries are corrected by deleting them (audited by the route); returns the removed row
+  async deletePayment(paymentId) {
+    const result = await this.query(`
+      DELETE FROM payments WHERE id = $1
+      RETURNING id, season_id, player_id, kind, amount, note, TO_CHAR(paid_on, 'YYYY-MM-DD') as paid_on, recorded_by, created_at
+    `, [paymentId])
+    return result.rows[0] || null
+  }
+
+  // money_lost, adjustments and paid for everyone on the roster, who played,
+  // or who has ledger entries in the season (summarizeBalances() adds the rest)
+  async getSeasonBalances(seasonId) {
+    const result = await this.query(`
+      WITH ${ledgerCte('season_id = $1')},
+      involved AS (
+        SELECT player_id FROM season_players WHERE season_id = $1
+        UNION SELECT player_id FROM player_season_stats WHERE season_id = $1
+        UNION SELECT player_id FROM ledger
+      )
+      SELECT p.id as player_id, p.name,
+        COALESCE(pss.money_lost, 0)::bigint as money_lost,
+        COALESCE(l.adjustments, 0)::bigint as adjustments,
+        COALESCE(l.paid, 0)::bigint as paid
+      FROM involved i
+      JOIN players p ON p.id = i.player_id
+      LEFT JOIN player_season_stats pss ON pss.player_id = p.id AND pss.season_id = $1
+      LEFT JOIN ledger l ON l.player_id = p.id
+    `, [seasonId])
+    return result.rows
+  }
+
+  // Play date expenses (court rental, balls; see lib/expense-split.js)
+  // Expenses with the payer's name, oldest first; filters: { playDate, from, to } (inclusive)
+  async getExpenses({ playDate, from, to } = {}) {
+    const params = []
+    let where = 'TRUE'
+    for (const [value, condition] of [[playDate, '='], [from, '>='], [to, '<=']]) {
+      if (!value) continue
+      params.push(value)
+      where += ` AND e.play_date ${condition} $${params.length}`
+    }
+    const result = await this.query(`
+      SELECT e.id, TO_CHAR(e.play_date, 'YYYY-MM-DD') as play_date, e.amount, e.description,
+        e.paid_by, p.name as paid_by_name, e.weights, e.created_by, e.created_at
+      FROM expenses e
+      LEFT JOIN players p ON p.id = e.paid_by
+      WHERE ${where}
+      ORDER BY e.play_date, e.id
+    `, params)
+    return result.rows
+  }
+
+  async getExpenseById(expenseId) {
+    const result = await this.query(`
+      SELECT e.id, TO_CHAR(e.play_date, 'YYYY-MM-DD') as play_date, e.amount, e.description,
+        e.paid_by, p.name as paid_by_name, e.weights, e.created_by, e.created_at
+      FROM expenses e
+      LEFT JOIN players p ON p.id = e.paid_by
+      WHERE e.id = $1
+    `, [expenseId])
+    return result.rows[0] || null
+  }
+
+  // expense: { playDate, amount, description, paidBy, weights } as validated by the route
+  async addExpense({ playDate, amount, description, paidBy = null, weights = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO expenses (play_date, amount, description, paid_by, weights, created_by)
+      VALUES ($1, $2, $3, $4, $5::jsonb, $6) RETURNING id
+    `, [playDate, amount, description, paidBy, weights ? JSON.stringify(weights) : null, createdBy])
+    return result.rows[0].id
+  }
+
+  async updateExpense(expenseId, { playDate, amount, description, paidBy = null, weights = null }) {
+    const result = await this.query(`
+      UPDATE expenses SET play_date = $2, amount = $3, description = $4, paid_by = $5, weights = $6::jsonb
+      WHERE id = $1
+    `, [expenseId, playDate, amount, description, paidBy, weights ? JSON.stringify(weights) : null])
+    return result.rowCount > 0
+  }
+
+  async deleteExpense(expenseId) {
+    const result = await this.query('DELETE FROM expenses WHERE id = $1', [expenseId])
+    return result.rowCount > 0
+  }
+
+  // Play sessions and attendance (see lib/attendance.js)
+  // Announced dates with their answer counts, oldest first; filters: { from, to } (inclusive)
+  async getPlaySessions({ from, to } = {}) {
+    const params = []
+    let where = '1 = 1'
+    for (const [value, condition] of [[from, '>='], [to, '<=']]) {
+      if (!value) continue
+      params.push(value)
+      where += ` AND ps.play_date ${condition} $${params.length}`
+    }
+    const result = await this.query(`
+      SELECT ps.id, TO_CHAR(ps.play_date, 'YYYY-MM-DD') as play_date, ps.season_id, s.name as season_name,
+        ps.start_time, ps.end_time, ps.venue, ps.note, ps.created_by, ps.created_at,
+        COUNT(CASE WHEN a.availability = 'available' THEN 1 END)::int as available_count,
+        COUNT(CASE WHEN a.availability = 'maybe' THEN 1 END)::int as maybe_count,
+        COUNT(CASE WHEN a.availability = 'unavailable' THEN 1 END)::int as unavailable_count,
+        COUNT(a.checked_in_at)::int as checked_in_count
+      FROM play_sessions ps
+      LEFT JOIN seasons s ON s.id = ps.season_id
+      LEFT JOIN attendance a ON a.play_date = ps.play_date
+      WHERE ${where}
+      GROUP BY ps.id, s.name
+      ORDER BY ps.play_date
+    `, params)
+    return result.rows
+  }
+
+  async getPlaySession(playDate) {
+    const sessions = await this.getPlaySessions({ from: playDate, to: playDate })
+    return sessions[0] || null
+  }
+
+  // Throws 23505 if the date is already announced, 23503 for an unknown season
+  // startTime / endTime: 'HH:MM' local time or null
+  async addPlaySession({ playDate, seasonId = null, note = null, startTime = null, endTime = null, venue = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO play_sessions (play_date, season_id, note, start_time, end_time, venue, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+    `, [playDate, seasonId, note, startTime, endTime, venue, createdBy])
+    return result.rows[0].id
+  }
+
+  // Replaces the details of an announcement; false if the date is not announced
+  async updatePlaySession(playDate, { seasonId = null, note = null, startTime = null, endTime = null, venue = null }) {
+    const result = await this.query(`
+      UPDATE play_sessions SET season_id = $2, note = $3, start_time = $4, end_time = $5, venue = $6
+      WHERE play_date = $1
+    `, [playDate, seasonId, note, startTime, endTime, venue])
+    return result.rowCount > 0
+  }
+
+  // Answers and check-ins of the date stay: they are keyed by date, not by session
+  async deletePlaySession(playDate) {
+    const result = await this.query('DELETE FROM play_sessions WHERE play_date = $1', [playDate])
+    return result.rowCount > 0
+  }
+
+  async getAttendanceByDate(playDate) {
+    const result = await this.query(`
+      SELECT a.player_id, p.name, a.availability, a.checked_in_at, a.updated_by, a.updated_at
+      FROM attendance a
+      JOIN players p ON p.id = a.player_id
+      WHERE a.play_date = $1
+    `, [playDate])
+    return result.rows
+  }
+
+  // Every attendance row (full backup)
+  async getAllAttendance() {
+    const result = await this.query(`
+      SELECT TO_CHAR(play_date, 'YYYY-MM-DD') as play_date, player_id, availability, checked_in_at, updated_by, updated_at
+      FROM attendance
+      ORDER BY play_date, player_id
+    `)
+    return result.rows
+  }
+
+  // availability: 'available' | 'maybe' | 'unavailable' | null (clear the answer)
+  async setAvailability(playDate, playerId, availability, updatedBy = null) {
+    await this.query(`
+      INSERT INTO attendance (play_date, player_id, availability, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (play_date, player_id) DO UPDATE
+        SET availability = EXCLUDED.availability, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+    `, [playDate, playerId, availability, updatedBy])
+  }
+
+  async setCheckIn(playDate, playerId, checkedIn, updatedBy = null) {
+    await this.query(`
+      INSERT INTO attendance (play_date, player_id, checked_in_at, updated_by)
+      VALUES ($1, $2, CASE WHEN $3::boolean THEN CURRENT_TIMESTAMP END, $4)
+      ON CONFLICT (play_date, player_id) DO UPDATE
+        SET checked_in_at = CASE WHEN $3::boolean THEN COALESCE(attendance.checked_in_at, CURRENT_TIMESTAMP) END,
+          updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+    `, [playDate, playerId, checkedIn, updatedBy])
+  }
+
+  /**
+   * Raw material for summarizeAttendance(): announced dates in scope and, per
+   * date and player, their answer, check-in and whether they played a match.
+   * filters: { seasonId, playerId }
+   */
+  async getAttendanceHistory({ seasonId, playerId } = {}) {
+    const sessionParams = seasonId ? [seasonId] : []
+    const sessions = await this.query(`
+      SELECT TO_CHAR(play_date, 'YYYY-MM-DD') as play_date, season_id
+      FROM play_sessions
+      ${seasonId ? 'WHERE season_id = $1' : ''}
+      ORDER BY play_date
+    `, sessionParams)
+
+    const params = []
+    let where = '1 = 1'
+    for (const [value, column] of [[seasonId, 'ps.season_id'], [playerId, 'x.player_id']]) {
+      if (!value) continue
+      params.push(value)
+      where += ` AND ${column} = $${params.length}`
+    }
+    const slot = (column) => `SELECT play_date, ${column} as player_id, NULL as availability, 0 as checked_in, 1 as played
+          FROM matches WHERE ${column} IS NOT NULL`
+    const records = await this.query(`
+      SELECT TO_CHAR(x.play_date, 'YYYY-MM-DD') as play_date, ps.season_id, x.player_id,
+        MAX(x.availability) as availability, MAX(x.checked_in) as checked_in, MAX(x.played) as played
+      FROM (
+        SELECT play_date, player_id, availability,
+          CASE WHEN checked_in_at IS NOT NULL THEN 1 ELSE 0 END as checked_in, 0 as played
+        FROM attendance
+        UNION ALL ${slot('player1_id')}
+        UNION ALL ${slot('player2_id')}
+        UNION ALL ${slot('player3_id')}
+        UNION ALL ${slot('player4_id')}
+      ) x
+      JOIN play_sessions ps ON ps.play_date = x.play_date
+      WHERE ${where}
+      GROUP BY x.play_date, ps.season_id, x.player_id
+    `, params)
+    return { sessions: sessions.rows, records: records.rows }
+  }
+
+  // Tournaments (see lib/tournament.js)
+  // Newest first, with the season name and number of entries; filter: { seasonId }
+  async getTournaments({ seasonId } = {}) {
+    const result = await this.query(`
+      SELECT t.id, t.season_id, s.name as season_name, t.name, t.format, t.match_type,
+        t.group_count, t.advance_per_group, t.created_by, t.created_at,
+        (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id = t.id)::int as entry_count
+      FROM tournaments t
+      JOIN seasons s ON s.id = t.season_id
+      ${seasonId ? 'WHERE t.season_id = $1' : ''}
+      ORDER BY t.created_at DESC, t.id DESC
+    `, seasonId ? [seasonId] : [])
+    return result.rows
+  }
+
+  /**
+   * A tournament with what resolveBracket() needs: entries (with player
+   * names), bracket slots and the live matches recorded for them.
+   * Returns null if there is no such tournament.
+   */
+  async getTournament(tournamentId) {
+    const { rows: [tournament] } = await this.query(`
+      SELECT t.*, s.name as season_name
+      FROM tournaments t
+      JOIN seasons s ON s.id = t.season_id
+      WHERE t.id = $1
+    `, [tournamentId])
+    if (!tournament) return null
+    const [entries, slots, results] = await Promise.all([
+      this.query(`
+        SELECT e.id, e.seed, e.player1_id, p1.name as player1_name, e.player2_id, p2.name as player2_name, e.group_number
+        FROM tournament_entries e
+        JOIN players p1 ON p1.id = e.player1_id
+        LEFT JOIN players p2 ON p2.id = e.player2_id
+        WHERE e.tournament_id = $1
+        ORDER BY e.seed
+      `, [tournamentId]),
+      this.query(`
+        SELECT id, slot, stage, round, position, group_number, source1, source2
+        FROM tournament_matches
+        WHERE tournament_id = $1
+        ORDER BY id
+      `, [tournamentId]),
+      this.query(`
+        SELECT m.id, m.tournament_match_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
+          m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.team1_score, m.team2_score, m.winning_team
+        FROM matches m
+        JOIN tournament_matches tm ON tm.id = m.tournament_match_id
+        WHERE tm.tournament_id = $1
+      `, [tournamentId])
+    ])
+    return { ...tournament, entries: entries.rows, slots: slots.rows, results: results.rows }
+  }
+
+  // The tournament a bracket slot belongs to, or null
+  async getTournamentIdBySlot(tournamentMatchId) {
+    const result = await this.query('SELECT tournament_id FROM tournament_matches WHERE id = $1', [tournamentMatchId])
+    return result.rows[0]?.tournament_id ?? null
+  }
+
+  /**
+   * Store a tournament, its seeded entries and its bracket slots in one transaction.
+   * entries: seedEntries() rows ({ seed, player1_id, player2_id, group_number })
+   * slots: buildBracket().slots
+   * Returns the new id.
+   */
+  async createTournament({ seasonId, name, format, matchType, groupCount = null, advancePerGroup = null }, entries, slots, createdBy = null) {
+    return this.transaction(async (client) => {
+      const { rows: [{ id }] } = await client.query(`
+        INSERT INTO tournaments (season_id, name, format, match_type, group_count, advance_per_group, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+      `, [seasonId, name, format, matchType, groupCount, advancePerGroup, createdBy])
+      for (const entry of entries) {
+        await client.query(`
+          INSERT INTO tournament_entries (tournament_id, seed, player1_id, player2_id, group_number)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [id, entry.seed, entry.player1_id, entry.player2_id || null, entry.group_number ?? null])
+      }
+      for (const slot of slots) {
+        await client.query(`
+          INSERT INTO tournament_matches (tournament_id, slot, stage, round, position, group_number, source1, source2)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [id, slot.slot, slot.stage, slot.round, slot.position, slot.group_number, slot.source1, slot.source2])
+      }
+      return id
+    })
+  }
+
+  // The recorded matches stay, as ordinary matches of the season
+  async deleteTournament(tournamentId) {
+    return this.transaction(async (client) => {
+      await client.query(`
+        UPDATE matches SET tournament_match_id = NULL
+        WHERE tournament_match_id IN (SELECT id FROM tournament_matches WHERE tournament_id = $1)
+      `, [tournamentId])
+      const result = await client.query('DELETE FROM tournaments WHERE id = $1', [tournamentId])
+      return result.rowCount > 0
+    })
+  }
+
+  // Every tournament row (full backup)
+  async getTournamentTables() {
+    const [tournaments, entries, slots] = await Promise.all([
+      this.query('SELECT * FROM tournaments ORDER BY id'),
+      this.query('SELECT * FROM tournament_entries ORDER BY id'),
+      this.query('SELECT * FROM tournament_matches ORDER BY id')
+    ])
+    return { tournaments: tournaments.rows, tournamentEntries: entries.rows, tournamentMatches: slots.rows }
+  }
+
+  // League fixtures (see lib/fixtures.js)
+  // In round order, with player names for both sides
+  async getSeasonFixtures(seasonId) {
+    const result = await this.query(`
+      SELECT f.id, f.season_id, f.match_type, f.round, f.position,
+        f.player1_id, p1.name as player1_name, f.player2_id, p2.name as player2_name,
+        f.player3_id, p3.name as player3_name, f.player4_id, p4.name as player4_name,
+        f.created_by, f.created_at
+      FROM season_fixtures f
+      JOIN players p1 ON p1.id = f.player1_id
+      LEFT JOIN players p2 ON p2.id = f.player2_id
+      JOIN players p3 ON p3.id = f.player3_id
+      LEFT JOIN players p4 ON p4.id = f.player4_id
+      WHERE f.season_id = $1
+      ORDER BY f.round, f.position
+    `, [seasonId])
+    return result.rows
+  }
+
+  /**
+   * Replace the fixtures of a season in one transaction.
+   * fixtures: generateFixtures() rows
+   */
+  async replaceSeasonFixtures(seasonId, matchType, fixtures, createdBy = null) {
+    await this.transaction(async (client) => {
+      await client.query('DELETE FROM season_fixtures WHERE season_id = $1', [seasonId])
+      for (const fixture of fixtures) {
+        await client.query(`
+          INSERT INTO season_fixtures (season_id, match_type, round, position, player1_id, player2_id, player3_id, player4_id, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [seasonId, matchType, fixture.round, fixture.position,
+          fixture.player1_id, fixture.player2_id, fixture.player3_id, fixture.player4_id, createdBy])
+      }
+    })
+  }
+
+  // Returns the number of fixtures removed
+  async deleteSeasonFixtures(seasonId) {
+    const result = await this.query('DELETE FROM season_fixtures WHERE season_id = $1', [seasonId])
+    return result.rowCount
+  }
+
+  // Every fixture row (full backup)
+  async getAllSeasonFixtures() {
+    const result = await this.query('SELECT * FROM season_fixtures ORDER BY id')
+    return result.rows
+  }
+
+  // Fixtures of active seasons that a player is in, with player and season names
+  async getPlayerFixtures(playerId) {
+    const result = await this.query(`
+      SELECT f.id, f.season_id, s.name as season_name, f.match_type, f.round, f.position,
+        f.player1_id, p1.name as player1_name, f.player2_id, p2.name as player2_name,
+        f.player3_id, p3.name as player3_name, f.player4_id, p4.name as player4_name
+      FROM season_fixtures f
+      JOIN seasons s ON s.id = f.season_id
+      JOIN players p1 ON p1.id = f.player1_id
+      LEFT JOIN players p2 ON p2.id = f.player2_id
+      JOIN players p3 ON p3.id = f.player3_id
+      LEFT JOIN players p4 ON p4.id = f.player4_id
+      WHERE s.is_active = true AND $1 IN (f.player1_id, f.player2_id, f.player3_id, f.player4_id)
+      ORDER BY f.season_id, f.round, f.position
+    `, [playerId])
+    return result.rows
+  }
+
+  // Calendar feed tokens (see lib/calendar.js)
+  // The player a feed token belongs to, or null
+  async getCalendarToken(tokenHash) {
+    const result = await this.query(`
+      SELECT t.id, t.player_id, p.name as player_name, p.archived_at
+      FROM calendar_tokens t
+      JOIN players p ON p.id = t.player_id
+      WHERE t.token_hash = $1
+    `, [tokenHash])
+    return result.rows[0] || null
+  }
+
+  async touchCalendarToken(tokenId) {
+    await this.query(`UPDATE calendar_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1`, [tokenId])
+  }
+
+  // A player's new feed token replaces the old one. Throws 23503 for an unknown player
+  async setCalendarToken(playerId, tokenHash, createdBy = null) {
+    await this.query(`
+      INSERT INTO calendar_tokens (player_id, token_hash, created_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (player_id) DO UPDATE
+        SET token_hash = EXCLUDED.token_hash, created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP, last_used_at = NULL
+    `, [playerId, tokenHash, createdBy])
+  }
+
+  // Players with a feed URL, without the token hashes
+  async getCalendarTokens() {
+    const result = await this.query(`
+      SELECT t.player_id, p.name as player_name, t.created_by, t.created_at, t.last_used_at
+      FROM calendar_tokens t
+      JOIN players p ON p.id = t.player_id
+      ORDER BY p.name
+    `)
+    return result.rows
+  }
+
+  async deleteCalendarToken(playerId) {
+    const result = await this.query('DELETE FROM calendar_tokens WHERE player_id = $1', [playerId])
+    return result.rowCount > 0
+  }
+
+  // Every feed token row (full backup)
+  async getAllCalendarTokens() {
+    const result = await this.query('SELECT * FROM calendar_tokens ORDER BY id')
+    return result.rows
+  }
+
+  // Public share links (see lib/share.js)
+  // expiresInDays null: the link does not expire. Throws 23503 for an unknown season
+  async createShareLink({ tokenHash, scope, seasonId = null, label = null, expiresInDays = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO share_links (token_hash, scope, season_id, label, expires_at, created_by)
+      VALUES ($1, $2, $3, $4, CASE WHEN $5 IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(days => $5) END, $6) RETURNING id
+    `, [tokenHash, scope, seasonId, label, expiresInDays, createdBy])
+    return result.rows[0].id
+  }
+
+  // The link a token belongs to, or null when it is unknown or expired
+  async getShareLink(tokenHash) {
+    const result = await this.query(`
+      SELECT l.id, l.scope, l.season_id, l.label, l.expires_at, s.name as season_name,
+        TO_CHAR(s.start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(s.end_date, 'YYYY-MM-DD') as end_date, s.is_active
+      FROM share_links l
+      LEFT JOIN seasons s ON s.id = l.season_id
+      WHERE l.token_hash = $1 AND (l.expires_at IS NULL OR l.expires_at > CURRENT_TIMESTAMP)
+    `, [tokenHash])
+    return result.rows[0] || null
+  }
+
+  async touchShareLink(linkId) {
+    await this.query(`UPDATE share_links SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1`, [linkId])
+  }
+
+  // Every link, newest first, without the token hashes
+  async getShareLinks() {
+    const result = await this.query(`
+      SELECT l.id, l.scope, l.season_id, s.name as season_name, l.label, l.expires_at,
+        CASE WHEN l.expires_at IS NOT NULL AND l.expires_at <= CURRENT_TIMESTAMP THEN 1 ELSE 0 END as expired,
+        l.created_by, l.created_at, l.last_used_at
+      FROM share_links l
+      LEFT JOIN seasons s ON s.id = l.season_id
+      ORDER BY l.created_at DESC, l.id DESC
+    `)
+    return result.rows
+  }
+
+  async deleteShareLink(linkId) {
+    const result = await this.query('DELETE FROM share_links WHERE id = $1', [linkId])
+    return result.rowCount > 0
+  }
+
+  // Every share link row (full backup)
+  async getAllShareLinks() {
+    const result = await this.query('SELECT * FROM share_links ORDER BY id')
+    return result.rows
+  }
+
+  // Outbound webhooks (see lib/webhooks.js)
+  // Every hook, without the secrets, with its pending and failed delivery counts
+  async getWebhooks() {
+    const result = await this.query(`
+      SELECT w.id, w.url, w.events, w.description, w.is_active, w.created_by, w.created_at, w.updated_at,
+        COUNT(d.id) FILTER (WHERE d.status = 'pending')::int as pending_count,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed')::int as failed_count,
+        MAX(d.last_attempt_at) as last_attempt_at
+      FROM webhooks w
+      LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+      GROUP BY w.id
+      ORDER BY w.created_at, w.id
+    `)
+    return result.rows
+  }
+
+  async getWebhookById(webhookId) {
+    const result = await this.query('SELECT * FROM webhooks WHERE id = $1', [webhookId])
+    return result.rows[0] || null
+  }
+
+  async getActiveWebhooks() {
+    const result = await this.query('SELECT id, events FROM webhooks WHERE is_active = true ORDER BY id')
+    return result.rows
+  }
+
+  async createWebhook({ url, events, secret, description = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO webhooks (url, events, secret, description, created_by)
+      VALUES ($1, $2, $3, $4, $5) RETURNING id
+    `, [url, events.join(','), secret, description, createdBy])
+    return result.rows[0].id
+  }
+
+  // Fields left undefined keep their value
+  async updateWebhook(webhookId, { url, events, description, isActive, secret }) {
+    const result = await this.query(`
+      UPDATE webhooks SET
+        url = COALESCE($2, url),
+        events = COALESCE($3, events),
+        description = CASE WHEN $4::boolean THEN $5 ELSE description END,
+        is_active = COALESCE($6, is_active),
+        secret = COALESCE($7, secret),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [webhookId, url ?? null, events ? events.join(',') : null, description !== undefined, description ?? null, isActive ?? null, secret ?? null])
+    return result.rowCount > 0
+  }
+
+  // Removes the hook's delivery log too
+  async deleteWebhook(webhookId) {
+    const result = await this.query('DELETE FROM webhooks WHERE id = $1', [webhookId])
+    return result.rowCount > 0
+  }
+
+  // One pending delivery per hook, due now. Returns the delivery ids
+  async addWebhookDeliveries(webhookIds, event, payload) {
+    const result = await this.query(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload)
+      SELECT id, $2, $3 FROM unnest($1::int[]) as id
+      RETURNING id
+    `, [webhookIds, event, payload])
+    return result.rows.map(row => row.id)
+  }
+
+  /**
+   * Due deliveries of active hooks, with the hook's url and secret. They are
+   * not due again for leaseSeconds, so a concurrent run skips them.
+   */
+  async claimWebhookDeliveries(limit, leaseSeconds) {
+    const result = await this.query(`
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+      FROM webhooks w
+      WHERE w.id = d.webhook_id AND d.id IN (
+        SELECT due.id FROM webhook_deliveries due
+        JOIN webhooks hook ON hook.id = due.webhook_id
+        WHERE due.status = 'pending' AND due.next_attempt_at <= CURRENT_TIMESTAMP AND hook.is_active = true
+        ORDER BY due.next_attempt_at, due.id
+        LIMIT $1
+        FOR UPDATE OF due SKIP LOCKED
+      )
+      RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+    `, [limit, leaseSeconds])
+    return result.rows
+  }
+
+  // Record an attempt; retryInSeconds is set while the delivery stays pending
+  async finishWebhookDelivery(deliveryId, { status, attempts, responseStatus = null, error = null, retryInSeconds = null }) {
+    await this.query(`
+      UPDATE webhook_deliveries SET
+        status = $2, attempts = $3, response_status = $4, error = $5, last_attempt_at = CURRENT_TIMESTAMP,
+        next_attempt_at = CASE WHEN $6::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(secs => $6) END
       WHERE id = $1
-    `, [seasonId])
+    `, [deliveryId, status, attempts, responseStatus, error, retryInSeconds])
   }
 
-  async checkAndEndExpiredSeasons() {
-    // Automatically end seasons that have passed their end date and have auto_end enabled
+  /**
+   * Newest deliveries first, with optional filters { webhookId, status, event, limit, offset }.
+   * Returns { deliveries, total }.
+   */
+  async getWebhookDeliveries({ webhookId, status, event, limit = 50, offset = 0 } = {}) {
+    const params = []
+    const conditions = []
+    if (webhookId) {
+      params.push(webhookId)
+      conditions.push(`d.webhook_id = $${params.length}`)
+    }
+    if (status) {
+      params.push(status)
+      conditions.push(`d.status = $${params.length}`)
+    }
+    if (event) {
+      params.push(event)
+      conditions.push(`d.event = $${params.length}`)
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const [deliveries, total] = await Promise.all([
+      this.query(`
+        SELECT d.id, d.webhook_id, w.url, d.event, d.payload, d.status, d.attempts, d.response_status, d.error,
+          d.next_attempt_at, d.last_attempt_at, d.created_at
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        ${where}
+        ORDER BY d.created_at DESC, d.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.query(`SELECT COUNT(*)::int as count FROM webhook_deliveries d ${where}`, params)
+    ])
+    return { deliveries: deliveries.rows, total: total.rows[0].count }
+  }
+
+  async getWebhookDelivery(deliveryId) {
     const result = await this.query(`
-      UPDATE seasons 
-      SET is_active = false, ended_at = CURRENT_TIMESTAMP, ended_by = 'system'
-      WHERE is_active = true 
-        AND auto_end = true 
-        AND end_date IS NOT NULL 
-        AND end_date < CURRENT_DATE
-      RETURNING id, name
-    `)
-    return result.rows
+      SELECT d.id, d.webhook_id, w.url, d.event, d.payload, d.status, d.attempts, d.response_status, d.error,
+        d.next_attempt_at, d.last_attempt_at, d.created_at
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = $1
+    `, [deliveryId])
+    return result.rows[0] || null
   }
 
-  async getSeasonById(seasonId) {
-    const result = await this.query(`SELECT ${SEASON_SELECT_COLS} FROM seasons WHERE id = $1`, [seasonId])
-    return result.rows[0] || null
+  // Send a finished delivery again from the first attempt
+  async retryWebhookDelivery(deliveryId) {
+    const result = await this.query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, error = NULL, response_status = NULL, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status <> 'pending'
+    `, [deliveryId])
+    return result.rowCount > 0
   }
 
-  // Season Players Management
-  async getSeasonPlayers(seasonId) {
+  // Drop finished deliveries older than `days`. Returns how many were removed
+  async pruneWebhookDeliveries(days) {
     const result = await this.query(`
-      SELECT p.id, p.name, sp.added_at, sp.added_by
-      FROM season_players sp
-      JOIN players p ON sp.player_id = p.id
-      WHERE sp.season_id = $1
-      ORDER BY p.name
-    `, [seasonId])
-    return result.rows
+      DELETE FROM webhook_deliveries
+      WHERE status <> 'pending' AND created_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+    `, [days])
+    return result.rowCount
   }
 
+  // Idempotency keys of match submissions (see lib/match-submission.js)
   /**
-   * Get ALL season-player mappings in one query (eliminates N+1 in backup).
-   * Returns a Map: seasonId -> [playerId, ...]
+   * Claim a key for one submission, first dropping keys older than keepDays.
+   * False when the key is taken: its match is recorded (getMatchSubmission)
+   * or another request is recording it. A claim older than staleSeconds
+   * without a match is taken over by the same submission (payloadHash).
    */
-  async getAllSeasonPlayers() {
-    const result = await this.query('SELECT season_id, player_id FROM season_players')
-    const map = new Map()
-    for (const row of result.rows) {
-      const sid = row.season_id
-      if (!map.has(sid)) map.set(sid, [])
-      map.get(sid).push(row.player_id)
-    }
-    return map
+  async claimMatchSubmission(key, submittedBy, payloadHash, staleSeconds, keepDays) {
+    return this.transaction(async (client) => {
+      await client.query(`
+        DELETE FROM match_submissions WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      `, [keepDays])
+      const result = await client.query(`
+        INSERT INTO match_submissions (submission_key, submitted_by, payload_hash) VALUES ($1, $2, $3)
+        ON CONFLICT (submission_key) DO UPDATE SET
+          submitted_by = EXCLUDED.submitted_by, payload_hash = EXCLUDED.payload_hash, created_at = CURRENT_TIMESTAMP
+        WHERE match_submissions.match_id IS NULL
+          AND (match_submissions.payload_hash IS NULL OR match_submissions.payload_hash = EXCLUDED.payload_hash)
+          AND match_submissions.created_at < CURRENT_TIMESTAMP - make_interval(secs => $4)
+      `, [key, submittedBy, payloadHash, staleSeconds])
+      return result.rowCount > 0
+    })
+  }
+
+  async getMatchSubmission(key) {
+    const result = await this.query('SELECT * FROM match_submissions WHERE submission_key = $1', [key])
+    return result.rows[0] || null
   }
 
-  async addPlayerToSeason(seasonId, playerId, addedBy = 'admin') {
-    const result = await this.query(`
-      INSERT INTO season_players (season_id, player_id, added_by)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (season_id, player_id) DO NOTHING
-      RETURNING id
-    `, [seasonId, playerId, addedBy])
-    return result.rows[0]?.id || null
+  async completeMatchSubmission(key, matchId) {
+    await this.query('UPDATE match_submissions SET match_id = $2 WHERE submission_key = $1', [key, matchId])
   }
 
-  async removePlayerFromSeason(seasonId, playerId) {
-    await this.query(`
-      DELETE FROM season_players
-      WHERE season_id = $1 AND player_id = $2
-    `, [seasonId, playerId])
+  // Give the key back when the match could not be added
+  async releaseMatchSubmission(key) {
+    await this.query('DELETE FROM match_submissions WHERE submission_key = $1 AND match_id IS NULL', [key])
   }
 
-  async setSeasonPlayers(seasonId, playerIds, addedBy = 'admin') {
+  // Matches CRUD operations
+  // match_type: 'duo' (4 players) or 'solo' (2 players - player1 vs player3)
+  // no_show_team: team (1 or 2) that forfeited by not showing up, or null
+  // score: parsed set-by-set score from parseSets() (lib/tennis-score.js), or null
+  // tournamentMatchId: bracket slot the match decides (lib/tournament.js), or null
+  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', noShowTeam = null, score = null, tournamentMatchId = null) {
+    const result = await this.query(`
+      INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team,
+        sets, team1_sets, team2_sets, team1_games, team2_games, tournament_match_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING id
+    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, noShowTeam, ...scoreParams(score), tournamentMatchId])
+    await this.refreshRatings({ from: playDate, seasonIds: [seasonId] })
+    return result.rows[0].id
+  }
+
+  // Add an evening's matches in one transaction: either all are stored or none.
+  // Each match: { player1Id, player2Id, player3Id, player4Id, team1Score, team2Score,
+  // winningTeam, matchType, noShowTeam, score } as validated by the route.
+  // Returns the new ids in the order given.
+  async addMatches(seasonId, playDate, matches) {
     const client = await this.pool.connect()
+    const ids = []
     try {
       await client.query('BEGIN')
-      
-      // Remove all existing players
-      await client.query('DELETE FROM season_players WHERE season_id = $1', [seasonId])
-      
-      // Add new players
-      for (const playerId of playerIds) {
-        await client.query(`
-          INSERT INTO season_players (season_id, player_id, added_by)
-          VALUES ($1, $2, $3)
-        `, [seasonId, playerId, addedBy])
+      for (const match of matches) {
+        const result = await client.query(`
+          INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team,
+            sets, team1_sets, team2_sets, team1_games, team2_games)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING id
+        `, [seasonId, playDate, match.player1Id, match.player2Id, match.player3Id, match.player4Id, match.team1Score, match.team2Score,
+          match.winningTeam, match.matchType, match.noShowTeam, ...scoreParams(match.score)])
+        ids.push(result.rows[0].id)
       }
-      
       await client.query('COMMIT')
     } catch (error) {
       await client.query('ROLLBACK')
@@ -507,30 +1670,56 @@ class TennisDatabasePostgreSQL {
     } finally {
       client.release()
     }
+    await this.refreshRatings({ from: playDate, seasonIds: [seasonId] })
+    return ids
   }
 
-  async isPlayerInSeason(seasonId, playerId) {
-    const result = await this.query(`
-      SELECT COUNT(*) as count FROM season_players
-      WHERE season_id = $1 AND player_id = $2
-    `, [seasonId, playerId])
-    return parseInt(result.rows[0].count) > 0
-  }
-
-  async deleteSeason(seasonId) {
+  // Import planned matches (lib/match-import.js) in one transaction. Players and
+  // seasons are referenced by name; missing players are created, and a missing
+  // season (seasonId null) is created ended, spanning the dates of its matches.
+  // Returns the new match ids.
+  async importMatches(matches) {
     const client = await this.pool.connect()
+    const ids = []
     try {
       await client.query('BEGIN')
-      
-      // First delete all matches in this season
-      await client.query('DELETE FROM matches WHERE season_id = $1', [seasonId])
-      
-      // Delete season players (cascade should handle this, but explicit is clearer)
-      await client.query('DELETE FROM season_players WHERE season_id = $1', [seasonId])
-      
-      // Then delete the season
-      await client.query('DELETE FROM seasons WHERE id = $1', [seasonId])
-      
+
+      const playerNames = new Set(matches.flatMap(m => [m.player1Name, m.player2Name, m.player3Name, m.player4Name]).filter(Boolean))
+      for (const name of playerNames) {
+        await client.query('INSERT INTO players (name) VALUES ($1) ON CONFLICT (name) DO NOTHING', [name])
+      }
+      const playersResult = await client.query('SELECT id, name FROM players')
+      const playerIds = new Map(playersResult.rows.map(p => [p.name, p.id]))
+
+      const newSeasons = new Map()
+      for (const match of matches.filter(m => !m.seasonId)) {
+        const span = newSeasons.get(match.seasonName) || { startDate: match.playDate, endDate: match.playDate }
+        if (match.playDate < span.startDate) span.startDate = match.playDate
+        if (match.playDate > span.endDate) span.endDate = match.playDate
+        newSeasons.set(match.seasonName, span)
+      }
+      const seasonIds = new Map()
+      for (const [name, { startDate, endDate }] of newSeasons) {
+        const result = await client.query(
+          `INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description)
+           VALUES ($1, $2, $3, false, false, $4) RETURNING id`,
+          [name, startDate, endDate, 'Imported from spreadsheet']
+        )
+        seasonIds.set(name, result.rows[0].id)
+      }
+
+      for (const match of matches) {
+        const playerId = (name) => name ? playerIds.get(name) : null
+        const result = await client.query(`
+          INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team,
+            sets, team1_sets, team2_sets, team1_games, team2_games)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NULL, $11, $12, $13, $14, $15) RETURNING id
+        `, [match.seasonId || seasonIds.get(match.seasonName), match.playDate,
+          playerId(match.player1Name), playerId(match.player2Name), playerId(match.player3Name), playerId(match.player4Name),
+          match.team1Score, match.team2Score, match.winningTeam, match.matchType, ...scoreParams(match.score)])
+        ids.push(result.rows[0].id)
+      }
+
       await client.query('COMMIT')
     } catch (error) {
       await client.query('ROLLBACK')
@@ -538,16 +1727,8 @@ class TennisDatabasePostgreSQL {
     } finally {
       client.release()
     }
-  }
-
-  // Matches CRUD operations
-  // match_type: 'duo' (4 players) or 'solo' (2 players - player1 vs player3)
-  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo') {
-    const result = await this.query(`
-      INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
-    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType])
-    return result.rows[0].id
+    await this.refreshRatings()
+    return ids
   }
 
   // Add match with preserved created_at (for restore operations)
@@ -557,6 +1738,7 @@ class TennisDatabasePostgreSQL {
         INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, created_at) 
         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id
       `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, createdAt])
+      await this.refreshRatings({ from: playDate, seasonIds: [seasonId] })
       return result.rows[0].id
     } else {
       return this.addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType)
@@ -569,7 +1751,8 @@ class TennisDatabasePostgreSQL {
         m.player1_id, m.player2_id, m.player3_id, m.player4_id,
         m.team1_score, m.team2_score, m.winning_team, 
         COALESCE(m.match_type, 'duo') as match_type,
-        m.created_at,
+        m.no_show_team, m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
+        m.tournament_match_id, m.created_at,
         s.name as season_name,
         COALESCE(s.lose_money_per_loss, 20000) as lose_money_per_loss,
         p1.name as player1_name, COALESCE(p2.name, '') as player2_name, 
@@ -599,7 +1782,8 @@ class TennisDatabasePostgreSQL {
         m.player1_id, m.player2_id, m.player3_id, m.player4_id,
         m.team1_score, m.team2_score, m.winning_team,
         COALESCE(m.match_type, 'duo') as match_type,
-        m.created_at,
+        m.no_show_team, m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
+        m.tournament_match_id, m.created_at,
         s.name as season_name,
         COALESCE(s.lose_money_per_loss, 20000) as lose_money_per_loss,
         p1.name as player1_name, COALESCE(p2.name, '') as player2_name, 
@@ -622,7 +1806,8 @@ class TennisDatabasePostgreSQL {
         m.player1_id, m.player2_id, m.player3_id, m.player4_id,
         m.team1_score, m.team2_score, m.winning_team, 
         COALESCE(m.match_type, 'duo') as match_type,
-        m.created_at,
+        m.no_show_team, m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
+        m.tournament_match_id, m.created_at,
         s.name as season_name,
         COALESCE(s.lose_money_per_loss, 20000) as lose_money_per_loss,
         p1.name as player1_name, COALESCE(p2.name, '') as player2_name, 
@@ -664,7 +1849,8 @@ class TennisDatabasePostgreSQL {
       SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
         m.player1_id, m.player2_id, m.player3_id, m.player4_id,
         m.team1_score, m.team2_score, m.winning_team, m.created_at,
-        COALESCE(m.match_type, 'duo') as match_type,
+        COALESCE(m.match_type, 'duo') as match_type, m.no_show_team,
+        m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games, m.tournament_match_id,
         s.name as season_name,
         COALESCE(s.lose_money_per_loss, 20000) as lose_money_per_loss,
         p1.name as player1_name, COALESCE(p2.name, '') as player2_name, 
@@ -680,18 +1866,183 @@ class TennisDatabasePostgreSQL {
     return result.rows[0] || null
   }
 
-  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo') {
+  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', noShowTeam = null, score = null) {
+    const { rows: [previous] } = await this.query(`
+      SELECT TO_CHAR(play_date, 'YYYY-MM-DD') as play_date, season_id FROM matches WHERE id = $1
+    `, [matchId])
     await this.query(`
       UPDATE matches 
       SET season_id = $1, play_date = $2, player1_id = $3, player2_id = $4, 
           player3_id = $5, player4_id = $6, team1_score = $7, team2_score = $8, 
-          winning_team = $9, match_type = $10
-      WHERE id = $11
-    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, matchId])
+          winning_team = $9, match_type = $10, no_show_team = $11,
+          sets = $12, team1_sets = $13, team2_sets = $14, team1_games = $15, team2_games = $16
+      WHERE id = $17
+    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, noShowTeam, ...scoreParams(score), matchId])
+    if (previous) {
+      await this.refreshRatings({
+        from: [previous.play_date, playDate].sort()[0],
+        seasonIds: [previous.season_id, seasonId]
+      })
+    }
+  }
+
+  // The match row is moved to the trash first (see restoreMatch)
+  async deleteMatch(matchId, deletedBy = null, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    const client = await this.pool.connect()
+    let deleted
+    try {
+      await client.query('BEGIN')
+      await client.query(`
+        INSERT INTO trash (entity_type, entity_id, data, deleted_by, expires_at)
+        SELECT 'match', m.id, jsonb_build_object('match', to_jsonb(m)), $2, CURRENT_TIMESTAMP + make_interval(days => $3)
+        FROM matches m WHERE m.id = $1
+      `, [matchId, deletedBy, retentionDays])
+      deleted = await client.query(`
+        DELETE FROM matches WHERE id = $1 RETURNING TO_CHAR(play_date, 'YYYY-MM-DD') as play_date, season_id
+      `, [matchId])
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+    const [match] = deleted.rows
+    if (match) await this.refreshRatings({ from: match.play_date, seasonIds: [match.season_id] })
+  }
+
+  // Trash: one row per deleted match/season with enough detail to list it
+  async getTrash() {
+    const result = await this.query(`
+      SELECT t.id, t.entity_type, t.entity_id, t.deleted_by, t.deleted_at, t.expires_at,
+        t.data->'season'->>'name' as name,
+        jsonb_array_length(COALESCE(t.data->'matches', '[]'::jsonb)) as match_count,
+        t.data->'match'->>'play_date' as play_date,
+        (t.data->'match'->>'team1_score')::int as team1_score,
+        (t.data->'match'->>'team2_score')::int as team2_score,
+        s.name as season_name,
+        p1.name as player1_name, p2.name as player2_name,
+        p3.name as player3_name, p4.name as player4_name
+      FROM trash t
+      LEFT JOIN seasons s ON s.id = (t.data->'match'->>'season_id')::int
+      LEFT JOIN players p1 ON p1.id = (t.data->'match'->>'player1_id')::int
+      LEFT JOIN players p2 ON p2.id = (t.data->'match'->>'player2_id')::int
+      LEFT JOIN players p3 ON p3.id = (t.data->'match'->>'player3_id')::int
+      LEFT JOIN players p4 ON p4.id = (t.data->'match'->>'player4_id')::int
+      WHERE t.expires_at > CURRENT_TIMESTAMP
+      ORDER BY t.deleted_at DESC, t.id DESC
+    `)
+    return result.rows
+  }
+
+  // Returns the number of entries removed for good
+  async purgeExpiredTrash() {
+    const result = await this.query('DELETE FROM trash WHERE expires_at <= CURRENT_TIMESTAMP')
+    return result.rowCount
+  }
+
+  async deleteTrashEntry(trashId) {
+    const result = await this.query('DELETE FROM trash WHERE id = $1', [trashId])
+    return result.rowCount > 0
+  }
+
+  /**
+   * Put a trashed match back with its original id. The ranking trigger
+   * rebuilds the summary stats on insert; ratings are replayed afterwards.
+   * Returns false when there is no (unexpired) trash entry. Foreign key
+   * errors (23503) mean its season or a player no longer exists.
+   */
+  async restoreMatch(matchId) {
+    const client = await this.pool.connect()
+    let match
+    try {
+      await client.query('BEGIN')
+      const { rows } = await client.query(`
+        DELETE FROM trash
+        WHERE entity_type = 'match' AND entity_id = $1 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING data
+      `, [matchId])
+      if (rows.length === 0) {
+        await client.query('ROLLBACK')
+        return false
+      }
+      match = rows[0].data.match
+      await client.query(`
+        INSERT INTO matches SELECT * FROM jsonb_populate_record(NULL::matches, $1::jsonb)
+      `, [JSON.stringify(match)])
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+    await this.refreshRatings({ from: match.play_date, seasonIds: [match.season_id] })
+    return true
   }
 
-  async deleteMatch(matchId) {
-    await this.query('DELETE FROM matches WHERE id = $1', [matchId])
+  // Same as restoreMatch for a season, its roster, all of its matches, its ledger, tournaments,
+  // fixtures and share links; its play sessions are linked to it again
+  async restoreSeason(seasonId) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      const { rows } = await client.query(`
+        DELETE FROM trash
+        WHERE entity_type = 'season' AND entity_id = $1 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING data
+      `, [seasonId])
+      if (rows.length === 0) {
+        await client.query('ROLLBACK')
+        return false
+      }
+      // Seasons trashed before the ledger (or later additions) existed have no entry for them
+      const {
+        season, season_players: seasonPlayers, matches, payments = [],
+        tournaments = [], tournament_entries: tournamentEntries = [], tournament_matches: tournamentMatches = [],
+        season_fixtures: fixtures = [], share_links: shareLinks = [], play_session_ids: playSessionIds = []
+      } = rows[0].data
+      await client.query(`
+        INSERT INTO seasons SELECT * FROM jsonb_populate_record(NULL::seasons, $1::jsonb)
+      `, [JSON.stringify(season)])
+      await client.query(`
+        INSERT INTO season_players SELECT * FROM jsonb_populate_recordset(NULL::season_players, $1::jsonb)
+      `, [JSON.stringify(seasonPlayers)])
+      await client.query(`
+        INSERT INTO matches SELECT * FROM jsonb_populate_recordset(NULL::matches, $1::jsonb)
+      `, [JSON.stringify(matches)])
+      await client.query(`
+        INSERT INTO payments SELECT * FROM jsonb_populate_recordset(NULL::payments, $1::jsonb)
+      `, [JSON.stringify(payments)])
+      // Same ids, so the matches keep their tournament_match_id
+      await client.query(`
+        INSERT INTO tournaments SELECT * FROM jsonb_populate_recordset(NULL::tournaments, $1::jsonb)
+      `, [JSON.stringify(tournaments)])
+      await client.query(`
+        INSERT INTO tournament_entries SELECT * FROM jsonb_populate_recordset(NULL::tournament_entries, $1::jsonb)
+      `, [JSON.stringify(tournamentEntries)])
+      await client.query(`
+        INSERT INTO tournament_matches SELECT * FROM jsonb_populate_recordset(NULL::tournament_matches, $1::jsonb)
+      `, [JSON.stringify(tournamentMatches)])
+      await client.query(`
+        INSERT INTO season_fixtures SELECT * FROM jsonb_populate_recordset(NULL::season_fixtures, $1::jsonb)
+      `, [JSON.stringify(fixtures)])
+      await client.query(`
+        INSERT INTO share_links SELECT * FROM jsonb_populate_recordset(NULL::share_links, $1::jsonb)
+      `, [JSON.stringify(shareLinks)])
+      // Unless a session was given another season meanwhile
+      await client.query(`
+        UPDATE play_sessions SET season_id = $1 WHERE id = ANY($2::int[]) AND season_id IS NULL
+      `, [seasonId, playSessionIds])
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+    await this.refreshRatings()
+    return true
   }
 
   async getPlayDates() {
@@ -713,22 +2064,198 @@ class TennisDatabasePostgreSQL {
     return result.rows[0]?.play_date || null
   }
 
+  // Skill ratings — Elo is order-dependent, so a changed match (even an old one)
+  // replays every match from its play date on, starting from the lifetime
+  // ratings in the history before that date, and its seasons from their start.
+  // Without `from` the full history is replayed. Summary-table points are
+  // still maintained per row by the PostgreSQL trigger.
+  async rebuildRatings({ from = null, seasonIds = [] } = {}) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      await client.query('SELECT pg_advisory_xact_lock($1)', [RATING_REBUILD_LOCK])
+
+      // An earlier match without history was never replayed (its refresh failed): start over
+      const gap = from !== null && (await client.query(`
+        SELECT EXISTS (
+          SELECT 1 FROM matches m
+          WHERE m.play_date < $1::date
+            AND NOT EXISTS (SELECT 1 FROM player_rating_history h WHERE h.match_id = m.id)
+        ) AS gap
+      `, [from])).rows[0].gap
+      if (from === null || gap) await this.replayAllRatings(client)
+      else await this.replayRatingsFrom(client, from, seasonIds)
+
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  async replayAllRatings(client) {
+    const { rows: matches } = await client.query(`
+      SELECT id, season_id, player1_id, player2_id, player3_id, player4_id, winning_team
+      FROM matches
+      ORDER BY play_date ASC, created_at ASC, id ASC
+    `)
+    const { lifetime, seasons, history } = computeRatings(matches)
+
+    await client.query('DELETE FROM player_rating_history')
+    await this.writeRatingHistory(client, history)
+    await this.writeLifetimeRatings(client, lifetime)
+    await client.query('UPDATE player_season_stats SET rating = $1, rated_matches = 0', [DEFAULT_RATING])
+    await this.writeSeasonRatings(client, seasons)
+  }
+
+  async replayRatingsFrom(client, from, seasonIds) {
+    // Lifetime ratings as they stood before `from`: each player's last history row
+    const { rows: before } = await client.query(`
+      SELECT DISTINCT ON (h.player_id) h.player_id, h.rating_after AS rating,
+        COUNT(*) OVER (PARTITION BY h.player_id)::int AS rated_matches
+      FROM player_rating_history h
+      JOIN matches m ON m.id = h.match_id
+      WHERE m.play_date < $1::date
+      ORDER BY h.player_id, h.seq DESC
+    `, [from])
+    const { rows: [{ count: seqOffset }] } = await client.query(
+      'SELECT COUNT(*)::int AS count FROM matches WHERE play_date < $1::date', [from]
+    )
+    const { rows: matches } = await client.query(`
+      SELECT id, season_id, player1_id, player2_id, player3_id, player4_id, winning_team
+      FROM matches
+      WHERE play_date >= $1::date
+      ORDER BY play_date ASC, created_at ASC, id ASC
+    `, [from])
+    const { lifetime, history } = computeRatings(matches, { lifetime: before, seqOffset })
+
+    await client.query(`
+      DELETE FROM player_rating_history h USING matches m
+      WHERE m.id = h.match_id AND m.play_date >= $1::date
+    `, [from])
+    await this.writeRatingHistory(client, history)
+    await this.writeLifetimeRatings(client, lifetime)
+
+    // Season ratings only depend on the season's own matches
+    const { rows: seasonMatches } = await client.query(`
+      SELECT id, season_id, player1_id, player2_id, player3_id, player4_id, winning_team
+      FROM matches
+      WHERE season_id = ANY($1::int[])
+      ORDER BY play_date ASC, created_at ASC, id ASC
+    `, [seasonIds])
+    const { seasons } = computeRatings(seasonMatches)
+    await client.query(`
+      UPDATE player_season_stats SET rating = $1, rated_matches = 0 WHERE season_id = ANY($2::int[])
+    `, [DEFAULT_RATING, seasonIds])
+    await this.writeSeasonRatings(client, seasons)
+  }
+
+  async writeRatingHistory(client, history) {
+    if (history.length === 0) return
+    await client.query(`
+      INSERT INTO player_rating_history (match_id, player_id, seq, rating_before, rating_after)
+      SELECT * FROM unnest($1::int[], $2::int[], $3::int[], $4::float8[], $5::float8[])
+    `, [
+      history.map(h => h.match_id),
+      history.map(h => h.player_id),
+      history.map(h => h.seq),
+      history.map(h => h.rating_before),
+      history.map(h => h.rating_after)
+    ])
+  }
+
+  // Reset everyone, then write the replayed values back
+  async writeLifetimeRatings(client, lifetime) {
+    await client.query('UPDATE player_lifetime_stats SET rating = $1, rated_matches = 0', [DEFAULT_RATING])
+    if (lifetime.length === 0) return
+    await client.query(`
+      INSERT INTO player_lifetime_stats (player_id, rating, rated_matches)
+      SELECT * FROM unnest($1::int[], $2::float8[], $3::int[])
+      ON CONFLICT (player_id) DO UPDATE SET
+        rating = EXCLUDED.rating,
+        rated_matches = EXCLUDED.rated_matches
+    `, [lifetime.map(r => r.player_id), lifetime.map(r => r.rating), lifetime.map(r => r.rated_matches)])
+  }
+
+  async writeSeasonRatings(client, seasons) {
+    if (seasons.length === 0) return
+    await client.query(`
+      INSERT INTO player_season_stats (player_id, season_id, rating, rated_matches)
+      SELECT * FROM unnest($1::int[], $2::int[], $3::float8[], $4::int[])
+      ON CONFLICT (player_id, season_id) DO UPDATE SET
+        rating = EXCLUDED.rating,
+        rated_matches = EXCLUDED.rated_matches
+    `, [
+      seasons.map(r => r.player_id),
+      seasons.map(r => r.season_id),
+      seasons.map(r => r.rating),
+      seasons.map(r => r.rated_matches)
+    ])
+  }
+
+  /**
+   * Replay ratings after a match write. `change` narrows the replay: the
+   * earliest play date it touched and the seasons of the matches involved
+   * (both before and after an edit); without it everything is replayed.
+   * The match write has already succeeded at this point, so a failed replay
+   * does not turn it into an error response: it is logged, and the next
+   * refresh in this process replays the full history.
+   */
+  async refreshRatings(change = null) {
+    const options = change && !this.ratingsStale
+      ? { from: change.from, seasonIds: [...new Set(change.seasonIds.map(Number))] }
+      : {}
+    try {
+      await this.rebuildRatings(options)
+      this.ratingsStale = false
+    } catch (error) {
+      this.ratingsStale = true
+      console.error('❌ Skill rating replay failed; ratings are stale until the next match change:', error)
+    }
+  }
+
+  // First start after upgrading: matches exist but no rating history yet
+  async backfillRatingsIfNeeded() {
+    try {
+      const result = await this.query(`
+        SELECT EXISTS (SELECT 1 FROM matches) AS has_matches,
+               EXISTS (SELECT 1 FROM player_rating_history) AS has_history
+      `)
+      const { has_matches: hasMatches, has_history: hasHistory } = result.rows[0]
+      if (hasMatches && !hasHistory) {
+        await this.rebuildRatings()
+        console.log('✅ Skill ratings backfilled from match history')
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not backfill skill ratings:', error.message)
+    }
+  }
+
   // Statistics and rankings — reads from pre-computed summary tables
   // Summary tables are updated automatically via PostgreSQL trigger on matches
   async getPlayerStatsLifetime() {
     const result = await this.query(`
+      WITH ${setStatsCte('TRUE')}, ${ledgerCte('TRUE')}
       SELECT 
         p.id, p.name,
         COALESCE(pls.wins, 0)::int as wins,
         COALESCE(pls.losses, 0)::int as losses,
         COALESCE(pls.total_matches, 0)::int as total_matches,
         COALESCE(pls.money_lost, 0)::bigint as money_lost,
+        ${ledgerCols('COALESCE(pls.money_lost, 0)')},
         COALESCE(pls.points, 0)::int as points,
+        ROUND(COALESCE(pls.rating, ${DEFAULT_RATING}))::int as rating,
+        COALESCE(pls.rated_matches, 0)::int as rated_matches,
+        ${SET_STATS_COLS},
         CASE WHEN COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0) > 0
              THEN ROUND((COALESCE(pls.wins, 0) * 100.0) / (COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0)), 1)
              ELSE 0 END as win_percentage
       FROM players p
       LEFT JOIN player_lifetime_stats pls ON pls.player_id = p.id
+      LEFT JOIN set_stats ss ON ss.player_id = p.id
+      LEFT JOIN ledger l ON l.player_id = p.id
       ORDER BY COALESCE(pls.points, 0) DESC,
                CASE WHEN COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0) > 0
                     THEN ROUND((COALESCE(pls.wins, 0) * 100.0) / (COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0)), 1)
@@ -740,19 +2267,26 @@ class TennisDatabasePostgreSQL {
 
   async getPlayerStatsBySeason(seasonId) {
     const result = await this.query(`
+      WITH ${setStatsCte('m.season_id = $1')}, ${ledgerCte('season_id = $1')}
       SELECT 
         p.id, p.name,
         COALESCE(pss.wins, 0)::int as wins,
         COALESCE(pss.losses, 0)::int as losses,
         COALESCE(pss.total_matches, 0)::int as total_matches,
         COALESCE(pss.points, 0)::int as points,
+        ROUND(COALESCE(pss.rating, ${DEFAULT_RATING}))::int as rating,
+        COALESCE(pss.rated_matches, 0)::int as rated_matches,
+        ${SET_STATS_COLS},
         CASE WHEN COALESCE(pss.wins, 0) + COALESCE(pss.losses, 0) > 0
              THEN ROUND((COALESCE(pss.wins, 0) * 100.0) / (COALESCE(pss.wins, 0) + COALESCE(pss.losses, 0)), 1)
              ELSE 0 END as win_percentage,
-        COALESCE(pss.money_lost, 0)::bigint as money_lost
+        COALESCE(pss.money_lost, 0)::bigint as money_lost,
+        ${ledgerCols('COALESCE(pss.money_lost, 0)')}
       FROM players p
       INNER JOIN season_players sp ON sp.player_id = p.id AND sp.season_id = $1
       LEFT JOIN player_season_stats pss ON pss.player_id = p.id AND pss.season_id = $1
+      LEFT JOIN set_stats ss ON ss.player_id = p.id
+      LEFT JOIN ledger l ON l.player_id = p.id
       ORDER BY COALESCE(pss.points, 0) DESC,
                CASE WHEN COALESCE(pss.wins, 0) + COALESCE(pss.losses, 0) > 0
                     THEN ROUND((COALESCE(pss.wins, 0) * 100.0) / (COALESCE(pss.wins, 0) + COALESCE(pss.losses, 0)), 1)
@@ -766,16 +2300,16 @@ class TennisDatabasePostgreSQL {
     const result = await this.query(`
       WITH match_participants AS (
         -- Unpivot: one row per player per match (index-friendly = joins)
-        SELECT m.id as match_id, m.player1_id as player_id, 1 as team, m.winning_team, COALESCE(s.lose_money_per_loss, 20000) as lose_money
+        SELECT m.id as match_id, m.player1_id as player_id, 1 as team, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date <= $1
         UNION ALL
-        SELECT m.id, m.player2_id, 1, m.winning_team, COALESCE(s.lose_money_per_loss, 20000)
+        SELECT m.id, m.player2_id, 1, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date <= $1 AND m.player2_id IS NOT NULL
         UNION ALL
-        SELECT m.id, m.player3_id, 2, m.winning_team, COALESCE(s.lose_money_per_loss, 20000)
+        SELECT m.id, m.player3_id, 2, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date <= $1
         UNION ALL
-        SELECT m.id, m.player4_id, 2, m.winning_team, COALESCE(s.lose_money_per_loss, 20000)
+        SELECT m.id, m.player4_id, 2, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date <= $1 AND m.player4_id IS NOT NULL
       ),
       player_stats AS (
@@ -784,17 +2318,30 @@ class TennisDatabasePostgreSQL {
           COUNT(CASE WHEN mp.team = mp.winning_team THEN 1 END) as wins,
           COUNT(CASE WHEN mp.team != mp.winning_team THEN 1 END) as losses,
           COUNT(mp.match_id) as total_matches,
-          COALESCE(SUM(CASE WHEN mp.team != mp.winning_team THEN mp.lose_money ELSE 0 END), 0) as money_lost
+          COALESCE(SUM(CASE WHEN mp.team != mp.winning_team THEN mp.lose_money ELSE 0 END), 0) as money_lost,
+          COALESCE(SUM(${MATCH_POINTS_SQL}), 0)::int as points
         FROM players p
         LEFT JOIN match_participants mp ON mp.player_id = p.id
         GROUP BY p.id, p.name
-      )
+      ),
+      ${setStatsCte('m.play_date <= $1')}
       SELECT
-        id, name, wins, losses, total_matches, money_lost,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
+        ps.id, ps.name, ps.wins, ps.losses, ps.total_matches, ps.money_lost, ps.points,
+        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
+        -- Lifetime rating as it stood at the end of this date
+        ROUND(COALESCE(r.rating_after, ${DEFAULT_RATING}))::int as rating,
+        ${SET_STATS_COLS}
+      FROM player_stats ps
+      LEFT JOIN set_stats ss ON ss.player_id = ps.id
+      LEFT JOIN LATERAL (
+        SELECT h.rating_after
+        FROM player_rating_history h
+        JOIN matches hm ON hm.id = h.match_id
+        WHERE h.player_id = ps.id AND hm.play_date <= $1
+        ORDER BY h.seq DESC
+        LIMIT 1
+      ) r ON true
+      ORDER BY ps.points DESC, win_percentage DESC, ps.name ASC
     `, [playDate])
     return result.rows
   }
@@ -802,16 +2349,16 @@ class TennisDatabasePostgreSQL {
   async getPlayerStatsBySpecificDate(playDate) {
     const result = await this.query(`
       WITH match_participants AS (
-        SELECT m.id as match_id, m.player1_id as player_id, 1 as team, m.winning_team, COALESCE(s.lose_money_per_loss, 20000) as lose_money
+        SELECT m.id as match_id, m.player1_id as player_id, 1 as team, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date = $1
         UNION ALL
-        SELECT m.id, m.player2_id, 1, m.winning_team, COALESCE(s.lose_money_per_loss, 20000)
+        SELECT m.id, m.player2_id, 1, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date = $1 AND m.player2_id IS NOT NULL
         UNION ALL
-        SELECT m.id, m.player3_id, 2, m.winning_team, COALESCE(s.lose_money_per_loss, 20000)
+        SELECT m.id, m.player3_id, 2, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date = $1
         UNION ALL
-        SELECT m.id, m.player4_id, 2, m.winning_team, COALESCE(s.lose_money_per_loss, 20000)
+        SELECT m.id, m.player4_id, 2, m.winning_team, ${MATCH_RULE_COLS}
         FROM matches m JOIN seasons s ON m.season_id = s.id WHERE m.play_date = $1 AND m.player4_id IS NOT NULL
       ),
       player_stats AS (
@@ -820,17 +2367,30 @@ class TennisDatabasePostgreSQL {
           COUNT(CASE WHEN mp.team = mp.winning_team THEN 1 END) as wins,
           COUNT(CASE WHEN mp.team != mp.winning_team THEN 1 END) as losses,
           COUNT(mp.match_id) as total_matches,
-          COALESCE(SUM(CASE WHEN mp.team != mp.winning_team THEN mp.lose_money ELSE 0 END), 0) as money_lost
+          COALESCE(SUM(CASE WHEN mp.team != mp.winning_team THEN mp.lose_money ELSE 0 END), 0) as money_lost,
+          COALESCE(SUM(${MATCH_POINTS_SQL}), 0)::int as points
         FROM players p
         LEFT JOIN match_participants mp ON mp.player_id = p.id
         GROUP BY p.id, p.name
-      )
+      ),
+      ${setStatsCte('m.play_date = $1')}
       SELECT
-        id, name, wins, losses, total_matches, money_lost,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
+        ps.id, ps.name, ps.wins, ps.losses, ps.total_matches, ps.money_lost, ps.points,
+        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
+        -- Lifetime rating as it stood at the end of this date
+        ROUND(COALESCE(r.rating_after, ${DEFAULT_RATING}))::int as rating,
+        ${SET_STATS_COLS}
+      FROM player_stats ps
+      LEFT JOIN set_stats ss ON ss.player_id = ps.id
+      LEFT JOIN LATERAL (
+        SELECT h.rating_after
+        FROM player_rating_history h
+        JOIN matches hm ON hm.id = h.match_id
+        WHERE h.player_id = ps.id AND hm.play_date <= $1
+        ORDER BY h.seq DESC
+        LIMIT 1
+      ) r ON true
+      ORDER BY ps.points DESC, win_percentage DESC, ps.name ASC
     `, [playDate])
     return result.rows
   }
@@ -1090,19 +2650,26 @@ class TennisDatabasePostgreSQL {
    */
   async getPlayerStatsWithFormsLifetime(formLimit = 5) {
     const result = await this.query(`
+      WITH ${setStatsCte('TRUE')}, ${ledgerCte('TRUE')}
       SELECT 
         p.id, p.name,
         COALESCE(pls.wins, 0)::int as wins,
         COALESCE(pls.losses, 0)::int as losses,
         COALESCE(pls.total_matches, 0)::int as total_matches,
         COALESCE(pls.money_lost, 0)::bigint as money_lost,
+        ${ledgerCols('COALESCE(pls.money_lost, 0)')},
         COALESCE(pls.points, 0)::int as points,
+        ROUND(COALESCE(pls.rating, ${DEFAULT_RATING}))::int as rating,
+        COALESCE(pls.rated_matches, 0)::int as rated_matches,
+        ${SET_STATS_COLS},
         CASE WHEN COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0) > 0
              THEN ROUND((COALESCE(pls.wins, 0) * 100.0) / (COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0)), 1)
              ELSE 0 END as win_percentage,
         COALESCE(pls.recent_form, '[]'::jsonb) as recent_form
       FROM players p
       LEFT JOIN player_lifetime_stats pls ON pls.player_id = p.id
+      LEFT JOIN set_stats ss ON ss.player_id = p.id
+      LEFT JOIN ledger l ON l.player_id = p.id
       ORDER BY COALESCE(pls.points, 0) DESC,
                CASE WHEN COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0) > 0
                     THEN ROUND((COALESCE(pls.wins, 0) * 100.0) / (COALESCE(pls.wins, 0) + COALESCE(pls.losses, 0)), 1)
@@ -1124,14 +2691,187 @@ class TennisDatabasePostgreSQL {
     if (rankings.length === 0) return rankings
 
     const playerIds = rankings.map(p => p.id)
-    const formsMap = await this.getPlayerFormsBySeasonBatch(playerIds, seasonId, formLimit)
+    const [formsMap, attendanceHistory] = await Promise.all([
+      this.getPlayerFormsBySeasonBatch(playerIds, seasonId, formLimit),
+      this.getAttendanceHistory({ seasonId })
+    ])
+    const attendance = summarizeAttendance(attendanceHistory.sessions, attendanceHistory.records)
 
     return rankings.map(player => ({
       ...player,
-      form: formsMap.get(player.id) || []
+      form: formsMap.get(player.id) || [],
+      attendance: attendanceOf(attendance, player.id)
     }))
   }
 
+  // ==========================================
+  // Head-to-head and partnerships
+  // ==========================================
+
+  /**
+   * Matches where the two players were on opposite sides, from player A's point of view.
+   * filters: { seasonId, from, to } (dates inclusive, YYYY-MM-DD)
+   * Returns { summary, matches } with the most recent match first.
+   */
+  async getHeadToHead(playerAId, playerBId, filters = {}) {
+    const params = [playerAId, playerBId]
+    const result = await this.query(`
+      SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
+        COALESCE(m.match_type, 'duo') as match_type,
+        m.player1_id, m.player2_id, m.player3_id, m.player4_id,
+        m.team1_score, m.team2_score, m.winning_team, m.no_show_team,
+        m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
+        CASE WHEN $1 IN (m.player1_id, m.player2_id) THEN 1 ELSE 2 END as player_a_team,
+        s.name as season_name,
+        p1.name as player1_name, COALESCE(p2.name, '') as player2_name,
+        p3.name as player3_name, COALESCE(p4.name, '') as player4_name
+      FROM matches m
+      JOIN seasons s ON m.season_id = s.id
+      JOIN players p1 ON m.player1_id = p1.id
+      LEFT JOIN players p2 ON m.player2_id = p2.id
+      JOIN players p3 ON m.player3_id = p3.id
+      LEFT JOIN players p4 ON m.player4_id = p4.id
+      WHERE (($1 IN (m.player1_id, m.player2_id) AND $2 IN (m.player3_id, m.player4_id))
+          OR ($2 IN (m.player1_id, m.player2_id) AND $1 IN (m.player3_id, m.player4_id)))
+        ${matchFilterSql(filters, params)}
+      ORDER BY m.play_date DESC, m.created_at DESC
+    `, params)
+
+    const summary = { matches: 0, player_a_wins: 0, player_b_wins: 0, solo_matches: 0, duo_matches: 0,
+      player_a_sets: 0, player_b_sets: 0, player_a_games: 0, player_b_games: 0 }
+    for (const match of result.rows) {
+      const aWon = match.winning_team === match.player_a_team
+      summary.matches++
+      summary[aWon ? 'player_a_wins' : 'player_b_wins']++
+      summary[match.match_type === 'solo' ? 'solo_matches' : 'duo_matches']++
+      if (match.sets) {
+        const aIsTeam1 = match.player_a_team === 1
+        summary.player_a_sets += aIsTeam1 ? match.team1_sets : match.team2_sets
+        summary.player_b_sets += aIsTeam1 ? match.team2_sets : match.team1_sets
+        summary.player_a_games += aIsTeam1 ? match.team1_games : match.team2_games
+        summary.player_b_games += aIsTeam1 ? match.team2_games : match.team1_games
+      }
+    }
+    summary.player_a_win_percentage = summary.matches > 0
+      ? Math.round((summary.player_a_wins * 1000) / summary.matches) / 10
+      : 0
+
+    return { summary, matches: result.rows }
+  }
+
+  /**
+   * Record with each teammate across duo matches, best win rate first.
+   * filters: { seasonId, from, to } (dates inclusive, YYYY-MM-DD)
+   */
+  async getPartnerStats(playerId, filters = {}) {
+    const params = [playerId]
+    const result = await this.query(`
+      WITH partnerships AS (
+        SELECT
+          CASE
+            WHEN m.player1_id = $1 THEN m.player2_id
+            WHEN m.player2_id = $1 THEN m.player1_id
+            WHEN m.player3_id = $1 THEN m.player4_id
+            ELSE m.player3_id
+          END as partner_id,
+          CASE WHEN $1 IN (m.player1_id, m.player2_id) THEN 1 ELSE 2 END as team,
+          m.winning_team,
+          m.play_date
+        FROM matches m
+        WHERE COALESCE(m.match_type, 'duo') = 'duo'
+          AND $1 IN (m.player1_id, m.player2_id, m.player3_id, m.player4_id)
+          ${matchFilterSql(filters, params)}
+      )
+      SELECT
+        p.id as partner_id, p.name as partner_name,
+        COUNT(*)::int as matches,
+        COUNT(*) FILTER (WHERE pt.team = pt.winning_team)::int as wins,
+        COUNT(*) FILTER (WHERE pt.team != pt.winning_team)::int as losses,
+        ROUND(COUNT(*) FILTER (WHERE pt.team = pt.winning_team) * 100.0 / COUNT(*), 1) as win_percentage,
+        TO_CHAR(MAX(pt.play_date), 'YYYY-MM-DD') as last_played
+      FROM partnerships pt
+      JOIN players p ON p.id = pt.partner_id
+      GROUP BY p.id, p.name
+      ORDER BY win_percentage DESC, matches DESC, p.name ASC
+    `, params)
+    return result.rows
+  }
+
+  /**
+   * Career profile: lifetime and per-season stat lines (summary tables),
+   * streaks, first/last play dates and a per-date points/rating timeline.
+   * Returns null if the player does not exist.
+   */
+  async getPlayerProfile(playerId) {
+    const player = await this.getPlayerById(playerId)
+    if (!player) return null
+
+    const [lifetimeResult, seasonsResult, matchesResult, attendanceHistory] = await Promise.all([
+      this.query(`
+        SELECT
+          COALESCE(pls.wins, 0)::int as wins,
+          COALESCE(pls.losses, 0)::int as losses,
+          COALESCE(pls.total_matches, 0)::int as total_matches,
+          COALESCE(pls.points, 0)::int as points,
+          COALESCE(pls.money_lost, 0)::bigint as money_lost,
+          ROUND(COALESCE(pls.rating, ${DEFAULT_RATING}))::int as rating,
+          COALESCE(pls.rated_matches, 0)::int as rated_matches,
+          CASE WHEN COALESCE(pls.total_matches, 0) > 0
+               THEN ROUND((pls.wins * 100.0) / pls.total_matches, 1)
+               ELSE 0 END as win_percentage
+        FROM players p
+        LEFT JOIN player_lifetime_stats pls ON pls.player_id = p.id
+        WHERE p.id = $1
+      `, [playerId]),
+      this.query(`
+        SELECT
+          s.id as season_id, s.name as season_name, s.is_active,
+          TO_CHAR(s.start_date, 'YYYY-MM-DD') as start_date,
+          pss.wins::int as wins, pss.losses::int as losses, pss.total_matches::int as total_matches,
+          pss.points::int as points, pss.money_lost::bigint as money_lost,
+          ROUND(COALESCE(pss.rating, ${DEFAULT_RATING}))::int as rating,
+          COALESCE(pss.rated_matches, 0)::int as rated_matches,
+          CASE WHEN pss.total_matches > 0
+               THEN ROUND((pss.wins * 100.0) / pss.total_matches, 1)
+               ELSE 0 END as win_percentage
+        FROM player_season_stats pss
+        JOIN seasons s ON s.id = pss.season_id
+        WHERE pss.player_id = $1 AND pss.total_matches > 0
+        ORDER BY s.start_date DESC, s.id DESC
+      `, [playerId]),
+      // Same order as the rating replay so rating_after lines up with the timeline
+      this.query(`
+        WITH mp AS (
+          SELECT m.id as match_id, m.play_date, m.created_at,
+            CASE WHEN $1 IN (m.player1_id, m.player2_id) THEN 1 ELSE 2 END as team,
+            m.winning_team, ${MATCH_RULE_COLS}
+          FROM matches m JOIN seasons s ON m.season_id = s.id
+          WHERE $1 IN (m.player1_id, m.player2_id, m.player3_id, m.player4_id)
+        )
+        SELECT TO_CHAR(mp.play_date, 'YYYY-MM-DD') as play_date,
+          CASE WHEN mp.team = mp.winning_team THEN 'win' ELSE 'loss' END as result,
+          (${MATCH_POINTS_SQL})::int as points,
+          h.rating_after
+        FROM mp
+        LEFT JOIN player_rating_history h ON h.match_id = mp.match_id AND h.player_id = $1
+        ORDER BY mp.play_date, mp.created_at, mp.match_id
+      `, [playerId]),
+      this.getAttendanceHistory({ playerId })
+    ])
+
+    const matches = matchesResult.rows
+    return {
+      player: { id: player.id, name: player.name, created_at: player.created_at },
+      lifetime: lifetimeResult.rows[0],
+      seasons: seasonsResult.rows,
+      streaks: computeStreaks(matches),
+      first_played: matches.length > 0 ? matches[0].play_date : null,
+      last_played: matches.length > 0 ? matches[matches.length - 1].play_date : null,
+      timeline: buildTimeline(matches),
+      attendance: profileAttendance(attendanceHistory, playerId)
+    }
+  }
+
   // ==========================================
   // User Account Management
   // ==========================================
@@ -1290,6 +3030,18 @@ class TennisDatabasePostgreSQL {
       await client.query('BEGIN')
       
       // Clear all tables in the correct order (respecting foreign key constraints)
+      // Trash entries refer to the rows being replaced
+      await client.query('DELETE FROM trash')
+      await client.query('DELETE FROM expenses')
+      await client.query('DELETE FROM attendance')
+      await client.query('DELETE FROM play_sessions')
+      await client.query('DELETE FROM tournament_matches')
+      await client.query('DELETE FROM tournament_entries')
+      await client.query('DELETE FROM tournaments')
+      await client.query('DELETE FROM season_fixtures')
+      await client.query('DELETE FROM calendar_tokens')
+      await client.query('DELETE FROM share_links')
+      await client.query('DELETE FROM match_submissions')
       await client.query('DELETE FROM matches')
       await client.query('DELETE FROM season_players')
       await client.query('DELETE FROM seasons')
@@ -1299,6 +3051,15 @@ class TennisDatabasePostgreSQL {
       await client.query('ALTER SEQUENCE players_id_seq RESTART WITH 1')
       await client.query('ALTER SEQUENCE seasons_id_seq RESTART WITH 1')
       await client.query('ALTER SEQUENCE matches_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE payments_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE expenses_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE play_sessions_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE tournaments_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE tournament_entries_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE tournament_matches_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE season_fixtures_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE calendar_tokens_id_seq RESTART WITH 1')
+      await client.query('ALTER SEQUENCE share_links_id_seq RESTART WITH 1')
       
       await client.query('COMMIT')
       console.log('🗑️ All data cleared from PostgreSQL database')
@@ -1317,6 +3078,18 @@ class TennisDatabasePostgreSQL {
       await client.query('BEGIN')
       
       // Clear all tables in the correct order (respecting foreign key constraints)
+      // Trash entries refer to the rows being replaced
+      await client.query('DELETE FROM trash')
+      await client.query('DELETE FROM expenses')
+      await client.query('DELETE FROM attendance')
+      await client.query('DELETE FROM play_sessions')
+      await client.query('DELETE FROM tournament_matches')
+      await client.query('DELETE FROM tournament_entries')
+      await client.query('DELETE FROM tournaments')
+      await client.query('DELETE FROM season_fixtures')
+      await client.query('DELETE FROM calendar_tokens')
+      await client.query('DELETE FROM share_links')
+      await client.query('DELETE FROM match_submissions')
       await client.query('DELETE FROM matches')
       await client.query('DELETE FROM season_players')
       await client.query('DELETE FROM seasons')
@@ -1328,9 +3101,7 @@ class TennisDatabasePostgreSQL {
       }
       
       // Reset sequences
-      await client.query('ALTER SEQUENCE players_id_seq RESTART WITH 1')
-      await client.query('ALTER SEQUENCE seasons_id_seq RESTART WITH 1')
-      await client.query('ALTER SEQUENCE matches_id_seq RESTART WITH 1')
+      await this.resetIdSequences(client)
       
       await client.query('COMMIT')
       console.log('🗑️ All data cleared for restore (preserved current user)')
@@ -1,491 +1,2502 @@
 import sqlite3 from 'sqlite3'
 import { open } from 'sqlite'
-import { dirname, join } from 'path'
+import { dirname, join, resolve } from 'path'
 import { fileURLToPath } from 'url'
 import fs from 'fs/promises'
+import { computeRatings, DEFAULT_RATING } from './lib/skill-rating.js'
+import { DEFAULT_SCORING, SCORING_COLUMNS } from './lib/scoring.js'
+import { computeStreaks, buildTimeline } from './lib/player-profile.js'
+import { summarizeAttendance, attendanceOf, profileAttendance } from './lib/attendance.js'
+import { createMigrator } from './lib/migrations.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
-class TennisDatabase {
-  constructor() {
+// Days a deleted match/season stays restorable (TRASH_RETENTION_DAYS)
+const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+// PATCH /api/players/:id fields → players columns
+const PLAYER_COLUMNS = {
+  name: 'name',
+  nickname: 'nickname',
+  preferredHand: 'preferred_hand',
+  avatarColor: 'avatar_color'
+}
+
+// Timestamps are stored as ISO 8601 UTC text so they sort and parse like the
+// PostgreSQL values the frontend already receives
+const NOW_SQL = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`
+
+// SQLite has no boolean or JSON types: these columns are converted on read
+const BOOLEAN_COLUMNS = new Set(['is_active', 'auto_end'])
+const JSON_COLUMNS = new Set(['sets', 'before_data', 'after_data', 'data', 'weights'])
+
+const normalizeRow = (row) => {
+  for (const key of Object.keys(row)) {
+    const value = row[key]
+    if (value === null) continue
+    if (BOOLEAN_COLUMNS.has(key)) row[key] = value === 1 || value === true
+    else if (JSON_COLUMNS.has(key) && typeof value === 'string') row[key] = JSON.parse(value)
+  }
+  return row
+}
+
+// node-sqlite3 reports constraint failures as SQLITE_CONSTRAINT only; routes
+// check the PostgreSQL codes (23503 foreign key, 23505 unique) and the
+// migration runner checks 42P01 (undefined table)
+const withPgErrorCode = (error) => {
+  if (error.code === 'SQLITE_CONSTRAINT') {
+    if (error.message.includes('FOREIGN KEY')) error.code = '23503'
+    else if (error.message.includes('UNIQUE')) error.code = '23505'
+  } else if (/no such table/.test(error.message)) {
+    error.code = '42P01'
+  }
+  return error
+}
+
+// ── Shared query fragments ──────────────────────────────────────────────────
+const SEASON_SELECT_COLS = `
+  id, name, start_date, end_date,
+  is_active, auto_end, description,
+  COALESCE(lose_money_per_loss, 20000) as lose_money_per_loss,
+  points_per_win, points_per_loss, margin_bonus_threshold, margin_bonus_points, no_show_penalty,
+  created_at, ended_at, ended_by`
+
+const MATCH_SELECT_COLS = `m.id, m.season_id, m.play_date,
+        m.player1_id, m.player2_id, m.player3_id, m.player4_id,
+        m.team1_score, m.team2_score, m.winning_team,
+        COALESCE(m.match_type, 'duo') as match_type,
+        m.no_show_team, m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
+        m.tournament_match_id, m.created_at,
+        s.name as season_name,
+        COALESCE(s.lose_money_per_loss, 20000) as lose_money_per_loss,
+        p1.name as player1_name, COALESCE(p2.name, '') as player2_name,
+        p3.name as player3_name, COALESCE(p4.name, '') as player4_name`
+
+const MATCH_JOINS = `FROM matches m
+      JOIN seasons s ON m.season_id = s.id
+      JOIN players p1 ON m.player1_id = p1.id
+      LEFT JOIN players p2 ON m.player2_id = p2.id
+      JOIN players p3 ON m.player3_id = p3.id
+      LEFT JOIN players p4 ON m.player4_id = p4.id`
+
+// Per-participant match columns needed for money and points (seasons s, matches m).
+// The margin is in games: team scores of a set-scored match are sets won (see legacyScore)
+const MATCH_RULE_COLS = `COALESCE(s.lose_money_per_loss, 20000) as lose_money,
+          ABS(COALESCE(m.team1_games, m.team1_score) - COALESCE(m.team2_games, m.team2_score)) as margin, m.no_show_team,
+          s.points_per_win, s.points_per_loss, s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty`
+
+// Points for one participant row (mp) — mirrors calculateMatchPoints() in lib/scoring.js
+const MATCH_POINTS_SQL = `CASE
+            WHEN mp.team = mp.winning_team THEN mp.points_per_win + CASE
+              WHEN mp.no_show_team IS NULL AND mp.margin_bonus_threshold > 0
+                AND mp.margin >= mp.margin_bonus_threshold
+              THEN mp.margin_bonus_points ELSE 0 END
+            WHEN mp.no_show_team IS NOT NULL THEN -mp.no_show_penalty
+            ELSE mp.points_per_loss
+          END`
+
+/**
+ * One row per player per match (unpivoted slots) with its team, the sets and
+ * games won/lost from that player's side, and the season rules.
+ * `filter` is a WHERE condition on matches m; use the result as `mp`.
+ * The PostgreSQL backend reads these totals from trigger-maintained summary
+ * tables instead; here they are aggregated on every query.
+ */
+const participantsCte = (filter) => {
+  const slot = (column, team) => {
+    const [won, lost] = team === 1 ? ['team1', 'team2'] : ['team2', 'team1']
+    return `SELECT m.id as match_id, m.season_id, m.play_date, m.created_at,
+          m.${column} as player_id, ${team} as team, m.winning_team,
+          m.${won}_sets as sets_won, m.${lost}_sets as sets_lost,
+          m.${won}_games as games_won, m.${lost}_games as games_lost,
+          ${MATCH_RULE_COLS}
+        FROM matches m JOIN seasons s ON m.season_id = s.id
+        WHERE m.${column} IS NOT NULL AND (${filter})`
+  }
+  return `match_participants AS (
+        ${slot('player1_id', 1)}
+        UNION ALL
+        ${slot('player2_id', 1)}
+        UNION ALL
+        ${slot('player3_id', 2)}
+        UNION ALL
+        ${slot('player4_id', 2)}
+      )`
+}
+
+// Stat line aggregated over match_participants mp
+const RESULT_STATS_COLS = `COUNT(CASE WHEN mp.team = mp.winning_team THEN 1 END) as wins,
+          COUNT(CASE WHEN mp.team != mp.winning_team THEN 1 END) as losses,
+          COUNT(mp.match_id) as total_matches,
+          COALESCE(SUM(CASE WHEN mp.team != mp.winning_team THEN mp.lose_money ELSE 0 END), 0) as money_lost,
+          COALESCE(SUM(${MATCH_POINTS_SQL}), 0) as points`
+
+const SET_STATS_COLS = `COALESCE(SUM(mp.sets_won), 0) as sets_won,
+          COALESCE(SUM(mp.sets_lost), 0) as sets_lost,
+          COALESCE(SUM(mp.games_won), 0) as games_won,
+          COALESCE(SUM(mp.games_lost), 0) as games_lost`
+
+// Every player with their stat line over the matches matching `filter` (as `ps`)
+const playerStatsCte = (filter) => `${participantsCte(filter)},
+      player_stats AS (
+        SELECT p.id, p.name,
+          ${RESULT_STATS_COLS},
+          ${SET_STATS_COLS}
+        FROM players p
+        LEFT JOIN match_participants mp ON mp.player_id = p.id
+        GROUP BY p.id, p.name
+      )`
+
+// Paid and adjusted totals per player over the payments matching `filter`
+// (see lib/ledger.js); join the result as `l`.
+const ledgerCte = (filter) => `ledger AS (
+        SELECT player_id,
+          SUM(CASE WHEN kind = 'payment' THEN amount ELSE 0 END) as paid,
+          SUM(CASE WHEN kind = 'adjustment' THEN amount ELSE 0 END) as adjustments
+        FROM payments
+        WHERE ${filter}
+        GROUP BY player_id
+      )`
+
+// Ledger columns for a ranking row — outstanding mirrors outstandingBalance() in lib/ledger.js
+const LEDGER_COLS = `COALESCE(l.paid, 0) as money_paid,
+        ps.money_lost + COALESCE(l.adjustments, 0) - COALESCE(l.paid, 0) as money_outstanding`
+
+const PLAYER_STATS_COLS = `ps.id, ps.name, ps.wins, ps.losses, ps.total_matches, ps.money_lost, ps.points,
+        ps.sets_won, ps.sets_lost, ps.games_won, ps.games_lost,
+        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage`
+
+// Lifetime rating as it stood at the end of date $1
+const RATING_AT_DATE_SQL = `CAST(ROUND(COALESCE((
+          SELECT h.rating_after
+          FROM player_rating_history h
+          JOIN matches hm ON hm.id = h.match_id
+          WHERE h.player_id = ps.id AND hm.play_date <= $1
+          ORDER BY h.seq DESC
+          LIMIT 1
+        ), ${DEFAULT_RATING})) AS INTEGER) as rating`
+
+const PLAYER_STATS_ORDER = 'ORDER BY ps.points DESC, win_percentage DESC, ps.name ASC'
+
+// 'win' / 'loss' for player id expression `player` in matches m
+const formResultSql = (player) => `CASE WHEN
+            (m.winning_team = 1 AND (m.player1_id = ${player} OR m.player2_id = ${player})) OR
+            (m.winning_team = 2 AND (m.player3_id = ${player} OR m.player4_id = ${player}))
+            THEN 'win' ELSE 'loss'
+          END`
+
+// Columns written for a set-by-set score (see lib/tennis-score.js); all NULL without one
+const scoreParams = (score) => score
+  ? [JSON.stringify(score.sets), score.team1Sets, score.team2Sets, score.team1Games, score.team2Games]
+  : [null, null, null, null, null]
+
+// Optional season / date-range filters on matches m for player statistics.
+// Pushes the values onto `params` and returns the extra AND conditions.
+const matchFilterSql = ({ seasonId, from, to } = {}, params) => {
+  let sql = ''
+  if (seasonId) {
+    params.push(seasonId)
+    sql += ` AND m.season_id = $${params.length}`
+  }
+  if (from) {
+    params.push(from)
+    sql += ` AND m.play_date >= $${params.length}`
+  }
+  if (to) {
+    params.push(to)
+    sql += ` AND m.play_date <= $${params.length}`
+  }
+  return sql
+}
+
+// Group batch form rows into Map<playerId, [{ result, play_date }]>
+const groupForms = (playerIds, rows) => {
+  const formMap = new Map(playerIds.map(playerId => [playerId, []]))
+  for (const row of rows) {
+    const forms = formMap.get(row.player_id) || []
+    forms.push({ result: row.result, play_date: row.play_date })
+    formMap.set(row.player_id, forms)
+  }
+  return formMap
+}
+
+/**
+ * SQLite implementation of the TennisDatabasePostgreSQL method surface, for
+ * single-process installs without a database server (DB_TYPE=sqlite).
+ *
+ * Queries are written with PostgreSQL-style $1 placeholders (rewritten to
+ * SQLite's ?1) and return { rows, rowCount } like pg, so routes that call
+ * db.query() or db.transaction() work on both backends. There is one
+ * connection: statements are queued so a transaction never interleaves
+ * with other requests' writes.
+ */
+class TennisDatabaseSQLite {
+  /**
+   * @param {{ migrate?: boolean }} [options] - apply pending migrations in
+   *   init() (default unless MIGRATE_ON_START=false; see migrate.js)
+   */
+  constructor(options = {}) {
+    this.dialect = 'sqlite'
+    this.autoMigrate = options.migrate ?? process.env.MIGRATE_ON_START !== 'false'
     this.db = null
-    this.dbPath = join(__dirname, 'data', 'tennis.db')
+    this.dbPath = resolve(process.env.SQLITE_PATH || join(__dirname, 'data', 'tennis.db'))
+    // No pg Pool: routes fall back to non-streaming paths (see routes/matches.js)
+    this.pool = null
+    this.isConnected = false
+    // Set when a rating replay fails: the next refresh replays everything
+    this.ratingsStale = false
+    this.queue = Promise.resolve()
+    // Statement runner handed to transaction callbacks (bypasses the queue)
+    this.client = { query: (text, params) => this.execute(text, params) }
   }
 
   async init() {
     // Ensure data directory exists
-    const dataDir = join(__dirname, 'data')
-    try {
-      await fs.access(dataDir)
-    } catch {
-      await fs.mkdir(dataDir, { recursive: true })
-    }
+    await fs.mkdir(dirname(this.dbPath), { recursive: true })
 
     // Open database connection
     this.db = await open({
       filename: this.dbPath,
       driver: sqlite3.Database
     })
+    await this.db.exec(`
+      PRAGMA foreign_keys = ON;
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = 5000;
+    `)
 
-    // Create tables
-    await this.createTables()
-    
-    // Don't automatically create default season - let admin create seasons manually
+    if (this.autoMigrate) {
+      await createMigrator(this).up()
+      await this.backfillRatingsIfNeeded()
+    }
+    this.isConnected = true
+    console.log(`✅ SQLite database initialized (${this.dbPath})`)
+    return true
   }
 
-  async createTables() {
-    // Players table
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS players (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
+  async createDefaultSeason() {
+    const existingSeasons = await this.query('SELECT COUNT(*) as count FROM seasons')
+    if (existingSeasons.rows[0].count === 0) {
+      const currentDate = new Date().toISOString().split('T')[0]
+      await this.query(`
+        INSERT INTO seasons (name, start_date, is_active)
+        VALUES ($1, $2, $3)
+      `, ['Mùa giải đầu tiên', currentDate, true])
+    }
+  }
 
-    // Seasons table
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS seasons (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        start_date DATE NOT NULL,
-        end_date DATE,
-        is_active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
+  // Run one statement on the connection; pg-style result
+  async execute(text, params = []) {
+    const sql = text.replace(/\$(\d+)/g, '?$1')
+    const values = params.map(value => value === undefined ? null : value)
+    try {
+      if (/^\s*(SELECT|WITH|PRAGMA)\b/i.test(sql) || /\bRETURNING\b/i.test(sql)) {
+        const rows = (await this.db.all(sql, values)).map(normalizeRow)
+        return { rows, rowCount: rows.length }
+      }
+      const result = await this.db.run(sql, values)
+      return { rows: [], rowCount: result.changes }
+    } catch (error) {
+      throw withPgErrorCode(error)
+    }
+  }
 
-    // Matches table
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS matches (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        season_id INTEGER NOT NULL,
-        play_date DATE NOT NULL,
-        player1_id INTEGER NOT NULL,
-        player2_id INTEGER NOT NULL,
-        player3_id INTEGER NOT NULL,
-        player4_id INTEGER NOT NULL,
-        team1_score INTEGER NOT NULL,
-        team2_score INTEGER NOT NULL,
-        winning_team INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (season_id) REFERENCES seasons(id),
-        FOREIGN KEY (player1_id) REFERENCES players(id),
-        FOREIGN KEY (player2_id) REFERENCES players(id),
-        FOREIGN KEY (player3_id) REFERENCES players(id),
-        FOREIGN KEY (player4_id) REFERENCES players(id)
-      )
-    `)
+  // Statements and transactions run one at a time on the single connection
+  enqueue(task) {
+    const result = this.queue.then(task)
+    this.queue = result.catch(() => {})
+    return result
+  }
 
-    // Create indexes for better performance
-    await this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
-      CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
-      CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active);
-    `)
+  async query(text, params = []) {
+    return this.enqueue(() => this.execute(text, params))
   }
 
-  async createDefaultSeason() {
-    const existingSeasons = await this.db.get('SELECT COUNT(*) as count FROM seasons')
-    if (existingSeasons.count === 0) {
-      const currentDate = new Date().toISOString().split('T')[0]
-      await this.db.run(`
-        INSERT INTO seasons (name, start_date, is_active) 
-        VALUES (?, ?, 1)
-      `, ['Mùa giải đầu tiên', currentDate])
+  /**
+   * Run fn(client) inside BEGIN/COMMIT, rolling back if it throws.
+   * client.query() has the same signature as db.query(); do not call
+   * db.query() from inside fn (it waits for the transaction to finish).
+   */
+  async transaction(fn) {
+    return this.enqueue(async () => {
+      await this.db.exec('BEGIN IMMEDIATE')
+      try {
+        const result = await fn(this.client)
+        await this.db.exec('COMMIT')
+        return result
+      } catch (error) {
+        await this.db.exec('ROLLBACK')
+        throw error
+      }
+    })
+  }
+
+  // Run a multi-statement .sql migration on the transaction's connection
+  async execScript(client, sql) {
+    try {
+      await this.db.exec(sql)
+    } catch (error) {
+      throw withPgErrorCode(error)
     }
   }
 
+  // Nothing to do: BEGIN IMMEDIATE already keeps other writers out
+  async lockMigrations() {}
+
+  // Start ids at 1 again after the data tables were emptied (backup restore)
+  async resetIdSequences(client) {
+    await client.query(`DELETE FROM sqlite_sequence WHERE name IN ('players', 'seasons', 'matches', 'payments', 'expenses', 'play_sessions',
+      'tournaments', 'tournament_entries', 'tournament_matches', 'season_fixtures',
+      'calendar_tokens', 'share_links')`)
+  }
+
+  // Insert a raw row snapshot (trash restore) with its original id
+  async insertRow(client, table, row) {
+    const { rows: columns } = await client.query(`PRAGMA table_info(${table})`)
+    const names = columns.map(col => col.name).filter(name => row[name] !== undefined)
+    const values = names.map(name => {
+      const value = row[name]
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+    })
+    await client.query(
+      `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})`,
+      values
+    )
+  }
+
   // Players CRUD operations
-  async getPlayers() {
-    return await this.db.all('SELECT * FROM players ORDER BY name')
+  // Active players only unless includeArchived (archived players keep their match history)
+  async getPlayers(includeArchived = false) {
+    const result = await this.query(`
+      SELECT * FROM players
+      ${includeArchived ? '' : 'WHERE archived_at IS NULL'}
+      ORDER BY name
+    `)
+    return result.rows
+  }
+
+  async getPlayerById(playerId) {
+    const result = await this.query('SELECT * FROM players WHERE id = $1', [playerId])
+    return result.rows[0] || null
   }
 
   async addPlayer(name) {
-    const result = await this.db.run('INSERT INTO players (name) VALUES (?)', [name])
-    return result.lastID
+    const result = await this.query('INSERT INTO players (name) VALUES ($1) RETURNING id', [name])
+    return result.rows[0].id
+  }
+
+  // Only the profile fields that were provided are changed; returns the updated row or null
+  async updatePlayer(playerId, fields) {
+    const keys = Object.keys(fields).filter(field => PLAYER_COLUMNS[field])
+    if (keys.length === 0) return this.getPlayerById(playerId)
+    const assignments = keys.map((field, i) => `${PLAYER_COLUMNS[field]} = $${i + 1}`)
+    const result = await this.query(
+      `UPDATE players SET ${assignments.join(', ')} WHERE id = $${keys.length + 1} RETURNING *`,
+      [...keys.map(field => fields[field]), playerId]
+    )
+    return result.rows[0] || null
+  }
+
+  async countPlayerMatches(playerId) {
+    const result = await this.query(`
+      SELECT COUNT(*) as count FROM matches
+      WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+    `, [playerId])
+    return result.rows[0].count
+  }
+
+  // Returns false if the player was already archived (or does not exist)
+  async archivePlayer(playerId) {
+    const result = await this.query(`
+      UPDATE players SET archived_at = ${NOW_SQL}
+      WHERE id = $1 AND archived_at IS NULL
+    `, [playerId])
+    return result.rowCount > 0
+  }
+
+  async unarchivePlayer(playerId) {
+    const result = await this.query(`
+      UPDATE players SET archived_at = NULL
+      WHERE id = $1 AND archived_at IS NOT NULL
+    `, [playerId])
+    return result.rowCount > 0
+  }
+
+  // Number of matches where both players took part (a merge would put one player on court twice)
+  async countSharedMatches(playerAId, playerBId) {
+    const result = await this.query(`
+      SELECT COUNT(*) as count FROM matches
+      WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+        AND $2 IN (player1_id, player2_id, player3_id, player4_id)
+    `, [playerAId, playerBId])
+    return result.rows[0].count
+  }
+
+  // Number of tournaments that both players are entered in (a merge would leave one player with
+  // two entries, or partnering themselves)
+  async countSharedTournaments(playerAId, playerBId) {
+    const result = await this.query(`
+      SELECT COUNT(DISTINCT a.tournament_id) as count
+      FROM tournament_entries a
+      JOIN tournament_entries b ON b.tournament_id = a.tournament_id
+      WHERE $1 IN (a.player1_id, a.player2_id) AND $2 IN (b.player1_id, b.player2_id)
+    `, [playerAId, playerBId])
+    return result.rows[0].count
+  }
+
+  // Number of seasons whose fixtures include both players (a merge would give one player
+  // a fixture against or beside themselves, or the same fixture twice)
+  async countSharedFixtureSeasons(playerAId, playerBId) {
+    const result = await this.query(`
+      SELECT COUNT(DISTINCT a.season_id) as count
+      FROM season_fixtures a
+      JOIN season_fixtures b ON b.season_id = a.season_id
+      WHERE $1 IN (a.player1_id, a.player2_id, a.player3_id, a.player4_id)
+        AND $2 IN (b.player1_id, b.player2_id, b.player3_id, b.player4_id)
+    `, [playerAId, playerBId])
+    return result.rows[0].count
   }
 
+  /**
+   * Merge a duplicate player into another: every match slot, season roster
+   * entry, ledger entry, expense, attendance row, tournament entry, league
+   * fixture and calendar feed of sourceId moves to targetId, then the source player is deleted.
+   * Runs in one transaction; ratings are replayed afterwards.
+   * Returns { matchesMoved, seasonsMoved }.
+   */
+  async mergePlayers(sourceId, targetId) {
+    const moved = await this.transaction(async (client) => {
+      const matches = await client.query(`
+        UPDATE matches SET
+          player1_id = CASE WHEN player1_id = $1 THEN $2 ELSE player1_id END,
+          player2_id = CASE WHEN player2_id = $1 THEN $2 ELSE player2_id END,
+          player3_id = CASE WHEN player3_id = $1 THEN $2 ELSE player3_id END,
+          player4_id = CASE WHEN player4_id = $1 THEN $2 ELSE player4_id END
+        WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+      `, [sourceId, targetId])
+
+      const seasons = await client.query(`
+        INSERT OR IGNORE INTO season_players (season_id, player_id, added_by)
+        SELECT season_id, $2, added_by FROM season_players WHERE player_id = $1
+      `, [sourceId, targetId])
+      await client.query('DELETE FROM season_players WHERE player_id = $1', [sourceId])
+      // Ledger entries and expenses follow the player instead of going away with the source
+      await client.query('UPDATE payments SET player_id = $2 WHERE player_id = $1', [sourceId, targetId])
+      await client.query('UPDATE expenses SET paid_by = $2 WHERE paid_by = $1', [sourceId, targetId])
+      // A custom split weight of the source carries over unless the target has its own
+      await client.query(`
+        UPDATE expenses SET weights = json_set(json_remove(weights, '$."' || $1 || '"'), '$."' || $2 || '"',
+          COALESCE(json_extract(weights, '$."' || $2 || '"'), json_extract(weights, '$."' || $1 || '"')))
+        WHERE json_extract(weights, '$."' || $1 || '"') IS NOT NULL
+      `, [String(sourceId), String(targetId)])
+      // Attendance moves too; on dates both have a row, the source fills what the target lacks
+      await client.query(`
+        UPDATE attendance SET
+          availability = COALESCE(availability,
+            (SELECT src.availability FROM attendance src WHERE src.player_id = $1 AND src.play_date = attendance.play_date)),
+          checked_in_at = COALESCE(checked_in_at,
+            (SELECT src.checked_in_at FROM attendance src WHERE src.player_id = $1 AND src.play_date = attendance.play_date))
+        WHERE player_id = $2 AND play_date IN (SELECT play_date FROM attendance WHERE player_id = $1)
+      `, [sourceId, targetId])
+      await client.query(`
+        DELETE FROM attendance WHERE player_id = $1
+          AND play_date IN (SELECT play_date FROM attendance WHERE player_id = $2)
+      `, [sourceId, targetId])
+      await client.query('UPDATE attendance SET player_id = $2 WHERE player_id = $1', [sourceId, targetId])
+      // The route refuses players who share a tournament (countSharedTournaments)
+      await client.query(`
+        UPDATE tournament_entries SET
+          player1_id = CASE WHEN player1_id = $1 THEN $2 ELSE player1_id END,
+          player2_id = CASE WHEN player2_id = $1 THEN $2 ELSE player2_id END
+        WHERE $1 IN (player1_id, player2_id)
+      `, [sourceId, targetId])
+      // Likewise players who share a season's fixtures (countSharedFixtureSeasons)
+      await client.query(`
+        UPDATE season_fixtures SET
+          player1_id = CASE WHEN player1_id = $1 THEN $2 ELSE player1_id END,
+          player2_id = CASE WHEN player2_id = $1 THEN $2 ELSE player2_id END,
+          player3_id = CASE WHEN player3_id = $1 THEN $2 ELSE player3_id END,
+          player4_id = CASE WHEN player4_id = $1 THEN $2 ELSE player4_id END
+        WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+      `, [sourceId, targetId])
+      // The source's feed URL keeps working unless the target has its own
+      await client.query(`
+        UPDATE calendar_tokens SET player_id = $2
+        WHERE player_id = $1 AND NOT EXISTS (SELECT 1 FROM calendar_tokens WHERE player_id = $2)
+      `, [sourceId, targetId])
+
+      // Ratings and rating history cascade from here
+      await client.query('DELETE FROM players WHERE id = $1', [sourceId])
+      return { matchesMoved: matches.rowCount, seasonsMoved: seasons.rowCount }
+    })
+    await this.refreshRatings()
+    return moved
+  }
+
+  // Audit log (append-only, see migrations/sqlite/005-audit-log.sql)
+  async addAuditEntry(entityType, entityId, action, actor, before, after) {
+    await this.query(`
+      INSERT INTO audit_log (entity_type, entity_id, action, actor_id, actor_username, actor_role, before_data, after_data)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [entityType, entityId, action, actor.id, actor.username, actor.role,
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after)])
+  }
+
+  /**
+   * Newest entries first, with optional filters:
+   * { entityType, entityId, actor (username), action, from, to (dates, inclusive), limit, offset }
+   * Returns { entries, total }.
+   */
+  async getAuditLog({ entityType, entityId, actor, action, from, to, limit = 50, offset = 0 } = {}) {
+    const params = []
+    const conditions = []
+    if (entityType) {
+      params.push(entityType)
+      conditions.push(`entity_type = $${params.length}`)
+    }
+    if (entityId) {
+      params.push(entityId)
+      conditions.push(`entity_id = $${params.length}`)
+    }
+    if (actor) {
+      params.push(actor)
+      conditions.push(`actor_username = $${params.length}`)
+    }
+    if (action) {
+      params.push(action)
+      conditions.push(`action = $${params.length}`)
+    }
+    if (from) {
+      params.push(from)
+      conditions.push(`created_at >= $${params.length}`)
+    }
+    if (to) {
+      params.push(to)
+      conditions.push(`created_at < date($${params.length}, '+1 day')`)
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const entries = await this.query(`
+      SELECT * FROM audit_log ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset])
+    const total = await this.query(`SELECT COUNT(*) as count FROM audit_log ${where}`, params)
+    return { entries: entries.rows, total: total.rows[0].count }
+  }
+
+  // Hard delete — the route only uses this for players without any matches
   async removePlayer(playerId) {
-    // First remove all matches involving this player
-    await this.db.run(`
-      DELETE FROM matches 
-      WHERE player1_id = ? OR player2_id = ? OR player3_id = ? OR player4_id = ?
-    `, [playerId, playerId, playerId, playerId])
-    
-    // Then remove the player
-    await this.db.run('DELETE FROM players WHERE id = ?', [playerId])
+    await this.transaction(async (client) => {
+      await client.query(`
+        DELETE FROM matches
+        WHERE player1_id = $1 OR player2_id = $1 OR player3_id = $1 OR player4_id = $1
+      `, [playerId])
+      await client.query('DELETE FROM players WHERE id = $1', [playerId])
+    })
+    await this.refreshRatings()
   }
 
   // Seasons CRUD operations
   async getSeasons() {
-    return await this.db.all('SELECT * FROM seasons ORDER BY start_date DESC')
+    const result = await this.query(`SELECT ${SEASON_SELECT_COLS} FROM seasons ORDER BY is_active DESC, start_date DESC`)
+    return result.rows
+  }
+
+  async getActiveSeasons() {
+    const result = await this.query(`SELECT ${SEASON_SELECT_COLS} FROM seasons WHERE is_active = 1 ORDER BY start_date DESC`)
+    return result.rows
   }
 
   async getActiveSeason() {
-    return await this.db.get('SELECT * FROM seasons WHERE is_active = 1')
+    const result = await this.query(`SELECT ${SEASON_SELECT_COLS} FROM seasons WHERE is_active = 1 ORDER BY start_date DESC LIMIT 1`)
+    return result.rows[0] || null
   }
 
-  async createSeason(name, startDate) {
-    // Deactivate current active season
-    await this.db.run('UPDATE seasons SET is_active = 0 WHERE is_active = 1')
-    
-    // Create new season
-    const result = await this.db.run(`
-      INSERT INTO seasons (name, start_date, is_active) 
-      VALUES (?, ?, 1)
-    `, [name, startDate])
-    return result.lastID
+  async createSeason(name, startDate, endDate = null, autoEnd = true, description = '', loseMoneyPerLoss = 20000, playerIds = [], scoring = null) {
+    return this.transaction(async (client) => {
+      const rules = { ...DEFAULT_SCORING, ...scoring }
+      const result = await client.query(`
+        INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money_per_loss,
+          points_per_win, points_per_loss, margin_bonus_threshold, margin_bonus_points, no_show_penalty)
+        VALUES ($1, $2, $3, 1, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id
+      `, [name, startDate, endDate, autoEnd, description, loseMoneyPerLoss,
+        rules.pointsPerWin, rules.pointsPerLoss, rules.marginBonusThreshold, rules.marginBonusPoints, rules.noShowPenalty])
+
+      const seasonId = result.rows[0].id
+      for (const playerId of playerIds || []) {
+        await client.query(`
+          INSERT OR IGNORE INTO season_players (season_id, player_id, added_by)
+          VALUES ($1, $2, 'creator')
+        `, [seasonId, playerId])
+      }
+      return seasonId
+    })
   }
 
-  async updateSeason(seasonId, name, startDate, endDate) {
-    await this.db.run(`
-      UPDATE seasons 
-      SET name = ?, start_date = ?, end_date = ? 
-      WHERE id = ?
-    `, [name, startDate, endDate, seasonId])
+  async updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoneyPerLoss = null, scoring = null) {
+    // The season fields and its scoring rules are saved together or not at all
+    await this.transaction(async (client) => {
+      if (loseMoneyPerLoss !== null) {
+        await client.query(`
+          UPDATE seasons
+          SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5, lose_money_per_loss = $6
+          WHERE id = $7
+        `, [name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, seasonId])
+      } else {
+        await client.query(`
+          UPDATE seasons
+          SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5
+          WHERE id = $6
+        `, [name, startDate, endDate, autoEnd, description, seasonId])
+      }
+
+      // Only the scoring fields that were provided are changed
+      const fields = Object.keys(scoring || {}).filter(field => SCORING_COLUMNS[field])
+      if (fields.length > 0) {
+        const assignments = fields.map((field, i) => `${SCORING_COLUMNS[field]} = $${i + 1}`)
+        await client.query(
+          `UPDATE seasons SET ${assignments.join(', ')} WHERE id = $${fields.length + 1}`,
+          [...fields.map(field => scoring[field]), seasonId]
+        )
+      }
+    })
+  }
+
+  /**
+   * Stats are aggregated on read here, so new scoring rules apply at once.
+   * Returns the number of players whose stats changed, like the PostgreSQL backend.
+   */
+  async rebuildSeasonStats(seasonId) {
+    const result = await this.query(`
+      WITH ${participantsCte('m.season_id = $1')}
+      SELECT player_id FROM match_participants
+      UNION
+      SELECT player_id FROM season_players WHERE season_id = $1
+    `, [seasonId])
+    return result.rows.length
   }
 
-  async endSeason(seasonId, endDate) {
-    await this.db.run(`
-      UPDATE seasons 
-      SET end_date = ?, is_active = 0 
-      WHERE id = ?
-    `, [endDate, seasonId])
+  async endSeason(seasonId, endDate, endedBy) {
+    await this.query(`
+      UPDATE seasons
+      SET end_date = $1, is_active = 0, ended_at = ${NOW_SQL}, ended_by = $2
+      WHERE id = $3
+    `, [endDate, endedBy, seasonId])
+  }
+
+  async reactivateSeason(seasonId) {
+    await this.query(`
+      UPDATE seasons
+      SET is_active = 1, ended_at = NULL, ended_by = NULL
+      WHERE id = $1
+    `, [seasonId])
+  }
+
+  async checkAndEndExpiredSeasons() {
+    // Automatically end seasons that have passed their end date and have auto_end enabled
+    const result = await this.query(`
+      UPDATE seasons
+      SET is_active = 0, ended_at = ${NOW_SQL}, ended_by = 'system'
+      WHERE is_active = 1
+        AND auto_end = 1
+        AND end_date IS NOT NULL
+        AND end_date < date('now', 'localtime')
+      RETURNING id, name
+    `)
+    return result.rows
   }
 
   async getSeasonById(seasonId) {
-    return await this.db.get(`
-      SELECT * FROM seasons WHERE id = ?
+    const result = await this.query(`SELECT ${SEASON_SELECT_COLS} FROM seasons WHERE id = $1`, [seasonId])
+    return result.rows[0] || null
+  }
+
+  // Season Players Management
+  async getSeasonPlayers(seasonId) {
+    const result = await this.query(`
+      SELECT p.id, p.name, p.archived_at, sp.added_at, sp.added_by
+      FROM season_players sp
+      JOIN players p ON sp.player_id = p.id
+      WHERE sp.season_id = $1
+      ORDER BY p.name
     `, [seasonId])
+    return result.rows
+  }
+
+  /**
+   * Get ALL season-player mappings in one query (eliminates N+1 in backup).
+   * Returns a Map: seasonId -> [playerId, ...]
+   */
+  async getAllSeasonPlayers() {
+    const result = await this.query('SELECT season_id, player_id FROM season_players')
+    const map = new Map()
+    for (const row of result.rows) {
+      if (!map.has(row.season_id)) map.set(row.season_id, [])
+      map.get(row.season_id).push(row.player_id)
+    }
+    return map
+  }
+
+  async addPlayerToSeason(seasonId, playerId, addedBy = 'admin') {
+    const result = await this.query(`
+      INSERT INTO season_players (season_id, player_id, added_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (season_id, player_id) DO NOTHING
+      RETURNING id
+    `, [seasonId, playerId, addedBy])
+    return result.rows[0]?.id || null
+  }
+
+  async removePlayerFromSeason(seasonId, playerId) {
+    await this.query(`
+      DELETE FROM season_players
+      WHERE season_id = $1 AND player_id = $2
+    `, [seasonId, playerId])
+  }
+
+  async setSeasonPlayers(seasonId, playerIds, addedBy = 'admin') {
+    await this.transaction(async (client) => {
+      await client.query('DELETE FROM season_players WHERE season_id = $1', [seasonId])
+      for (const playerId of playerIds) {
+        await client.query(`
+          INSERT INTO season_players (season_id, player_id, added_by)
+          VALUES ($1, $2, $3)
+        `, [seasonId, playerId, addedBy])
+      }
+    })
+  }
+
+  async isPlayerInSeason(seasonId, playerId) {
+    const result = await this.query(`
+      SELECT COUNT(*) as count FROM season_players
+      WHERE season_id = $1 AND player_id = $2
+    `, [seasonId, playerId])
+    return result.rows[0].count > 0
+  }
+
+  // The season, its roster, matches, ledger entries, tournaments, fixtures and share links are moved to
+  // the trash first (see restoreSeason), with the play sessions that lose their season
+  async deleteSeason(seasonId, deletedBy = null, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    await this.transaction(async (client) => {
+      const { rows: [season] } = await client.query('SELECT * FROM seasons WHERE id = $1', [seasonId])
+      if (season) {
+        const { rows: seasonPlayers } = await client.query('SELECT * FROM season_players WHERE season_id = $1', [seasonId])
+        const { rows: matches } = await client.query('SELECT * FROM matches WHERE season_id = $1 ORDER BY id', [seasonId])
+        const { rows: payments } = await client.query('SELECT * FROM payments WHERE season_id = $1 ORDER BY id', [seasonId])
+        // Tournaments go with the season (ON DELETE CASCADE), with their entries and bracket
+        const { rows: tournaments } = await client.query('SELECT * FROM tournaments WHERE season_id = $1 ORDER BY id', [seasonId])
+        const { rows: tournamentEntries } = await client.query(`
+          SELECT te.* FROM tournament_entries te JOIN tournaments t ON t.id = te.tournament_id
+          WHERE t.season_id = $1 ORDER BY te.id
+        `, [seasonId])
+        const { rows: tournamentMatches } = await client.query(`
+          SELECT tm.* FROM tournament_matches tm JOIN tournaments t ON t.id = tm.tournament_id
+          WHERE t.season_id = $1 ORDER BY tm.id
+        `, [seasonId])
+        const { rows: fixtures } = await client.query('SELECT * FROM season_fixtures WHERE season_id = $1 ORDER BY id', [seasonId])
+        // Share links stop working while the season is in the trash, and work again once it is restored
+        const { rows: shareLinks } = await client.query('SELECT * FROM share_links WHERE season_id = $1 ORDER BY id', [seasonId])
+        // Play sessions outlive the season (season_id is set to NULL); restoreSeason links them again
+        const { rows: playSessions } = await client.query('SELECT id FROM play_sessions WHERE season_id = $1 ORDER BY id', [seasonId])
+        await client.query(`
+          INSERT INTO trash (entity_type, entity_id, data, deleted_by, expires_at)
+          VALUES ('season', $1, $2, $3, strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || $4 || ' days'))
+        `, [seasonId, JSON.stringify({
+          season,
+          season_players: seasonPlayers,
+          matches,
+          payments,
+          tournaments,
+          tournament_entries: tournamentEntries,
+          tournament_matches: tournamentMatches,
+          season_fixtures: fixtures,
+          share_links: shareLinks,
+          play_session_ids: playSessions.map(session => session.id)
+        }), deletedBy, retentionDays])
+      }
+      await client.query('DELETE FROM matches WHERE season_id = $1', [seasonId])
+      await client.query('DELETE FROM season_players WHERE season_id = $1', [seasonId])
+      await client.query('DELETE FROM payments WHERE season_id = $1', [seasonId])
+      await client.query('DELETE FROM seasons WHERE id = $1', [seasonId])
+    })
+    await this.refreshRatings()
+  }
+
+  // Money ledger (payments and adjustments, see lib/ledger.js)
+  // Entries newest first; filters: { seasonId, playerId }
+  async getPayments({ seasonId, playerId } = {}) {
+    const params = []
+    let where = '1 = 1'
+    if (seasonId) {
+      params.push(seasonId)
+      where += ` AND pay.season_id = $${params.length}`
+    }
+    if (playerId) {
+      params.push(playerId)
+      where += ` AND pay.player_id = $${params.length}`
+    }
+    const result = await this.query(`
+      SELECT pay.id, pay.season_id, pay.player_id, pay.kind, pay.amount, pay.note,
+        pay.paid_on, pay.recorded_by, pay.created_at,
+        p.name as player_name, s.name as season_name
+      FROM payments pay
+      JOIN players p ON p.id = pay.player_id
+      JOIN seasons s ON s.id = pay.season_id
+      WHERE ${where}
+      ORDER BY pay.paid_on DESC, pay.id DESC
+    `, params)
+    return result.rows
+  }
+
+  async getPaymentById(paymentId) {
+    const result = await this.query(`
+      SELECT id, season_id, player_id, kind, amount, note, paid_on, recorded_by, created_at
+      FROM payments WHERE id = $1
+    `, [paymentId])
+    return result.rows[0] || null
+  }
+
+  // entry: { seasonId, playerId, kind, amount, note, paidOn } as validated by the route
+  async addPayment({ seasonId, playerId, kind, amount, note = null, paidOn = null }, recordedBy = null) {
+    const result = await this.query(`
+      INSERT INTO payments (season_id, player_id, kind, amount, note, paid_on, recorded_by)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, date('now')), $7) RETURNING id
+    `, [seasonId, playerId, kind, amount, note, paidOn, recordedBy])
+    return result.rows[0].id
+  }
+
+  // Entries are corrected by deleting them (audited by the route); returns the removed row
+  async deletePayment(paymentId) {
+    const result = await this.query(`
+      DELETE FROM payments WHERE id = $1
+      RETURNING id, season_id, player_id, kind, amount, note, paid_on, recorded_by, created_at
+    `, [paymentId])
+    return result.rows[0] || null
   }
 
-  async deleteSeason(seasonId) {
-    // First delete all matches in this season
-    await this.db.run(`
-      DELETE FROM matches WHERE season_id = ?
+  // money_lost, adjustments and paid for everyone on the roster, who played,
+  // or who has ledger entries in the season (summarizeBalances() adds the rest)
+  async getSeasonBalances(seasonId) {
+    const result = await this.query(`
+      WITH ${playerStatsCte('m.season_id = $1')}, ${ledgerCte('season_id = $1')}
+      SELECT ps.id as player_id, ps.name, ps.money_lost,
+        COALESCE(l.adjustments, 0) as adjustments,
+        COALESCE(l.paid, 0) as paid
+      FROM player_stats ps
+      LEFT JOIN ledger l ON l.player_id = ps.id
+      WHERE ps.total_matches > 0 OR l.player_id IS NOT NULL
+        OR ps.id IN (SELECT player_id FROM season_players WHERE season_id = $1)
     `, [seasonId])
-    
-    // Then delete the season
-    await this.db.run(`
-      DELETE FROM seasons WHERE id = ?
+    return result.rows
+  }
+
+  // Play date expenses (court rental, balls; see lib/expense-split.js)
+  // Expenses with the payer's name, oldest first; filters: { playDate, from, to } (inclusive)
+  async getExpenses({ playDate, from, to } = {}) {
+    const params = []
+    let where = '1 = 1'
+    for (const [value, condition] of [[playDate, '='], [from, '>='], [to, '<=']]) {
+      if (!value) continue
+      params.push(value)
+      where += ` AND e.play_date ${condition} $${params.length}`
+    }
+    const result = await this.query(`
+      SELECT e.id, e.play_date, e.amount, e.description,
+        e.paid_by, p.name as paid_by_name, e.weights, e.created_by, e.created_at
+      FROM expenses e
+      LEFT JOIN players p ON p.id = e.paid_by
+      WHERE ${where}
+      ORDER BY e.play_date, e.id
+    `, params)
+    return result.rows
+  }
+
+  async getExpenseById(expenseId) {
+    const result = await this.query(`
+      SELECT e.id, e.play_date, e.amount, e.description,
+        e.paid_by, p.name as paid_by_name, e.weights, e.created_by, e.created_at
+      FROM expenses e
+      LEFT JOIN players p ON p.id = e.paid_by
+      WHERE e.id = $1
+    `, [expenseId])
+    return result.rows[0] || null
+  }
+
+  // expense: { playDate, amount, description, paidBy, weights } as validated by the route
+  async addExpense({ playDate, amount, description, paidBy = null, weights = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO expenses (play_date, amount, description, paid_by, weights, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+    `, [playDate, amount, description, paidBy, weights ? JSON.stringify(weights) : null, createdBy])
+    return result.rows[0].id
+  }
+
+  async updateExpense(expenseId, { playDate, amount, description, paidBy = null, weights = null }) {
+    const result = await this.query(`
+      UPDATE expenses SET play_date = $2, amount = $3, description = $4, paid_by = $5, weights = $6
+      WHERE id = $1
+    `, [expenseId, playDate, amount, description, paidBy, weights ? JSON.stringify(weights) : null])
+    return result.rowCount > 0
+  }
+
+  async deleteExpense(expenseId) {
+    const result = await this.query('DELETE FROM expenses WHERE id = $1', [expenseId])
+    return result.rowCount > 0
+  }
+
+  // Play sessions and attendance (see lib/attendance.js)
+  // Announced dates with their answer counts, oldest first; filters: { from, to } (inclusive)
+  async getPlaySessions({ from, to } = {}) {
+    const params = []
+    let where = '1 = 1'
+    for (const [value, condition] of [[from, '>='], [to, '<=']]) {
+      if (!value) continue
+      params.push(value)
+      where += ` AND ps.play_date ${condition} $${params.length}`
+    }
+    const result = await this.query(`
+      SELECT ps.id, ps.play_date, ps.season_id, s.name as season_name,
+        ps.start_time, ps.end_time, ps.venue, ps.note, ps.created_by, ps.created_at,
+        COUNT(CASE WHEN a.availability = 'available' THEN 1 END) as available_count,
+        COUNT(CASE WHEN a.availability = 'maybe' THEN 1 END) as maybe_count,
+        COUNT(CASE WHEN a.availability = 'unavailable' THEN 1 END) as unavailable_count,
+        COUNT(a.checked_in_at) as checked_in_count
+      FROM play_sessions ps
+      LEFT JOIN seasons s ON s.id = ps.season_id
+      LEFT JOIN attendance a ON a.play_date = ps.play_date
+      WHERE ${where}
+      GROUP BY ps.id, s.name
+      ORDER BY ps.play_date
+    `, params)
+    return result.rows
+  }
+
+  async getPlaySession(playDate) {
+    const sessions = await this.getPlaySessions({ from: playDate, to: playDate })
+    return sessions[0] || null
+  }
+
+  // Throws 23505 if the date is already announced, 23503 for an unknown season
+  // startTime / endTime: 'HH:MM' local time or null
+  async addPlaySession({ playDate, seasonId = null, note = null, startTime = null, endTime = null, venue = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO play_sessions (play_date, season_id, note, start_time, end_time, venue, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+    `, [playDate, seasonId, note, startTime, endTime, venue, createdBy])
+    return result.rows[0].id
+  }
+
+  // Replaces the details of an announcement; false if the date is not announced
+  async updatePlaySession(playDate, { seasonId = null, note = null, startTime = null, endTime = null, venue = null }) {
+    const result = await this.query(`
+      UPDATE play_sessions SET season_id = $2, note = $3, start_time = $4, end_time = $5, venue = $6
+      WHERE play_date = $1
+    `, [playDate, seasonId, note, startTime, endTime, venue])
+    return result.rowCount > 0
+  }
+
+  // Answers and check-ins of the date stay: they are keyed by date, not by session
+  async deletePlaySession(playDate) {
+    const result = await this.query('DELETE FROM play_sessions WHERE play_date = $1', [playDate])
+    return result.rowCount > 0
+  }
+
+  async getAttendanceByDate(playDate) {
+    const result = await this.query(`
+      SELECT a.player_id, p.name, a.availability, a.checked_in_at, a.updated_by, a.updated_at
+      FROM attendance a
+      JOIN players p ON p.id = a.player_id
+      WHERE a.play_date = $1
+    `, [playDate])
+    return result.rows
+  }
+
+  // Every attendance row (full backup)
+  async getAllAttendance() {
+    const result = await this.query(`
+      SELECT play_date, player_id, availability, checked_in_at, updated_by, updated_at
+      FROM attendance
+      ORDER BY play_date, player_id
+    `)
+    return result.rows
+  }
+
+  // availability: 'available' | 'maybe' | 'unavailable' | null (clear the answer)
+  async setAvailability(playDate, playerId, availability, updatedBy = null) {
+    await this.query(`
+      INSERT INTO attendance (play_date, player_id, availability, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (play_date, player_id) DO UPDATE
+        SET availability = EXCLUDED.availability, updated_by = EXCLUDED.updated_by, updated_at = ${NOW_SQL}
+    `, [playDate, playerId, availability, updatedBy])
+  }
+
+  async setCheckIn(playDate, playerId, checkedIn, updatedBy = null) {
+    await this.query(`
+      INSERT INTO attendance (play_date, player_id, checked_in_at, updated_by)
+      VALUES ($1, $2, CASE WHEN $3 THEN ${NOW_SQL} END, $4)
+      ON CONFLICT (play_date, player_id) DO UPDATE
+        SET checked_in_at = CASE WHEN $3 THEN COALESCE(attendance.checked_in_at, ${NOW_SQL}) END,
+          updated_by = EXCLUDED.updated_by, updated_at = ${NOW_SQL}
+    `, [playDate, playerId, checkedIn, updatedBy])
+  }
+
+  /**
+   * Raw material for summarizeAttendance(): announced dates in scope and, per
+   * date and player, their answer, check-in and whether they played a match.
+   * filters: { seasonId, playerId }
+   */
+  async getAttendanceHistory({ seasonId, playerId } = {}) {
+    const sessionParams = seasonId ? [seasonId] : []
+    const sessions = await this.query(`
+      SELECT play_date, season_id
+      FROM play_sessions
+      ${seasonId ? 'WHERE season_id = $1' : ''}
+      ORDER BY play_date
+    `, sessionParams)
+
+    const params = []
+    let where = '1 = 1'
+    for (const [value, column] of [[seasonId, 'ps.season_id'], [playerId, 'x.player_id']]) {
+      if (!value) continue
+      params.push(value)
+      where += ` AND ${column} = $${params.length}`
+    }
+    const slot = (column) => `SELECT play_date, ${column} as player_id, NULL as availability, 0 as checked_in, 1 as played
+          FROM matches WHERE ${column} IS NOT NULL`
+    const records = await this.query(`
+      SELECT x.play_date, ps.season_id, x.player_id,
+        MAX(x.availability) as availability, MAX(x.checked_in) as checked_in, MAX(x.played) as played
+      FROM (
+        SELECT play_date, player_id, availability,
+          CASE WHEN checked_in_at IS NOT NULL THEN 1 ELSE 0 END as checked_in, 0 as played
+        FROM attendance
+        UNION ALL ${slot('player1_id')}
+        UNION ALL ${slot('player2_id')}
+        UNION ALL ${slot('player3_id')}
+        UNION ALL ${slot('player4_id')}
+      ) x
+      JOIN play_sessions ps ON ps.play_date = x.play_date
+      WHERE ${where}
+      GROUP BY x.play_date, ps.season_id, x.player_id
+    `, params)
+    return { sessions: sessions.rows, records: records.rows }
+  }
+
+  // Tournaments (see lib/tournament.js)
+  // Newest first, with the season name and number of entries; filter: { seasonId }
+  async getTournaments({ seasonId } = {}) {
+    const result = await this.query(`
+      SELECT t.id, t.season_id, s.name as season_name, t.name, t.format, t.match_type,
+        t.group_count, t.advance_per_group, t.created_by, t.created_at,
+        (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id = t.id) as entry_count
+      FROM tournaments t
+      JOIN seasons s ON s.id = t.season_id
+      ${seasonId ? 'WHERE t.season_id = $1' : ''}
+      ORDER BY t.created_at DESC, t.id DESC
+    `, seasonId ? [seasonId] : [])
+    return result.rows
+  }
+
+  /**
+   * A tournament with what resolveBracket() needs: entries (with player
+   * names), bracket slots and the live matches recorded for them.
+   * Returns null if there is no such tournament.
+   */
+  async getTournament(tournamentId) {
+    const { rows: [tournament] } = await this.query(`
+      SELECT t.*, s.name as season_name
+      FROM tournaments t
+      JOIN seasons s ON s.id = t.season_id
+      WHERE t.id = $1
+    `, [tournamentId])
+    if (!tournament) return null
+    const [entries, slots, results] = await Promise.all([
+      this.query(`
+        SELECT e.id, e.seed, e.player1_id, p1.name as player1_name, e.player2_id, p2.name as player2_name, e.group_number
+        FROM tournament_entries e
+        JOIN players p1 ON p1.id = e.player1_id
+        LEFT JOIN players p2 ON p2.id = e.player2_id
+        WHERE e.tournament_id = $1
+        ORDER BY e.seed
+      `, [tournamentId]),
+      this.query(`
+        SELECT id, slot, stage, round, position, group_number, source1, source2
+        FROM tournament_matches
+        WHERE tournament_id = $1
+        ORDER BY id
+      `, [tournamentId]),
+      this.query(`
+        SELECT m.id, m.tournament_match_id, m.play_date,
+          m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.team1_score, m.team2_score, m.winning_team
+        FROM matches m
+        JOIN tournament_matches tm ON tm.id = m.tournament_match_id
+        WHERE tm.tournament_id = $1
+      `, [tournamentId])
+    ])
+    return { ...tournament, entries: entries.rows, slots: slots.rows, results: results.rows }
+  }
+
+  // The tournament a bracket slot belongs to, or null
+  async getTournamentIdBySlot(tournamentMatchId) {
+    const result = await this.query('SELECT tournament_id FROM tournament_matches WHERE id = $1', [tournamentMatchId])
+    return result.rows[0]?.tournament_id ?? null
+  }
+
+  /**
+   * Store a tournament, its seeded entries and its bracket slots in one transaction.
+   * entries: seedEntries() rows ({ seed, player1_id, player2_id, group_number })
+   * slots: buildBracket().slots
+   * Returns the new id.
+   */
+  async createTournament({ seasonId, name, format, matchType, groupCount = null, advancePerGroup = null }, entries, slots, createdBy = null) {
+    return this.transaction(async (client) => {
+      const { rows: [{ id }] } = await client.query(`
+        INSERT INTO tournaments (season_id, name, format, match_type, group_count, advance_per_group, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+      `, [seasonId, name, format, matchType, groupCount, advancePerGroup, createdBy])
+      for (const entry of entries) {
+        await client.query(`
+          INSERT INTO tournament_entries (tournament_id, seed, player1_id, player2_id, group_number)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [id, entry.seed, entry.player1_id, entry.player2_id || null, entry.group_number ?? null])
+      }
+      for (const slot of slots) {
+        await client.query(`
+          INSERT INTO tournament_matches (tournament_id, slot, stage, round, position, group_number, source1, source2)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [id, slot.slot, slot.stage, slot.round, slot.position, slot.group_number, slot.source1, slot.source2])
+      }
+      return id
+    })
+  }
+
+  // The recorded matches stay, as ordinary matches of the season
+  async deleteTournament(tournamentId) {
+    return this.transaction(async (client) => {
+      await client.query(`
+        UPDATE matches SET tournament_match_id = NULL
+        WHERE tournament_match_id IN (SELECT id FROM tournament_matches WHERE tournament_id = $1)
+      `, [tournamentId])
+      const result = await client.query('DELETE FROM tournaments WHERE id = $1', [tournamentId])
+      return result.rowCount > 0
+    })
+  }
+
+  // Every tournament row (full backup)
+  async getTournamentTables() {
+    const [tournaments, entries, slots] = await Promise.all([
+      this.query('SELECT * FROM tournaments ORDER BY id'),
+      this.query('SELECT * FROM tournament_entries ORDER BY id'),
+      this.query('SELECT * FROM tournament_matches ORDER BY id')
+    ])
+    return { tournaments: tournaments.rows, tournamentEntries: entries.rows, tournamentMatches: slots.rows }
+  }
+
+  // League fixtures (see lib/fixtures.js)
+  // In round order, with player names for both sides
+  async getSeasonFixtures(seasonId) {
+    const result = await this.query(`
+      SELECT f.id, f.season_id, f.match_type, f.round, f.position,
+        f.player1_id, p1.name as player1_name, f.player2_id, p2.name as player2_name,
+        f.player3_id, p3.name as player3_name, f.player4_id, p4.name as player4_name,
+        f.created_by, f.created_at
+      FROM season_fixtures f
+      JOIN players p1 ON p1.id = f.player1_id
+      LEFT JOIN players p2 ON p2.id = f.player2_id
+      JOIN players p3 ON p3.id = f.player3_id
+      LEFT JOIN players p4 ON p4.id = f.player4_id
+      WHERE f.season_id = $1
+      ORDER BY f.round, f.position
     `, [seasonId])
+    return result.rows
+  }
+
+  /**
+   * Replace the fixtures of a season in one transaction.
+   * fixtures: generateFixtures() rows
+   */
+  async replaceSeasonFixtures(seasonId, matchType, fixtures, createdBy = null) {
+    await this.transaction(async (client) => {
+      await client.query('DELETE FROM season_fixtures WHERE season_id = $1', [seasonId])
+      for (const fixture of fixtures) {
+        await client.query(`
+          INSERT INTO season_fixtures (season_id, match_type, round, position, player1_id, player2_id, player3_id, player4_id, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [seasonId, matchType, fixture.round, fixture.position,
+          fixture.player1_id, fixture.player2_id, fixture.player3_id, fixture.player4_id, createdBy])
+      }
+    })
+  }
+
+  // Returns the number of fixtures removed
+  async deleteSeasonFixtures(seasonId) {
+    const result = await this.query('DELETE FROM season_fixtures WHERE season_id = $1', [seasonId])
+    return result.rowCount
+  }
+
+  // Every fixture row (full backup)
+  async getAllSeasonFixtures() {
+    const result = await this.query('SELECT * FROM season_fixtures ORDER BY id')
+    return result.rows
+  }
+
+  // Fixtures of active seasons that a player is in, with player and season names
+  async getPlayerFixtures(playerId) {
+    const result = await this.query(`
+      SELECT f.id, f.season_id, s.name as season_name, f.match_type, f.round, f.position,
+        f.player1_id, p1.name as player1_name, f.player2_id, p2.name as player2_name,
+        f.player3_id, p3.name as player3_name, f.player4_id, p4.name as player4_name
+      FROM season_fixtures f
+      JOIN seasons s ON s.id = f.season_id
+      JOIN players p1 ON p1.id = f.player1_id
+      LEFT JOIN players p2 ON p2.id = f.player2_id
+      JOIN players p3 ON p3.id = f.player3_id
+      LEFT JOIN players p4 ON p4.id = f.player4_id
+      WHERE s.is_active = 1 AND $1 IN (f.player1_id, f.player2_id, f.player3_id, f.player4_id)
+      ORDER BY f.season_id, f.round, f.position
+    `, [playerId])
+    return result.rows
+  }
+
+  // Calendar feed tokens (see lib/calendar.js)
+  // The player a feed token belongs to, or null
+  async getCalendarToken(tokenHash) {
+    const result = await this.query(`
+      SELECT t.id, t.player_id, p.name as player_name, p.archived_at
+      FROM calendar_tokens t
+      JOIN players p ON p.id = t.player_id
+      WHERE t.token_hash = $1
+    `, [tokenHash])
+    return result.rows[0] || null
+  }
+
+  async touchCalendarToken(tokenId) {
+    await this.query(`UPDATE calendar_tokens SET last_used_at = ${NOW_SQL} WHERE id = $1`, [tokenId])
+  }
+
+  // A player's new feed token replaces the old one. Throws 23503 for an unknown player
+  async setCalendarToken(playerId, tokenHash, createdBy = null) {
+    await this.query(`
+      INSERT INTO calendar_tokens (player_id, token_hash, created_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (player_id) DO UPDATE
+        SET token_hash = EXCLUDED.token_hash, created_by = EXCLUDED.created_by, created_at = ${NOW_SQL}, last_used_at = NULL
+    `, [playerId, tokenHash, createdBy])
+  }
+
+  // Players with a feed URL, without the token hashes
+  async getCalendarTokens() {
+    const result = await this.query(`
+      SELECT t.player_id, p.name as player_name, t.created_by, t.created_at, t.last_used_at
+      FROM calendar_tokens t
+      JOIN players p ON p.id = t.player_id
+      ORDER BY p.name
+    `)
+    return result.rows
+  }
+
+  async deleteCalendarToken(playerId) {
+    const result = await this.query('DELETE FROM calendar_tokens WHERE player_id = $1', [playerId])
+    return result.rowCount > 0
+  }
+
+  // Every feed token row (full backup)
+  async getAllCalendarTokens() {
+    const result = await this.query('SELECT * FROM calendar_tokens ORDER BY id')
+    return result.rows
+  }
+
+  // Public share links (see lib/share.js)
+  // expiresInDays null: the link does not expire. Throws 23503 for an unknown season
+  async createShareLink({ tokenHash, scope, seasonId = null, label = null, expiresInDays = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO share_links (token_hash, scope, season_id, label, expires_at, created_by)
+      VALUES ($1, $2, $3, $4, CASE WHEN $5 IS NULL THEN NULL ELSE strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || $5 || ' days') END, $6) RETURNING id
+    `, [tokenHash, scope, seasonId, label, expiresInDays, createdBy])
+    return result.rows[0].id
+  }
+
+  // The link a token belongs to, or null when it is unknown or expired
+  async getShareLink(tokenHash) {
+    const result = await this.query(`
+      SELECT l.id, l.scope, l.season_id, l.label, l.expires_at, s.name as season_name,
+        s.start_date, s.end_date, s.is_active
+      FROM share_links l
+      LEFT JOIN seasons s ON s.id = l.season_id
+      WHERE l.token_hash = $1 AND (l.expires_at IS NULL OR l.expires_at > ${NOW_SQL})
+    `, [tokenHash])
+    return result.rows[0] || null
+  }
+
+  async touchShareLink(linkId) {
+    await this.query(`UPDATE share_links SET last_used_at = ${NOW_SQL} WHERE id = $1`, [linkId])
+  }
+
+  // Every link, newest first, without the token hashes
+  async getShareLinks() {
+    const result = await this.query(`
+      SELECT l.id, l.scope, l.season_id, s.name as season_name, l.label, l.expires_at,
+        CASE WHEN l.expires_at IS NOT NULL AND l.expires_at <= ${NOW_SQL} THEN 1 ELSE 0 END as expired,
+        l.created_by, l.created_at, l.last_used_at
+      FROM share_links l
+      LEFT JOIN seasons s ON s.id = l.season_id
+      ORDER BY l.created_at DESC, l.id DESC
+    `)
+    return result.rows
+  }
+
+  async deleteShareLink(linkId) {
+    const result = await this.query('DELETE FROM share_links WHERE id = $1', [linkId])
+    return result.rowCount > 0
+  }
+
+  // Every share link row (full backup)
+  async getAllShareLinks() {
+    const result = await this.query('SELECT * FROM share_links ORDER BY id')
+    return result.rows
+  }
+
+  // Outbound webhooks (see lib/webhooks.js)
+  // Every hook, without the secrets, with its pending and failed delivery counts
+  async getWebhooks() {
+    const result = await this.query(`
+      SELECT w.id, w.url, w.events, w.description, w.is_active, w.created_by, w.created_at, w.updated_at,
+        COALESCE(SUM(CASE WHEN d.status = 'pending' THEN 1 ELSE 0 END), 0) as pending_count,
+        COALESCE(SUM(CASE WHEN d.status = 'failed' THEN 1 ELSE 0 END), 0) as failed_count,
+        MAX(d.last_attempt_at) as last_attempt_at
+      FROM webhooks w
+      LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+      GROUP BY w.id
+      ORDER BY w.created_at, w.id
+    `)
+    return result.rows
+  }
+
+  async getWebhookById(webhookId) {
+    const result = await this.query('SELECT * FROM webhooks WHERE id = $1', [webhookId])
+    return result.rows[0] || null
+  }
+
+  async getActiveWebhooks() {
+    const result = await this.query('SELECT id, events FROM webhooks WHERE is_active = 1 ORDER BY id')
+    return result.rows
+  }
+
+  async createWebhook({ url, events, secret, description = null }, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO webhooks (url, events, secret, description, created_by)
+      VALUES ($1, $2, $3, $4, $5) RETURNING id
+    `, [url, events.join(','), secret, description, createdBy])
+    return result.rows[0].id
+  }
+
+  // Fields left undefined keep their value
+  async updateWebhook(webhookId, { url, events, description, isActive, secret }) {
+    const result = await this.query(`
+      UPDATE webhooks SET
+        url = COALESCE($2, url),
+        events = COALESCE($3, events),
+        description = CASE WHEN $4 THEN $5 ELSE description END,
+        is_active = COALESCE($6, is_active),
+        secret = COALESCE($7, secret),
+        updated_at = ${NOW_SQL}
+      WHERE id = $1
+    `, [webhookId, url ?? null, events ? events.join(',') : null, description !== undefined ? 1 : 0, description ?? null,
+      isActive === undefined ? null : (isActive ? 1 : 0), secret ?? null])
+    return result.rowCount > 0
+  }
+
+  // Removes the hook's delivery log too
+  async deleteWebhook(webhookId) {
+    const result = await this.query('DELETE FROM webhooks WHERE id = $1', [webhookId])
+    return result.rowCount > 0
+  }
+
+  // One pending delivery per hook, due now. Returns the delivery ids
+  async addWebhookDeliveries(webhookIds, event, payload) {
+    return this.transaction(async (client) => {
+      const ids = []
+      for (const webhookId of webhookIds) {
+        const result = await client.query(`
+          INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES ($1, $2, $3) RETURNING id
+        `, [webhookId, event, payload])
+        ids.push(result.rows[0].id)
+      }
+      return ids
+    })
+  }
+
+  /**
+   * Due deliveries of active hooks, with the hook's url and secret. They are
+   * not due again for leaseSeconds, so a concurrent run skips them.
+   */
+  async claimWebhookDeliveries(limit, leaseSeconds) {
+    return this.transaction(async (client) => {
+      const claimed = await client.query(`
+        UPDATE webhook_deliveries
+        SET next_attempt_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || $2 || ' seconds')
+        WHERE id IN (
+          SELECT d.id FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= ${NOW_SQL} AND w.is_active = 1
+          ORDER BY d.next_attempt_at, d.id
+          LIMIT $1
+        )
+        RETURNING id
+      `, [limit, leaseSeconds])
+      if (claimed.rows.length === 0) return []
+      const ids = claimed.rows.map(row => row.id)
+      const result = await client.query(`
+        SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')})
+        ORDER BY d.id
+      `, ids)
+      return result.rows
+    })
+  }
+
+  // Record an attempt; retryInSeconds is set while the delivery stays pending
+  async finishWebhookDelivery(deliveryId, { status, attempts, responseStatus = null, error = null, retryInSeconds = null }) {
+    await this.query(`
+      UPDATE webhook_deliveries SET
+        status = $2, attempts = $3, response_status = $4, error = $5, last_attempt_at = ${NOW_SQL},
+        next_attempt_at = CASE WHEN $6 IS NULL THEN NULL ELSE strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || $6 || ' seconds') END
+      WHERE id = $1
+    `, [deliveryId, status, attempts, responseStatus, error, retryInSeconds])
+  }
+
+  /**
+   * Newest deliveries first, with optional filters { webhookId, status, event, limit, offset }.
+   * Returns { deliveries, total }.
+   */
+  async getWebhookDeliveries({ webhookId, status, event, limit = 50, offset = 0 } = {}) {
+    const params = []
+    const conditions = []
+    if (webhookId) {
+      params.push(webhookId)
+      conditions.push(`d.webhook_id = $${params.length}`)
+    }
+    if (status) {
+      params.push(status)
+      conditions.push(`d.status = $${params.length}`)
+    }
+    if (event) {
+      params.push(event)
+      conditions.push(`d.event = $${params.length}`)
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const deliveries = await this.query(`
+      SELECT d.id, d.webhook_id, w.url, d.event, d.payload, d.status, d.attempts, d.response_status, d.error,
+        d.next_attempt_at, d.last_attempt_at, d.created_at
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      ${where}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset])
+    const total = await this.query(`SELECT COUNT(*) as count FROM webhook_deliveries d ${where}`, params)
+    return { deliveries: deliveries.rows, total: total.rows[0].count }
+  }
+
+  async getWebhookDelivery(deliveryId) {
+    const result = await this.query(`
+      SELECT d.id, d.webhook_id, w.url, d.event, d.payload, d.status, d.attempts, d.response_status, d.error,
+        d.next_attempt_at, d.last_attempt_at, d.created_at
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = $1
+    `, [deliveryId])
+    return result.rows[0] || null
+  }
+
+  // Send a finished delivery again from the first attempt
+  async retryWebhookDelivery(deliveryId) {
+    const result = await this.query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, error = NULL, response_status = NULL, next_attempt_at = ${NOW_SQL}
+      WHERE id = $1 AND status <> 'pending'
+    `, [deliveryId])
+    return result.rowCount > 0
+  }
+
+  // Drop finished deliveries older than `days`. Returns how many were removed
+  async pruneWebhookDeliveries(days) {
+    const result = await this.query(`
+      DELETE FROM webhook_deliveries
+      WHERE status <> 'pending' AND created_at < strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-' || $1 || ' days')
+    `, [days])
+    return result.rowCount
+  }
+
+  // Idempotency keys of match submissions (see lib/match-submission.js)
+  /**
+   * Claim a key for one submission, first dropping keys older than keepDays.
+   * False when the key is taken: its match is recorded (getMatchSubmission)
+   * or another request is recording it. A claim older than staleSeconds
+   * without a match is taken over by the same submission (payloadHash).
+   */
+  async claimMatchSubmission(key, submittedBy, payloadHash, staleSeconds, keepDays) {
+    return this.transaction(async (client) => {
+      await client.query(`
+        DELETE FROM match_submissions WHERE created_at < strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-' || $1 || ' days')
+      `, [keepDays])
+      const result = await client.query(`
+        INSERT INTO match_submissions (submission_key, submitted_by, payload_hash) VALUES ($1, $2, $3)
+        ON CONFLICT (submission_key) DO UPDATE SET
+          submitted_by = excluded.submitted_by, payload_hash = excluded.payload_hash, created_at = ${NOW_SQL}
+        WHERE match_submissions.match_id IS NULL
+          AND (match_submissions.payload_hash IS NULL OR match_submissions.payload_hash = excluded.payload_hash)
+          AND match_submissions.created_at < strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-' || $4 || ' seconds')
+      `, [key, submittedBy, payloadHash, staleSeconds])
+      return result.rowCount > 0
+    })
+  }
+
+  async getMatchSubmission(key) {
+    const result = await this.query('SELECT * FROM match_submissions WHERE submission_key = $1', [key])
+    return result.rows[0] || null
+  }
+
+  async completeMatchSubmission(key, matchId) {
+    await this.query('UPDATE match_submissions SET match_id = $2 WHERE submission_key = $1', [key, matchId])
+  }
+
+  // Give the key back when the match could not be added
+  async releaseMatchSubmission(key) {
+    await this.query('DELETE FROM match_submissions WHERE submission_key = $1 AND match_id IS NULL', [key])
   }
 
   // Matches CRUD operations
-  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam) {
-    const result = await this.db.run(`
-      INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam])
-    return result.lastID
+  // match_type: 'duo' (4 players) or 'solo' (2 players - player1 vs player3)
+  // no_show_team: team (1 or 2) that forfeited by not showing up, or null
+  // score: parsed set-by-set score from parseSets() (lib/tennis-score.js), or null
+  // tournamentMatchId: bracket slot the match decides (lib/tournament.js), or null
+  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', noShowTeam = null, score = null, tournamentMatchId = null) {
+    const result = await this.query(`
+      INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team,
+        sets, team1_sets, team2_sets, team1_games, team2_games, tournament_match_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING id
+    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, noShowTeam, ...scoreParams(score), tournamentMatchId])
+    await this.refreshRatings({ from: playDate, seasonIds: [seasonId] })
+    return result.rows[0].id
+  }
+
+  // Add an evening's matches in one transaction: either all are stored or none.
+  // Returns the new ids in the order given.
+  async addMatches(seasonId, playDate, matches) {
+    const ids = await this.transaction(async (client) => {
+      const newIds = []
+      for (const match of matches) {
+        const result = await client.query(`
+          INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team,
+            sets, team1_sets, team2_sets, team1_games, team2_games)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING id
+        `, [seasonId, playDate, match.player1Id, match.player2Id, match.player3Id, match.player4Id, match.team1Score, match.team2Score,
+          match.winningTeam, match.matchType, match.noShowTeam, ...scoreParams(match.score)])
+        newIds.push(result.rows[0].id)
+      }
+      return newIds
+    })
+    await this.refreshRatings({ from: playDate, seasonIds: [seasonId] })
+    return ids
+  }
+
+  // Import planned matches (lib/match-import.js) in one transaction. Players and
+  // seasons are referenced by name; missing players are created, and a missing
+  // season (seasonId null) is created ended, spanning the dates of its matches.
+  // Returns the new match ids.
+  async importMatches(matches) {
+    const ids = await this.transaction(async (client) => {
+      const playerNames = new Set(matches.flatMap(m => [m.player1Name, m.player2Name, m.player3Name, m.player4Name]).filter(Boolean))
+      for (const name of playerNames) {
+        await client.query('INSERT OR IGNORE INTO players (name) VALUES ($1)', [name])
+      }
+      const playersResult = await client.query('SELECT id, name FROM players')
+      const playerIds = new Map(playersResult.rows.map(p => [p.name, p.id]))
+
+      const newSeasons = new Map()
+      for (const match of matches.filter(m => !m.seasonId)) {
+        const span = newSeasons.get(match.seasonName) || { startDate: match.playDate, endDate: match.playDate }
+        if (match.playDate < span.startDate) span.startDate = match.playDate
+        if (match.playDate > span.endDate) span.endDate = match.playDate
+        newSeasons.set(match.seasonName, span)
+      }
+      const seasonIds = new Map()
+      for (const [name, { startDate, endDate }] of newSeasons) {
+        const result = await client.query(
+          `INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description)
+           VALUES ($1, $2, $3, 0, 0, $4) RETURNING id`,
+          [name, startDate, endDate, 'Imported from spreadsheet']
+        )
+        seasonIds.set(name, result.rows[0].id)
+      }
+
+      const newIds = []
+      for (const match of matches) {
+        const playerId = (name) => name ? playerIds.get(name) : null
+        const result = await client.query(`
+          INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team,
+            sets, team1_sets, team2_sets, team1_games, team2_games)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NULL, $11, $12, $13, $14, $15) RETURNING id
+        `, [match.seasonId || seasonIds.get(match.seasonName), match.playDate,
+          playerId(match.player1Name), playerId(match.player2Name), playerId(match.player3Name), playerId(match.player4Name),
+          match.team1Score, match.team2Score, match.winningTeam, match.matchType, ...scoreParams(match.score)])
+        newIds.push(result.rows[0].id)
+      }
+      return newIds
+    })
+    await this.refreshRatings()
+    return ids
+  }
+
+  // Add match with preserved created_at (for restore operations)
+  async addMatchWithTimestamp(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', createdAt = null) {
+    if (!createdAt) {
+      return this.addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType)
+    }
+    const result = await this.query(`
+      INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id
+    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, createdAt])
+    await this.refreshRatings({ from: playDate, seasonIds: [seasonId] })
+    return result.rows[0].id
   }
 
   async getMatches(limit = null) {
-    let query = `
-      SELECT m.*, s.name as season_name,
-        p1.name as player1_name, p2.name as player2_name, 
-        p3.name as player3_name, p4.name as player4_name
-      FROM matches m
-      JOIN seasons s ON m.season_id = s.id
-      JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
-      JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
+    const query = `
+      SELECT ${MATCH_SELECT_COLS}
+      ${MATCH_JOINS}
       ORDER BY m.play_date DESC, m.created_at DESC
     `
-    
-    if (limit) {
-      query += ` LIMIT ${limit}`
-    }
-    
-    return await this.db.all(query)
+    const result = limit
+      ? await this.query(`${query} LIMIT $1`, [limit])
+      : await this.query(query)
+    return result.rows
   }
 
   async getMatchesByPlayDate(playDate) {
-    return await this.db.all(`
-      SELECT m.*, s.name as season_name,
-        p1.name as player1_name, p2.name as player2_name, 
-        p3.name as player3_name, p4.name as player4_name
-      FROM matches m
-      JOIN seasons s ON m.season_id = s.id
-      JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
-      JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
-      WHERE m.play_date = ?
+    const result = await this.query(`
+      SELECT ${MATCH_SELECT_COLS}
+      ${MATCH_JOINS}
+      WHERE m.play_date = $1
       ORDER BY m.created_at DESC
     `, [playDate])
+    return result.rows
   }
 
   async getMatchesBySeason(seasonId) {
-    return await this.db.all(`
-      SELECT m.*, s.name as season_name,
-        p1.name as player1_name, p2.name as player2_name, 
-        p3.name as player3_name, p4.name as player4_name
-      FROM matches m
-      JOIN seasons s ON m.season_id = s.id
-      JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
-      JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
-      WHERE m.season_id = ?
+    const result = await this.query(`
+      SELECT ${MATCH_SELECT_COLS}
+      ${MATCH_JOINS}
+      WHERE m.season_id = $1
       ORDER BY m.play_date DESC, m.created_at DESC
     `, [seasonId])
+    return result.rows
+  }
+
+  async getMatchesByDate(date) {
+    return this.getMatchesByPlayDate(date)
+  }
+
+  async getMatchById(matchId) {
+    const result = await this.query(`
+      SELECT ${MATCH_SELECT_COLS}
+      ${MATCH_JOINS}
+      WHERE m.id = $1
+    `, [matchId])
+    return result.rows[0] || null
+  }
+
+  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', noShowTeam = null, score = null) {
+    const { rows: [previous] } = await this.query('SELECT play_date, season_id FROM matches WHERE id = $1', [matchId])
+    await this.query(`
+      UPDATE matches
+      SET season_id = $1, play_date = $2, player1_id = $3, player2_id = $4,
+          player3_id = $5, player4_id = $6, team1_score = $7, team2_score = $8,
+          winning_team = $9, match_type = $10, no_show_team = $11,
+          sets = $12, team1_sets = $13, team2_sets = $14, team1_games = $15, team2_games = $16
+      WHERE id = $17
+    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, noShowTeam, ...scoreParams(score), matchId])
+    if (previous) {
+      await this.refreshRatings({
+        from: [previous.play_date, playDate].sort()[0],
+        seasonIds: [previous.season_id, seasonId]
+      })
+    }
+  }
+
+  // The match row is moved to the trash first (see restoreMatch)
+  async deleteMatch(matchId, deletedBy = null, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    const match = await this.transaction(async (client) => {
+      const { rows: [match] } = await client.query('SELECT * FROM matches WHERE id = $1', [matchId])
+      if (match) {
+        await client.query(`
+          INSERT INTO trash (entity_type, entity_id, data, deleted_by, expires_at)
+          VALUES ('match', $1, $2, $3, strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || $4 || ' days'))
+        `, [matchId, JSON.stringify({ match }), deletedBy, retentionDays])
+      }
+      await client.query('DELETE FROM matches WHERE id = $1', [matchId])
+      return match
+    })
+    if (match) await this.refreshRatings({ from: match.play_date, seasonIds: [match.season_id] })
+  }
+
+  // Trash: one row per deleted match/season with enough detail to list it
+  async getTrash() {
+    const result = await this.query(`
+      SELECT t.id, t.entity_type, t.entity_id, t.deleted_by, t.deleted_at, t.expires_at,
+        json_extract(t.data, '$.season.name') as name,
+        COALESCE(json_array_length(t.data, '$.matches'), 0) as match_count,
+        json_extract(t.data, '$.match.play_date') as play_date,
+        json_extract(t.data, '$.match.team1_score') as team1_score,
+        json_extract(t.data, '$.match.team2_score') as team2_score,
+        s.name as season_name,
+        p1.name as player1_name, p2.name as player2_name,
+        p3.name as player3_name, p4.name as player4_name
+      FROM trash t
+      LEFT JOIN seasons s ON s.id = json_extract(t.data, '$.match.season_id')
+      LEFT JOIN players p1 ON p1.id = json_extract(t.data, '$.match.player1_id')
+      LEFT JOIN players p2 ON p2.id = json_extract(t.data, '$.match.player2_id')
+      LEFT JOIN players p3 ON p3.id = json_extract(t.data, '$.match.player3_id')
+      LEFT JOIN players p4 ON p4.id = json_extract(t.data, '$.match.player4_id')
+      WHERE t.expires_at > ${NOW_SQL}
+      ORDER BY t.deleted_at DESC, t.id DESC
+    `)
+    return result.rows
+  }
+
+  // Returns the number of entries removed for good
+  async purgeExpiredTrash() {
+    const result = await this.query(`DELETE FROM trash WHERE expires_at <= ${NOW_SQL}`)
+    return result.rowCount
+  }
+
+  async deleteTrashEntry(trashId) {
+    const result = await this.query('DELETE FROM trash WHERE id = $1', [trashId])
+    return result.rowCount > 0
+  }
+
+  /**
+   * Put a trashed match back with its original id; ratings are replayed
+   * afterwards. Returns false when there is no (unexpired) trash entry.
+   * Foreign key errors (23503) mean its season or a player no longer exists.
+   */
+  async restoreMatch(matchId) {
+    const restored = await this.transaction(async (client) => {
+      const { rows } = await client.query(`
+        DELETE FROM trash
+        WHERE entity_type = 'match' AND entity_id = $1 AND expires_at > ${NOW_SQL}
+        RETURNING data
+      `, [matchId])
+      if (rows.length === 0) return null
+      await this.insertRow(client, 'matches', rows[0].data.match)
+      return rows[0].data.match
+    })
+    if (restored) await this.refreshRatings({ from: restored.play_date, seasonIds: [restored.season_id] })
+    return Boolean(restored)
+  }
+
+  // Same as restoreMatch for a season, its roster, all of its matches, its ledger, tournaments,
+  // fixtures and share links; its play sessions are linked to it again
+  async restoreSeason(seasonId) {
+    const restored = await this.transaction(async (client) => {
+      const { rows } = await client.query(`
+        DELETE FROM trash
+        WHERE entity_type = 'season' AND entity_id = $1 AND expires_at > ${NOW_SQL}
+        RETURNING data
+      `, [seasonId])
+      if (rows.length === 0) return false
+      // Seasons trashed before the ledger (or later additions) existed have no entry for them
+      const {
+        season, season_players: seasonPlayers, matches, payments = [],
+        tournaments = [], tournament_entries: tournamentEntries = [], tournament_matches: tournamentMatches = [],
+        season_fixtures: fixtures = [], share_links: shareLinks = [], play_session_ids: playSessionIds = []
+      } = rows[0].data
+      await this.insertRow(client, 'seasons', season)
+      for (const seasonPlayer of seasonPlayers) await this.insertRow(client, 'season_players', seasonPlayer)
+      for (const match of matches) await this.insertRow(client, 'matches', match)
+      for (const payment of payments) await this.insertRow(client, 'payments', payment)
+      // Same ids, so the matches keep their tournament_match_id
+      for (const tournament of tournaments) await this.insertRow(client, 'tournaments', tournament)
+      for (const entry of tournamentEntries) await this.insertRow(client, 'tournament_entries', entry)
+      for (const slot of tournamentMatches) await this.insertRow(client, 'tournament_matches', slot)
+      for (const fixture of fixtures) await this.insertRow(client, 'season_fixtures', fixture)
+      for (const link of shareLinks) await this.insertRow(client, 'share_links', link)
+      // Unless a session was given another season meanwhile
+      for (const sessionId of playSessionIds) {
+        await client.query('UPDATE play_sessions SET season_id = $1 WHERE id = $2 AND season_id IS NULL', [seasonId, sessionId])
+      }
+      return true
+    })
+    if (restored) await this.refreshRatings()
+    return restored
   }
 
   async getPlayDates() {
-    return await this.db.all(`
-      SELECT DISTINCT play_date 
-      FROM matches 
+    const result = await this.query(`
+      SELECT DISTINCT play_date
+      FROM matches
       ORDER BY play_date DESC
     `)
+    return result.rows
   }
 
   async getLatestPlayDate() {
-    const result = await this.db.get(`
-      SELECT play_date 
-      FROM matches 
-      ORDER BY play_date DESC 
+    const result = await this.query(`
+      SELECT play_date
+      FROM matches
+      ORDER BY play_date DESC
       LIMIT 1
     `)
-    return result?.play_date
+    return result.rows[0]?.play_date || null
+  }
+
+  // Skill ratings — Elo is order-dependent, so a changed match (even an old one)
+  // replays every match from its play date on, starting from the lifetime
+  // ratings in the history before that date, and its seasons from their start.
+  // Without `from` the full history is replayed. Rows are written as one JSON
+  // parameter each, expanded by json_each().
+  async rebuildRatings({ from = null, seasonIds = [] } = {}) {
+    await this.transaction(async (client) => {
+      // An earlier match without history was never replayed (its refresh failed): start over
+      const gap = from !== null && (await client.query(`
+        SELECT EXISTS (
+          SELECT 1 FROM matches m
+          WHERE m.play_date < $1
+            AND NOT EXISTS (SELECT 1 FROM player_rating_history h WHERE h.match_id = m.id)
+        ) AS gap
+      `, [from])).rows[0].gap
+      if (from === null || gap) await this.replayAllRatings(client)
+      else await this.replayRatingsFrom(client, from, seasonIds)
+    })
+  }
+
+  async replayAllRatings(client) {
+    const { rows: matches } = await client.query(`
+      SELECT id, season_id, player1_id, player2_id, player3_id, player4_id, winning_team
+      FROM matches
+      ORDER BY play_date ASC, created_at ASC, id ASC
+    `)
+    const { lifetime, seasons, history } = computeRatings(matches)
+
+    await client.query('DELETE FROM player_rating_history')
+    await this.writeRatingHistory(client, history)
+    await this.writeLifetimeRatings(client, lifetime)
+    await client.query('DELETE FROM player_season_ratings')
+    await this.writeSeasonRatings(client, seasons)
+  }
+
+  async replayRatingsFrom(client, from, seasonIds) {
+    // Lifetime ratings as they stood before `from`: each player's last history row
+    const { rows: before } = await client.query(`
+      SELECT player_id, rating, rated_matches FROM (
+        SELECT h.player_id, h.rating_after AS rating,
+          COUNT(*) OVER (PARTITION BY h.player_id) AS rated_matches,
+          ROW_NUMBER() OVER (PARTITION BY h.player_id ORDER BY h.seq DESC) AS rn
+        FROM player_rating_history h
+        JOIN matches m ON m.id = h.match_id
+        WHERE m.play_date < $1
+      ) WHERE rn = 1
+    `, [from])
+    const { rows: [{ count: seqOffset }] } = await client.query(
+      'SELECT COUNT(*) AS count FROM matches WHERE play_date < $1', [from]
+    )
+    const { rows: matches } = await client.query(`
+      SELECT id, season_id, player1_id, player2_id, player3_id, player4_id, winning_team
+      FROM matches
+      WHERE play_date >= $1
+      ORDER BY play_date ASC, created_at ASC, id ASC
+    `, [from])
+    const { lifetime, history } = computeRatings(matches, { lifetime: before, seqOffset })
+
+    await client.query(`
+      DELETE FROM player_rating_history
+      WHERE match_id IN (SELECT id FROM matches WHERE play_date >= $1)
+    `, [from])
+    await this.writeRatingHistory(client, history)
+    await this.writeLifetimeRatings(client, lifetime)
+
+    // Season ratings only depend on the season's own matches
+    const { rows: seasonMatches } = await client.query(`
+      SELECT id, season_id, player1_id, player2_id, player3_id, player4_id, winning_team
+      FROM matches
+      WHERE season_id IN (SELECT value FROM json_each($1))
+      ORDER BY play_date ASC, created_at ASC, id ASC
+    `, [JSON.stringify(seasonIds)])
+    const { seasons } = computeRatings(seasonMatches)
+    await client.query(`
+      DELETE FROM player_season_ratings WHERE season_id IN (SELECT value FROM json_each($1))
+    `, [JSON.stringify(seasonIds)])
+    await this.writeSeasonRatings(client, seasons)
+  }
+
+  async writeRatingHistory(client, history) {
+    await client.query(`
+      INSERT INTO player_rating_history (match_id, player_id, seq, rating_before, rating_after)
+      SELECT value ->> 'match_id', value ->> 'player_id', value ->> 'seq', value ->> 'rating_before', value ->> 'rating_after'
+      FROM json_each($1)
+    `, [JSON.stringify(history)])
+  }
+
+  async writeLifetimeRatings(client, lifetime) {
+    await client.query('DELETE FROM player_ratings')
+    await client.query(`
+      INSERT INTO player_ratings (player_id, rating, rated_matches)
+      SELECT value ->> 'player_id', value ->> 'rating', value ->> 'rated_matches'
+      FROM json_each($1)
+    `, [JSON.stringify(lifetime)])
+  }
+
+  async writeSeasonRatings(client, seasons) {
+    await client.query(`
+      INSERT INTO player_season_ratings (player_id, season_id, rating, rated_matches)
+      SELECT value ->> 'player_id', value ->> 'season_id', value ->> 'rating', value ->> 'rated_matches'
+      FROM json_each($1)
+    `, [JSON.stringify(seasons)])
+  }
+
+  /**
+   * Replay ratings after a match write. `change` narrows the replay: the
+   * earliest play date it touched and the seasons of the matches involved
+   * (both before and after an edit); without it everything is replayed.
+   * The match write has already succeeded at this point, so a failed replay
+   * does not turn it into an error response: it is logged, and the next
+   * refresh in this process replays the full history.
+   */
+  async refreshRatings(change = null) {
+    const options = change && !this.ratingsStale
+      ? { from: change.from, seasonIds: [...new Set(change.seasonIds.map(Number))] }
+      : {}
+    try {
+      await this.rebuildRatings(options)
+      this.ratingsStale = false
+    } catch (error) {
+      this.ratingsStale = true
+      console.error('❌ Skill rating replay failed; ratings are stale until the next match change:', error)
+    }
+  }
+
+  // First start after upgrading: matches exist but no rating history yet
+  async backfillRatingsIfNeeded() {
+    try {
+      const result = await this.query(`
+        SELECT EXISTS (SELECT 1 FROM matches) AS has_matches,
+               EXISTS (SELECT 1 FROM player_rating_history) AS has_history
+      `)
+      const { has_matches: hasMatches, has_history: hasHistory } = result.rows[0]
+      if (hasMatches && !hasHistory) {
+        await this.rebuildRatings()
+        console.log('✅ Skill ratings backfilled from match history')
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not backfill skill ratings:', error.message)
+    }
   }
 
   // Statistics and rankings
   async getPlayerStatsLifetime() {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
+    const result = await this.query(`
+      WITH ${playerStatsCte('1 = 1')}, ${ledgerCte('1 = 1')}
+      SELECT ${PLAYER_STATS_COLS},
+        CAST(ROUND(COALESCE(pr.rating, ${DEFAULT_RATING})) AS INTEGER) as rating,
+        COALESCE(pr.rated_matches, 0) as rated_matches,
+        ${LEDGER_COLS}
+      FROM player_stats ps
+      LEFT JOIN player_ratings pr ON pr.player_id = ps.id
+      LEFT JOIN ledger l ON l.player_id = ps.id
+      ${PLAYER_STATS_ORDER}
     `)
+    return result.rows
   }
 
   async getPlayerStatsBySeason(seasonId) {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.season_id = ?
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
+    const result = await this.query(`
+      WITH ${playerStatsCte('m.season_id = $1')}, ${ledgerCte('season_id = $1')}
+      SELECT ${PLAYER_STATS_COLS},
+        CAST(ROUND(COALESCE(psr.rating, ${DEFAULT_RATING})) AS INTEGER) as rating,
+        COALESCE(psr.rated_matches, 0) as rated_matches,
+        ${LEDGER_COLS}
+      FROM player_stats ps
+      INNER JOIN season_players sp ON sp.player_id = ps.id AND sp.season_id = $1
+      LEFT JOIN player_season_ratings psr ON psr.player_id = ps.id AND psr.season_id = $1
+      LEFT JOIN ledger l ON l.player_id = ps.id
+      ${PLAYER_STATS_ORDER}
     `, [seasonId])
+    return result.rows
   }
 
   async getPlayerStatsByPlayDate(playDate) {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.play_date <= ?
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
+    const result = await this.query(`
+      WITH ${playerStatsCte('m.play_date <= $1')}
+      SELECT ${PLAYER_STATS_COLS},
+        ${RATING_AT_DATE_SQL}
+      FROM player_stats ps
+      ${PLAYER_STATS_ORDER}
     `, [playDate])
+    return result.rows
   }
 
   async getPlayerStatsBySpecificDate(playDate) {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.play_date = ?
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
+    const result = await this.query(`
+      WITH ${playerStatsCte('m.play_date = $1')}
+      SELECT ${PLAYER_STATS_COLS},
+        ${RATING_AT_DATE_SQL}
+      FROM player_stats ps
+      ${PLAYER_STATS_ORDER}
     `, [playDate])
+    return result.rows
   }
 
-  async getPlayerForm(playerId, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
+  // Last `limit` results of one player in matches matching `filter` (params after $1 and before the limit)
+  async queryPlayerForm(playerId, filter, params, limit) {
+    const result = await this.query(`
+      SELECT ${formResultSql('$1')} as result, m.play_date
       FROM matches m
-      WHERE m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?
+      WHERE (m.player1_id = $1 OR m.player2_id = $1 OR m.player3_id = $1 OR m.player4_id = $1)
+        ${filter}
       ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, limit])
+      LIMIT $${params.length + 2}
+    `, [playerId, ...params, limit])
+    return result.rows
+  }
+
+  async getPlayerForm(playerId, limit = 5) {
+    return this.queryPlayerForm(playerId, '', [], limit)
   }
 
   async getPlayerFormBySeason(playerId, seasonId, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE (m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?)
-        AND m.season_id = ?
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, seasonId, limit])
+    return this.queryPlayerForm(playerId, 'AND m.season_id = $2', [seasonId], limit)
   }
 
   async getPlayerFormByDate(playerId, date, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE (m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?)
-        AND m.play_date <= ?
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, date, limit])
+    return this.queryPlayerForm(playerId, 'AND m.play_date <= $2', [date], limit)
   }
 
   async getPlayerFormOnSpecificDate(playerId, date, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE (m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?)
-        AND DATE(m.play_date) = ?
-      ORDER BY m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, date, limit])
+    return this.queryPlayerForm(playerId, 'AND m.play_date = $2', [date], limit)
   }
 
-  async clearAllData() {
-    // Clear all tables in the correct order (respecting foreign key constraints)
-    await this.db.run('DELETE FROM matches')
-    await this.db.run('DELETE FROM seasons')
-    await this.db.run('DELETE FROM players')
-    
-    // Reset auto-increment counters
-    await this.db.run('DELETE FROM sqlite_sequence WHERE name IN ("players", "seasons", "matches")')
-    
-    console.log('🗑️ All data cleared from database')
+  async getPlayerFormBySpecificDate(playerId, date, limit = 5) {
+    return this.queryPlayerForm(playerId, 'AND m.play_date = $2', [date], limit)
   }
 
-  async close() {
-    if (this.db) {
-      await this.db.close()
+  /**
+   * Last `limit` results per player for many players in one query.
+   * `filter` is an extra AND condition on matches m using $3 onwards.
+   * Returns Map<playerId, formResults[]>
+   */
+  async queryPlayerFormsBatch(playerIds, filter, params, limit) {
+    if (!playerIds || playerIds.length === 0) {
+      return new Map()
     }
+    const result = await this.query(`
+      WITH player_matches AS (
+        SELECT
+          p.value as player_id,
+          ${formResultSql('p.value')} as result,
+          m.play_date,
+          ROW_NUMBER() OVER (
+            PARTITION BY p.value
+            ORDER BY m.play_date DESC, m.created_at DESC
+          ) as rn
+        FROM json_each($1) p
+        INNER JOIN matches m ON
+          (m.player1_id = p.value OR m.player2_id = p.value OR
+           m.player3_id = p.value OR m.player4_id = p.value)
+          ${filter}
+      )
+      SELECT player_id, result, play_date
+      FROM player_matches
+      WHERE rn <= $2
+      ORDER BY player_id, rn
+    `, [JSON.stringify(playerIds), limit, ...params])
+    return groupForms(playerIds, result.rows)
   }
 
-  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam) {
-    await this.db.run(`
-      UPDATE matches 
-      SET season_id = ?, play_date = ?, player1_id = ?, player2_id = ?, 
-          player3_id = ?, player4_id = ?, team1_score = ?, team2_score = ?, 
-          winning_team = ?
-      WHERE id = ?
-    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchId])
+  async getPlayerFormsInBatch(playerIds, limit = 5) {
+    return this.queryPlayerFormsBatch(playerIds, '', [], limit)
   }
 
-  async deleteMatch(matchId) {
-    await this.db.run('DELETE FROM matches WHERE id = ?', [matchId])
+  async getPlayerFormsBySeasonBatch(playerIds, seasonId, limit = 5) {
+    return this.queryPlayerFormsBatch(playerIds, 'AND m.season_id = $3', [seasonId], limit)
   }
 
-  async getMatchById(matchId) {
-    return await this.db.get(`
-      SELECT m.*, s.name as season_name,
-        p1.name as player1_name, p2.name as player2_name, 
-        p3.name as player3_name, p4.name as player4_name
-      FROM matches m
-      JOIN seasons s ON m.season_id = s.id
-      JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
-      JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
-      WHERE m.id = ?
-    `, [matchId])
+  async getPlayerFormsByDateBatch(playerIds, date, limit = 5) {
+    return this.queryPlayerFormsBatch(playerIds, 'AND m.play_date = $3', [date], limit)
+  }
+
+  // Rankings with each player's recent results as `form`
+  async withForms(rankings, loadForms) {
+    if (rankings.length === 0) return rankings
+    const formsMap = await loadForms(rankings.map(p => p.id))
+    return rankings.map(player => ({
+      ...player,
+      form: formsMap.get(player.id) || []
+    }))
+  }
+
+  async getPlayerStatsWithFormsByDate(date, formLimit = 5) {
+    return this.withForms(await this.getPlayerStatsBySpecificDate(date),
+      ids => this.getPlayerFormsByDateBatch(ids, date, formLimit))
+  }
+
+  async getPlayerStatsWithFormsLifetime(formLimit = 5) {
+    return this.withForms(await this.getPlayerStatsLifetime(),
+      ids => this.getPlayerFormsInBatch(ids, formLimit))
+  }
+
+  async getPlayerStatsWithFormsBySeason(seasonId, formLimit = 5) {
+    const rankings = await this.withForms(await this.getPlayerStatsBySeason(seasonId),
+      ids => this.getPlayerFormsBySeasonBatch(ids, seasonId, formLimit))
+    if (rankings.length === 0) return rankings
+
+    // Attendance over the dates announced for the season (lib/attendance.js)
+    const history = await this.getAttendanceHistory({ seasonId })
+    const attendance = summarizeAttendance(history.sessions, history.records)
+    return rankings.map(player => ({ ...player, attendance: attendanceOf(attendance, player.id) }))
+  }
+
+  // ==========================================
+  // Head-to-head and partnerships
+  // ==========================================
+
+  /**
+   * Matches where the two players were on opposite sides, from player A's point of view.
+   * filters: { seasonId, from, to } (dates inclusive, YYYY-MM-DD)
+   * Returns { summary, matches } with the most recent match first.
+   */
+  async getHeadToHead(playerAId, playerBId, filters = {}) {
+    const params = [playerAId, playerBId]
+    const result = await this.query(`
+      SELECT m.id, m.season_id, m.play_date,
+        COALESCE(m.match_type, 'duo') as match_type,
+        m.player1_id, m.player2_id, m.player3_id, m.player4_id,
+        m.team1_score, m.team2_score, m.winning_team, m.no_show_team,
+        m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
+        CASE WHEN $1 IN (m.player1_id, m.player2_id) THEN 1 ELSE 2 END as player_a_team,
+        s.name as season_name,
+        p1.name as player1_name, COALESCE(p2.name, '') as player2_name,
+        p3.name as player3_name, COALESCE(p4.name, '') as player4_name
+      ${MATCH_JOINS}
+      WHERE (($1 IN (m.player1_id, m.player2_id) AND $2 IN (m.player3_id, m.player4_id))
+          OR ($2 IN (m.player1_id, m.player2_id) AND $1 IN (m.player3_id, m.player4_id)))
+        ${matchFilterSql(filters, params)}
+      ORDER BY m.play_date DESC, m.created_at DESC
+    `, params)
+
+    const summary = { matches: 0, player_a_wins: 0, player_b_wins: 0, solo_matches: 0, duo_matches: 0,
+      player_a_sets: 0, player_b_sets: 0, player_a_games: 0, player_b_games: 0 }
+    for (const match of result.rows) {
+      const aWon = match.winning_team === match.player_a_team
+      summary.matches++
+      summary[aWon ? 'player_a_wins' : 'player_b_wins']++
+      summary[match.match_type === 'solo' ? 'solo_matches' : 'duo_matches']++
+      if (match.sets) {
+        const aIsTeam1 = match.player_a_team === 1
+        summary.player_a_sets += aIsTeam1 ? match.team1_sets : match.team2_sets
+        summary.player_b_sets += aIsTeam1 ? match.team2_sets : match.team1_sets
+        summary.player_a_games += aIsTeam1 ? match.team1_games : match.team2_games
+        summary.player_b_games += aIsTeam1 ? match.team2_games : match.team1_games
+      }
+    }
+    summary.player_a_win_percentage = summary.matches > 0
+      ? Math.round((summary.player_a_wins * 1000) / summary.matches) / 10
+      : 0
+
+    return { summary, matches: result.rows }
+  }
+
+  /**
+   * Record with each teammate across duo matches, best win rate first.
+   * filters: { seasonId, from, to } (dates inclusive, YYYY-MM-DD)
+   */
+  async getPartnerStats(playerId, filters = {}) {
+    const params = [playerId]
+    const result = await this.query(`
+      WITH partnerships AS (
+        SELECT
+          CASE
+            WHEN m.player1_id = $1 THEN m.player2_id
+            WHEN m.player2_id = $1 THEN m.player1_id
+            WHEN m.player3_id = $1 THEN m.player4_id
+            ELSE m.player3_id
+          END as partner_id,
+          CASE WHEN $1 IN (m.player1_id, m.player2_id) THEN 1 ELSE 2 END as team,
+          m.winning_team,
+          m.play_date
+        FROM matches m
+        WHERE COALESCE(m.match_type, 'duo') = 'duo'
+          AND $1 IN (m.player1_id, m.player2_id, m.player3_id, m.player4_id)
+          ${matchFilterSql(filters, params)}
+      )
+      SELECT
+        p.id as partner_id, p.name as partner_name,
+        COUNT(*) as matches,
+        SUM(CASE WHEN pt.team = pt.winning_team THEN 1 ELSE 0 END) as wins,
+        SUM(CASE WHEN pt.team != pt.winning_team THEN 1 ELSE 0 END) as losses,
+        ROUND(SUM(CASE WHEN pt.team = pt.winning_team THEN 1 ELSE 0 END) * 100.0 / COUNT(*), 1) as win_percentage,
+        MAX(pt.play_date) as last_played
+      FROM partnerships pt
+      JOIN players p ON p.id = pt.partner_id
+      GROUP BY p.id, p.name
+      ORDER BY win_percentage DESC, matches DESC, p.name ASC
+    `, params)
+    return result.rows
+  }
+
+  /**
+   * Career profile: lifetime and per-season stat lines, streaks, first/last
+   * play dates and a per-date points/rating timeline.
+   * Returns null if the player does not exist.
+   */
+  async getPlayerProfile(playerId) {
+    const player = await this.getPlayerById(playerId)
+    if (!player) return null
+
+    const statLine = `${RESULT_STATS_COLS},
+          CASE WHEN COUNT(mp.match_id) > 0
+               THEN ROUND(COUNT(CASE WHEN mp.team = mp.winning_team THEN 1 END) * 100.0 / COUNT(mp.match_id), 1)
+               ELSE 0 END as win_percentage`
+    const playerFilter = '$1 IN (m.player1_id, m.player2_id, m.player3_id, m.player4_id)'
+
+    const lifetimeResult = await this.query(`
+      WITH ${participantsCte(playerFilter)}
+      SELECT ${statLine},
+        CAST(ROUND(COALESCE((SELECT rating FROM player_ratings WHERE player_id = $1), ${DEFAULT_RATING})) AS INTEGER) as rating,
+        COALESCE((SELECT rated_matches FROM player_ratings WHERE player_id = $1), 0) as rated_matches
+      FROM match_participants mp
+      WHERE mp.player_id = $1
+    `, [playerId])
+    const seasonsResult = await this.query(`
+      WITH ${participantsCte(playerFilter)}
+      SELECT s.id as season_id, s.name as season_name, s.is_active, s.start_date,
+        ${statLine},
+        CAST(ROUND(COALESCE(psr.rating, ${DEFAULT_RATING})) AS INTEGER) as rating,
+        COALESCE(psr.rated_matches, 0) as rated_matches
+      FROM match_participants mp
+      JOIN seasons s ON s.id = mp.season_id
+      LEFT JOIN player_season_ratings psr ON psr.player_id = $1 AND psr.season_id = s.id
+      WHERE mp.player_id = $1
+      GROUP BY s.id
+      ORDER BY s.start_date DESC, s.id DESC
+    `, [playerId])
+    // Same order as the rating replay so rating_after lines up with the timeline
+    const matchesResult = await this.query(`
+      WITH ${participantsCte(playerFilter)}
+      SELECT mp.play_date,
+        CASE WHEN mp.team = mp.winning_team THEN 'win' ELSE 'loss' END as result,
+        ${MATCH_POINTS_SQL} as points,
+        h.rating_after
+      FROM match_participants mp
+      LEFT JOIN player_rating_history h ON h.match_id = mp.match_id AND h.player_id = $1
+      WHERE mp.player_id = $1
+      ORDER BY mp.play_date, mp.created_at, mp.match_id
+    `, [playerId])
+
+    const attendanceHistory = await this.getAttendanceHistory({ playerId })
+
+    const matches = matchesResult.rows
+    return {
+      player: { id: player.id, name: player.name, created_at: player.created_at },
+      lifetime: lifetimeResult.rows[0],
+      seasons: seasonsResult.rows,
+      streaks: computeStreaks(matches),
+      first_played: matches.length > 0 ? matches[0].play_date : null,
+      last_played: matches.length > 0 ? matches[matches.length - 1].play_date : null,
+      timeline: buildTimeline(matches),
+      attendance: profileAttendance(attendanceHistory, playerId)
+    }
+  }
+
+  // ==========================================
+  // User Account Management
+  // ==========================================
+
+  async getUsers() {
+    const result = await this.query(`
+      SELECT id, username, email, role, display_name, is_active,
+             created_at, updated_at, last_login, created_by, notes
+      FROM users
+      ORDER BY created_at DESC
+    `)
+    return result.rows
+  }
+
+  // Get users with password hash for backup purposes
+  async getUsersForBackup() {
+    const result = await this.query(`
+      SELECT id, username, email, password_hash, role, display_name, is_active,
+             created_at, updated_at, last_login, created_by, notes
+      FROM users
+      ORDER BY created_at DESC
+    `)
+    return result.rows
+  }
+
+  async getUserById(userId) {
+    const result = await this.query(`
+      SELECT id, username, email, role, display_name, is_active,
+             created_at, updated_at, last_login, created_by, notes
+      FROM users
+      WHERE id = $1
+    `, [userId])
+    return result.rows[0] || null
+  }
+
+  async getUserByUsername(username) {
+    const result = await this.query(`
+      SELECT id, username, email, password_hash, role, display_name, is_active,
+             created_at, updated_at, last_login, created_by, notes, token_version
+      FROM users
+      WHERE username = $1 AND is_active = 1
+    `, [username])
+    return result.rows[0] || null
+  }
+
+  async getUserByEmail(email) {
+    const result = await this.query(`
+      SELECT id, username, email, password_hash, role, display_name, is_active,
+             created_at, updated_at, last_login, created_by, notes
+      FROM users
+      WHERE email = $1 AND is_active = 1
+    `, [email])
+    return result.rows[0] || null
+  }
+
+  async createUser(username, email, passwordHash, role, displayName, createdBy, notes = null) {
+    const result = await this.query(`
+      INSERT INTO users (username, email, password_hash, role, display_name, created_by, notes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, username, email, role, display_name, is_active, created_at
+    `, [username, email, passwordHash, role, displayName, createdBy, notes])
+    return result.rows[0]
+  }
+
+  // Restore user from backup - uses existing password hash
+  async restoreUser(username, email, passwordHash, role, displayName, isActive, notes = null) {
+    const result = await this.query(`
+      INSERT INTO users (username, email, password_hash, role, display_name, is_active, created_by, notes)
+      VALUES ($1, $2, $3, $4, $5, $6, 'backup_restore', $7)
+      RETURNING id, username, email, role, display_name, is_active, created_at
+    `, [username, email, passwordHash, role, displayName, isActive !== false, notes])
+    return result.rows[0]
+  }
+
+  async updateUser(userId, updates) {
+    const { email, role, displayName, isActive, notes, bumpTokenVersion } = updates
+    const result = await this.query(`
+      UPDATE users
+      SET email = COALESCE($2, email),
+          role = COALESCE($3, role),
+          display_name = COALESCE($4, display_name),
+          is_active = COALESCE($5, is_active),
+          notes = COALESCE($6, notes),
+          updated_at = ${NOW_SQL}
+          ${bumpTokenVersion ? ', token_version = token_version + 1' : ''}
+      WHERE id = $1
+      RETURNING id, username, email, role, display_name, is_active, updated_at
+    `, [userId, email, role, displayName, isActive, notes])
+    return result.rows[0] || null
+  }
+
+  async updateUserPassword(userId, passwordHash) {
+    // Increment token_version to invalidate all existing tokens for this user
+    await this.query(`
+      UPDATE users SET password_hash = $2, token_version = token_version + 1, updated_at = ${NOW_SQL} WHERE id = $1
+    `, [userId, passwordHash])
+  }
+
+  /**
+   * Increment token_version to invalidate all existing JWTs for this user.
+   * @returns {number} The new token_version
+   */
+  async incrementTokenVersion(userId) {
+    const result = await this.query(`
+      UPDATE users SET token_version = token_version + 1 WHERE id = $1
+      RETURNING token_version
+    `, [userId])
+    return result.rows[0]?.token_version ?? 0
+  }
+
+  // null if the user no longer exists, so the auth middleware can revoke the token
+  async getTokenVersion(userId) {
+    const result = await this.query('SELECT token_version FROM users WHERE id = $1', [userId])
+    if (result.rows.length === 0) return null
+    return result.rows[0].token_version
+  }
+
+  async updateUserLastLogin(userId) {
+    await this.query(`UPDATE users SET last_login = ${NOW_SQL} WHERE id = $1`, [userId])
+  }
+
+  async deleteUser(userId) {
+    await this.query('DELETE FROM users WHERE id = $1', [userId])
+  }
+
+  async checkUsernameExists(username, excludeUserId = null) {
+    const query = excludeUserId
+      ? 'SELECT COUNT(*) as count FROM users WHERE username = $1 AND id != $2'
+      : 'SELECT COUNT(*) as count FROM users WHERE username = $1'
+    const params = excludeUserId ? [username, excludeUserId] : [username]
+    const result = await this.query(query, params)
+    return result.rows[0].count > 0
+  }
+
+  async checkEmailExists(email, excludeUserId = null) {
+    if (!email) return false
+    const query = excludeUserId
+      ? 'SELECT COUNT(*) as count FROM users WHERE email = $1 AND id != $2'
+      : 'SELECT COUNT(*) as count FROM users WHERE email = $1'
+    const params = excludeUserId ? [email, excludeUserId] : [email]
+    const result = await this.query(query, params)
+    return result.rows[0].count > 0
+  }
+
+  async clearAllData() {
+    await this.clearAllDataForRestore(null)
+    console.log('🗑️ All data cleared from SQLite database')
+  }
+
+  // Clear all data for restore (preserves specified user)
+  async clearAllDataForRestore(preserveUserId) {
+    await this.transaction(async (client) => {
+      // Trash entries refer to the rows being replaced
+      await client.query('DELETE FROM trash')
+      await client.query('DELETE FROM expenses')
+      await client.query('DELETE FROM attendance')
+      await client.query('DELETE FROM play_sessions')
+      await client.query('DELETE FROM tournament_matches')
+      await client.query('DELETE FROM tournament_entries')
+      await client.query('DELETE FROM tournaments')
+      await client.query('DELETE FROM season_fixtures')
+      await client.query('DELETE FROM calendar_tokens')
+      await client.query('DELETE FROM share_links')
+      await client.query('DELETE FROM match_submissions')
+      await client.query('DELETE FROM matches')
+      await client.query('DELETE FROM season_players')
+      await client.query('DELETE FROM seasons')
+      await client.query('DELETE FROM players')
+      if (preserveUserId) {
+        await client.query('DELETE FROM users WHERE id != $1', [preserveUserId])
+      }
+      await this.resetIdSequences(client)
+    })
+  }
+
+  async close() {
+    if (this.db) {
+      await this.enqueue(() => this.db.close())
+      this.db = null
+      this.isConnected = false
+    }
   }
 }
 
-export default TennisDatabase
+export default TennisDatabaseSQLite
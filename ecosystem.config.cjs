@@ -6,7 +6,10 @@
 //
 // Cluster notes:
 //   - Rate limiting is cluster-safe: each limiter uses Redis (rate-limit-redis-tennis:<name>)
-//   - SSE (/api/events) is cluster-safe: each worker subscribes to PostgreSQL LISTEN/NOTIFY
+//   - SSE (/api/events) is cluster-safe: each worker publishes its messages on the Redis
+//     channel tennis:events and relays the other workers' messages to its own clients
+//     (it also subscribes to PostgreSQL LISTEN/NOTIFY); /api/cache-stats sums the
+//     SSE connections of all workers
 //   - dataVersion is cluster-safe: first worker to handle invalidation writes the canonical
 //     version to Redis (version-lock); all others read it back, ensuring SSE clients on every
 //     worker receive the same version number
@@ -0,0 +1,94 @@
+// Attendance for play dates: players answer an announced date (available /
+// maybe / unavailable) and are checked in on the day. Playing a recorded
+// match that day counts as being there even without a check-in.
+// - attended: checked in or played
+// - no-show: said "available" but did not attend
+// Only announced dates before today count towards the stats.
+import { datePlayers } from './expense-split.js'
+
+export const AVAILABILITY = ['available', 'maybe', 'unavailable']
+
+const today = () => new Date().toISOString().split('T')[0]
+
+const emptyStats = (sessions) => ({ sessions, attended: 0, no_shows: 0, attendance_rate: 0 })
+
+/**
+ * Everyone expected on a date with their answer and whether they came.
+ * @param {Array<{ id, name }>} players - season roster or all active players
+ * @param {Array<{ player_id, name, availability, checked_in_at }>} attendance - rows of the date
+ * @param {Array} matches - getMatchesByPlayDate rows of the date
+ * @returns {{ players: Array<{ player_id, name, availability, checked_in, checked_in_at, played }>, counts }}
+ */
+export const buildRoster = (players, attendance, matches) => {
+  const played = datePlayers(matches)
+  const roster = new Map()
+  const entryOf = (playerId, name) => {
+    if (!roster.has(playerId)) {
+      roster.set(playerId, { player_id: playerId, name, availability: null, checked_in: false, checked_in_at: null, played: false })
+    }
+    return roster.get(playerId)
+  }
+
+  for (const player of players) entryOf(Number(player.id), player.name)
+  // Answers and check-ins of players outside the roster are still listed
+  for (const row of attendance) {
+    const entry = entryOf(Number(row.player_id), row.name)
+    entry.availability = row.availability || null
+    entry.checked_in = Boolean(row.checked_in_at)
+    entry.checked_in_at = row.checked_in_at || null
+  }
+  for (const [playerId, name] of played) entryOf(playerId, name).played = true
+
+  const list = [...roster.values()].sort((a, b) => String(a.name).localeCompare(String(b.name)))
+  const counts = { available: 0, maybe: 0, unavailable: 0, no_answer: 0, present: 0 }
+  for (const entry of list) {
+    counts[entry.availability || 'no_answer']++
+    if (entry.checked_in || entry.played) counts.present++
+  }
+  return { players: list, counts }
+}
+
+/**
+ * Attendance stats per player over the announced dates before `before`.
+ * @param {Array<{ play_date }>} sessions - announced dates in scope
+ * @param {Array<{ play_date, player_id, availability, checked_in, played }>} records
+ * @param {string} [before] - YYYY-MM-DD, defaults to today
+ * @returns {{ sessions: number, players: Map<number, { sessions, attended, no_shows, attendance_rate }> }}
+ */
+export const summarizeAttendance = (sessions, records, before = today()) => {
+  const pastDates = new Set(sessions.map(session => session.play_date).filter(date => date < before))
+  const players = new Map()
+
+  for (const record of records) {
+    if (!pastDates.has(record.play_date)) continue
+    const playerId = Number(record.player_id)
+    const stats = players.get(playerId) || emptyStats(pastDates.size)
+    if (Number(record.checked_in) || Number(record.played)) stats.attended++
+    else if (record.availability === 'available') stats.no_shows++
+    players.set(playerId, stats)
+  }
+  for (const stats of players.values()) {
+    stats.attendance_rate = stats.sessions > 0 ? Math.round(stats.attended * 1000 / stats.sessions) / 10 : 0
+  }
+  return { sessions: pastDates.size, players }
+}
+
+// A player's line of summarizeAttendance(), zeros if they never showed up or answered
+export const attendanceOf = (summary, playerId) =>
+  summary.players.get(Number(playerId)) || emptyStats(summary.sessions)
+
+/**
+ * One player's attendance for the profile: over all announced dates and per
+ * season (dates announced for a season), from getAttendanceHistory({ playerId }).
+ * @returns {{ sessions, attended, no_shows, attendance_rate, seasons: Array<{ season_id, ... }> }}
+ */
+export const profileAttendance = ({ sessions, records }, playerId, before = today()) => {
+  const seasonIds = [...new Set(sessions.map(session => session.season_id).filter(Boolean).map(Number))]
+  const seasons = seasonIds.map(seasonId => {
+    const inSeason = (row) => Number(row.season_id) === seasonId
+    const summary = summarizeAttendance(sessions.filter(inSeason), records.filter(inSeason), before)
+    return { season_id: seasonId, ...attendanceOf(summary, playerId) }
+  }).filter(season => season.sessions > 0)
+
+  return { ...attendanceOf(summarizeAttendance(sessions, records, before), playerId), seasons }
+}
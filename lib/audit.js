@@ -0,0 +1,48 @@
+// Append-only audit trail of match, player, season and user mutations.
+// Routes call the logger after a successful change with before/after snapshots
+// (the rows as returned by the database, null for creates/deletes).
+
+export const AUDIT_ENTITY_TYPES = ['match', 'player', 'season', 'user']
+
+// Credentials and session counters never go into the audit log
+const REDACTED_FIELDS = new Set(['password', 'password_hash', 'token_version'])
+
+/**
+ * Copy of a snapshot without credential fields; Dates become ISO strings
+ * so before/after compare the same way they are stored (JSONB).
+ */
+export const redactSnapshot = (snapshot) => {
+  if (snapshot === null || snapshot === undefined) return null
+  return JSON.parse(JSON.stringify(snapshot, (key, value) => REDACTED_FIELDS.has(key) ? undefined : value))
+}
+
+// The user from req.user; env-based admin/editor accounts have no id
+export const auditActor = (user) => ({
+  id: Number.isInteger(user?.id) ? user.id : null,
+  username: user?.username || 'unknown',
+  role: user?.role || null
+})
+
+/**
+ * Fields whose values differ between two snapshots, in first-seen order.
+ * A create (no before) or delete (no after) lists every field of the other side.
+ */
+export const changedFields = (before, after) => {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+  return keys.filter(key => JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after?.[key] ?? null))
+}
+
+/**
+ * Bind the audit writer to a database. The returned function never throws:
+ * the mutation it describes has already been committed, so a failed audit
+ * write is logged instead of turning a successful request into an error.
+ *
+ * @returns {(req, entry: { entityType, entityId, action, before?, after? }) => Promise<void>}
+ */
+export const createAuditLogger = (db) => async (req, { entityType, entityId, action, before = null, after = null }) => {
+  try {
+    await db.addAuditEntry(entityType, entityId, action, auditActor(req.user), redactSnapshot(before), redactSnapshot(after))
+  } catch (error) {
+    console.error(`❌ Failed to write audit entry (${entityType} ${entityId} ${action}):`, error.message)
+  }
+}
@@ -0,0 +1,132 @@
+// iCalendar (RFC 5545) feed of a player: the announced play dates they are
+// expected at and the league fixtures they still have to play. Calendar apps
+// subscribe to a secret URL (lib/secret-token.js).
+// - a play date with a start time is a timed event (local time, see
+//   X-WR-TIMEZONE); without one it is an all-day event
+// - open fixtures are listed on the play dates of their season, and as
+//   to-dos (VTODO) for the apps that show those
+
+// Play dates from a week back stay in the feed, so a late result can still be found
+export const CALENDAR_DAYS_BACK = 7
+// Length of a play date with a start but no end time
+export const DEFAULT_SESSION_HOURS = 2
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+// Content lines are at most 75 octets; longer ones continue after CRLF + space.
+// Splits between characters, never inside a multi-byte one
+const foldLine = (line) => {
+  const parts = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char)
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += bytes
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+const compactDate = (date) => date.replace(/-/g, '')
+
+const shiftDate = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+}
+
+const utcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+// Local date-time of `date` plus `minutes` after midnight (may roll into the next day)
+const localDateTime = (date, minutes) => {
+  const day = shiftDate(date, Math.floor(minutes / 1440))
+  const rest = minutes % 1440
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${compactDate(day)}T${pad(Math.floor(rest / 60))}${pad(rest % 60)}00`
+}
+
+const fixtureTitle = (fixture) => {
+  const side = (a, b) => [a, b].filter(Boolean).join(' / ')
+  return `${side(fixture.player1_name, fixture.player2_name)} vs ${side(fixture.player3_name, fixture.player4_name)}`
+}
+
+const sessionTiming = (session) => {
+  if (!session.start_time) {
+    return [`DTSTART;VALUE=DATE:${compactDate(session.play_date)}`, `DTEND;VALUE=DATE:${compactDate(shiftDate(session.play_date, 1))}`]
+  }
+  const start = minutesOf(session.start_time)
+  let end = session.end_time ? minutesOf(session.end_time) : start + DEFAULT_SESSION_HOURS * 60
+  if (end <= start) end += 1440
+  return [`DTSTART:${localDateTime(session.play_date, start)}`, `DTEND:${localDateTime(session.play_date, end)}`]
+}
+
+/**
+ * The calendar text, lines joined by CRLF.
+ * @param {Object} feed
+ * @param {string} feed.name - calendar name shown by the app
+ * @param {string} feed.timezone - IANA zone the local times are in
+ * @param {string} feed.host - makes the event UIDs unique
+ * @param {Array} feed.sessions - getPlaySessions() rows
+ * @param {Array} feed.fixtures - the player's open fixtures, with player and season names
+ * @param {Date} [feed.now]
+ * @returns {string}
+ */
+export const buildCalendar = ({ name, timezone, host, sessions, fixtures, now = new Date() }) => {
+  const stamp = `DTSTAMP:${utcStamp(now)}`
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tennis Ranking//Play dates//VI',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ]
+
+  for (const session of sessions) {
+    // A season's play date lists that season's open fixtures; an open date lists them all
+    const open = fixtures.filter(fixture => !session.season_id || fixture.season_id === session.season_id)
+    const description = [
+      session.note,
+      open.length > 0 ? `Trận vòng tròn chưa đánh:\n${open.map(fixture => `- ${fixtureTitle(fixture)}`).join('\n')}` : null
+    ].filter(Boolean).join('\n\n')
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:play-date-${session.play_date}@${host}`,
+      stamp,
+      ...sessionTiming(session),
+      `SUMMARY:${escapeText(`🎾 Đánh tennis${session.season_name ? ` · ${session.season_name}` : ''}`)}`
+    )
+    if (session.venue) lines.push(`LOCATION:${escapeText(session.venue)}`)
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`)
+    lines.push('END:VEVENT')
+  }
+
+  for (const fixture of fixtures) {
+    lines.push(
+      'BEGIN:VTODO',
+      `UID:fixture-${fixture.id}@${host}`,
+      stamp,
+      `SUMMARY:${escapeText(`${fixture.season_name} · vòng ${fixture.round}: ${fixtureTitle(fixture)}`)}`,
+      'STATUS:NEEDS-ACTION',
+      'END:VTODO'
+    )
+  }
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
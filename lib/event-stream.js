@@ -0,0 +1,198 @@
+// Server-Sent Events of GET /api/events (routes/system.js). Every message is
+// one JSON object with a type:
+// - version: the data version changed ({ version, reasons, covered }); covered
+//   means the typed messages around it already describe every change, so a
+//   client that applied them does not need to reload
+// - match.created / match.updated / match.deleted: the match row with its
+//   play date and season (and the previous ones for an update)
+// - rankings.changed: which rankings are stale ({ scope: ['daily:<date>',
+//   'season:<id>', 'lifetime'], ratingsFrom: '<date>' }, see rankingScope)
+// Messages have ids. A browser that reconnects sends the last one back as
+// Last-Event-ID and gets what it missed from a short buffer, or the current
+// version when the buffer no longer reaches back that far.
+// Under PM2 every worker has its own clients, buffer and ids: the messages a
+// worker sends are relayed through Redis (lib/redis-cache.js) and the other
+// workers send them on to their clients with ids of their own. A browser that
+// reconnects to another worker gets the current version.
+
+import { randomBytes } from 'crypto'
+
+export const REPLAY_BUFFER_SIZE = 100
+export const REPLAY_MAX_AGE_MS = 5 * 60 * 1000
+// Version bumps within this window go out as one version message
+export const VERSION_COALESCE_MS = 250
+// A match bump this close to a typed message counts as described by it
+export const COVER_MS = 1000
+
+// Version bump reasons (lib/redis-cache.js) that typed messages describe
+const TYPED_REASONS = new Set(['match'])
+
+/**
+ * One message in the SSE wire format.
+ * @param {{ id: string, type: string }} event - plus the type's fields
+ * @returns {string}
+ */
+export const formatEvent = ({ id, ...message }) => `id: ${id}\ndata: ${JSON.stringify(message)}\n\n`
+
+/**
+ * Fields of a match.* message.
+ * @param {Object} match - getMatchById() row
+ * @param {Object} [previous] - the row before an update
+ * @returns {{ match, date, seasonId, previous: { date, seasonId } | null }}
+ */
+export const matchEvent = (match, previous = null) => ({
+  match,
+  date: match.play_date,
+  seasonId: match.season_id,
+  previous: previous ? { date: previous.play_date, seasonId: previous.season_id } : null
+})
+
+/**
+ * Fields of a rankings.changed message: the rankings a set of matches count
+ * in (their play dates, their seasons and the lifetime table). Daily tables
+ * show the Elo rating as it stood that day, and ratings are replayed in
+ * order, so the daily tables from the earliest of the dates on are stale too.
+ * @param {Array<{ play_date, season_id }>} matches
+ * @returns {{ scope: string[], ratingsFrom: string }}
+ */
+export const rankingScope = (matches) => ({
+  scope: [...new Set([
+    ...matches.map(match => `daily:${match.play_date}`),
+    ...matches.map(match => `season:${match.season_id}`),
+    'lifetime'
+  ])],
+  ratingsFrom: matches.map(match => match.play_date).sort()[0]
+})
+
+/**
+ * Publish match changes: a typed message per match, then one rankings.changed
+ * for all of them. Nothing is sent for an empty list.
+ * @param {{ publish: Function }} eventStream
+ * @param {string} type - match.created / match.updated / match.deleted
+ * @param {Object[]} matches - getMatchById() rows
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - the match before an update
+ * @param {Function} [options.sanitize] - applied to each match message
+ */
+export const publishMatchChange = (eventStream, type, matches, { previous = null, sanitize = data => data } = {}) => {
+  if (matches.length === 0) return
+  for (const match of matches) eventStream.publish(type, sanitize(matchEvent(match, previous)))
+  eventStream.publish('rankings.changed', rankingScope(previous ? [...matches, previous] : matches))
+}
+
+/**
+ * Broadcaster for the connected SSE responses, with the replay buffer.
+ *
+ * @param {Object} [options]
+ * @param {Set} [options.clients] - open responses (server.js closes them on shutdown)
+ * @param {Function} [options.relay] - called with { type, ...fields } of every
+ *   message that started on this worker, to pass it to the others; must not throw
+ * @returns {{
+ *   publish: (type: string, data: Object) => Object,
+ *   versionChanged: (version: number, reason?: string) => void,
+ *   receive: (message: { type: string }) => void,
+ *   connect: (client, lastEventId: string | undefined, version: number) => void,
+ *   replay: (lastEventId: string) => Object[] | null,
+ *   clients: Set
+ * }}
+ */
+export const createEventStream = ({
+  clients = new Set(),
+  relay = null,
+  bufferSize = REPLAY_BUFFER_SIZE,
+  maxAgeMs = REPLAY_MAX_AGE_MS,
+  coalesceMs = VERSION_COALESCE_MS,
+  now = Date.now
+} = {}) => {
+  // Ids restart with the process; an id from before a restart (or from another
+  // worker, even one started in the same millisecond) cannot be replayed
+  const epoch = now().toString(36) + randomBytes(4).toString('hex')
+  let seq = 0
+  const buffer = []
+  let pendingVersion = null
+  let lastTypedAt = -Infinity
+
+  const write = (client, text) => {
+    try {
+      client.write(text)
+      if (typeof client.flush === 'function') client.flush()
+    } catch {
+      clients.delete(client)
+    }
+  }
+
+  const dropExpired = () => {
+    while (buffer.length > 0 && (buffer.length > bufferSize || now() - buffer[0].at > maxAgeMs)) buffer.shift()
+  }
+
+  const append = (type, data) => {
+    seq += 1
+    const event = { id: `${epoch}-${seq}`, type, ...data }
+    buffer.push({ seq, at: now(), event })
+    dropExpired()
+    const text = formatEvent(event)
+    for (const client of clients) write(client, text)
+    return event
+  }
+
+  // A typed message (match.*, rankings.changed), sent right away
+  const publish = (type, data) => {
+    lastTypedAt = now()
+    relay?.({ type, ...data })
+    return append(type, data)
+  }
+
+  // A message relayed from another worker: sent to the clients here only
+  const receive = ({ type, ...data }) => {
+    if (type !== 'version') lastTypedAt = now()
+    append(type, data)
+  }
+
+  const flushVersion = () => {
+    const { version, reasons, startedAt } = pendingVersion
+    pendingVersion = null
+    const covered = [...reasons].every(reason => TYPED_REASONS.has(reason)) && lastTypedAt >= startedAt - COVER_MS
+    const message = { version, reasons: [...reasons], covered }
+    relay?.({ type: 'version', ...message })
+    append('version', message)
+  }
+
+  // rankingsCache 'versionChange' listener. One change often bumps the
+  // version more than once (route + database trigger), so bumps are coalesced
+  const versionChanged = (version, reason = 'other') => {
+    if (!pendingVersion) {
+      pendingVersion = { reasons: new Set(), startedAt: now() }
+      const timer = setTimeout(flushVersion, coalesceMs)
+      timer.unref?.()
+    }
+    pendingVersion.version = version
+    pendingVersion.reasons.add(reason)
+  }
+
+  /**
+   * Messages after lastEventId, or null when they are no longer all buffered
+   * (or the id is from another process).
+   */
+  const replay = (lastEventId) => {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(String(lastEventId))
+    if (!match || match[1] !== epoch) return null
+    const after = Number(match[2])
+    dropExpired()
+    const oldest = buffer.length > 0 ? buffer[0].seq : seq + 1
+    if (after > seq || after < oldest - 1) return null
+    return buffer.filter(entry => entry.seq > after).map(entry => entry.event)
+  }
+
+  // Start a client: what it missed, or else the current version
+  const connect = (client, lastEventId, version) => {
+    const missed = lastEventId ? replay(lastEventId) : null
+    if (missed) {
+      for (const event of missed) write(client, formatEvent(event))
+    } else {
+      write(client, formatEvent({ id: `${epoch}-${seq}`, type: 'version', version, reasons: [], covered: false }))
+    }
+    clients.add(client)
+  }
+
+  return { publish, versionChanged, receive, connect, replay, clients }
+}
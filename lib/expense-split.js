@@ -0,0 +1,111 @@
+// Shared costs of a play date (court rental, balls): each expense is split
+// among the players who appear in that date's matches, by weight (default
+// 1, 0 leaves a player out). Shares are whole VND and add up to the amount.
+// Net balance per player = shares − what they paid up front as payer;
+// positive means they still owe.
+
+// Largest single expense (VND)
+export const MAX_EXPENSE_AMOUNT = 100000000
+export const MAX_EXPENSE_WEIGHT = 10
+
+/**
+ * Players of a date's matches (rows of getMatchesByPlayDate) by id, in id order.
+ * @returns {Map<number, string>} player id → name
+ */
+export const datePlayers = (matches) => {
+  const players = new Map()
+  for (const match of matches) {
+    for (const slot of [1, 2, 3, 4]) {
+      const id = match[`player${slot}_id`]
+      if (id) players.set(Number(id), match[`player${slot}_name`])
+    }
+  }
+  return new Map([...players].sort((a, b) => a[0] - b[0]))
+}
+
+/**
+ * Split an amount by weight with the largest-remainder method.
+ * Leftover VND go to the largest fractional parts (lowest id on ties).
+ * @param {number} amount - whole VND
+ * @param {number[]} playerIds
+ * @param {Record<string, number>|null} weights - player id → weight; missing ids weigh 1
+ * @returns {Array<{ player_id, weight, share }>} empty when every weight is 0
+ */
+export const splitExpense = (amount, playerIds, weights = null) => {
+  const entries = [...playerIds].sort((a, b) => a - b)
+    .map(id => ({ player_id: id, weight: Number(weights?.[id] ?? 1) }))
+    .filter(entry => entry.weight > 0)
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0)
+  if (totalWeight === 0) return []
+
+  const parts = entries.map(entry => {
+    const exact = amount * entry.weight / totalWeight
+    return { ...entry, share: Math.floor(exact), remainder: exact - Math.floor(exact) }
+  })
+  let leftover = amount - parts.reduce((sum, part) => sum + part.share, 0)
+  for (const part of [...parts].sort((a, b) => b.remainder - a.remainder || a.player_id - b.player_id)) {
+    if (leftover <= 0) break
+    part.share += 1
+    leftover -= 1
+  }
+  return parts.map(({ player_id, weight, share }) => ({ player_id, weight, share }))
+}
+
+/**
+ * Split every expense of one play date and total the result per player.
+ * Weights for players who did not play that date are ignored; an expense
+ * recorded before any match of the date is entered stays unallocated.
+ *
+ * @param {Array<{ id, amount, description, paid_by, paid_by_name, weights }>} expenses
+ * @param {Array} matches - getMatchesByPlayDate rows of the same date
+ * @returns {{ expenses, balances: Array<{ player_id, name, share, paid, net }>, totals: { amount, allocated, unallocated } }}
+ */
+export const planDateExpenses = (expenses, matches) => {
+  const players = datePlayers(matches)
+  const balances = new Map()
+  const balanceOf = (playerId, name) => {
+    if (!balances.has(playerId)) balances.set(playerId, { player_id: playerId, name, share: 0, paid: 0, net: 0 })
+    return balances.get(playerId)
+  }
+
+  const planned = expenses.map(expense => {
+    const amount = Number(expense.amount)
+    const shares = splitExpense(amount, [...players.keys()], expense.weights)
+      .map(share => ({ ...share, name: players.get(share.player_id) }))
+    for (const share of shares) balanceOf(share.player_id, share.name).share += share.share
+    const allocated = shares.reduce((sum, share) => sum + share.share, 0)
+    // Only what was actually split is credited, so an unallocated expense nets to zero
+    if (expense.paid_by && allocated > 0) balanceOf(Number(expense.paid_by), expense.paid_by_name).paid += allocated
+    return { ...expense, amount, shares, unallocated: amount - allocated }
+  })
+
+  const result = [...balances.values()].map(balance => ({ ...balance, net: balance.share - balance.paid }))
+  const amount = planned.reduce((sum, expense) => sum + expense.amount, 0)
+  const unallocated = planned.reduce((sum, expense) => sum + expense.unallocated, 0)
+  return {
+    expenses: planned,
+    balances: sortBalances(result),
+    totals: { amount, allocated: amount - unallocated, unallocated }
+  }
+}
+
+// Who owes the most first, then by name
+const sortBalances = (balances) => balances.sort((a, b) => b.net - a.net || String(a.name).localeCompare(String(b.name)))
+
+/**
+ * Add up the per-date balances of planDateExpenses() into one line per player.
+ */
+export const mergeExpenseBalances = (dateBalances) => {
+  const merged = new Map()
+  for (const balances of dateBalances) {
+    for (const balance of balances) {
+      const entry = merged.get(balance.player_id) || { player_id: balance.player_id, name: balance.name, share: 0, paid: 0, net: 0 }
+      entry.name = entry.name || balance.name
+      entry.share += balance.share
+      entry.paid += balance.paid
+      entry.net += balance.net
+      merged.set(balance.player_id, entry)
+    }
+  }
+  return sortBalances([...merged.values()])
+}
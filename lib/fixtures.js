@@ -0,0 +1,128 @@
+// League fixtures of a season (migrations/postgresql/012-season-fixtures.sql):
+// everyone plays everyone, one player per side in solo, fixed pairs in duo.
+// Fixtures are stored when generated; which of them have been played is
+// worked out from the season's recorded matches on every read, so editing or
+// deleting a match is reflected as well.
+
+export const MIN_FIXTURE_ENTRIES = 2
+export const MAX_FIXTURE_ENTRIES = 32
+export const MAX_LEGS = 2
+
+/**
+ * Rounds of the circle method: the first item stays put and the others
+ * rotate one place per round. With an odd count one item sits out each round.
+ * @param {Array} items
+ * @returns {Array<Array<[any, any]>>} the pairings of each round
+ */
+export const circleRounds = (items) => {
+  const lineup = items.length % 2 === 0 ? [...items] : [...items, null]
+  const rounds = []
+  for (let round = 1; round < lineup.length; round++) {
+    const pairs = []
+    for (let i = 0; i < lineup.length / 2; i++) {
+      const [a, b] = [lineup[i], lineup[lineup.length - 1 - i]]
+      if (a !== null && b !== null) pairs.push([a, b])
+    }
+    rounds.push(pairs)
+    lineup.splice(1, 0, lineup.pop())
+  }
+  return rounds
+}
+
+/**
+ * Round-robin fixtures between entries. A second leg plays every pairing
+ * again with the sides swapped, in rounds numbered after the first leg.
+ * @param {Array<{ player1_id, player2_id }>} entries - player2_id is null in solo
+ * @param {{ legs?: number }} [options]
+ * @returns {Array<{ round, position, player1_id, player2_id, player3_id, player4_id }>}
+ *   sides laid out like a match: players 1/2 against players 3/4
+ */
+export const generateFixtures = (entries, { legs = 1 } = {}) => {
+  const rounds = circleRounds(entries)
+  const fixtures = []
+  for (let leg = 0; leg < legs; leg++) {
+    rounds.forEach((pairs, index) => {
+      pairs.forEach(([a, b], position) => {
+        const [side1, side2] = leg === 0 ? [a, b] : [b, a]
+        fixtures.push({
+          round: leg * rounds.length + index + 1,
+          position: position + 1,
+          player1_id: side1.player1_id,
+          player2_id: side1.player2_id ?? null,
+          player3_id: side2.player1_id,
+          player4_id: side2.player2_id ?? null
+        })
+      })
+    })
+  }
+  return fixtures
+}
+
+const teamKey = (...ids) => ids.filter(Boolean).map(Number).sort((a, b) => a - b).join('-')
+const pairingKey = (team1, team2) => [team1, team2].sort().join('|')
+
+/**
+ * Mark the fixtures that have been played. Oldest first, each recorded match
+ * plays the first open fixture between the same two sides (in either order);
+ * a match counts for one fixture only, so a second leg needs a second match.
+ * @param {Array} fixtures - stored fixtures, in round order
+ * @param {Array} matches - the season's matches
+ * @returns {Array} the fixtures with played, match_id, play_date and
+ *   winning_side (1 = players 1/2 of the fixture) filled in
+ */
+export const trackFixtures = (fixtures, matches) => {
+  const open = new Map()
+  const tracked = fixtures.map(fixture => {
+    const row = { ...fixture, played: false, match_id: null, play_date: null, winning_side: null }
+    const key = pairingKey(teamKey(fixture.player1_id, fixture.player2_id), teamKey(fixture.player3_id, fixture.player4_id))
+    if (!open.has(key)) open.set(key, [])
+    open.get(key).push(row)
+    return row
+  })
+
+  const oldestFirst = [...matches].sort((a, b) =>
+    String(a.play_date).localeCompare(String(b.play_date)) || Number(a.id) - Number(b.id))
+  for (const match of oldestFirst) {
+    const team1 = teamKey(match.player1_id, match.player2_id)
+    const fixture = open.get(pairingKey(team1, teamKey(match.player3_id, match.player4_id)))?.shift()
+    if (!fixture) continue
+    const winningTeam = Number(match.winning_team)
+    const sameSides = team1 === teamKey(fixture.player1_id, fixture.player2_id)
+    Object.assign(fixture, {
+      played: true,
+      match_id: match.id,
+      play_date: match.play_date,
+      winning_side: winningTeam === 1 || winningTeam === 2 ? ((winningTeam === 1) === sameSides ? 1 : 2) : null
+    })
+  }
+  return tracked
+}
+
+/**
+ * Played, won and remaining fixtures of every entry.
+ * @param {Array} tracked - trackFixtures() output
+ * @returns {Array<{ player1_id, player2_id, played, wins, losses, remaining }>}
+ */
+export const fixtureProgress = (tracked) => {
+  const entries = new Map()
+  const entryOf = (player1Id, player2Id) => {
+    const key = teamKey(player1Id, player2Id)
+    if (!entries.has(key)) {
+      entries.set(key, { player1_id: player1Id, player2_id: player2Id ?? null, played: 0, wins: 0, losses: 0, remaining: 0 })
+    }
+    return entries.get(key)
+  }
+  for (const fixture of tracked) {
+    const sides = [entryOf(fixture.player1_id, fixture.player2_id), entryOf(fixture.player3_id, fixture.player4_id)]
+    sides.forEach((entry, index) => {
+      if (!fixture.played) {
+        entry.remaining++
+        return
+      }
+      entry.played++
+      if (fixture.winning_side === index + 1) entry.wins++
+      else if (fixture.winning_side) entry.losses++
+    })
+  }
+  return [...entries.values()]
+}
@@ -0,0 +1,45 @@
+// Money ledger: what each player has paid against the money_lost of a season.
+// - payment: money handed over (positive amount)
+// - adjustment: a correction to what is owed, e.g. a waived debt (negative)
+//   or a fee added by hand (positive)
+// The ranking queries compute money_outstanding in SQL with the same formula
+// as outstandingBalance() — keep them in sync.
+
+export const LEDGER_KINDS = ['payment', 'adjustment']
+
+// Largest single entry (VND); guards against typing extra zeros
+export const MAX_LEDGER_AMOUNT = 100000000
+
+// What the player still owes; negative when they paid in advance
+export const outstandingBalance = ({ money_lost = 0, adjustments = 0, paid = 0 }) =>
+  Number(money_lost) + Number(adjustments) - Number(paid)
+
+/**
+ * Balance rows of a season with owed/outstanding filled in, largest debt
+ * first, plus totals for the season.
+ * @param {Array<{ player_id, name, money_lost, adjustments, paid }>} rows
+ * @returns {{ balances: Array, totals: { owed, paid, outstanding } }}
+ */
+export const summarizeBalances = (rows) => {
+  const balances = rows.map(row => {
+    const moneyLost = Number(row.money_lost || 0)
+    const adjustments = Number(row.adjustments || 0)
+    const paid = Number(row.paid || 0)
+    return {
+      ...row,
+      money_lost: moneyLost,
+      adjustments,
+      paid,
+      owed: moneyLost + adjustments,
+      outstanding: outstandingBalance({ money_lost: moneyLost, adjustments, paid })
+    }
+  }).sort((a, b) => b.outstanding - a.outstanding || a.name.localeCompare(b.name))
+
+  const totals = { owed: 0, paid: 0, outstanding: 0 }
+  for (const balance of balances) {
+    totals.owed += balance.owed
+    totals.paid += balance.paid
+    totals.outstanding += balance.outstanding
+  }
+  return { balances, totals }
+}
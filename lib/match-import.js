@@ -0,0 +1,238 @@
+// Match import from spreadsheet rows in the Excel export layout
+// (MATCHES_FULL_COLUMNS in utils/excel-helper.js). Rows are matched to
+// players and seasons by name and checked like a new match; the resulting
+// plan is shown as a dry-run preview and then imported as-is.
+import { parseSets, parseSetsText, legacyScore, TennisScoreError } from './tennis-score.js'
+
+// Columns read from the file; IDs, set/game totals and created_at are re-derived
+export const IMPORT_FIELDS = [
+  'season_name', 'play_date', 'player1_name', 'player2_name', 'player3_name', 'player4_name',
+  'team1_score', 'team2_score', 'set_scores', 'winning_team'
+]
+const REQUIRED_FIELDS = ['season_name', 'play_date', 'player1_name', 'player3_name']
+
+// Names match regardless of case, spacing and Unicode composition (Vietnamese diacritics)
+export const normalizeName = (name) => String(name ?? '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase()
+
+const cellText = (value) => value === null || value === undefined ? '' : String(value).trim()
+
+/**
+ * Find the import fields in the header row by column header ("Mùa giải")
+ * or key ("season_name").
+ * @param {Array} headerRow - first row of the file
+ * @param {Array<{ header, key }>} columns - column definitions of the export
+ * @returns {{ index: Record<string, number>, missing: string[] }} column index per field
+ */
+export const mapImportHeader = (headerRow, columns) => {
+  const index = {}
+  headerRow.forEach((cell, i) => {
+    const text = normalizeName(cell)
+    const column = columns.find(col => normalizeName(col.header) === text || col.key === text)
+    if (column && IMPORT_FIELDS.includes(column.key) && index[column.key] === undefined) {
+      index[column.key] = i
+    }
+  })
+  const missing = REQUIRED_FIELDS.filter(key => index[key] === undefined)
+  const hasScores = index.set_scores !== undefined || (index.team1_score !== undefined && index.team2_score !== undefined)
+  if (!hasScores) missing.push('team1_score/team2_score or set_scores')
+  return { index, missing }
+}
+
+/**
+ * Turn spreadsheet rows into import records, skipping blank rows.
+ * Row numbers are 1-based as shown in Excel (the header is row 1).
+ */
+export const readImportRecords = (rows, index) => rows.slice(1).map((cells, i) => ({
+  row: i + 2,
+  values: Object.fromEntries(Object.entries(index).map(([key, column]) => [key, cells[column] ?? null]))
+})).filter(record => Object.values(record.values).some(value => cellText(value) !== ''))
+
+/**
+ * A play date as YYYY-MM-DD from an ISO date, a day-first date (01/05/2024)
+ * or an Excel date serial number; null when it is not a real date.
+ */
+export const parseImportDate = (value) => {
+  let year, month, day
+  if (typeof value === 'number') {
+    // Excel serials count days from 1899-12-30
+    const date = new Date(Math.round((value - 25569) * 86400000))
+    if (!Number.isFinite(date.getTime()) || value < 1) return null
+    return date.toISOString().slice(0, 10)
+  }
+  const text = cellText(value)
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/)
+  if (match) {
+    [, year, month, day] = match
+  } else {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/)
+    if (!match) return null
+    ;[, day, month, year] = match
+  }
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null
+  }
+  return date.toISOString().slice(0, 10)
+}
+
+// Non-negative whole number from a cell, or null
+const parseCount = (value) => {
+  const text = cellText(value)
+  return /^\d+$/.test(text) ? parseInt(text) : null
+}
+
+// "1", 1, "Đội 1", "Team 2" → 1 / 2; empty → null; anything else → NaN
+const parseWinningTeam = (value) => {
+  const text = cellText(value)
+  if (!text) return null
+  const match = text.match(/^(?:(?:đội|doi|team)\s*)?([12])$/i)
+  return match ? parseInt(match[1]) : NaN
+}
+
+// Same players and score on the same day of a season, whichever side is listed first
+export const matchKey = (seasonKey, playDate, names, team1Score, team2Score) => {
+  const team = (a, b) => [a, b].filter(Boolean).map(normalizeName).sort().join('+')
+  const sides = [
+    { team: team(names[0], names[1]), score: team1Score },
+    { team: team(names[2], names[3]), score: team2Score }
+  ].sort((a, b) => a.team.localeCompare(b.team))
+  return `${seasonKey}|${playDate}|${sides[0].team}:${sides[0].score}|${sides[1].team}:${sides[1].score}`
+}
+
+/**
+ * Resolve the score of one row: a set-by-set score decides the result,
+ * otherwise the team scores and winner columns are used (winner defaults
+ * to the higher score).
+ */
+const resolveRowScore = (values) => {
+  const winner = parseWinningTeam(values.winning_team)
+  if (Number.isNaN(winner)) return { error: `Invalid winning team "${cellText(values.winning_team)}"` }
+
+  const setText = cellText(values.set_scores)
+  if (setText) {
+    let score
+    try {
+      score = parseSets(parseSetsText(setText))
+    } catch (error) {
+      if (error instanceof TennisScoreError) return { error: error.message }
+      throw error
+    }
+    if (winner && winner !== score.winningTeam) return { error: 'Winning team does not match the set score' }
+    return { score, ...legacyScore(score), winningTeam: score.winningTeam }
+  }
+
+  const team1Score = parseCount(values.team1_score)
+  const team2Score = parseCount(values.team2_score)
+  if (team1Score === null || team2Score === null) return { error: 'Team scores or a set score are required' }
+  if (winner) return { score: null, team1Score, team2Score, winningTeam: winner }
+  if (team1Score === team2Score) return { error: 'Tied score without a winning team' }
+  return { score: null, team1Score, team2Score, winningTeam: team1Score > team2Score ? 1 : 2 }
+}
+
+/**
+ * Check every row against the current players, seasons and matches.
+ *
+ * Unknown player and season names are errors unless createMissing is set,
+ * in which case they are listed for creation (a new season spans the dates
+ * of its rows). Rows identical to an existing match, or to an earlier row
+ * of the file, are flagged as duplicates and not imported.
+ *
+ * @param {Array<{ row: number, values: object }>} records - rows by IMPORT_FIELDS key
+ * @param {{ players, seasons, matches }} current - database rows (matches with names)
+ * @returns {{ rows, unknownPlayers, unknownSeasons, summary: { total, ok, duplicate, error } }}
+ *   rows[].match holds the values to insert for rows with status 'ok'
+ */
+export const planMatchImport = (records, { players, seasons, matches }, { createMissing = false } = {}) => {
+  const playersByName = new Map(players.map(player => [normalizeName(player.name), player]))
+  const seasonsByName = new Map()
+  for (const season of seasons) {
+    const key = normalizeName(season.name)
+    seasonsByName.set(key, [...(seasonsByName.get(key) || []), season])
+  }
+  const seen = new Set(matches.map(match => matchKey(
+    `id:${match.season_id}`, match.play_date,
+    [match.player1_name, match.player2_name, match.player3_name, match.player4_name],
+    match.team1_score, match.team2_score
+  )))
+  const unknownPlayers = new Map()
+  const unknownSeasons = new Map()
+
+  const rows = records.map(({ row, values }) => {
+    const errors = []
+
+    // Season: existing (by id) or new (by name)
+    const seasonName = cellText(values.season_name).replace(/\s+/g, ' ')
+    let season = null
+    if (!seasonName) {
+      errors.push('Season name is missing')
+    } else {
+      const found = seasonsByName.get(normalizeName(seasonName)) || []
+      if (found.length > 1) errors.push(`Season name "${seasonName}" is not unique`)
+      else if (found.length === 1) season = { id: found[0].id, name: found[0].name, key: `id:${found[0].id}` }
+      else {
+        season = { id: null, name: seasonName, key: `new:${normalizeName(seasonName)}` }
+        if (!createMissing) errors.push(`Unknown season "${seasonName}"`)
+      }
+    }
+
+    const playDate = parseImportDate(values.play_date)
+    if (!playDate) errors.push(`Invalid play date "${cellText(values.play_date)}"`)
+
+    // Players: solo when both partners are empty
+    const names = ['player1_name', 'player2_name', 'player3_name', 'player4_name'].map(key => cellText(values[key]).replace(/\s+/g, ' '))
+    const matchType = names[1] || names[3] ? 'duo' : 'solo'
+    const required = matchType === 'duo' ? names : [names[0], names[2]]
+    if (required.some(name => !name)) {
+      errors.push(matchType === 'duo' ? 'Doubles matches need four players' : 'Player 1 and player 3 are required')
+    } else if (new Set(required.map(normalizeName)).size !== required.length) {
+      errors.push('Players must be different')
+    }
+    const resolvedNames = names.map(name => {
+      if (!name) return null
+      const player = playersByName.get(normalizeName(name))
+      if (player) return player.name
+      if (!unknownPlayers.has(normalizeName(name))) unknownPlayers.set(normalizeName(name), name)
+      if (!createMissing) errors.push(`Unknown player "${name}"`)
+      return unknownPlayers.get(normalizeName(name))
+    })
+
+    const score = resolveRowScore(values)
+    if (score.error) errors.push(score.error)
+
+    if (season && !season.id && playDate) {
+      const entry = unknownSeasons.get(season.key) || { name: season.name, startDate: playDate, endDate: playDate }
+      if (playDate < entry.startDate) entry.startDate = playDate
+      if (playDate > entry.endDate) entry.endDate = playDate
+      unknownSeasons.set(season.key, entry)
+    }
+
+    const match = {
+      seasonId: season?.id ?? null,
+      seasonName: season?.name ?? seasonName,
+      playDate,
+      player1Name: resolvedNames[0],
+      player2Name: resolvedNames[1],
+      player3Name: resolvedNames[2],
+      player4Name: resolvedNames[3],
+      team1Score: score.team1Score ?? null,
+      team2Score: score.team2Score ?? null,
+      winningTeam: score.winningTeam ?? null,
+      matchType,
+      score: score.score ?? null
+    }
+    if (errors.length > 0) return { row, status: 'error', errors, match }
+
+    const key = matchKey(season.key, playDate, resolvedNames, match.team1Score, match.team2Score)
+    if (seen.has(key)) return { row, status: 'duplicate', errors: [], match }
+    seen.add(key)
+    return { row, status: 'ok', errors: [], match }
+  })
+
+  const count = (status) => rows.filter(row => row.status === status).length
+  return {
+    rows,
+    unknownPlayers: [...unknownPlayers.values()],
+    unknownSeasons: [...unknownSeasons.values()],
+    summary: { total: rows.length, ok: count('ok'), duplicate: count('duplicate'), error: count('error') }
+  }
+}
@@ -0,0 +1,68 @@
+// Idempotent match submissions (migrations/postgresql/016-match-submissions.sql).
+// The browser keeps matches recorded without a connection in an outbox
+// (src/outbox.js) and sends each of them with an Idempotency-Key header, the
+// same key on every try. POST /api/matches claims the key before adding the
+// match, so a try whose answer was lost answers with the match already
+// recorded instead of adding it again. The key is bound to the submission it
+// was first used for (submissionFingerprint): the same key with another
+// match or from another user is refused.
+// A replayed submission can also ask for checkDuplicate: a match with the
+// same season, day, players and score that is already recorded (someone else
+// entered it meanwhile) is then answered as a conflict for the user to settle.
+
+import { createHash } from 'crypto'
+import { matchKey } from './match-import.js'
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key'
+// crypto.randomUUID() keys, or anything else URL-safe of a sensible length
+export const SUBMISSION_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/
+// Keys are remembered this long; the outbox gives up on entries long before
+export const MATCH_SUBMISSION_DAYS = 30
+// A claim this old without a match is left over from a request that failed
+// half-way, and can be taken again
+export const STALE_CLAIM_SECONDS = 120
+
+const idOrNull = (value) => (value === undefined || value === null || value === '' ? null : Number(value))
+
+/**
+ * SHA-256 of what a POST /api/matches body records, and who sends it.
+ * checkDuplicate is left out: a replay may turn it on or off.
+ * @param {Object} payload - request body
+ * @param {string|null} username
+ * @returns {string} hex digest
+ */
+export const submissionFingerprint = (payload, username) => createHash('sha256').update(JSON.stringify([
+  username || null,
+  idOrNull(payload.seasonId),
+  payload.playDate ?? null,
+  payload.matchType || 'duo',
+  ...['player1Id', 'player2Id', 'player3Id', 'player4Id'].map(field => idOrNull(payload[field])),
+  payload.sets ?? null,
+  ...['team1Score', 'team2Score', 'winningTeam', 'noShowTeam', 'tournamentMatchId'].map(field => idOrNull(payload[field]))
+])).digest('hex')
+
+/**
+ * Same-match key of a submission or a match row (see matchKey), by player id.
+ * @param {{ seasonId, playDate, playerIds: Array<number|null>, team1Score, team2Score }} match
+ * @returns {string}
+ */
+export const sameMatchKey = ({ seasonId, playDate, playerIds, team1Score, team2Score }) => matchKey(
+  `id:${seasonId}`, playDate, playerIds.map(id => (id ? String(id) : '')), team1Score, team2Score
+)
+
+/**
+ * The recorded match that a submission repeats, if any.
+ * @param {Object[]} matches - getMatchesByPlayDate() rows
+ * @param {Object} submission - { seasonId, playDate, playerIds, team1Score, team2Score }
+ * @returns {Object|null}
+ */
+export const findDuplicateMatch = (matches, submission) => {
+  const key = sameMatchKey(submission)
+  return matches.find(match => sameMatchKey({
+    seasonId: match.season_id,
+    playDate: match.play_date,
+    playerIds: [match.player1_id, match.player2_id, match.player3_id, match.player4_id],
+    team1Score: match.team1_score,
+    team2Score: match.team2_score
+  }) === key) || null
+}
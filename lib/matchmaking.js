@@ -0,0 +1,133 @@
+// Balanced doubles teams for the players present on an evening.
+// Every round puts four players on each court and splits them into two teams
+// whose average strength (season skill rating or win percentage) is as even
+// as possible. Partners who already played together that day, in recorded
+// matches or in an earlier suggested round, cost a penalty so pairs rotate.
+// Players who do not fit on a court sit out in turn, those who played the
+// most that day first.
+import { expectedScore } from './skill-rating.js'
+
+export const STRENGTHS = ['rating', 'win_percentage']
+export const MAX_COURTS = 3
+
+// What a repeated partner costs, in the strength's own unit
+export const REPEAT_PENALTY = { rating: 100, win_percentage: 15 }
+
+const pairKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`
+
+const round1 = (value) => Math.round(value * 10) / 10
+
+/**
+ * Partners and match counts of the day's recorded matches.
+ * @param {Array} matches - getMatchesByPlayDate rows
+ * @returns {{ partners: Map<string, number>, played: Map<number, number> }}
+ */
+export const dayHistory = (matches) => {
+  const partners = new Map()
+  const played = new Map()
+  for (const match of matches) {
+    for (const [a, b] of [[match.player1_id, match.player2_id], [match.player3_id, match.player4_id]]) {
+      for (const id of [a, b]) {
+        if (id) played.set(Number(id), (played.get(Number(id)) || 0) + 1)
+      }
+      if (a && b) {
+        const key = pairKey(Number(a), Number(b))
+        partners.set(key, (partners.get(key) || 0) + 1)
+      }
+    }
+  }
+  return { partners, played }
+}
+
+// The best of the three ways to split four players into two teams
+const bestSplit = (group, partners, penalty) => {
+  const [a, b, c, d] = group
+  let best = null
+  for (const [team1, team2] of [[[a, b], [c, d]], [[a, c], [b, d]], [[a, d], [b, c]]]) {
+    const strength1 = (team1[0].strength + team1[1].strength) / 2
+    const strength2 = (team2[0].strength + team2[1].strength) / 2
+    const repeats = (partners.get(pairKey(team1[0].id, team1[1].id)) || 0) +
+      (partners.get(pairKey(team2[0].id, team2[1].id)) || 0)
+    const cost = Math.abs(strength1 - strength2) + repeats * penalty
+    if (!best || cost < best.cost) best = { team1, team2, strength1, strength2, repeats, cost }
+  }
+  return best
+}
+
+// Cheapest way to put the players on courts of four (first found on ties)
+const bestCourts = (players, partners, penalty) => {
+  if (players.length === 0) return { cost: 0, courts: [] }
+  const [first, ...rest] = players
+  let best = null
+  for (let i = 0; i < rest.length; i++) {
+    for (let j = i + 1; j < rest.length; j++) {
+      for (let k = j + 1; k < rest.length; k++) {
+        const split = bestSplit([first, rest[i], rest[j], rest[k]], partners, penalty)
+        if (best && split.cost >= best.cost) continue
+        const others = rest.filter((_, index) => index !== i && index !== j && index !== k)
+        const remaining = bestCourts(others, partners, penalty)
+        const cost = split.cost + remaining.cost
+        if (!best || cost < best.cost) best = { cost, courts: [split, ...remaining.courts] }
+      }
+    }
+  }
+  return best
+}
+
+/**
+ * Suggested rounds of doubles for the players present.
+ * @param {Array<{ id, name, strength }>} players - at least four
+ * @param {Object} [options]
+ * @param {number} [options.rounds=1]
+ * @param {number} [options.courts] - courts available, at most MAX_COURTS
+ * @param {string} [options.strength='rating'] - one of STRENGTHS, picks the repeat penalty
+ * @param {Array} [options.matches] - getMatchesByPlayDate rows of the day
+ * @returns {{ rounds: Array<{ round, courts: Array, sitting_out: Array }>, repeated_partners: number }}
+ */
+export const suggestTeams = (players, { rounds = 1, courts, strength = 'rating', matches = [] } = {}) => {
+  if (players.length < 4) throw new Error('At least 4 players are needed for doubles')
+  const courtCount = Math.min(Math.floor(players.length / 4), courts || MAX_COURTS, MAX_COURTS)
+  const penalty = REPEAT_PENALTY[strength] ?? REPEAT_PENALTY.rating
+  const { partners, played } = dayHistory(matches)
+
+  // Sit-out order: most matches today first, then as given
+  const queue = players
+    .map((player, index) => ({ player, index, played: played.get(Number(player.id)) || 0 }))
+    .sort((a, b) => b.played - a.played || a.index - b.index)
+    .map(entry => entry.player)
+  const sitCount = players.length - courtCount * 4
+  let next = 0
+
+  const result = []
+  let repeatedPartners = 0
+  for (let round = 1; round <= rounds; round++) {
+    const sitting = new Set()
+    for (let i = 0; i < sitCount; i++) sitting.add(queue[(next + i) % queue.length])
+    next = (next + sitCount) % queue.length
+
+    const onCourt = players.filter(player => !sitting.has(player))
+    const { courts: split } = bestCourts(onCourt, partners, penalty)
+    result.push({
+      round,
+      courts: split.map((court, index) => {
+        repeatedPartners += court.repeats
+        for (const team of [court.team1, court.team2]) {
+          const key = pairKey(team[0].id, team[1].id)
+          partners.set(key, (partners.get(key) || 0) + 1)
+        }
+        return {
+          court: index + 1,
+          team1: court.team1,
+          team2: court.team2,
+          team1_strength: round1(court.strength1),
+          team2_strength: round1(court.strength2),
+          difference: round1(Math.abs(court.strength1 - court.strength2)),
+          team1_win_chance: strength === 'rating' ? round1(expectedScore(court.strength1, court.strength2) * 100) : null,
+          repeated_partners: court.repeats
+        }
+      }),
+      sitting_out: [...sitting]
+    })
+  }
+  return { rounds: result, repeated_partners: repeatedPartners }
+}
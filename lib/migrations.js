@@ -0,0 +1,159 @@
+// Versioned schema migrations. Each backend has its own directory
+// (migrations/postgresql, migrations/sqlite) of NNN-name.sql or NNN-name.js
+// files, applied in version order and recorded in schema_migrations with a
+// checksum of the file. A .js migration exports `up(client)` for changes
+// that need logic (e.g. inspecting an older SQLite layout).
+import { createHash } from 'crypto'
+import { readdir, readFile } from 'fs/promises'
+import { dirname, join } from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+export const MIGRATIONS_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', 'migrations')
+
+const FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.(sql|js)$/
+
+// Valid on both PostgreSQL and SQLite
+const SCHEMA_MIGRATIONS_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`
+
+export class MigrationError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'MigrationError'
+  }
+}
+
+// "003-ranking-summary.sql" → { version: 3, name: 'ranking-summary', type: 'sql' }; null for other files
+export const parseMigrationFilename = (file) => {
+  const match = file.match(FILE_PATTERN)
+  if (!match) return null
+  return { version: parseInt(match[1], 10), name: match[2], type: match[3] }
+}
+
+export const migrationChecksum = (content) => createHash('sha256').update(content).digest('hex')
+
+/**
+ * Read the migration files of a directory, ordered by version.
+ * Other files (README, editor backups) are ignored; two files with the
+ * same version are an error.
+ * @returns {Promise<Array<{ version, name, type, file, path, content, checksum }>>}
+ */
+export const loadMigrations = async (dir) => {
+  const migrations = []
+  for (const file of await readdir(dir)) {
+    const parsed = parseMigrationFilename(file)
+    if (!parsed) continue
+    const path = join(dir, file)
+    const content = await readFile(path, 'utf8')
+    migrations.push({ ...parsed, file, path, content, checksum: migrationChecksum(content) })
+  }
+  migrations.sort((a, b) => a.version - b.version)
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new MigrationError(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`)
+    }
+  }
+  return migrations
+}
+
+/**
+ * Compare the migration files with the rows of schema_migrations.
+ * - pending: files not applied yet, in order
+ * - changed: applied files whose content no longer matches the recorded checksum
+ * - missing: applied versions without a file
+ */
+export const planMigrations = (migrations, applied) => {
+  const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]))
+  const versions = new Set(migrations.map(m => m.version))
+  return {
+    pending: migrations.filter(m => !appliedByVersion.has(m.version)),
+    changed: migrations.filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum),
+    missing: applied.filter(row => !versions.has(Number(row.version)))
+  }
+}
+
+const changedError = (changed) => new MigrationError(
+  `Applied migrations were modified: ${changed.map(m => m.file).join(', ')}. ` +
+  'Add a new migration instead of editing one that has run.'
+)
+
+/**
+ * Bind the runner to a database (TennisDatabasePostgreSQL or TennisDatabaseSQLite).
+ * The database provides transaction(), execScript() and lockMigrations().
+ *
+ * @param {object} db
+ * @param {{ dir?: string, log?: Function }} [options]
+ */
+export const createMigrator = (db, { dir = join(MIGRATIONS_ROOT, db.dialect), log = console.log } = {}) => {
+  // Applied rows; none when the table does not exist yet (42P01 undefined_table)
+  const readApplied = async (client = db) => {
+    try {
+      const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version')
+      return result.rows
+    } catch (error) {
+      if (error.code === '42P01') return []
+      throw error
+    }
+  }
+
+  const applyMigration = async (client, migration) => {
+    if (migration.type === 'sql') {
+      await db.execScript(client, migration.content)
+    } else {
+      const { up } = await import(pathToFileURL(migration.path).href)
+      await up(client)
+    }
+    await client.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    )
+  }
+
+  return {
+    dir,
+
+    // { applied, pending, changed, missing } without changing anything
+    async status() {
+      const migrations = await loadMigrations(dir)
+      const applied = await readApplied()
+      return { applied, ...planMigrations(migrations, applied) }
+    },
+
+    /**
+     * Apply all pending migrations in one transaction, so a failure leaves
+     * the schema as it was. Concurrent starts (PM2 cluster) wait on the
+     * migration lock and then find nothing left to do.
+     * With dryRun, only returns what would be applied.
+     * @returns {Promise<Array>} the migrations applied (or pending, for a dry run)
+     */
+    async up({ dryRun = false } = {}) {
+      const migrations = await loadMigrations(dir)
+      if (dryRun) {
+        const { pending, changed } = planMigrations(migrations, await readApplied())
+        if (changed.length > 0) throw changedError(changed)
+        return pending
+      }
+
+      return db.transaction(async (client) => {
+        await db.lockMigrations(client)
+        await client.query(SCHEMA_MIGRATIONS_SQL)
+        const { pending, changed, missing } = planMigrations(migrations, await readApplied(client))
+        if (changed.length > 0) throw changedError(changed)
+        if (missing.length > 0) {
+          log(`⚠️ Applied migrations without a file: ${missing.map(row => `${row.version}-${row.name}`).join(', ')}`)
+        }
+        for (const migration of pending) {
+          log(`🔧 Applying migration ${migration.file}`)
+          await applyMigration(client, migration)
+        }
+        return pending
+      })
+    }
+  }
+}
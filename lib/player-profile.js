@@ -0,0 +1,54 @@
+// Career summaries for the player profile, built from one player's matches
+// in chronological order (play_date, created_at, id — the rating replay order).
+// Each match row: { play_date, result: 'win' | 'loss', points, rating_after }
+
+/**
+ * Longest winning/losing runs and the run the player is currently on.
+ * @returns {{ longest_win_streak, longest_loss_streak, current_streak: { result, length } }}
+ */
+export const computeStreaks = (matches) => {
+  let longestWin = 0
+  let longestLoss = 0
+  let current = { result: null, length: 0 }
+
+  for (const match of matches) {
+    current = match.result === current.result
+      ? { result: current.result, length: current.length + 1 }
+      : { result: match.result, length: 1 }
+    if (current.result === 'win') longestWin = Math.max(longestWin, current.length)
+    else longestLoss = Math.max(longestLoss, current.length)
+  }
+
+  return { longest_win_streak: longestWin, longest_loss_streak: longestLoss, current_streak: current }
+}
+
+/**
+ * One point per play date for charting: that day's record and points, the
+ * running points total and the (lifetime Elo) rating at the end of the day.
+ * Days without a recorded rating keep the previous one.
+ */
+export const buildTimeline = (matches) => {
+  const timeline = []
+  let cumulativePoints = 0
+  let rating = null
+
+  for (const match of matches) {
+    let day = timeline[timeline.length - 1]
+    if (!day || day.play_date !== match.play_date) {
+      day = { play_date: match.play_date, matches: 0, wins: 0, losses: 0, points: 0, cumulative_points: 0, rating }
+      timeline.push(day)
+    }
+    const points = Number(match.points) || 0
+    cumulativePoints += points
+    day.matches++
+    day[match.result === 'win' ? 'wins' : 'losses']++
+    day.points += points
+    day.cumulative_points = cumulativePoints
+    if (match.rating_after !== null && match.rating_after !== undefined) {
+      rating = Math.round(Number(match.rating_after))
+      day.rating = rating
+    }
+  }
+
+  return timeline
+}
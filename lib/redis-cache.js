@@ -1,5 +1,9 @@
 import Redis from 'ioredis'
 import { EventEmitter } from 'events'
+import { hostname } from 'os'
+
+// Version bump reason of a PostgreSQL NOTIFY from each table (see handleDbChange)
+const DB_CHANGE_REASONS = { matches: 'match', players: 'player', seasons: 'season' }
 
 /**
  * Redis-based cache for tennis rankings system
@@ -14,6 +18,9 @@ import { EventEmitter } from 'events'
  * - tennis:matches:date:{YYYY-MM-DD} - Matches for specific date (last 5 days with matches)
  * - tennis:playdates - List of all play dates
  * - tennis:version - Data version for client cache sync
+ * - tennis:sse:clients:{instance} - SSE client count of one worker (expires)
+ *
+ * Pub/sub channel tennis:events relays SSE messages between workers.
  */
 export default class RedisCache extends EventEmitter {
   constructor(options = {}) {
@@ -25,7 +32,10 @@ export default class RedisCache extends EventEmitter {
     // Redis connection config
     this.redisUrl = options.redisUrl || process.env.REDIS_URL || 'redis://localhost:6379'
     this.client = null
-    this.subscriber = null // For PostgreSQL LISTEN/NOTIFY
+    this.subscriber = null // Redis pub/sub connection for SSE messages of other workers
+    this.eventsChannel = `${this.prefix}events`
+    // Tells this worker's messages and SSE client count apart from the others'
+    this.instanceId = `${hostname()}:${process.pid}`
     this.pgClient = null // PostgreSQL client for LISTEN
     this.isConnected = false
     this.connectPromise = null
@@ -278,7 +288,7 @@ export default class RedisCache extends EventEmitter {
     }
 
     // Increment version for client sync
-    await this.incrementVersion()
+    await this.incrementVersion(DB_CHANGE_REASONS[table] || 'other')
   }
 
   /**
@@ -438,7 +448,7 @@ export default class RedisCache extends EventEmitter {
 
     try {
       const deleted = await this.invalidateByPrefix('')
-      await this.incrementVersion()
+      await this.incrementVersion('clear')
       this.log(`🧹 Cache CLEAR: ${deleted} entries removed`)
       return deleted
     } catch (error) {
@@ -467,7 +477,7 @@ export default class RedisCache extends EventEmitter {
     ])
 
     // Bump version synchronously so the requesting client gets fresh data
-    await this.incrementVersion()
+    await this.incrementVersion('match')
   }
 
   /**
@@ -480,6 +490,7 @@ export default class RedisCache extends EventEmitter {
     await Promise.all([
       this.invalidateByPrefix('rankings:'),
       this.delete('players'),
+      this.delete('players:all'),
       this.invalidateByPrefix('season:'),  // Clears season:active AND season:*:players
       this.invalidateByPrefix('matches:'), // Player deletion cascades to matches
       this.delete('playdates'),
@@ -487,7 +498,7 @@ export default class RedisCache extends EventEmitter {
     ])
 
     // Bump version synchronously so the requesting client gets fresh data
-    await this.incrementVersion()
+    await this.incrementVersion('player')
   }
 
   /**
@@ -506,7 +517,70 @@ export default class RedisCache extends EventEmitter {
     ])
 
     // Bump version synchronously so the requesting client gets fresh data
-    await this.incrementVersion()
+    await this.incrementVersion('season')
+  }
+
+  /**
+   * Invalidate cache when a ledger entry is recorded or removed
+   * Clears: rankings (outstanding balances) and season balances (rankings:balances:*)
+   */
+  async invalidateOnPaymentChange() {
+    this.log('🔄 Invalidating cache for payment change')
+
+    await this.invalidateByPrefix('rankings:')
+
+    // Bump version synchronously so the requesting client gets fresh data
+    await this.incrementVersion('payment')
+  }
+
+  /**
+   * Invalidate cache when a play date is announced or someone answers / checks in
+   * Clears: rankings (season attendance columns, player profiles)
+   * The version bump is what pushes the change to SSE clients
+   */
+  async invalidateOnAttendanceChange() {
+    this.log('🔄 Invalidating cache for attendance change')
+
+    await this.invalidateByPrefix('rankings:')
+
+    // Bump version synchronously so the requesting client gets fresh data
+    await this.incrementVersion('attendance')
+  }
+
+  /**
+   * Tournament created or deleted. Brackets are not cached (they are worked
+   * out from the matches on every read), so only the version is bumped for SSE
+   * clients; recording a bracket match goes through invalidateOnMatchChange
+   */
+  async invalidateOnTournamentChange() {
+    this.log('🔄 Invalidating cache for tournament change')
+    await this.incrementVersion('tournament')
+  }
+
+  /**
+   * League fixtures generated or removed. Like brackets, their played state is
+   * worked out on every read, so only the version is bumped
+   */
+  async invalidateOnFixtureChange() {
+    this.log('🔄 Invalidating cache for fixture change')
+    await this.incrementVersion('fixture')
+  }
+
+  /**
+   * Calendar feed link created or revoked. Nothing is cached, but the bump
+   * changes the API ETag so a revoked feed cannot be answered with a 304
+   */
+  async invalidateOnCalendarChange() {
+    this.log('🔄 Invalidating cache for calendar link change')
+    await this.incrementVersion('calendar')
+  }
+
+  /**
+   * Public share link created or revoked; same reason as calendar links
+   */
+  async invalidateOnShareLinkChange() {
+    this.log('🔄 Invalidating cache for share link change')
+    await this.incrementVersion('share_link')
   }
 
   /**
@@ -515,8 +589,10 @@ export default class RedisCache extends EventEmitter {
    * same version number — the first worker to win writes the canonical
    * value; all others read it back, ensuring every worker emits the
    * same version to their SSE clients.
+   * @param {string} [reason] - what changed ('match', 'player', ...), passed on
+   *   with the versionChange event (see lib/event-stream.js)
    */
-  async incrementVersion() {
+  async incrementVersion(reason = 'other') {
     const newVersion = Date.now()
     if (this.isConnected) {
       try {
@@ -542,7 +618,7 @@ export default class RedisCache extends EventEmitter {
       this.dataVersion = newVersion
     }
     // Emit event so SSE connections can push to clients immediately
-    this.emit('versionChange', this.dataVersion)
+    this.emit('versionChange', this.dataVersion, reason)
   }
 
   /**
@@ -552,6 +628,114 @@ export default class RedisCache extends EventEmitter {
     return this.dataVersion
   }
 
+  /**
+   * Take over a version announced by another worker (relayed SSE message), so
+   * /api/data-version and new SSE clients on this worker report it too
+   * @param {number} version
+   */
+  adoptVersion(version) {
+    if (Number.isFinite(version) && version > this.dataVersion) {
+      this.dataVersion = version
+    }
+  }
+
+  // ==========================================
+  // SSE relay between cluster workers
+  // ==========================================
+
+  /**
+   * Subscribe to the SSE messages of the other workers; each one is emitted
+   * as 'relayedEvent' (a worker skips its own). Uses a second connection,
+   * since a subscribed Redis connection cannot run other commands. The
+   * subscription is queued until Redis is reachable and restored by ioredis
+   * after a reconnect, so this does not wait for it.
+   */
+  subscribeToEvents() {
+    if (this.subscriber || !this.client) return
+
+    this.subscriber = this.client.duplicate({ enableOfflineQueue: true })
+    this.subscriber.on('error', (err) => {
+      this.stats.errors++
+      console.error('❌ Redis subscriber error:', err.message)
+    })
+    this.subscriber.on('message', (channel, raw) => {
+      if (channel !== this.eventsChannel) return
+      try {
+        const { origin, message } = JSON.parse(raw)
+        if (origin !== this.instanceId) this.emit('relayedEvent', message)
+      } catch (error) {
+        console.error('❌ Failed to parse relayed SSE message:', error.message)
+      }
+    })
+    this.subscriber.subscribe(this.eventsChannel)
+      .then(() => this.log(`📡 Subscribed to ${this.eventsChannel}`))
+      .catch((error) => console.error('❌ Failed to subscribe to SSE relay:', error.message))
+  }
+
+  /**
+   * Publish an SSE message to the other workers
+   * @param {object} message - { type, ...fields }
+   * @returns {boolean} True if published
+   */
+  async publishEvent(message) {
+    if (!this.isConnected) return false
+
+    try {
+      await this.client.publish(this.eventsChannel, JSON.stringify({ origin: this.instanceId, message }))
+      return true
+    } catch (error) {
+      this.stats.errors++
+      console.error('❌ Redis PUBLISH error:', error.message)
+      return false
+    }
+  }
+
+  /**
+   * Record this worker's SSE client count. The key expires unless refreshed,
+   * so a worker that stopped drops out of the cluster total
+   * @param {number} count
+   * @param {number} ttlSeconds
+   */
+  async reportSseClients(count, ttlSeconds = 60) {
+    if (!this.isConnected) return
+
+    try {
+      await this.client.set(`${this.prefix}sse:clients:${this.instanceId}`, String(count), 'EX', ttlSeconds)
+    } catch (error) {
+      this.stats.errors++
+      console.error('❌ Failed to report SSE clients:', error.message)
+    }
+  }
+
+  /**
+   * SSE client counts reported by the workers
+   * @returns {Array<{ instance: string, clients: number }>}
+   */
+  async getSseClientCounts() {
+    if (!this.isConnected) return []
+
+    try {
+      const keyPrefix = `${this.prefix}sse:clients:`
+      const keys = []
+      let cursor = '0'
+      do {
+        const [newCursor, found] = await this.client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 100)
+        cursor = newCursor
+        keys.push(...found)
+      } while (cursor !== '0')
+      if (keys.length === 0) return []
+
+      const counts = await this.client.mget(...keys)
+      return keys
+        .map((key, i) => ({ instance: key.slice(keyPrefix.length), clients: parseInt(counts[i], 10) || 0 }))
+        .sort((a, b) => a.instance.localeCompare(b.instance))
+    } catch (error) {
+      this.stats.errors++
+      console.error('❌ Failed to read SSE client counts:', error.message)
+      return []
+    }
+  }
+
   // ==========================================
   // Cache Stampede Protection (Distributed Locks)
   // ==========================================
@@ -896,6 +1080,11 @@ export default class RedisCache extends EventEmitter {
       this.pgClient.release()
       this.pgClient = null
     }
+
+    if (this.subscriber) {
+      this.subscriber.disconnect()
+      this.subscriber = null
+    }
     
     if (this.client) {
       await this.client.quit()
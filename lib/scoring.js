@@ -0,0 +1,75 @@
+// Per-season scoring policy. The PL/pgSQL summary-table functions
+// (migrations/postgresql/018-set-score-margin.sql) and the ranking SQL in
+// database-postgresql.js and database.js implement the same rules — keep them in sync.
+
+export const DEFAULT_SCORING = Object.freeze({
+  pointsPerWin: 4,
+  pointsPerLoss: 1,
+  // Bonus for winning by at least `marginBonusThreshold` games (0 = disabled)
+  marginBonusThreshold: 0,
+  marginBonusPoints: 0,
+  // Deducted from each player of a team that did not show up (instead of pointsPerLoss)
+  noShowPenalty: 0
+})
+
+// camelCase API field → seasons column
+export const SCORING_COLUMNS = Object.freeze({
+  pointsPerWin: 'points_per_win',
+  pointsPerLoss: 'points_per_loss',
+  marginBonusThreshold: 'margin_bonus_threshold',
+  marginBonusPoints: 'margin_bonus_points',
+  noShowPenalty: 'no_show_penalty'
+})
+
+export const SCORING_FIELDS = Object.keys(SCORING_COLUMNS)
+
+// Read the policy from a seasons row (snake_case), falling back to defaults
+export const scoringFromSeason = (season) => {
+  const scoring = {}
+  for (const field of SCORING_FIELDS) {
+    const value = season?.[SCORING_COLUMNS[field]]
+    scoring[field] = value === null || value === undefined ? DEFAULT_SCORING[field] : Number(value)
+  }
+  return scoring
+}
+
+// Pick the scoring fields present in a request body; returns null if none were sent
+export const scoringFromBody = (body) => {
+  const provided = SCORING_FIELDS.filter(field => body?.[field] !== undefined && body[field] !== null)
+  if (provided.length === 0) return null
+  return Object.fromEntries(provided.map(field => [field, parseInt(body[field])]))
+}
+
+export const isScoringChanged = (season, scoring) => {
+  if (!scoring) return false
+  const current = scoringFromSeason(season)
+  return Object.entries(scoring).some(([field, value]) => current[field] !== value)
+}
+
+// Games between the teams; team scores of a set-scored match are sets won (see legacyScore)
+const gameMargin = (match) => {
+  const team1 = match.team1_games ?? match.team1_score ?? 0
+  const team2 = match.team2_games ?? match.team2_score ?? 0
+  return Math.abs(team1 - team2)
+}
+
+/**
+ * Points one player earns from one match.
+ * @param {Object} match - { team1_score, team2_score, team1_games?, team2_games?, winning_team, no_show_team }
+ * @param {number} team - the player's team (1 or 2)
+ * @param {Object} scoring - season policy (see DEFAULT_SCORING)
+ */
+export const calculateMatchPoints = (match, team, scoring = DEFAULT_SCORING) => {
+  const rules = { ...DEFAULT_SCORING, ...scoring }
+  const noShowTeam = match.no_show_team ? Number(match.no_show_team) : null
+
+  if (Number(match.winning_team) === team) {
+    const margin = gameMargin(match)
+    const earnsBonus = !noShowTeam && rules.marginBonusThreshold > 0 && margin >= rules.marginBonusThreshold
+    return rules.pointsPerWin + (earnsBonus ? rules.marginBonusPoints : 0)
+  }
+  if (noShowTeam === team) {
+    return -rules.noShowPenalty
+  }
+  return rules.pointsPerLoss
+}
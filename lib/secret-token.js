@@ -0,0 +1,15 @@
+// Secret URL tokens (calendar feeds, public share links). The token is shown
+// once, when it is created; the database keeps only its SHA-256, so a leaked
+// backup or database dump does not leak working URLs.
+
+import { createHash, randomBytes } from 'crypto'
+
+export const hashSecretToken = (token) => createHash('sha256').update(String(token)).digest('hex')
+
+export const createSecretToken = () => {
+  const token = randomBytes(24).toString('base64url')
+  return { token, hash: hashSecretToken(token) }
+}
+
+// What createSecretToken() produces, with some slack; anything else is rejected before a lookup
+export const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/
@@ -0,0 +1,44 @@
+// Public read-only share links (migrations/postgresql/014-share-links.sql):
+// a secret URL (lib/secret-token.js) that shows one season's rankings, or the
+// lifetime rankings, to anyone who has it, e.g. posted in the group chat.
+// Everything served through a link goes through the functions below, which
+// copy the public fields only: no money, attendance, ids or account data.
+
+export const SHARE_SCOPES = ['season', 'lifetime']
+export const MAX_SHARE_DAYS = 365
+
+/**
+ * Ranking rows as the public page shows them.
+ * @param {Array} rankings - rankings rows in display order, with `form`
+ * @returns {Array<{ rank, name, wins, losses, total_matches, points, win_percentage,
+ *   sets_won, sets_lost, games_won, games_lost, rating, form }>} form is 'win' / 'loss', newest first
+ */
+export const publicRankings = (rankings) => rankings.map((player, index) => ({
+  rank: index + 1,
+  name: player.name,
+  wins: player.wins,
+  losses: player.losses,
+  total_matches: player.total_matches,
+  points: player.points,
+  win_percentage: player.win_percentage,
+  sets_won: player.sets_won,
+  sets_lost: player.sets_lost,
+  games_won: player.games_won,
+  games_lost: player.games_lost,
+  rating: player.rating,
+  form: (player.form || []).map(entry => entry.result)
+}))
+
+/**
+ * What a link shows, for the page header.
+ * @param {Object} link - getShareLink() row
+ * @returns {{ scope, label, expires_at, season: { name, start_date, end_date, is_active } | null }}
+ */
+export const publicShareInfo = (link) => ({
+  scope: link.scope,
+  label: link.label || null,
+  expires_at: link.expires_at || null,
+  season: link.scope === 'season'
+    ? { name: link.season_name, start_date: link.start_date, end_date: link.end_date || null, is_active: !!link.is_active }
+    : null
+})
@@ -0,0 +1,111 @@
+// Elo-style skill rating shared by solo and duo matches.
+// A side's strength is the average rating of its players; every player on a
+// side receives the same expected score, scaled by their own K-factor so new
+// players converge quickly while established ratings stay stable.
+
+export const DEFAULT_RATING = 1500
+export const PROVISIONAL_MATCHES = 10
+export const K_PROVISIONAL = 40
+export const K_ESTABLISHED = 24
+
+// Probability that a side rated `rating` beats a side rated `opponentRating`
+export const expectedScore = (rating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400))
+}
+
+export const kFactor = (ratedMatches) => {
+  return ratedMatches < PROVISIONAL_MATCHES ? K_PROVISIONAL : K_ESTABLISHED
+}
+
+const sidePlayers = (match, side) => {
+  const ids = side === 1
+    ? [match.player1_id, match.player2_id]
+    : [match.player3_id, match.player4_id]
+  return ids.filter(id => id !== null && id !== undefined)
+}
+
+const getEntry = (map, key) => {
+  let entry = map.get(key)
+  if (!entry) {
+    entry = { rating: DEFAULT_RATING, rated_matches: 0 }
+    map.set(key, entry)
+  }
+  return entry
+}
+
+// Apply one match to a rating pool (lifetime, or one season) and return the
+// per-player before/after values
+const applyMatch = (pool, keyOf, match) => {
+  const team1 = sidePlayers(match, 1).map(id => ({ id, entry: getEntry(pool, keyOf(id)) }))
+  const team2 = sidePlayers(match, 2).map(id => ({ id, entry: getEntry(pool, keyOf(id)) }))
+  if (team1.length === 0 || team2.length === 0) return []
+
+  const average = team => team.reduce((sum, p) => sum + p.entry.rating, 0) / team.length
+  const team1Rating = average(team1)
+  const team2Rating = average(team2)
+  const team1Expected = expectedScore(team1Rating, team2Rating)
+  const team1Actual = Number(match.winning_team) === 1 ? 1 : 0
+
+  const changes = []
+  const update = (team, expected, actual) => {
+    for (const { id, entry } of team) {
+      const before = entry.rating
+      entry.rating = before + kFactor(entry.rated_matches) * (actual - expected)
+      entry.rated_matches += 1
+      changes.push({ player_id: id, rating_before: before, rating_after: entry.rating })
+    }
+  }
+  update(team1, team1Expected, team1Actual)
+  update(team2, 1 - team1Expected, 1 - team1Actual)
+  return changes
+}
+
+/**
+ * Replay matches and compute lifetime and per-season ratings.
+ * `matches` must already be in chronological order (play_date, created_at, id);
+ * each season starts every player back at DEFAULT_RATING.
+ *
+ * To replay only the tail of the history, pass the lifetime ratings as they
+ * stood before the first match (`lifetime`, { player_id, rating, rated_matches })
+ * and the number of matches before it (`seqOffset`). Season ratings are only
+ * right for seasons whose matches are all given.
+ *
+ * Returns { lifetime, seasons, history } where lifetime/seasons are arrays of
+ * { player_id, [season_id], rating, rated_matches } and history holds one row
+ * per player per match with the lifetime rating before and after it.
+ */
+export const computeRatings = (matches, { lifetime: initial = [], seqOffset = 0 } = {}) => {
+  const lifetimePool = new Map(initial.map(row => [
+    Number(row.player_id),
+    { rating: Number(row.rating), rated_matches: Number(row.rated_matches) }
+  ]))
+  const seasonPool = new Map()
+  const history = []
+
+  matches.forEach((match, index) => {
+    const lifetimeChanges = applyMatch(lifetimePool, id => id, match)
+    applyMatch(seasonPool, id => `${match.season_id}:${id}`, match)
+    for (const change of lifetimeChanges) {
+      history.push({ match_id: match.id, seq: seqOffset + index + 1, ...change })
+    }
+  })
+
+  const lifetime = [...lifetimePool.entries()].map(([playerId, entry]) => ({
+    player_id: playerId,
+    rating: entry.rating,
+    rated_matches: entry.rated_matches
+  }))
+  const seasons = [...seasonPool.entries()].map(([key, entry]) => {
+    const [seasonId, playerId] = key.split(':').map(Number)
+    return { player_id: playerId, season_id: seasonId, rating: entry.rating, rated_matches: entry.rated_matches }
+  })
+
+  return { lifetime, seasons, history }
+}
+
+// Stable comparator for ranking rows sorted by rating instead of points
+export const compareByRating = (a, b) => {
+  return (b.rating ?? DEFAULT_RATING) - (a.rating ?? DEFAULT_RATING) ||
+    (b.points || 0) - (a.points || 0) ||
+    String(a.name).localeCompare(String(b.name))
+}
@@ -0,0 +1,184 @@
+// Structured tennis scores: an ordered list of sets, e.g. "6-4 3-6 10-7" is
+//   [{ team1: 6, team2: 4 }, { team1: 3, team2: 6 }, { team1: 10, team2: 7, matchTiebreak: true }]
+// A 7-6 set carries its tiebreak points: { team1: 7, team2: 6, tiebreak: { team1: 7, team2: 5 } }.
+// A deciding match tiebreak (super tiebreak) stores points instead of games
+// and counts as one game for its winner, as in ITF rules.
+// Used by the match routes to validate input and derive the winner/totals.
+
+export const GAMES_PER_SET = 6
+export const TIEBREAK_POINTS = 7
+export const MATCH_TIEBREAK_POINTS = 10
+export const MAX_SETS = 5
+
+export class TennisScoreError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'TennisScoreError'
+  }
+}
+
+const isScore = (value) => Number.isInteger(value) && value >= 0 && value <= 99
+
+// A tiebreak race to `target` points, won by two
+const tiebreakWinner = (a, b, target) => {
+  const high = Math.max(a, b)
+  const low = Math.min(a, b)
+  if (high < target || high - low < 2) return null
+  // Once past the target the tiebreak ends as soon as the lead is two
+  if (high > target && high - low !== 2) return null
+  return a > b ? 1 : 2
+}
+
+// Winner of a regular set (1 or 2), or throws if the games are not a finished set
+const regularSetWinner = (set, label) => {
+  const { team1, team2 } = set
+  const high = Math.max(team1, team2)
+  const low = Math.min(team1, team2)
+  const winner = team1 > team2 ? 1 : 2
+
+  if (high === GAMES_PER_SET && low <= GAMES_PER_SET - 2) {
+    if (set.tiebreak) throw new TennisScoreError(`${label}: tiebreak is only allowed at ${GAMES_PER_SET + 1}-${GAMES_PER_SET}`)
+    return winner
+  }
+  if (high === GAMES_PER_SET + 1 && low === GAMES_PER_SET - 1) {
+    if (set.tiebreak) throw new TennisScoreError(`${label}: tiebreak is only allowed at ${GAMES_PER_SET + 1}-${GAMES_PER_SET}`)
+    return winner
+  }
+  if (high === GAMES_PER_SET + 1 && low === GAMES_PER_SET) {
+    // Tiebreak points are optional, but must agree with the set when present
+    if (set.tiebreak) {
+      const { team1: tb1, team2: tb2 } = set.tiebreak
+      if (!isScore(tb1) || !isScore(tb2)) throw new TennisScoreError(`${label}: invalid tiebreak points`)
+      const tbWinner = tiebreakWinner(tb1, tb2, TIEBREAK_POINTS)
+      if (tbWinner === null) throw new TennisScoreError(`${label}: ${tb1}-${tb2} is not a finished tiebreak`)
+      if (tbWinner !== winner) throw new TennisScoreError(`${label}: tiebreak winner does not match the set winner`)
+    }
+    return winner
+  }
+  throw new TennisScoreError(`${label}: ${team1}-${team2} is not a finished set`)
+}
+
+const normalizeSet = (set) => {
+  const normalized = { team1: Number(set.team1), team2: Number(set.team2) }
+  if (set.matchTiebreak) normalized.matchTiebreak = true
+  if (set.tiebreak) {
+    normalized.tiebreak = { team1: Number(set.tiebreak.team1), team2: Number(set.tiebreak.team2) }
+  }
+  return normalized
+}
+
+/**
+ * Validate a set-by-set score and derive the result.
+ * Accepts single-set, best-of-3 and best-of-5 matches; the match must be
+ * complete and no set may be played after it was decided.
+ *
+ * @param {Array} sets - [{ team1, team2, tiebreak?: { team1, team2 }, matchTiebreak? }]
+ * @returns {{ sets, winningTeam, team1Sets, team2Sets, team1Games, team2Games }}
+ * @throws {TennisScoreError} when the score is not a legal tennis score
+ */
+export const parseSets = (sets) => {
+  if (!Array.isArray(sets) || sets.length === 0) {
+    throw new TennisScoreError('Score must contain at least one set')
+  }
+  if (sets.length > MAX_SETS) {
+    throw new TennisScoreError(`A match has at most ${MAX_SETS} sets`)
+  }
+
+  const normalized = sets.map((set, index) => {
+    if (!set || typeof set !== 'object' || !isScore(Number(set.team1)) || !isScore(Number(set.team2))) {
+      throw new TennisScoreError(`Set ${index + 1}: games must be whole numbers between 0 and 99`)
+    }
+    return normalizeSet(set)
+  })
+
+  let team1Sets = 0
+  let team2Sets = 0
+  let team1Games = 0
+  let team2Games = 0
+  let lastWinner = null
+
+  normalized.forEach((set, index) => {
+    const label = `Set ${index + 1}`
+    const isLast = index === normalized.length - 1
+    let winner
+
+    // "10-7" can only be a match tiebreak, so the flag may be omitted for a deciding set
+    if (isLast && index > 0 && team1Sets === team2Sets && Math.max(set.team1, set.team2) >= MATCH_TIEBREAK_POINTS) {
+      set.matchTiebreak = true
+    }
+
+    if (set.matchTiebreak) {
+      if (!isLast || index === 0 || team1Sets !== team2Sets) {
+        throw new TennisScoreError(`${label}: a match tiebreak can only replace the deciding set`)
+      }
+      if (set.tiebreak) throw new TennisScoreError(`${label}: a match tiebreak cannot have its own tiebreak`)
+      winner = tiebreakWinner(set.team1, set.team2, MATCH_TIEBREAK_POINTS)
+      if (winner === null) throw new TennisScoreError(`${label}: ${set.team1}-${set.team2} is not a finished match tiebreak`)
+      if (winner === 1) team1Games += 1
+      else team2Games += 1
+    } else {
+      winner = regularSetWinner(set, label)
+      team1Games += set.team1
+      team2Games += set.team2
+    }
+
+    if (winner === 1) team1Sets += 1
+    else team2Sets += 1
+    lastWinner = winner
+  })
+
+  const winningTeam = team1Sets > team2Sets ? 1 : 2
+  const winnerSets = Math.max(team1Sets, team2Sets)
+  // Single set (1-0), best of 3 (2-0, 2-1) or best of 5 (3-0, 3-1, 3-2)
+  if (team1Sets === team2Sets || winnerSets > 3 || normalized.length > winnerSets * 2 - 1) {
+    throw new TennisScoreError(`${team1Sets}-${team2Sets} in sets is not a finished match`)
+  }
+  // The winner's deciding set must be the last one played
+  if (lastWinner !== winningTeam) {
+    throw new TennisScoreError('Sets were recorded after the match was already decided')
+  }
+
+  return {
+    sets: normalized,
+    winningTeam,
+    team1Sets,
+    team2Sets,
+    team1Games,
+    team2Games
+  }
+}
+
+// Legacy integer columns: a single set keeps its games (6-4), longer matches store sets won (2-1)
+export const legacyScore = ({ sets, team1Sets, team2Sets }) => {
+  if (sets.length === 1 && !sets[0].matchTiebreak) {
+    return { team1Score: sets[0].team1, team2Score: sets[0].team2 }
+  }
+  return { team1Score: team1Sets, team2Score: team2Sets }
+}
+
+// "6-4 6-7(5) [10-7]" — the tiebreak shows the loser's points, match tiebreaks are bracketed
+export const formatSets = (sets) => {
+  if (!Array.isArray(sets)) return ''
+  return sets.map(set => {
+    if (set.matchTiebreak) return `[${set.team1}-${set.team2}]`
+    const tiebreak = set.tiebreak ? `(${Math.min(set.tiebreak.team1, set.tiebreak.team2)})` : ''
+    return `${set.team1}-${set.team2}${tiebreak}`
+  }).join(' ')
+}
+
+// Inverse of formatSets: "6-4 6-7(5) 10-7" (or "[10-7]") into sets for parseSets().
+// "(5)" is the tiebreak loser's points; the winner took max(7, loser + 2).
+export const parseSetsText = (text) => {
+  return String(text).split(/[\s,;]+/).filter(Boolean).map(token => {
+    const match = token.match(/^(\[)?(\d{1,2})-(\d{1,2})(?:\((\d{1,2})\))?(\])?$/)
+    if (!match) throw new TennisScoreError(`Cannot read set score "${token}"`)
+    const set = { team1: parseInt(match[2]), team2: parseInt(match[3]) }
+    if (match[1] || match[5]) set.matchTiebreak = true
+    if (match[4] !== undefined) {
+      const loser = parseInt(match[4])
+      const winner = Math.max(TIEBREAK_POINTS, loser + 2)
+      set.tiebreak = set.team1 > set.team2 ? { team1: winner, team2: loser } : { team1: loser, team2: winner }
+    }
+    return set
+  })
+}
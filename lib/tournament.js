@@ -0,0 +1,363 @@
+// Tournament brackets (migrations/postgresql/011-tournaments.sql).
+// A bracket is a list of match slots; each side of a slot names where its
+// entrant comes from: seed:N, winner:<slot>, loser:<slot>, group:<group>:<rank>
+// or bye. The state of a bracket is never stored. It is worked out from the
+// slots and the recorded matches linked to them, so editing or deleting a
+// match moves the bracket back as well.
+// - single_elimination: W<round>-<n>, top seeds get the byes
+// - double_elimination: winners bracket W, losers bracket L, grand final GF,
+//   and GF2 only when the losers-bracket side wins GF
+// - groups_knockout: round robin groups G<group>-<n> (snake seeded); the top
+//   advancePerGroup of each group play a knockout K<round>-<n>
+
+import { circleRounds } from './fixtures.js'
+
+export const FORMATS = ['single_elimination', 'double_elimination', 'groups_knockout']
+export const MIN_ENTRIES = 2
+export const MAX_ENTRIES = 64
+
+export class TournamentError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'TournamentError'
+  }
+}
+
+// A side that will never have an entrant (fewer entries than bracket places)
+const BYE = 'bye'
+
+const nextPowerOfTwo = (count) => 2 ** Math.ceil(Math.log2(Math.max(count, 2)))
+
+// Seeds in bracket order, so that seeds 1 and 2 can only meet in the final
+const bracketOrder = (size) => {
+  let order = [1]
+  while (order.length < size) {
+    const total = order.length * 2 + 1
+    order = order.flatMap(seed => [seed, total - seed])
+  }
+  return order
+}
+
+const slotOf = (slot, stage, round, position, source1, source2, groupNumber = null) =>
+  ({ slot, stage, round, position, group_number: groupNumber, source1, source2 })
+
+// Knockout of `count` places; sourceOf(seed) names where place `seed` comes from
+const eliminationSlots = (prefix, stage, count, sourceOf) => {
+  const size = nextPowerOfTwo(count)
+  const order = bracketOrder(size)
+  const seedSource = (seed) => seed <= count ? sourceOf(seed) : BYE
+  const slots = []
+  for (let round = 1; 2 ** round <= size; round++) {
+    for (let position = 1; position <= size / 2 ** round; position++) {
+      slots.push(round === 1
+        ? slotOf(`${prefix}1-${position}`, stage, 1, position, seedSource(order[2 * position - 2]), seedSource(order[2 * position - 1]))
+        : slotOf(`${prefix}${round}-${position}`, stage, round, position,
+          `winner:${prefix}${round - 1}-${2 * position - 1}`, `winner:${prefix}${round - 1}-${2 * position}`))
+    }
+  }
+  return slots
+}
+
+// Losers bracket of a winners bracket of `size` places: the losers of W1 play
+// each other, then every winners round drops its losers in against the
+// survivors, with a round between drops to halve the field again
+const losersSlots = (size) => {
+  const winnersRounds = Math.log2(size)
+  const slots = []
+  for (let position = 1; position <= size / 4; position++) {
+    slots.push(slotOf(`L1-${position}`, 'losers', 1, position, `loser:W1-${2 * position - 1}`, `loser:W1-${2 * position}`))
+  }
+  for (let winnersRound = 2; winnersRound <= winnersRounds; winnersRound++) {
+    const count = size / 2 ** winnersRound
+    const dropRound = 2 * winnersRound - 2
+    for (let position = 1; position <= count; position++) {
+      // Every other round the drops come in reversed, so early rematches are rare
+      const from = winnersRound % 2 === 0 ? count + 1 - position : position
+      slots.push(slotOf(`L${dropRound}-${position}`, 'losers', dropRound, position,
+        `winner:L${dropRound - 1}-${position}`, `loser:W${winnersRound}-${from}`))
+    }
+    if (winnersRound === winnersRounds) break
+    for (let position = 1; position <= count / 2; position++) {
+      slots.push(slotOf(`L${dropRound + 1}-${position}`, 'losers', dropRound + 1, position,
+        `winner:L${dropRound}-${2 * position - 1}`, `winner:L${dropRound}-${2 * position}`))
+    }
+  }
+  return slots
+}
+
+// Seeds of each group: snake order, so every group gets a similar mix
+const snakeGroups = (count, groupCount) => {
+  const groups = Array.from({ length: groupCount }, () => [])
+  for (let index = 0; index < count; index++) {
+    const row = Math.floor(index / groupCount)
+    const column = index % groupCount
+    groups[row % 2 === 0 ? column : groupCount - 1 - column].push(index + 1)
+  }
+  return groups
+}
+
+// Everyone plays everyone in the group once (circle method, one round per line-up)
+const roundRobinSlots = (group, seeds) => {
+  const slots = []
+  circleRounds(seeds).forEach((pairs, index) => {
+    for (const [a, b] of pairs) {
+      slots.push(slotOf(`G${group}-${slots.length + 1}`, 'group', index + 1, slots.length + 1, `seed:${a}`, `seed:${b}`, group))
+    }
+  })
+  return slots
+}
+
+/**
+ * Order entries by the season ranking: points, then win percentage, then
+ * skill rating. A duo team adds up points and averages the rest.
+ * @param {Array<{ player1_id, player2_id }>} entries
+ * @param {Array} stats - getPlayerStatsBySeason rows
+ * @returns {Array} the entries with seed 1..n, best first
+ */
+export const seedEntries = (entries, stats) => {
+  const byId = new Map(stats.map(row => [Number(row.id), row]))
+  const strength = (entry) => {
+    const rows = [entry.player1_id, entry.player2_id].filter(Boolean).map(id => byId.get(Number(id)) || {})
+    const sum = (key) => rows.reduce((total, row) => total + (Number(row[key]) || 0), 0)
+    return [sum('points'), sum('win_percentage') / rows.length, sum('rating') / rows.length]
+  }
+  return entries
+    .map((entry, index) => ({ entry, index, strength: strength(entry) }))
+    .sort((a, b) => b.strength[0] - a.strength[0] || b.strength[1] - a.strength[1] ||
+      b.strength[2] - a.strength[2] || a.index - b.index)
+    .map(({ entry }, index) => ({ ...entry, seed: index + 1 }))
+}
+
+/**
+ * Slots of a new bracket for `count` seeded entries.
+ * @param {string} format - one of FORMATS
+ * @param {number} count
+ * @param {{ groupCount?: number, advancePerGroup?: number }} [options] - groups_knockout only
+ * @returns {{ slots: Array, groups: Array<number[]>|null }} groups lists the seeds of each group
+ */
+export const buildBracket = (format, count, { groupCount = 2, advancePerGroup = 2 } = {}) => {
+  if (!FORMATS.includes(format)) throw new TournamentError(`Format must be one of: ${FORMATS.join(', ')}`)
+  if (count < MIN_ENTRIES || count > MAX_ENTRIES) {
+    throw new TournamentError(`A tournament needs ${MIN_ENTRIES} to ${MAX_ENTRIES} entries`)
+  }
+  const seedSource = (seed) => `seed:${seed}`
+
+  if (format === 'single_elimination') {
+    return { slots: eliminationSlots('W', 'winners', count, seedSource), groups: null }
+  }
+
+  if (format === 'double_elimination') {
+    const size = nextPowerOfTwo(count)
+    const winnersRounds = Math.log2(size)
+    const losersChampion = winnersRounds >= 2 ? `winner:L${2 * winnersRounds - 2}-1` : 'loser:W1-1'
+    return {
+      slots: [
+        ...eliminationSlots('W', 'winners', count, seedSource),
+        ...losersSlots(size),
+        slotOf('GF', 'final', 1, 1, `winner:W${winnersRounds}-1`, losersChampion),
+        slotOf('GF2', 'final', 2, 1, 'winner:GF', 'loser:GF')
+      ],
+      groups: null
+    }
+  }
+
+  if (!Number.isInteger(groupCount) || groupCount < 1 || count < groupCount * 2) {
+    throw new TournamentError('Every group needs at least 2 entries')
+  }
+  const smallestGroup = Math.floor(count / groupCount)
+  if (!Number.isInteger(advancePerGroup) || advancePerGroup < 1 || advancePerGroup > smallestGroup) {
+    throw new TournamentError(`Between 1 and ${smallestGroup} entries per group can go through`)
+  }
+  const advancing = groupCount * advancePerGroup
+  if (advancing < 2) throw new TournamentError('At least 2 entries must go through to the knockout')
+
+  const groups = snakeGroups(count, groupCount)
+  // Knockout places: group winners first (group order), then the runners-up, ...
+  const placeSource = (place) => `group:${(place - 1) % groupCount + 1}:${Math.ceil(place / groupCount)}`
+  return {
+    slots: [
+      ...groups.flatMap((seeds, index) => roundRobinSlots(index + 1, seeds)),
+      ...eliminationSlots('K', 'knockout', advancing, placeSource)
+    ],
+    groups
+  }
+}
+
+const teamKey = (ids) => ids.filter(Boolean).map(Number).sort((a, b) => a - b).join('-')
+const entryKey = (entry) => teamKey([entry.player1_id, entry.player2_id])
+
+// Which side of a recorded match an entry played on (1, 2 or null)
+const sideOf = (match, entry) => {
+  const key = entryKey(entry)
+  if (teamKey([match.player1_id, match.player2_id]) === key) return 1
+  if (teamKey([match.player3_id, match.player4_id]) === key) return 2
+  return null
+}
+
+/**
+ * State of every slot, group standings and the champion, from the slots and
+ * the recorded matches linked to them.
+ * @param {{ entries: Array, slots: Array, results: Array }} tournament
+ *   entries: { id, seed, player1_id, player2_id, group_number }
+ *   slots: stored tournament_matches rows
+ *   results: live matches with a tournament_match_id of this tournament
+ * @returns {{ matches: Array, groups: Array, champion_entry_id: number|null }}
+ *   match status: pending (an entrant is not known yet), ready, completed,
+ *   bye (walkover, nothing to play) or not_needed (GF2 after the winners-bracket side took GF)
+ */
+export const resolveBracket = ({ entries, slots, results }) => {
+  const entryBySeed = new Map(entries.map(entry => [Number(entry.seed), entry]))
+  const entryById = new Map(entries.map(entry => [Number(entry.id), entry]))
+  const slotByKey = new Map(slots.map(slot => [slot.slot, slot]))
+  // The latest match recorded for a slot counts (an older one may be in the trash)
+  const resultBySlot = new Map()
+  for (const match of results) {
+    const slotId = Number(match.tournament_match_id)
+    if (!resultBySlot.has(slotId) || Number(match.id) > Number(resultBySlot.get(slotId).id)) {
+      resultBySlot.set(slotId, match)
+    }
+  }
+  const outcomes = new Map()
+  const standings = new Map()
+
+  // Entry id, BYE, or null while it is not known yet
+  const resolveSource = (source) => {
+    const [kind, ref, rank] = source.split(':')
+    if (kind === 'seed') return entryBySeed.has(Number(ref)) ? Number(entryBySeed.get(Number(ref)).id) : BYE
+    if (kind === 'winner') return outcomeOf(ref).winner
+    if (kind === 'loser') return outcomeOf(ref).loser
+    if (kind === 'group') {
+      const group = groupStandings(Number(ref))
+      if (!group.complete) return null
+      return group.standings[Number(rank) - 1]?.entry_id ?? BYE
+    }
+    return BYE
+  }
+
+  const outcomeOf = (key) => {
+    if (outcomes.has(key)) return outcomes.get(key)
+    const slot = slotByKey.get(key)
+    const entry1 = resolveSource(slot.source1)
+    const entry2 = resolveSource(slot.source2)
+    const outcome = { entry1, entry2, status: 'ready', winner: null, loser: null, match: null, score1: null, score2: null, conflict: false }
+
+    if (entry1 === BYE || entry2 === BYE) {
+      // Walkover: the other side goes through without playing
+      const other = entry1 === BYE ? entry2 : entry1
+      Object.assign(outcome, { status: other === null ? 'pending' : 'bye', winner: other, loser: BYE })
+    } else if (entry1 === null || entry2 === null) {
+      outcome.status = 'pending'
+    } else if (key === 'GF2' && outcomeOf('GF').status === 'completed' && outcomeOf('GF').winner === outcomeOf('GF').entry1) {
+      // The winners-bracket champion won GF: no second final
+      Object.assign(outcome, { status: 'not_needed', winner: entry1, loser: entry2 })
+    } else {
+      const match = resultBySlot.get(Number(slot.id))
+      const side1 = match ? sideOf(match, entryById.get(entry1)) : null
+      const side2 = match ? sideOf(match, entryById.get(entry2)) : null
+      if (match && side1 && side2 && side1 !== side2) {
+        const entry1Won = Number(match.winning_team) === side1
+        Object.assign(outcome, {
+          status: 'completed',
+          winner: entry1Won ? entry1 : entry2,
+          loser: entry1Won ? entry2 : entry1,
+          match: Number(match.id),
+          score1: side1 === 1 ? match.team1_score : match.team2_score,
+          score2: side1 === 1 ? match.team2_score : match.team1_score
+        })
+      } else if (match) {
+        // The linked match was edited to other players: it no longer decides the slot
+        outcome.conflict = true
+      }
+    }
+    outcomes.set(key, outcome)
+    return outcome
+  }
+
+  // Wins, then score difference, then seed; complete once every group match is decided
+  const groupStandings = (groupNumber) => {
+    if (standings.has(groupNumber)) return standings.get(groupNumber)
+    const rows = new Map(entries
+      .filter(entry => Number(entry.group_number) === groupNumber)
+      .map(entry => [Number(entry.id), { entry_id: Number(entry.id), seed: Number(entry.seed), played: 0, wins: 0, losses: 0, score_difference: 0 }]))
+    let complete = true
+    for (const slot of slots.filter(slot => slot.stage === 'group' && Number(slot.group_number) === groupNumber)) {
+      const outcome = outcomeOf(slot.slot)
+      if (outcome.status === 'bye') continue
+      if (outcome.status !== 'completed') {
+        complete = false
+        continue
+      }
+      const difference = Number(outcome.score1) - Number(outcome.score2)
+      for (const [entryId, won, sign] of [[outcome.entry1, outcome.winner === outcome.entry1, 1], [outcome.entry2, outcome.winner === outcome.entry2, -1]]) {
+        const row = rows.get(entryId)
+        row.played++
+        row[won ? 'wins' : 'losses']++
+        row.score_difference += sign * difference
+      }
+    }
+    const group = {
+      group_number: groupNumber,
+      complete,
+      standings: [...rows.values()].sort((a, b) => b.wins - a.wins || b.score_difference - a.score_difference || a.seed - b.seed)
+    }
+    standings.set(groupNumber, group)
+    return group
+  }
+
+  const entryOrNull = (value) => value === BYE ? null : value
+  const matches = slots.map(slot => {
+    const outcome = outcomeOf(slot.slot)
+    return {
+      id: Number(slot.id),
+      slot: slot.slot,
+      stage: slot.stage,
+      round: Number(slot.round),
+      position: Number(slot.position),
+      group_number: slot.group_number === null ? null : Number(slot.group_number),
+      source1: slot.source1,
+      source2: slot.source2,
+      status: outcome.status,
+      entry1_id: entryOrNull(outcome.entry1),
+      entry2_id: entryOrNull(outcome.entry2),
+      winner_entry_id: ['completed', 'bye', 'not_needed'].includes(outcome.status) ? entryOrNull(outcome.winner) : null,
+      match_id: outcome.match,
+      score1: outcome.score1,
+      score2: outcome.score2,
+      conflict: outcome.conflict
+    }
+  })
+
+  const groupNumbers = [...new Set(entries.map(entry => entry.group_number).filter(group => group !== null && group !== undefined).map(Number))]
+  // GF2 decides a double elimination; otherwise the last round of the bracket
+  const finalSlot = slotByKey.has('GF2')
+    ? 'GF2'
+    : slots.filter(slot => slot.stage !== 'group').reduce((last, slot) => !last || Number(slot.round) > Number(last.round) ? slot : last, null)?.slot
+  const champion = finalSlot ? outcomeOf(finalSlot) : null
+
+  return {
+    matches,
+    groups: groupNumbers.sort((a, b) => a - b).map(groupStandings),
+    champion_entry_id: champion && ['completed', 'bye', 'not_needed'].includes(champion.status) ? entryOrNull(champion.winner) : null
+  }
+}
+
+/**
+ * Why a match with these players cannot be recorded for a slot, or null.
+ * @param {Object} slot - a match of resolveBracket()
+ * @param {Array} entries - the tournament's entries
+ * @param {{ player1Id, player2Id, player3Id, player4Id }} match
+ * @returns {{ status: number, error: string }|null}
+ */
+export const tournamentMatchProblem = (slot, entries, match) => {
+  if (slot.status === 'completed') return { status: 409, error: 'This tournament match has already been played' }
+  if (slot.status === 'pending') return { status: 400, error: 'The players of this tournament match are not known yet' }
+  if (slot.status !== 'ready') return { status: 400, error: 'This tournament match does not need to be played' }
+  const keys = [slot.entry1_id, slot.entry2_id]
+    .map(entryId => entryKey(entries.find(entry => Number(entry.id) === entryId)))
+    .sort()
+  const teams = [teamKey([match.player1Id, match.player2Id]), teamKey([match.player3Id, match.player4Id])].sort()
+  if (keys[0] !== teams[0] || keys[1] !== teams[1]) {
+    return { status: 400, error: 'The players do not match this tournament match' }
+  }
+  return null
+}
@@ -0,0 +1,211 @@
+// Outbound webhooks (migrations/postgresql/015-webhooks.sql): admins register
+// URLs for the events below, and routes emit an event next to the cache
+// invalidation of the change. Every emit writes one delivery row per
+// subscribed hook, so retries survive a restart and the admin panel can
+// browse the delivery log.
+// - body: JSON { event, occurred_at, data }, the same bytes on every attempt
+// - X-Webhook-Signature: sha256=<hex HMAC-SHA256 of the body, keyed with the hook's secret>
+// - a failed attempt (network error, timeout or non-2xx answer) is retried
+//   after RETRY_BASE_SECONDS, doubling each time, until MAX_DELIVERY_ATTEMPTS
+
+import { createHmac, timingSafeEqual } from 'crypto'
+
+export const WEBHOOK_EVENTS = ['match.created', 'match.updated', 'match.deleted', 'season.ended', 'player.created']
+// Sent by the admin panel's test button only; hooks do not subscribe to it
+export const PING_EVENT = 'ping'
+
+export const MAX_DELIVERY_ATTEMPTS = 6
+export const RETRY_BASE_SECONDS = 30
+export const DELIVERY_TIMEOUT_MS = 10000
+// Due retries are looked for this often
+export const POLL_INTERVAL_MS = 15000
+// Delivery log rows older than this are removed
+export const DELIVERY_LOG_DAYS = 30
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature'
+
+// Deliveries sent at once by one run
+const BATCH_SIZE = 20
+// Longest error text kept in the delivery log
+const MAX_ERROR_LENGTH = 500
+
+/**
+ * Signature header value of a body.
+ * @param {string} secret
+ * @param {string} body - the exact bytes sent
+ * @returns {string} 'sha256=<hex>'
+ */
+export const signPayload = (secret, body) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`
+
+/**
+ * Receiver-side check of a signature header (constant-time compare).
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, body, signature) => {
+  const expected = Buffer.from(signPayload(secret, body))
+  const actual = Buffer.from(String(signature || ''))
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+/**
+ * Wait before the next attempt, after `attempts` failed ones:
+ * base, 2 × base, 4 × base, ...
+ * @param {number} attempts - failed attempts so far (1 or more)
+ * @param {number} [base] - seconds
+ * @returns {number} seconds
+ */
+export const retryDelaySeconds = (attempts, base = RETRY_BASE_SECONDS) => base * 2 ** (attempts - 1)
+
+/**
+ * The body of a delivery.
+ * @returns {string}
+ */
+export const webhookPayload = (event, data, now = new Date()) => JSON.stringify({ event, occurred_at: now.toISOString(), data })
+
+// Hook rows keep their events as a comma-separated list
+export const webhookEvents = (hook) => (hook.events ? hook.events.split(',') : [])
+
+const errorText = (error, timeoutMs) => {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') return `Timed out after ${timeoutMs} ms`
+  // fetch reports connection problems as "fetch failed" with the reason in cause
+  return (error.cause?.message || error.message || String(error)).slice(0, MAX_ERROR_LENGTH)
+}
+
+/**
+ * Bind the webhook sender to a database. emit() only writes the delivery
+ * rows and never throws (like the audit logger, the change it describes is
+ * already committed); the HTTP calls happen in the background.
+ *
+ * @param {Object} options
+ * @param {Object} options.db
+ * @param {Function} [options.fetch] - defaults to the global fetch
+ * @returns {{
+ *   emit: (event: string, data: Object) => Promise<void>,
+ *   ping: (hook: { id: number }) => Promise<number>,
+ *   flush: () => Promise<void>,
+ *   start: () => void,
+ *   stop: () => Promise<void>
+ * }}
+ */
+export const createWebhookDispatcher = ({
+  db,
+  fetch: send = globalThis.fetch,
+  maxAttempts = MAX_DELIVERY_ATTEMPTS,
+  retryBaseSeconds = RETRY_BASE_SECONDS,
+  timeoutMs = DELIVERY_TIMEOUT_MS,
+  pollIntervalMs = POLL_INTERVAL_MS
+}) => {
+  // Claimed deliveries are not due again until this many seconds have passed,
+  // so another run (or another server instance) does not send them twice
+  const leaseSeconds = Math.ceil(timeoutMs / 1000) + 30
+  let running = null
+  let rerun = false
+  let pollTimer = null
+  let pruneTimer = null
+
+  const attempt = async (delivery) => {
+    let responseStatus = null
+    let error = null
+    try {
+      const response = await send(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TennisRanking-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          [SIGNATURE_HEADER]: signPayload(delivery.secret, delivery.payload)
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      })
+      responseStatus = response.status
+      if (!response.ok) error = `HTTP ${response.status}`
+      // Only the status matters; do not wait for a large answer
+      await response.body?.cancel()
+    } catch (err) {
+      error = errorText(err, timeoutMs)
+    }
+
+    const attempts = delivery.attempts + 1
+    const status = !error ? 'success' : (attempts >= maxAttempts ? 'failed' : 'pending')
+    await db.finishWebhookDelivery(delivery.id, {
+      status,
+      attempts,
+      responseStatus,
+      error,
+      retryInSeconds: status === 'pending' ? retryDelaySeconds(attempts, retryBaseSeconds) : null
+    })
+  }
+
+  const run = async () => {
+    do {
+      rerun = false
+      const due = await db.claimWebhookDeliveries(BATCH_SIZE, leaseSeconds)
+      await Promise.all(due.map(delivery => attempt(delivery).catch(error => {
+        console.error(`❌ Webhook delivery ${delivery.id} could not be recorded:`, error.message)
+      })))
+      if (due.length === BATCH_SIZE) rerun = true
+    } while (rerun)
+  }
+
+  // Send every delivery that is due; resolves when they are all recorded
+  const flush = () => {
+    if (running) {
+      rerun = true
+      return running
+    }
+    running = run()
+      .catch(error => console.error('❌ Webhook delivery run failed:', error.message))
+      .finally(() => { running = null })
+    return running
+  }
+
+  const emit = async (event, data) => {
+    try {
+      const hooks = (await db.getActiveWebhooks()).filter(hook => webhookEvents(hook).includes(event))
+      if (hooks.length === 0) return
+      await db.addWebhookDeliveries(hooks.map(hook => hook.id), event, webhookPayload(event, data))
+      flush()
+    } catch (error) {
+      console.error(`❌ Failed to queue webhook event ${event}:`, error.message)
+    }
+  }
+
+  // Queue a test delivery to one hook (whatever its events); returns the delivery id
+  const ping = async (hook) => {
+    const [deliveryId] = await db.addWebhookDeliveries([hook.id], PING_EVENT, webhookPayload(PING_EVENT, { webhook_id: hook.id }))
+    return deliveryId
+  }
+
+  const prune = async () => {
+    try {
+      const removed = await db.pruneWebhookDeliveries(DELIVERY_LOG_DAYS)
+      if (removed > 0) console.log(`🧹 Removed ${removed} webhook deliveries older than ${DELIVERY_LOG_DAYS} days`)
+    } catch (error) {
+      console.error('❌ Failed to prune webhook deliveries:', error.message)
+    }
+  }
+
+  const start = () => {
+    if (pollTimer) return
+    pollTimer = setInterval(flush, pollIntervalMs)
+    pollTimer.unref()
+    pruneTimer = setInterval(prune, 60 * 60 * 1000)
+    pruneTimer.unref()
+    prune()
+    flush()
+  }
+
+  // Stop polling and wait for the deliveries already being sent
+  const stop = async () => {
+    clearInterval(pollTimer)
+    clearInterval(pruneTimer)
+    pollTimer = null
+    pruneTimer = null
+    if (running) await running
+  }
+
+  return { emit, ping, flush, start, stop }
+}
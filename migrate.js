@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+// Schema migrations for the configured database (DB_TYPE, see database-factory.js)
+// Usage: node migrate.js [up|status] [--dry-run]
+
+import TennisDatabaseFactory from './database-factory.js'
+import { createMigrator } from './lib/migrations.js'
+
+const args = process.argv.slice(2)
+const command = args.find(arg => !arg.startsWith('-')) || 'up'
+const options = {
+  dryRun: args.includes('--dry-run') || args.includes('-n'),
+  help: args.includes('--help') || args.includes('-h')
+}
+
+function showHelp() {
+  console.log(`
+Tennis Ranking System - Schema Migrations
+
+Usage: node migrate.js [command] [options]
+
+Commands:
+  up             Apply pending migrations (default)
+  status         List applied and pending migrations
+
+Options:
+  -n, --dry-run  With up: list what would be applied without changing anything
+  -h, --help     Show this help message
+
+The server applies pending migrations on start unless MIGRATE_ON_START=false.
+`)
+}
+
+const printStatus = ({ applied, pending, changed, missing }) => {
+  console.log(`\n📋 Applied (${applied.length}):`)
+  for (const row of applied) console.log(`   ✅ ${String(row.version).padStart(3, '0')}-${row.name}  ${row.applied_at}`)
+  console.log(`\n⏳ Pending (${pending.length}):`)
+  for (const migration of pending) console.log(`   • ${migration.file}`)
+  if (changed.length > 0) {
+    console.log(`\n❌ Modified after being applied (${changed.length}):`)
+    for (const migration of changed) console.log(`   • ${migration.file}`)
+  }
+  if (missing.length > 0) {
+    console.log(`\n⚠️ Applied but missing from ${migrator.dir} (${missing.length}):`)
+    for (const row of missing) console.log(`   • ${row.version}-${row.name}`)
+  }
+}
+
+if (options.help || !['up', 'status'].includes(command)) {
+  showHelp()
+  process.exit(options.help ? 0 : 1)
+}
+
+const db = await TennisDatabaseFactory.create({ migrate: false })
+if (!db.isConnected) {
+  console.error('❌ Could not connect to the database')
+  process.exit(1)
+}
+const migrator = createMigrator(db)
+
+let exitCode = 0
+try {
+  if (command === 'status') {
+    printStatus(await migrator.status())
+  } else if (options.dryRun) {
+    const pending = await migrator.up({ dryRun: true })
+    console.log(pending.length === 0 ? '✅ Schema is up to date' : `🔍 Would apply ${pending.length} migration(s):`)
+    for (const migration of pending) console.log(`   • ${migration.file}`)
+  } else {
+    const applied = await migrator.up()
+    // Same follow-up as a server start: fill ratings for a freshly built schema
+    await db.backfillRatingsIfNeeded()
+    console.log(applied.length === 0 ? '✅ Schema is up to date' : `✅ Applied ${applied.length} migration(s)`)
+  }
+} catch (error) {
+  console.error('❌ Migration failed:', error.message)
+  exitCode = 1
+} finally {
+  await db.close()
+}
+process.exit(exitCode)
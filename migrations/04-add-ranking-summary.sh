@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Migration Script: Add Ranking Summary Tables + Triggers
 # Version: 4.0.0
 # Purpose: Optimize ranking queries by pre-computing player stats
@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Patch: Fix unnest syntax in trg_update_ranking_stats trigger
 # Version: 5.0.0
 # Purpose: Fix "column unnest does not exist" error by using proper alias syntax
@@ -0,0 +1,300 @@
+#!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
+# Migration Script: Configurable Scoring Rules per Season
+# Version: 6.0.0
+# Purpose: Replace the hard-coded "wins * 4 + losses" points formula
+#
+# This migration:
+#   1. Adds scoring columns to seasons and no_show_team to matches
+#   2. Adds calc_match_points() and rewrites the summary rebuild functions to use it
+#   3. Recomputes all summary stats with the (default) season rules
+#
+# The same rules are implemented in lib/scoring.js — keep both in sync.
+
+GREEN='\033[0;32m'
+RED='\033[0;31m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+CYAN='\033[0;36m'
+NC='\033[0m'
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}  Configurable Scoring Migration${NC}"
+echo -e "${BLUE}  Version 6.0.0${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+# Load environment variables from .env file
+if [ -f .env ]; then
+    while IFS='=' read -r key value; do
+        [[ "$key" =~ ^#.*$ ]] && continue
+        [[ -z "$key" ]] && continue
+        value="${value%\"}"
+        value="${value#\"}"
+        value="${value%\'}"
+        value="${value#\'}"
+        value="${value%% #*}"
+        export "$key=$value" 2>/dev/null
+    done < .env
+    echo -e "${GREEN}✅ Loaded environment variables from .env${NC}"
+fi
+
+DB_USER=${DB_USER:-tennis_user}
+DB_NAME=${DB_NAME:-tennis_ranking}
+DB_CONTAINER=${DB_CONTAINER:-tennis-postgres}
+
+echo -e "${YELLOW}Database Configuration:${NC}"
+echo "  Container: ${DB_CONTAINER}"
+echo "  Database:  ${DB_NAME}"
+echo "  User:      ${DB_USER}"
+echo ""
+
+# Check if container is running
+if ! docker ps --format '{{.Names}}' | grep -q "^${DB_CONTAINER}$"; then
+    echo -e "${RED}❌ Error: Docker container '${DB_CONTAINER}' is not running${NC}"
+    echo "Please start the container first with: docker compose up -d"
+    exit 1
+fi
+
+# ─────────────────────────────────────────────────────────────────────────────
+# Step 1: Scoring columns
+# ─────────────────────────────────────────────────────────────────────────────
+echo -e "${CYAN}Step 1/3: Adding scoring columns...${NC}"
+
+docker exec -i ${DB_CONTAINER} psql -U ${DB_USER} -d ${DB_NAME} << 'EOSQL'
+
+ALTER TABLE seasons
+    ADD COLUMN IF NOT EXISTS points_per_win INTEGER NOT NULL DEFAULT 4,
+    ADD COLUMN IF NOT EXISTS points_per_loss INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS margin_bonus_threshold INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS margin_bonus_points INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS no_show_penalty INTEGER NOT NULL DEFAULT 0;
+
+-- Team (1 or 2) that did not show up; that team always loses the match
+ALTER TABLE matches
+    ADD COLUMN IF NOT EXISTS no_show_team SMALLINT CHECK (no_show_team IN (1, 2));
+
+SELECT 'Scoring columns added' as status;
+EOSQL
+
+if [ $? -ne 0 ]; then
+    echo -e "${RED}❌ Failed to add scoring columns${NC}"
+    exit 1
+fi
+echo -e "${GREEN}✅ Scoring columns added${NC}"
+echo ""
+
+# ─────────────────────────────────────────────────────────────────────────────
+# Step 2: Points function + summary rebuild functions
+# ─────────────────────────────────────────────────────────────────────────────
+echo -e "${CYAN}Step 2/3: Replacing summary rebuild functions...${NC}"
+
+docker exec -i ${DB_CONTAINER} psql -U ${DB_USER} -d ${DB_NAME} << 'EOSQL'
+
+-- =====================================================================
+-- Points one player earns from one match under a season's rules
+-- p_result: 'win' / 'loss' from get_match_result_for_player()
+-- =====================================================================
+CREATE OR REPLACE FUNCTION calc_match_points(
+    p_result TEXT,
+    p_team1_score INTEGER, p_team2_score INTEGER, p_no_show_team INTEGER,
+    p_points_per_win INTEGER, p_points_per_loss INTEGER,
+    p_margin_bonus_threshold INTEGER, p_margin_bonus_points INTEGER,
+    p_no_show_penalty INTEGER
+) RETURNS INTEGER AS $$
+BEGIN
+    IF p_result = 'win' THEN
+        IF p_no_show_team IS NULL AND p_margin_bonus_threshold > 0
+           AND ABS(COALESCE(p_team1_score, 0) - COALESCE(p_team2_score, 0)) >= p_margin_bonus_threshold THEN
+            RETURN p_points_per_win + p_margin_bonus_points;
+        END IF;
+        RETURN p_points_per_win;
+    END IF;
+    IF p_result = 'loss' THEN
+        -- The absent team is always the losing team
+        IF p_no_show_team IS NOT NULL THEN
+            RETURN -p_no_show_penalty;
+        END IF;
+        RETURN p_points_per_loss;
+    END IF;
+    RETURN 0;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- =====================================================================
+-- Rebuild lifetime stats for ONE player — points use each match's season rules
+-- =====================================================================
+CREATE OR REPLACE FUNCTION rebuild_player_lifetime_stats(p_player_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_wins     INTEGER := 0;
+    v_losses   INTEGER := 0;
+    v_total    INTEGER := 0;
+    v_money    BIGINT  := 0;
+    v_points   INTEGER := 0;
+    v_form     JSONB;
+BEGIN
+    SELECT
+        COUNT(*) FILTER (WHERE r.result = 'win'),
+        COUNT(*) FILTER (WHERE r.result = 'loss'),
+        COUNT(*),
+        COALESCE(SUM(CASE WHEN r.result = 'loss' THEN COALESCE(s.lose_money_per_loss, 20000) ELSE 0 END), 0),
+        COALESCE(SUM(calc_match_points(
+            r.result, m.team1_score, m.team2_score, m.no_show_team,
+            s.points_per_win, s.points_per_loss,
+            s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty
+        )), 0)
+    INTO v_wins, v_losses, v_total, v_money, v_points
+    FROM matches m
+    JOIN seasons s ON m.season_id = s.id
+    CROSS JOIN LATERAL (
+        SELECT get_match_result_for_player(
+            p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+        ) AS result
+    ) r
+    WHERE m.player1_id = p_player_id OR m.player2_id = p_player_id
+       OR m.player3_id = p_player_id OR m.player4_id = p_player_id;
+
+    -- Recent form (last 5 matches)
+    SELECT COALESCE(jsonb_agg(sub.obj ORDER BY sub.rn), '[]'::jsonb)
+    INTO v_form
+    FROM (
+        SELECT
+            jsonb_build_object(
+                'result', get_match_result_for_player(
+                    p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+                ),
+                'play_date', TO_CHAR(m.play_date, 'YYYY-MM-DD')
+            ) AS obj,
+            ROW_NUMBER() OVER (ORDER BY m.play_date DESC, m.created_at DESC) AS rn
+        FROM matches m
+        WHERE m.player1_id = p_player_id OR m.player2_id = p_player_id
+           OR m.player3_id = p_player_id OR m.player4_id = p_player_id
+    ) sub
+    WHERE sub.rn <= 5;
+
+    INSERT INTO player_lifetime_stats (player_id, wins, losses, total_matches, money_lost, points, recent_form, updated_at)
+    VALUES (p_player_id, v_wins, v_losses, v_total, v_money, v_points, v_form, NOW())
+    ON CONFLICT (player_id) DO UPDATE SET
+        wins = EXCLUDED.wins,
+        losses = EXCLUDED.losses,
+        total_matches = EXCLUDED.total_matches,
+        money_lost = EXCLUDED.money_lost,
+        points = EXCLUDED.points,
+        recent_form = EXCLUDED.recent_form,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================================
+-- Rebuild season stats for ONE player in ONE season
+-- =====================================================================
+CREATE OR REPLACE FUNCTION rebuild_player_season_stats(p_player_id INTEGER, p_season_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_wins     INTEGER := 0;
+    v_losses   INTEGER := 0;
+    v_total    INTEGER := 0;
+    v_money    BIGINT  := 0;
+    v_points   INTEGER := 0;
+    v_lm       INTEGER;
+BEGIN
+    -- Get season lose_money config
+    SELECT COALESCE(lose_money_per_loss, 20000) INTO v_lm FROM seasons WHERE id = p_season_id;
+    IF v_lm IS NULL THEN v_lm := 20000; END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE r.result = 'win'),
+        COUNT(*) FILTER (WHERE r.result = 'loss'),
+        COUNT(*),
+        COALESCE(SUM(calc_match_points(
+            r.result, m.team1_score, m.team2_score, m.no_show_team,
+            s.points_per_win, s.points_per_loss,
+            s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty
+        )), 0)
+    INTO v_wins, v_losses, v_total, v_points
+    FROM matches m
+    JOIN seasons s ON m.season_id = s.id
+    CROSS JOIN LATERAL (
+        SELECT get_match_result_for_player(
+            p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+        ) AS result
+    ) r
+    WHERE m.season_id = p_season_id
+      AND (m.player1_id = p_player_id OR m.player2_id = p_player_id
+        OR m.player3_id = p_player_id OR m.player4_id = p_player_id);
+
+    v_money := v_losses::bigint * v_lm;
+
+    INSERT INTO player_season_stats (player_id, season_id, wins, losses, total_matches, money_lost, points, updated_at)
+    VALUES (p_player_id, p_season_id, v_wins, v_losses, v_total, v_money, v_points, NOW())
+    ON CONFLICT (player_id, season_id) DO UPDATE SET
+        wins = EXCLUDED.wins,
+        losses = EXCLUDED.losses,
+        total_matches = EXCLUDED.total_matches,
+        money_lost = EXCLUDED.money_lost,
+        points = EXCLUDED.points,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT 'Scoring functions created' as status;
+EOSQL
+
+if [ $? -ne 0 ]; then
+    echo -e "${RED}❌ Failed to replace summary functions${NC}"
+    exit 1
+fi
+echo -e "${GREEN}✅ Summary functions replaced${NC}"
+echo ""
+
+# ─────────────────────────────────────────────────────────────────────────────
+# Step 3: Recompute summary stats (ratings columns are left untouched)
+# ─────────────────────────────────────────────────────────────────────────────
+echo -e "${CYAN}Step 3/3: Recomputing summary stats...${NC}"
+
+docker exec -i ${DB_CONTAINER} psql -U ${DB_USER} -d ${DB_NAME} << 'EOSQL'
+
+DO $$
+DECLARE
+    r RECORD;
+    cnt INTEGER := 0;
+BEGIN
+    FOR r IN SELECT player_id FROM player_lifetime_stats LOOP
+        PERFORM rebuild_player_lifetime_stats(r.player_id);
+        cnt := cnt + 1;
+    END LOOP;
+    RAISE NOTICE 'Recomputed lifetime stats for % players', cnt;
+
+    cnt := 0;
+    FOR r IN SELECT player_id, season_id FROM player_season_stats LOOP
+        PERFORM rebuild_player_season_stats(r.player_id, r.season_id);
+        cnt := cnt + 1;
+    END LOOP;
+    RAISE NOTICE 'Recomputed season stats for % player-season combos', cnt;
+END $$;
+
+SELECT '=== Scoring per season ===' as info;
+SELECT id, name, points_per_win, points_per_loss, margin_bonus_threshold, margin_bonus_points, no_show_penalty
+FROM seasons ORDER BY start_date DESC;
+EOSQL
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo -e "${GREEN}================================================${NC}"
+    echo -e "${GREEN}  ✅ Configurable Scoring Migration Complete!${NC}"
+    echo -e "${GREEN}================================================${NC}"
+    echo ""
+    echo -e "${YELLOW}What changed:${NC}"
+    echo "  • seasons — points per win/loss, margin bonus, no-show penalty"
+    echo "  • matches.no_show_team — records forfeits"
+    echo "  • Summary stats now use each season's scoring rules"
+    echo ""
+    echo -e "${BLUE}Next: Restart server to pick up changes${NC}"
+else
+    echo ""
+    echo -e "${RED}================================================${NC}"
+    echo -e "${RED}  ❌ Migration failed!${NC}"
+    echo -e "${RED}================================================${NC}"
+    exit 1
+fi
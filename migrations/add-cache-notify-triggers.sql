@@ -1,3 +1,4 @@
+-- Superseded by migrations/postgresql/007-cache-invalidation-triggers.sql; kept for reference.
 -- Migration: Add PostgreSQL NOTIFY triggers for Redis cache invalidation
 -- This enables automatic cache invalidation when data changes in the database
 
@@ -1,4 +1,5 @@
 #!/bin/bash
+# Superseded by migrations/postgresql/ (npm run migrate); kept for reference.
 # Migration Script: Add token_version column to users table for JWT revocation
 # This enables server-side token invalidation on logout / password change / disable
 
@@ -0,0 +1,108 @@
+-- Players, seasons, season rosters and matches.
+-- Databases created before the migration runner already have these tables;
+-- the ADD COLUMN IF NOT EXISTS statements bring older layouts up to date.
+
+CREATE TABLE IF NOT EXISTS players (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- archived_at: archived players are hidden from selectors but keep their history
+-- nickname / preferred_hand / avatar_color: optional profile fields
+ALTER TABLE players
+    ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS nickname VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS preferred_hand VARCHAR(5) CHECK (preferred_hand IN ('left', 'right')),
+    ADD COLUMN IF NOT EXISTS avatar_color VARCHAR(7);
+
+-- Seasons - several can be active at the same time
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- lose_money_per_loss: penalty per loss (VND)
+-- points_per_win .. no_show_penalty: scoring rules (DEFAULT_SCORING in lib/scoring.js)
+ALTER TABLE seasons
+    ADD COLUMN IF NOT EXISTS auto_end BOOLEAN DEFAULT true,
+    ADD COLUMN IF NOT EXISTS description TEXT,
+    ADD COLUMN IF NOT EXISTS lose_money_per_loss INTEGER DEFAULT 20000,
+    ADD COLUMN IF NOT EXISTS points_per_win INTEGER NOT NULL DEFAULT 4,
+    ADD COLUMN IF NOT EXISTS points_per_loss INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS margin_bonus_threshold INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS margin_bonus_points INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS no_show_penalty INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS ended_by VARCHAR(255);
+
+-- Which players can take part in each season
+CREATE TABLE IF NOT EXISTS season_players (
+    id SERIAL PRIMARY KEY,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    added_by VARCHAR(255),
+    UNIQUE(season_id, player_id)
+);
+
+-- match_type: 'duo' (đánh đôi, 4 players) or 'solo' (đánh đơn, 2 players)
+CREATE TABLE IF NOT EXISTS matches (
+    id SERIAL PRIMARY KEY,
+    season_id INTEGER NOT NULL REFERENCES seasons(id),
+    play_date DATE NOT NULL,
+    player1_id INTEGER NOT NULL REFERENCES players(id),
+    player2_id INTEGER REFERENCES players(id),
+    player3_id INTEGER REFERENCES players(id),
+    player4_id INTEGER REFERENCES players(id),
+    team1_score INTEGER NOT NULL,
+    team2_score INTEGER NOT NULL,
+    winning_team INTEGER NOT NULL,
+    match_type VARCHAR(10) DEFAULT 'duo',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_match_players CHECK (
+        (match_type = 'duo' AND player2_id IS NOT NULL AND player4_id IS NOT NULL) OR
+        (match_type = 'solo' AND player2_id IS NULL AND player4_id IS NULL)
+    )
+);
+
+-- Tables from before solo matches required all four players
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS match_type VARCHAR(10) DEFAULT 'duo';
+ALTER TABLE matches ALTER COLUMN player2_id DROP NOT NULL;
+ALTER TABLE matches ALTER COLUMN player4_id DROP NOT NULL;
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS check_match_type;
+ALTER TABLE matches ADD CONSTRAINT check_match_type CHECK (match_type IN ('solo', 'duo'));
+
+-- no_show_team: the team (1 or 2) that did not turn up and forfeited
+-- sets: [{ team1, team2, tiebreak?, matchTiebreak? }]; the sets/games totals are
+-- derived from it so rankings can aggregate them. team1_score/team2_score stay
+-- filled for older clients and exports.
+ALTER TABLE matches
+    ADD COLUMN IF NOT EXISTS no_show_team SMALLINT CHECK (no_show_team IN (1, 2)),
+    ADD COLUMN IF NOT EXISTS sets JSONB,
+    ADD COLUMN IF NOT EXISTS team1_sets SMALLINT,
+    ADD COLUMN IF NOT EXISTS team2_sets SMALLINT,
+    ADD COLUMN IF NOT EXISTS team1_games SMALLINT,
+    ADD COLUMN IF NOT EXISTS team2_games SMALLINT;
+
+CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
+CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
+CREATE INDEX IF NOT EXISTS idx_matches_match_type ON matches(match_type);
+CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active);
+CREATE INDEX IF NOT EXISTS idx_season_players_season_id ON season_players(season_id);
+CREATE INDEX IF NOT EXISTS idx_season_players_player_id ON season_players(player_id);
+
+-- Player lookups (form queries)
+CREATE INDEX IF NOT EXISTS idx_matches_player1_id ON matches(player1_id);
+CREATE INDEX IF NOT EXISTS idx_matches_player2_id ON matches(player2_id);
+CREATE INDEX IF NOT EXISTS idx_matches_player3_id ON matches(player3_id);
+CREATE INDEX IF NOT EXISTS idx_matches_player4_id ON matches(player4_id);
+CREATE INDEX IF NOT EXISTS idx_matches_season_date ON matches(season_id, play_date DESC);
+CREATE INDEX IF NOT EXISTS idx_matches_form_lookup
+    ON matches(play_date DESC, created_at DESC)
+    INCLUDE (player1_id, player2_id, player3_id, player4_id, winning_team);
+CREATE INDEX IF NOT EXISTS idx_season_players_composite ON season_players(season_id, player_id);
@@ -0,0 +1,279 @@
+-- Pre-computed ranking stats (previously migrations 04, 05 and 06 as shell scripts).
+-- A trigger on matches keeps both summary tables current; points follow each
+-- match's season scoring rules (calculateMatchPoints() in lib/scoring.js).
+
+CREATE TABLE IF NOT EXISTS player_season_stats (
+    player_id     INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    season_id     INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    wins          INTEGER NOT NULL DEFAULT 0,
+    losses        INTEGER NOT NULL DEFAULT 0,
+    total_matches INTEGER NOT NULL DEFAULT 0,
+    money_lost    BIGINT  NOT NULL DEFAULT 0,
+    points        INTEGER NOT NULL DEFAULT 0,
+    updated_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (player_id, season_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pss_season ON player_season_stats(season_id);
+CREATE INDEX IF NOT EXISTS idx_pss_points ON player_season_stats(points DESC);
+
+-- recent_form: last 5 results as [{ result, play_date }]
+CREATE TABLE IF NOT EXISTS player_lifetime_stats (
+    player_id     INTEGER PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    wins          INTEGER NOT NULL DEFAULT 0,
+    losses        INTEGER NOT NULL DEFAULT 0,
+    total_matches INTEGER NOT NULL DEFAULT 0,
+    money_lost    BIGINT  NOT NULL DEFAULT 0,
+    points        INTEGER NOT NULL DEFAULT 0,
+    recent_form   JSONB   DEFAULT '[]'::jsonb,
+    updated_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pls_points ON player_lifetime_stats(points DESC);
+
+-- 'win', 'loss', or NULL if the player was not in the match
+CREATE OR REPLACE FUNCTION get_match_result_for_player(
+    p_player_id INTEGER,
+    p_player1_id INTEGER, p_player2_id INTEGER,
+    p_player3_id INTEGER, p_player4_id INTEGER,
+    p_winning_team INTEGER
+) RETURNS TEXT AS $$
+BEGIN
+    -- Team 1: player1 + player2
+    IF p_player_id = p_player1_id OR p_player_id = p_player2_id THEN
+        RETURN CASE WHEN p_winning_team = 1 THEN 'win' ELSE 'loss' END;
+    END IF;
+    -- Team 2: player3 + player4
+    IF p_player_id = p_player3_id OR p_player_id = p_player4_id THEN
+        RETURN CASE WHEN p_winning_team = 2 THEN 'win' ELSE 'loss' END;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Points one player earns from one match under a season's rules
+CREATE OR REPLACE FUNCTION calc_match_points(
+    p_result TEXT,
+    p_team1_score INTEGER, p_team2_score INTEGER, p_no_show_team INTEGER,
+    p_points_per_win INTEGER, p_points_per_loss INTEGER,
+    p_margin_bonus_threshold INTEGER, p_margin_bonus_points INTEGER,
+    p_no_show_penalty INTEGER
+) RETURNS INTEGER AS $$
+BEGIN
+    IF p_result = 'win' THEN
+        IF p_no_show_team IS NULL AND p_margin_bonus_threshold > 0
+           AND ABS(COALESCE(p_team1_score, 0) - COALESCE(p_team2_score, 0)) >= p_margin_bonus_threshold THEN
+            RETURN p_points_per_win + p_margin_bonus_points;
+        END IF;
+        RETURN p_points_per_win;
+    END IF;
+    IF p_result = 'loss' THEN
+        -- The absent team is always the losing team
+        IF p_no_show_team IS NOT NULL THEN
+            RETURN -p_no_show_penalty;
+        END IF;
+        RETURN p_points_per_loss;
+    END IF;
+    RETURN 0;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Rebuild lifetime stats for ONE player from scratch
+CREATE OR REPLACE FUNCTION rebuild_player_lifetime_stats(p_player_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_wins     INTEGER := 0;
+    v_losses   INTEGER := 0;
+    v_total    INTEGER := 0;
+    v_money    BIGINT  := 0;
+    v_points   INTEGER := 0;
+    v_form     JSONB;
+BEGIN
+    SELECT
+        COUNT(*) FILTER (WHERE r.result = 'win'),
+        COUNT(*) FILTER (WHERE r.result = 'loss'),
+        COUNT(*),
+        COALESCE(SUM(CASE WHEN r.result = 'loss' THEN COALESCE(s.lose_money_per_loss, 20000) ELSE 0 END), 0),
+        COALESCE(SUM(calc_match_points(
+            r.result, m.team1_score, m.team2_score, m.no_show_team,
+            s.points_per_win, s.points_per_loss,
+            s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty
+        )), 0)
+    INTO v_wins, v_losses, v_total, v_money, v_points
+    FROM matches m
+    JOIN seasons s ON m.season_id = s.id
+    CROSS JOIN LATERAL (
+        SELECT get_match_result_for_player(
+            p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+        ) AS result
+    ) r
+    WHERE m.player1_id = p_player_id OR m.player2_id = p_player_id
+       OR m.player3_id = p_player_id OR m.player4_id = p_player_id;
+
+    -- Recent form (last 5 matches)
+    SELECT COALESCE(jsonb_agg(sub.obj ORDER BY sub.rn), '[]'::jsonb)
+    INTO v_form
+    FROM (
+        SELECT
+            jsonb_build_object(
+                'result', get_match_result_for_player(
+                    p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+                ),
+                'play_date', TO_CHAR(m.play_date, 'YYYY-MM-DD')
+            ) AS obj,
+            ROW_NUMBER() OVER (ORDER BY m.play_date DESC, m.created_at DESC) AS rn
+        FROM matches m
+        WHERE m.player1_id = p_player_id OR m.player2_id = p_player_id
+           OR m.player3_id = p_player_id OR m.player4_id = p_player_id
+    ) sub
+    WHERE sub.rn <= 5;
+
+    INSERT INTO player_lifetime_stats (player_id, wins, losses, total_matches, money_lost, points, recent_form, updated_at)
+    VALUES (p_player_id, v_wins, v_losses, v_total, v_money, v_points, v_form, NOW())
+    ON CONFLICT (player_id) DO UPDATE SET
+        wins = EXCLUDED.wins,
+        losses = EXCLUDED.losses,
+        total_matches = EXCLUDED.total_matches,
+        money_lost = EXCLUDED.money_lost,
+        points = EXCLUDED.points,
+        recent_form = EXCLUDED.recent_form,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild season stats for ONE player in ONE season
+CREATE OR REPLACE FUNCTION rebuild_player_season_stats(p_player_id INTEGER, p_season_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_wins     INTEGER := 0;
+    v_losses   INTEGER := 0;
+    v_total    INTEGER := 0;
+    v_money    BIGINT  := 0;
+    v_points   INTEGER := 0;
+    v_lm       INTEGER;
+BEGIN
+    SELECT COALESCE(lose_money_per_loss, 20000) INTO v_lm FROM seasons WHERE id = p_season_id;
+    IF v_lm IS NULL THEN v_lm := 20000; END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE r.result = 'win'),
+        COUNT(*) FILTER (WHERE r.result = 'loss'),
+        COUNT(*),
+        COALESCE(SUM(calc_match_points(
+            r.result, m.team1_score, m.team2_score, m.no_show_team,
+            s.points_per_win, s.points_per_loss,
+            s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty
+        )), 0)
+    INTO v_wins, v_losses, v_total, v_points
+    FROM matches m
+    JOIN seasons s ON m.season_id = s.id
+    CROSS JOIN LATERAL (
+        SELECT get_match_result_for_player(
+            p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+        ) AS result
+    ) r
+    WHERE m.season_id = p_season_id
+      AND (m.player1_id = p_player_id OR m.player2_id = p_player_id
+        OR m.player3_id = p_player_id OR m.player4_id = p_player_id);
+
+    v_money := v_losses::bigint * v_lm;
+
+    INSERT INTO player_season_stats (player_id, season_id, wins, losses, total_matches, money_lost, points, updated_at)
+    VALUES (p_player_id, p_season_id, v_wins, v_losses, v_total, v_money, v_points, NOW())
+    ON CONFLICT (player_id, season_id) DO UPDATE SET
+        wins = EXCLUDED.wins,
+        losses = EXCLUDED.losses,
+        total_matches = EXCLUDED.total_matches,
+        money_lost = EXCLUDED.money_lost,
+        points = EXCLUDED.points,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- After INSERT / UPDATE / DELETE on matches: rebuild the stats of every
+-- player (and season) the old and new row touch, then notify the cache
+CREATE OR REPLACE FUNCTION trg_update_ranking_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+    affected_player_ids INTEGER[];
+    affected_season_ids INTEGER[];
+    pid INTEGER;
+    sid INTEGER;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        affected_player_ids := ARRAY[OLD.player1_id, OLD.player2_id, OLD.player3_id, OLD.player4_id];
+        affected_season_ids := ARRAY[OLD.season_id];
+    ELSIF TG_OP = 'INSERT' THEN
+        affected_player_ids := ARRAY[NEW.player1_id, NEW.player2_id, NEW.player3_id, NEW.player4_id];
+        affected_season_ids := ARRAY[NEW.season_id];
+    ELSE -- UPDATE
+        affected_player_ids := ARRAY[
+            OLD.player1_id, OLD.player2_id, OLD.player3_id, OLD.player4_id,
+            NEW.player1_id, NEW.player2_id, NEW.player3_id, NEW.player4_id
+        ];
+        affected_season_ids := ARRAY[OLD.season_id, NEW.season_id];
+    END IF;
+
+    -- De-duplicate and remove NULLs (alias avoids ambiguity with the array name)
+    affected_player_ids := ARRAY(SELECT DISTINCT val FROM unnest(affected_player_ids) AS val WHERE val IS NOT NULL);
+    affected_season_ids := ARRAY(SELECT DISTINCT val FROM unnest(affected_season_ids) AS val WHERE val IS NOT NULL);
+
+    FOREACH pid IN ARRAY affected_player_ids LOOP
+        PERFORM rebuild_player_lifetime_stats(pid);
+    END LOOP;
+
+    FOREACH pid IN ARRAY affected_player_ids LOOP
+        FOREACH sid IN ARRAY affected_season_ids LOOP
+            PERFORM rebuild_player_season_stats(pid, sid);
+        END LOOP;
+    END LOOP;
+
+    PERFORM pg_notify('cache_invalidation', json_build_object(
+        'table', 'matches',
+        'action', TG_OP,
+        'date', COALESCE(
+            CASE WHEN TG_OP = 'DELETE' THEN TO_CHAR(OLD.play_date, 'YYYY-MM-DD')
+                 ELSE TO_CHAR(NEW.play_date, 'YYYY-MM-DD')
+            END, ''
+        )
+    )::text);
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_matches_ranking_stats ON matches;
+CREATE TRIGGER trg_matches_ranking_stats
+    AFTER INSERT OR UPDATE OR DELETE ON matches
+    FOR EACH ROW
+    EXECUTE FUNCTION trg_update_ranking_stats();
+
+-- Backfill: every player, every rostered (player, season) pair, and every
+-- pair that has matches without a roster entry
+DO $$
+DECLARE
+    r RECORD;
+BEGIN
+    FOR r IN SELECT id FROM players LOOP
+        PERFORM rebuild_player_lifetime_stats(r.id);
+    END LOOP;
+
+    FOR r IN SELECT DISTINCT player_id, season_id FROM season_players LOOP
+        PERFORM rebuild_player_season_stats(r.player_id, r.season_id);
+    END LOOP;
+
+    FOR r IN
+        SELECT DISTINCT sub.player_id, m.season_id
+        FROM matches m
+        CROSS JOIN LATERAL (
+            SELECT m.player1_id AS player_id UNION SELECT m.player2_id WHERE m.player2_id IS NOT NULL
+            UNION SELECT m.player3_id UNION SELECT m.player4_id WHERE m.player4_id IS NOT NULL
+        ) sub
+        WHERE NOT EXISTS (
+            SELECT 1 FROM player_season_stats pss
+            WHERE pss.player_id = sub.player_id AND pss.season_id = m.season_id
+        )
+    LOOP
+        PERFORM rebuild_player_season_stats(r.player_id, r.season_id);
+    END LOOP;
+END $$;
@@ -0,0 +1,22 @@
+-- Skill rating (Elo) columns next to the points summary tables, and the
+-- lifetime rating before/after every match in replay order (seq).
+-- Ratings are written by rebuildRatings() in database-postgresql.js.
+
+ALTER TABLE player_lifetime_stats
+    ADD COLUMN IF NOT EXISTS rating DOUBLE PRECISION NOT NULL DEFAULT 1500,
+    ADD COLUMN IF NOT EXISTS rated_matches INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE player_season_stats
+    ADD COLUMN IF NOT EXISTS rating DOUBLE PRECISION NOT NULL DEFAULT 1500,
+    ADD COLUMN IF NOT EXISTS rated_matches INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS player_rating_history (
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    rating_before DOUBLE PRECISION NOT NULL,
+    rating_after DOUBLE PRECISION NOT NULL,
+    PRIMARY KEY (match_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_player_seq ON player_rating_history(player_id, seq DESC);
@@ -0,0 +1,13 @@
+-- Trash: deleted matches/seasons kept as raw rows (to_jsonb) until expires_at.
+-- A season entry carries its roster and matches so a restore brings everything back.
+
+CREATE TABLE IF NOT EXISTS trash (
+    id SERIAL PRIMARY KEY,
+    entity_type VARCHAR(10) NOT NULL CHECK (entity_type IN ('match', 'season')),
+    entity_id INTEGER NOT NULL,
+    data JSONB NOT NULL,
+    deleted_by VARCHAR(255),
+    deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    UNIQUE (entity_type, entity_id)
+);
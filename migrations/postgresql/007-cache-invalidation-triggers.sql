@@ -0,0 +1,33 @@
+-- NOTIFY cache_invalidation when players or seasons change (previously
+-- migrations/add-cache-notify-triggers.sql). RedisCache.subscribeToDbChanges()
+-- listens on this channel. Matches already notify from trg_update_ranking_stats().
+
+-- Same payload as the original function ({ table, action, id, date for matches })
+-- so databases that still have its matches trigger keep working
+CREATE OR REPLACE FUNCTION notify_cache_invalidation()
+RETURNS TRIGGER AS $$
+DECLARE
+    row_data RECORD;
+    payload JSONB;
+BEGIN
+    IF TG_OP = 'DELETE' THEN row_data := OLD; ELSE row_data := NEW; END IF;
+    payload := jsonb_build_object('table', TG_TABLE_NAME, 'action', TG_OP, 'id', row_data.id);
+    IF TG_TABLE_NAME = 'matches' THEN
+        payload := payload || jsonb_build_object('date', TO_CHAR(row_data.play_date::DATE, 'YYYY-MM-DD'));
+    END IF;
+    PERFORM pg_notify('cache_invalidation', payload::text);
+    RETURN row_data;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS players_cache_invalidation ON players;
+CREATE TRIGGER players_cache_invalidation
+    AFTER INSERT OR UPDATE OR DELETE ON players
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_cache_invalidation();
+
+DROP TRIGGER IF EXISTS seasons_cache_invalidation ON seasons;
+CREATE TRIGGER seasons_cache_invalidation
+    AFTER INSERT OR UPDATE OR DELETE ON seasons
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_cache_invalidation();
@@ -0,0 +1,18 @@
+-- Money ledger: payments and adjustments per player and season (see lib/ledger.js).
+-- Deleted with the season or player; a trashed season keeps its entries in the snapshot.
+
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('payment', 'adjustment')),
+    amount INTEGER NOT NULL CHECK (amount <> 0),
+    note VARCHAR(255),
+    paid_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    recorded_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_payment_positive CHECK (kind <> 'payment' OR amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_season_player ON payments(season_id, player_id);
+CREATE INDEX IF NOT EXISTS idx_payments_player_id ON payments(player_id);
@@ -0,0 +1,16 @@
+-- Shared costs of a play date (court rental, balls), split among the players
+-- of that date's matches (see lib/expense-split.js).
+-- weights: optional { "<player id>": weight } overriding the default weight of 1
+
+CREATE TABLE IF NOT EXISTS expenses (
+    id SERIAL PRIMARY KEY,
+    play_date DATE NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    description VARCHAR(255) NOT NULL,
+    paid_by INTEGER REFERENCES players(id) ON DELETE SET NULL,
+    weights JSONB,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_play_date ON expenses(play_date);
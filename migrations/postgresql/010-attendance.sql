@@ -0,0 +1,27 @@
+-- Announced play dates and who said they would come / actually came
+-- (see lib/attendance.js). Attendance is keyed by date, so check-in also
+-- works on a date that was never announced.
+-- availability: the player's answer to the announcement (NULL = no answer)
+-- checked_in_at: set when an editor checks the player in on the day
+
+CREATE TABLE IF NOT EXISTS play_sessions (
+    id SERIAL PRIMARY KEY,
+    play_date DATE NOT NULL UNIQUE,
+    season_id INTEGER REFERENCES seasons(id) ON DELETE SET NULL,
+    note VARCHAR(255),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS attendance (
+    play_date DATE NOT NULL,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    availability VARCHAR(20) CHECK (availability IN ('available', 'maybe', 'unavailable')),
+    checked_in_at TIMESTAMP,
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (play_date, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_sessions_season_id ON play_sessions(season_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_player_id ON attendance(player_id);
@@ -0,0 +1,49 @@
+-- Tournaments of a season (see lib/tournament.js). The bracket is stored as
+-- match slots whose two sides name where their entrant comes from:
+--   seed:N, winner:<slot>, loser:<slot>, group:<group>:<rank> or bye
+-- Results are the recorded matches that point at a slot through
+-- matches.tournament_match_id (no foreign key, so a match restored from the
+-- trash after its tournament was deleted is simply not part of any bracket).
+-- Entries of a deleted player go away with them; their seed becomes a bye.
+
+CREATE TABLE IF NOT EXISTS tournaments (
+    id SERIAL PRIMARY KEY,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    format VARCHAR(20) NOT NULL CHECK (format IN ('single_elimination', 'double_elimination', 'groups_knockout')),
+    match_type VARCHAR(10) NOT NULL DEFAULT 'solo' CHECK (match_type IN ('solo', 'duo')),
+    group_count INTEGER,
+    advance_per_group INTEGER,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tournament_entries (
+    id SERIAL PRIMARY KEY,
+    tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+    seed INTEGER NOT NULL,
+    player1_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    player2_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+    group_number INTEGER,
+    UNIQUE (tournament_id, seed)
+);
+
+CREATE TABLE IF NOT EXISTS tournament_matches (
+    id SERIAL PRIMARY KEY,
+    tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+    slot VARCHAR(20) NOT NULL,
+    stage VARCHAR(10) NOT NULL CHECK (stage IN ('group', 'winners', 'losers', 'final', 'knockout')),
+    round INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    group_number INTEGER,
+    source1 VARCHAR(30) NOT NULL,
+    source2 VARCHAR(30) NOT NULL,
+    UNIQUE (tournament_id, slot)
+);
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS tournament_match_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_season_id ON tournaments(season_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_entries_player1_id ON tournament_entries(player1_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_entries_player2_id ON tournament_entries(player2_id);
+CREATE INDEX IF NOT EXISTS idx_matches_tournament_match_id ON matches(tournament_match_id);
@@ -0,0 +1,17 @@
+-- Scheduled play dates: start/end time (HH:MM, local time) and venue on
+-- top of the announcement, and calendar feed tokens (see lib/calendar.js).
+-- A player has at most one feed URL; a new one replaces it. Only the
+-- SHA-256 of the token is stored, the URL itself is shown once.
+
+ALTER TABLE play_sessions ADD COLUMN IF NOT EXISTS start_time VARCHAR(5);
+ALTER TABLE play_sessions ADD COLUMN IF NOT EXISTS end_time VARCHAR(5);
+ALTER TABLE play_sessions ADD COLUMN IF NOT EXISTS venue VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+    id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL UNIQUE REFERENCES players(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+);
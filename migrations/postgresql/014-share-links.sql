@@ -0,0 +1,19 @@
+-- Public read-only share links (see lib/share.js): a secret URL showing one
+-- season's rankings or the lifetime rankings without an account. Only the
+-- SHA-256 of the token is stored; a link stops working when it is deleted
+-- or once expires_at has passed.
+
+CREATE TABLE IF NOT EXISTS share_links (
+    id SERIAL PRIMARY KEY,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('season', 'lifetime')),
+    season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE,
+    label VARCHAR(100),
+    expires_at TIMESTAMP,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    CHECK ((scope = 'season') = (season_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_season ON share_links(season_id);
@@ -0,0 +1,14 @@
+-- Idempotency keys of match submissions (POST /api/matches with an
+-- Idempotency-Key header). The browser outbox (src/outbox.js) sends the same
+-- key on every replay, so a submission whose answer was lost on a bad
+-- connection is not recorded twice. match_id stays NULL while the match is
+-- being added; keys older than MATCH_SUBMISSION_DAYS are removed.
+
+CREATE TABLE IF NOT EXISTS match_submissions (
+    submission_key VARCHAR(100) PRIMARY KEY,
+    match_id INTEGER,
+    submitted_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_submissions_created_at ON match_submissions(created_at);
@@ -0,0 +1,6 @@
+-- An Idempotency-Key is bound to the submission it was first used for:
+-- payload_hash is submissionFingerprint() (lib/match-submission.js) of the
+-- match and the user. Keys claimed before this column existed have none and
+-- are not checked.
+
+ALTER TABLE match_submissions ADD COLUMN IF NOT EXISTS payload_hash VARCHAR(64);
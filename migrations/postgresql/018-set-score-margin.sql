@@ -0,0 +1,130 @@
+-- The margin bonus counts games (lib/scoring.js). Set-scored matches store
+-- sets won in team1_score/team2_score (legacyScore in lib/tennis-score.js), so
+-- the summary functions pass the games of those matches to calc_match_points
+-- instead, and every summary row is rebuilt with the new margin.
+
+-- Rebuild lifetime stats for ONE player from scratch
+CREATE OR REPLACE FUNCTION rebuild_player_lifetime_stats(p_player_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_wins     INTEGER := 0;
+    v_losses   INTEGER := 0;
+    v_total    INTEGER := 0;
+    v_money    BIGINT  := 0;
+    v_points   INTEGER := 0;
+    v_form     JSONB;
+BEGIN
+    SELECT
+        COUNT(*) FILTER (WHERE r.result = 'win'),
+        COUNT(*) FILTER (WHERE r.result = 'loss'),
+        COUNT(*),
+        COALESCE(SUM(CASE WHEN r.result = 'loss' THEN COALESCE(s.lose_money_per_loss, 20000) ELSE 0 END), 0),
+        COALESCE(SUM(calc_match_points(
+            r.result, COALESCE(m.team1_games, m.team1_score), COALESCE(m.team2_games, m.team2_score), m.no_show_team,
+            s.points_per_win, s.points_per_loss,
+            s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty
+        )), 0)
+    INTO v_wins, v_losses, v_total, v_money, v_points
+    FROM matches m
+    JOIN seasons s ON m.season_id = s.id
+    CROSS JOIN LATERAL (
+        SELECT get_match_result_for_player(
+            p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+        ) AS result
+    ) r
+    WHERE m.player1_id = p_player_id OR m.player2_id = p_player_id
+       OR m.player3_id = p_player_id OR m.player4_id = p_player_id;
+
+    -- Recent form (last 5 matches)
+    SELECT COALESCE(jsonb_agg(sub.obj ORDER BY sub.rn), '[]'::jsonb)
+    INTO v_form
+    FROM (
+        SELECT
+            jsonb_build_object(
+                'result', get_match_result_for_player(
+                    p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+                ),
+                'play_date', TO_CHAR(m.play_date, 'YYYY-MM-DD')
+            ) AS obj,
+            ROW_NUMBER() OVER (ORDER BY m.play_date DESC, m.created_at DESC) AS rn
+        FROM matches m
+        WHERE m.player1_id = p_player_id OR m.player2_id = p_player_id
+           OR m.player3_id = p_player_id OR m.player4_id = p_player_id
+    ) sub
+    WHERE sub.rn <= 5;
+
+    INSERT INTO player_lifetime_stats (player_id, wins, losses, total_matches, money_lost, points, recent_form, updated_at)
+    VALUES (p_player_id, v_wins, v_losses, v_total, v_money, v_points, v_form, NOW())
+    ON CONFLICT (player_id) DO UPDATE SET
+        wins = EXCLUDED.wins,
+        losses = EXCLUDED.losses,
+        total_matches = EXCLUDED.total_matches,
+        money_lost = EXCLUDED.money_lost,
+        points = EXCLUDED.points,
+        recent_form = EXCLUDED.recent_form,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild season stats for ONE player in ONE season
+CREATE OR REPLACE FUNCTION rebuild_player_season_stats(p_player_id INTEGER, p_season_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_wins     INTEGER := 0;
+    v_losses   INTEGER := 0;
+    v_total    INTEGER := 0;
+    v_money    BIGINT  := 0;
+    v_points   INTEGER := 0;
+    v_lm       INTEGER;
+BEGIN
+    SELECT COALESCE(lose_money_per_loss, 20000) INTO v_lm FROM seasons WHERE id = p_season_id;
+    IF v_lm IS NULL THEN v_lm := 20000; END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE r.result = 'win'),
+        COUNT(*) FILTER (WHERE r.result = 'loss'),
+        COUNT(*),
+        COALESCE(SUM(calc_match_points(
+            r.result, COALESCE(m.team1_games, m.team1_score), COALESCE(m.team2_games, m.team2_score), m.no_show_team,
+            s.points_per_win, s.points_per_loss,
+            s.margin_bonus_threshold, s.margin_bonus_points, s.no_show_penalty
+        )), 0)
+    INTO v_wins, v_losses, v_total, v_points
+    FROM matches m
+    JOIN seasons s ON m.season_id = s.id
+    CROSS JOIN LATERAL (
+        SELECT get_match_result_for_player(
+            p_player_id, m.player1_id, m.player2_id, m.player3_id, m.player4_id, m.winning_team
+        ) AS result
+    ) r
+    WHERE m.season_id = p_season_id
+      AND (m.player1_id = p_player_id OR m.player2_id = p_player_id
+        OR m.player3_id = p_player_id OR m.player4_id = p_player_id);
+
+    v_money := v_losses::bigint * v_lm;
+
+    INSERT INTO player_season_stats (player_id, season_id, wins, losses, total_matches, money_lost, points, updated_at)
+    VALUES (p_player_id, p_season_id, v_wins, v_losses, v_total, v_money, v_points, NOW())
+    ON CONFLICT (player_id, season_id) DO UPDATE SET
+        wins = EXCLUDED.wins,
+        losses = EXCLUDED.losses,
+        total_matches = EXCLUDED.total_matches,
+        money_lost = EXCLUDED.money_lost,
+        points = EXCLUDED.points,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild every summary row with the new margin
+DO $$
+DECLARE
+    r RECORD;
+BEGIN
+    FOR r IN SELECT id FROM players LOOP
+        PERFORM rebuild_player_lifetime_stats(r.id);
+    END LOOP;
+
+    FOR r IN SELECT player_id, season_id FROM player_season_stats LOOP
+        PERFORM rebuild_player_season_stats(r.player_id, r.season_id);
+    END LOOP;
+END $$;
@@ -0,0 +1,135 @@
+// Players, seasons, season rosters and matches.
+// A .js migration because files created by the old minimal SQLite schema
+// need inspecting: missing columns are added, and a matches table that
+// still requires four players is rebuilt (SQLite cannot drop NOT NULL).
+
+// ISO 8601 UTC text, so timestamps sort and parse like the PostgreSQL values
+const NOW_SQL = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`
+
+// ALTER TABLE ADD COLUMN for each column the table does not have yet
+const addMissingColumns = async (client, table, columns) => {
+  const { rows } = await client.query(`PRAGMA table_info(${table})`)
+  const existing = new Set(rows.map(col => col.name))
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) await client.query(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`)
+  }
+}
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS players (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      created_at TEXT DEFAULT (${NOW_SQL}),
+      archived_at TEXT,
+      nickname TEXT,
+      preferred_hand TEXT CHECK (preferred_hand IN ('left', 'right')),
+      avatar_color TEXT
+    )
+  `)
+
+  // Seasons table - supports multiple concurrent active seasons
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS seasons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT,
+      is_active INTEGER DEFAULT 1,
+      auto_end INTEGER DEFAULT 1,
+      description TEXT,
+      lose_money_per_loss INTEGER DEFAULT 20000,
+      points_per_win INTEGER NOT NULL DEFAULT 4,
+      points_per_loss INTEGER NOT NULL DEFAULT 1,
+      margin_bonus_threshold INTEGER NOT NULL DEFAULT 0,
+      margin_bonus_points INTEGER NOT NULL DEFAULT 0,
+      no_show_penalty INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT (${NOW_SQL}),
+      ended_at TEXT,
+      ended_by TEXT
+    )
+  `)
+
+  await addMissingColumns(client, 'players', {
+    archived_at: 'TEXT',
+    nickname: 'TEXT',
+    preferred_hand: "TEXT CHECK (preferred_hand IN ('left', 'right'))",
+    avatar_color: 'TEXT'
+  })
+  await addMissingColumns(client, 'seasons', {
+    auto_end: 'INTEGER DEFAULT 1',
+    description: 'TEXT',
+    lose_money_per_loss: 'INTEGER DEFAULT 20000',
+    points_per_win: 'INTEGER NOT NULL DEFAULT 4',
+    points_per_loss: 'INTEGER NOT NULL DEFAULT 1',
+    margin_bonus_threshold: 'INTEGER NOT NULL DEFAULT 0',
+    margin_bonus_points: 'INTEGER NOT NULL DEFAULT 0',
+    no_show_penalty: 'INTEGER NOT NULL DEFAULT 0',
+    ended_at: 'TEXT',
+    ended_by: 'TEXT'
+  })
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS season_players (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      added_at TEXT DEFAULT (${NOW_SQL}),
+      added_by TEXT,
+      UNIQUE(season_id, player_id)
+    )
+  `)
+
+  const { rows: matchColumns } = await client.query('PRAGMA table_info(matches)')
+  const legacyMatches = matchColumns.length > 0 && !matchColumns.some(col => col.name === 'match_type')
+  if (legacyMatches) await client.query('ALTER TABLE matches RENAME TO matches_legacy')
+
+  // match_type: 'duo' (đánh đôi, 4 players) or 'solo' (đánh đơn, 2 players)
+  // sets: JSON text of [{ team1, team2, tiebreak?, matchTiebreak? }] (see lib/tennis-score.js)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season_id INTEGER NOT NULL REFERENCES seasons(id),
+      play_date TEXT NOT NULL,
+      player1_id INTEGER NOT NULL REFERENCES players(id),
+      player2_id INTEGER REFERENCES players(id),
+      player3_id INTEGER REFERENCES players(id),
+      player4_id INTEGER REFERENCES players(id),
+      team1_score INTEGER NOT NULL,
+      team2_score INTEGER NOT NULL,
+      winning_team INTEGER NOT NULL,
+      match_type TEXT DEFAULT 'duo',
+      no_show_team INTEGER CHECK (no_show_team IN (1, 2)),
+      sets TEXT,
+      team1_sets INTEGER,
+      team2_sets INTEGER,
+      team1_games INTEGER,
+      team2_games INTEGER,
+      created_at TEXT DEFAULT (${NOW_SQL}),
+      CONSTRAINT check_match_type CHECK (match_type IN ('solo', 'duo')),
+      CONSTRAINT check_match_players CHECK (
+        (match_type = 'duo' AND player2_id IS NOT NULL AND player4_id IS NOT NULL) OR
+        (match_type = 'solo' AND player2_id IS NULL AND player4_id IS NULL)
+      )
+    )
+  `)
+  if (legacyMatches) {
+    await client.query(`
+      INSERT INTO matches (id, season_id, play_date, player1_id, player2_id, player3_id, player4_id,
+        team1_score, team2_score, winning_team, match_type, created_at)
+      SELECT id, season_id, play_date, player1_id, player2_id, player3_id, player4_id,
+        team1_score, team2_score, winning_team, 'duo', created_at
+      FROM matches_legacy
+    `)
+    await client.query('DROP TABLE matches_legacy')
+  }
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date)')
+  await client.query('CREATE INDEX IF NOT EXISTS idx_matches_season_date ON matches(season_id, play_date)')
+  await client.query('CREATE INDEX IF NOT EXISTS idx_matches_player1_id ON matches(player1_id)')
+  await client.query('CREATE INDEX IF NOT EXISTS idx_matches_player2_id ON matches(player2_id)')
+  await client.query('CREATE INDEX IF NOT EXISTS idx_matches_player3_id ON matches(player3_id)')
+  await client.query('CREATE INDEX IF NOT EXISTS idx_matches_player4_id ON matches(player4_id)')
+  await client.query('CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active)')
+  await client.query('CREATE INDEX IF NOT EXISTS idx_season_players_player_id ON season_players(player_id)')
+}
@@ -0,0 +1,28 @@
+-- Skill ratings (Elo) from the last replay; points and win/loss totals
+-- are aggregated from matches on read (see participantsCte in database.js)
+
+CREATE TABLE IF NOT EXISTS player_ratings (
+    player_id INTEGER PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    rating REAL NOT NULL DEFAULT 1500,
+    rated_matches INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS player_season_ratings (
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    rating REAL NOT NULL DEFAULT 1500,
+    rated_matches INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (player_id, season_id)
+);
+
+-- Lifetime rating before/after every match, in replay order (seq)
+CREATE TABLE IF NOT EXISTS player_rating_history (
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    rating_before REAL NOT NULL,
+    rating_after REAL NOT NULL,
+    PRIMARY KEY (match_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_player_seq ON player_rating_history(player_id, seq DESC);
@@ -0,0 +1,13 @@
+-- Trash: deleted matches/seasons kept as JSON row snapshots until expires_at.
+-- A season entry carries its roster and matches so a restore brings everything back.
+
+CREATE TABLE IF NOT EXISTS trash (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('match', 'season')),
+    entity_id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    deleted_by TEXT,
+    deleted_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_at TEXT NOT NULL,
+    UNIQUE (entity_type, entity_id)
+);
@@ -0,0 +1,25 @@
+-- Audit trail: who changed which match/player/season/user, with before/after rows.
+-- No foreign keys — entries must outlive the rows (and users) they describe.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('match', 'player', 'season', 'user')),
+    entity_id INTEGER,
+    action TEXT NOT NULL,
+    actor_id INTEGER,
+    actor_username TEXT NOT NULL,
+    actor_role TEXT,
+    before_data TEXT,
+    after_data TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+
+-- Append-only: rows can be inserted but never changed or removed
+CREATE TRIGGER IF NOT EXISTS trg_audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+CREATE TRIGGER IF NOT EXISTS trg_audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
@@ -0,0 +1,18 @@
+-- Money ledger: payments and adjustments per player and season (see lib/ledger.js).
+-- Deleted with the season or player; a trashed season keeps its entries in the snapshot.
+
+CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('payment', 'adjustment')),
+    amount INTEGER NOT NULL CHECK (amount <> 0),
+    note TEXT,
+    paid_on TEXT NOT NULL DEFAULT (date('now')),
+    recorded_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT check_payment_positive CHECK (kind <> 'payment' OR amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_season_player ON payments(season_id, player_id);
+CREATE INDEX IF NOT EXISTS idx_payments_player_id ON payments(player_id);
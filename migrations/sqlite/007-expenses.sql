@@ -0,0 +1,16 @@
+-- Shared costs of a play date (court rental, balls), split among the players
+-- of that date's matches (see lib/expense-split.js).
+-- weights: optional JSON { "<player id>": weight } overriding the default weight of 1
+
+CREATE TABLE IF NOT EXISTS expenses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    play_date TEXT NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    description TEXT NOT NULL,
+    paid_by INTEGER REFERENCES players(id) ON DELETE SET NULL,
+    weights TEXT,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_play_date ON expenses(play_date);
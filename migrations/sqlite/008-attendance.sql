@@ -0,0 +1,27 @@
+-- Announced play dates and who said they would come / actually came
+-- (see lib/attendance.js). Attendance is keyed by date, so check-in also
+-- works on a date that was never announced.
+-- availability: the player's answer to the announcement (NULL = no answer)
+-- checked_in_at: set when an editor checks the player in on the day
+
+CREATE TABLE IF NOT EXISTS play_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    play_date TEXT NOT NULL UNIQUE,
+    season_id INTEGER REFERENCES seasons(id) ON DELETE SET NULL,
+    note TEXT,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS attendance (
+    play_date TEXT NOT NULL,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    availability TEXT CHECK (availability IN ('available', 'maybe', 'unavailable')),
+    checked_in_at TEXT,
+    updated_by TEXT,
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (play_date, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_sessions_season_id ON play_sessions(season_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_player_id ON attendance(player_id);
@@ -0,0 +1,25 @@
+-- League fixtures of a season (see lib/fixtures.js): a round robin between
+-- single players (solo) or fixed pairs (duo), sides laid out like a match,
+-- players 1/2 against players 3/4. Whether a fixture has been played is not
+-- stored; a recorded match of the season between the same sides plays it.
+-- Generating again replaces the season's fixtures.
+
+CREATE TABLE IF NOT EXISTS season_fixtures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    match_type TEXT NOT NULL DEFAULT 'solo' CHECK (match_type IN ('solo', 'duo')),
+    round INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    player1_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    player2_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+    player3_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    player4_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (season_id, round, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_fixtures_player1_id ON season_fixtures(player1_id);
+CREATE INDEX IF NOT EXISTS idx_season_fixtures_player2_id ON season_fixtures(player2_id);
+CREATE INDEX IF NOT EXISTS idx_season_fixtures_player3_id ON season_fixtures(player3_id);
+CREATE INDEX IF NOT EXISTS idx_season_fixtures_player4_id ON season_fixtures(player4_id);
@@ -0,0 +1,17 @@
+-- Scheduled play dates: start/end time (HH:MM, local time) and venue on
+-- top of the announcement, and calendar feed tokens (see lib/calendar.js).
+-- A player has at most one feed URL; a new one replaces it. Only the
+-- SHA-256 of the token is stored, the URL itself is shown once.
+
+ALTER TABLE play_sessions ADD COLUMN start_time TEXT;
+ALTER TABLE play_sessions ADD COLUMN end_time TEXT;
+ALTER TABLE play_sessions ADD COLUMN venue TEXT;
+
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player_id INTEGER NOT NULL UNIQUE REFERENCES players(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_used_at TEXT
+);
@@ -0,0 +1,19 @@
+-- Public read-only share links (see lib/share.js): a secret URL showing one
+-- season's rankings or the lifetime rankings without an account. Only the
+-- SHA-256 of the token is stored; a link stops working when it is deleted
+-- or once expires_at has passed.
+
+CREATE TABLE IF NOT EXISTS share_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT NOT NULL UNIQUE,
+    scope TEXT NOT NULL CHECK (scope IN ('season', 'lifetime')),
+    season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE,
+    label TEXT,
+    expires_at TEXT,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_used_at TEXT,
+    CHECK ((scope = 'season') = (season_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_season ON share_links(season_id);
@@ -0,0 +1,131 @@
+// Service worker of the app (registered by src/main.js in production builds).
+// It keeps the app shell and the last /api/init answer, so the app still
+// opens without a connection and matches can be recorded into the outbox
+// (src/outbox.js) until the connection is back.
+// - pages: network first; offline, the cached page (or index.html)
+// - assets/ (file names carry a content hash): cache first
+// - api/init: network first with a time limit; offline (or too slow) the last
+//   answer, marked with the X-SW-Cache header
+// Other API requests and the event stream go straight to the network.
+
+const VERSION = 'v1'
+const SHELL_CACHE = `tennis-shell-${VERSION}`
+const DATA_CACHE = `tennis-data-${VERSION}`
+// A slower /api/init answer gives way to the cached one
+const INIT_TIMEOUT_MS = 4000
+
+const scope = new URL(self.registration.scope)
+const shellUrl = scope.href
+const initPath = `${scope.pathname}api/init`
+
+// Same-origin files index.html loads (scripts, styles, icons, manifest)
+const shellAssets = (html) => [...new Set([...html.matchAll(/(?:src|href)="([^"#]+)"/g)]
+  .map(([, path]) => new URL(path, scope))
+  .filter(url => url.origin === scope.origin && url.pathname.startsWith(scope.pathname) &&
+    /\.[a-z0-9]+$/i.test(url.pathname) && !url.pathname.endsWith('.html'))
+  .map(url => url.href))]
+
+// Keep a fresh index.html with its assets, and drop the assets of older builds
+const storeShell = async (response) => {
+  const html = await response.clone().text()
+  const assets = shellAssets(html)
+  const cache = await caches.open(SHELL_CACHE)
+  await cache.addAll(assets)
+  await cache.put(shellUrl, response)
+  for (const request of await cache.keys()) {
+    if (new URL(request.url).pathname.startsWith(`${scope.pathname}assets/`) && !assets.includes(request.url)) {
+      await cache.delete(request)
+    }
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const response = await fetch(shellUrl, { cache: 'reload' })
+    if (!response.ok) throw new Error(`App shell answered ${response.status}`)
+    await storeShell(response)
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, DATA_CACHE]
+    for (const name of await caches.keys()) {
+      if (name.startsWith('tennis-') && !current.includes(name)) await caches.delete(name)
+    }
+    await self.clients.claim()
+  })())
+})
+
+const navigate = async (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const copy = response.clone()
+      const isShell = url.pathname === scope.pathname || url.pathname === `${scope.pathname}index.html`
+      const stored = isShell
+        ? storeShell(copy)
+        : caches.open(SHELL_CACHE).then(cache => cache.put(url.origin + url.pathname, copy))
+      event.waitUntil(stored.catch(() => {}))
+    }
+    return response
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE)
+    const cached = await cache.match(url.origin + url.pathname) ||
+      (url.pathname.endsWith('.html') && !url.pathname.endsWith('/index.html') ? null : await cache.match(shellUrl))
+    if (cached) return cached
+    throw error
+  }
+}
+
+const asset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  // A missing asset gets index.html from the server's SPA fallback; do not keep that
+  if (response.ok && !response.headers.get('Content-Type')?.startsWith('text/html')) {
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+const init = async (request) => {
+  const cache = await caches.open(DATA_CACHE)
+  try {
+    const response = await fetch(request, { signal: AbortSignal.timeout(INIT_TIMEOUT_MS) })
+    if (response.ok) await cache.put(initPath, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(initPath)
+    if (!cached) throw error
+    const headers = new Headers(cached.headers)
+    headers.set('X-SW-Cache', 'HIT')
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers })
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigate(event))
+  } else if (url.pathname.startsWith(`${scope.pathname}assets/`)) {
+    event.respondWith(asset(request))
+  } else if (url.pathname === initPath) {
+    event.respondWith(init(request))
+  }
+})
+
+// The page drops the cached /api/init on logout: it holds the user's session data
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-data') {
+    event.waitUntil(caches.delete(DATA_CACHE))
+  }
+})
@@ -1,17 +1,21 @@
 import { Router } from 'express'
-import { query } from 'express-validator'
+import { param, query } from 'express-validator'
 import { getRealClientIP, logError, getLogStats } from '../access-logger.js'
+import { AUDIT_ENTITY_TYPES } from '../lib/audit.js'
 
 /**
  * Admin analytics routes (admin-only).
  * Extracted from server.js for modularity.
  */
 export const createAdminRouter = ({
+  db,
   authenticateToken,
   requireAdmin,
   smartApiLimiter,
   handleValidationErrors,
-  formatSecureTimestamp
+  formatSecureTimestamp,
+  sanitizeResponse,
+  trashRetentionDays
 }) => {
   const router = Router()
 
@@ -177,5 +181,76 @@ export const createAdminRouter = ({
     }
   )
 
+  // Deleted matches and seasons that can still be restored (expired entries are purged first)
+  router.get('/trash',
+    authenticateToken, requireAdmin, smartApiLimiter,
+    async (req, res) => {
+      try {
+        await db.purgeExpiredTrash()
+        const entries = await db.getTrash()
+        res.setHeader('Cache-Control', 'no-store')
+        res.json(sanitizeResponse({ success: true, entries, retentionDays: trashRetentionDays }))
+      } catch (error) {
+        console.error('Error getting trash:', error)
+        res.status(500).json({ error: 'Failed to get trash' })
+      }
+    }
+  )
+
+  // Remove a trash entry for good
+  router.delete('/trash/:id',
+    authenticateToken, requireAdmin, smartApiLimiter,
+    [param('id').isInt({ min: 1 }).withMessage('Invalid trash entry ID')],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        if (!await db.deleteTrashEntry(parseInt(req.params.id))) {
+          return res.status(404).json({ error: 'Trash entry not found' })
+        }
+        res.json({ success: true, message: 'Trash entry deleted permanently' })
+      } catch (error) {
+        console.error('Error deleting trash entry:', error)
+        res.status(500).json({ error: 'Failed to delete trash entry' })
+      }
+    }
+  )
+
+  // Audit trail of match/player/season/user changes, newest first
+  router.get('/audit',
+    authenticateToken, requireAdmin, smartApiLimiter,
+    [
+      query('entityType').optional().isIn(AUDIT_ENTITY_TYPES).withMessage(`Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`),
+      query('entityId').optional().isInt({ min: 1 }).withMessage('Invalid entity ID'),
+      query('actor').optional().trim().isLength({ min: 1, max: 255 }),
+      query('action').optional().trim().isLength({ min: 1, max: 30 }),
+      query('from').optional().isISO8601().withMessage('Valid from date required (YYYY-MM-DD)'),
+      query('to').optional().isISO8601().withMessage('Valid to date required (YYYY-MM-DD)'),
+      query('limit').optional().isInt({ min: 1, max: 200 }),
+      query('offset').optional().isInt({ min: 0 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 50
+        const offset = parseInt(req.query.offset) || 0
+        const { entries, total } = await db.getAuditLog({
+          entityType: req.query.entityType,
+          entityId: req.query.entityId ? parseInt(req.query.entityId) : null,
+          actor: req.query.actor,
+          action: req.query.action,
+          from: req.query.from,
+          to: req.query.to,
+          limit,
+          offset
+        })
+        res.setHeader('Cache-Control', 'no-store')
+        res.json(sanitizeResponse({ success: true, entries, total, limit, offset }))
+      } catch (error) {
+        console.error('Error getting audit log:', error)
+        res.status(500).json({ error: 'Failed to get audit log' })
+      }
+    }
+  )
+
   return router
 }
@@ -0,0 +1,215 @@
+import { Router } from 'express'
+import { body, param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { AVAILABILITY, buildRoster } from '../lib/attendance.js'
+
+// YYYY-MM-DD part of a validated ISO 8601 date
+const dateOnly = (value) => String(value).slice(0, 10)
+
+// Local wall-clock time of a play date, 'HH:MM'
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Announced play dates, availability answers and check-ins (lib/attendance.js).
+ * Accounts are not linked to players, so any signed-in user (viewers too)
+ * may answer for a player; check-in on the day is for editors.
+ * Every change bumps the data version, which SSE clients see right away.
+ */
+export const createAttendanceRouter = ({
+  db,
+  rankingsCache,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  sanitizeResponse
+}) => {
+  const router = Router()
+
+  const validateDate = param('date').isISO8601().withMessage('Valid date required (YYYY-MM-DD)')
+  // Everything but the date itself; the times and venue end up in the calendar feed
+  const validateSessionDetails = [
+    body('seasonId').optional({ nullable: true }).isInt().withMessage('Invalid season ID'),
+    body('startTime').optional({ nullable: true, checkFalsy: true }).matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    body('endTime').optional({ nullable: true, checkFalsy: true }).matches(TIME_PATTERN).withMessage('End time must be HH:MM').bail()
+      .custom((value, { req }) => !!req.body.startTime).withMessage('End time needs a start time'),
+    body('venue').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Venue is too long (max 255 characters)'),
+    body('note').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Note is too long (max 255 characters)')
+  ]
+  const sessionDetails = (body) => ({
+    seasonId: body.seasonId ? parseInt(body.seasonId) : null,
+    startTime: body.startTime || null,
+    endTime: body.endTime || null,
+    venue: body.venue || null,
+    note: body.note || null
+  })
+  const validatePlayer = [
+    validateDate,
+    param('playerId').isInt().withMessage('Invalid player ID')
+  ]
+
+  // Roster of a date: the announced season's players, or every active player
+  const loadDate = async (date) => {
+    const session = await db.getPlaySession(date)
+    const [players, attendance, matches] = await Promise.all([
+      session?.season_id
+        ? db.getSeasonPlayers(session.season_id).then(rows => rows.filter(player => !player.archived_at))
+        : db.getPlayers(),
+      db.getAttendanceByDate(date),
+      db.getMatchesByPlayDate(date)
+    ])
+    return { date, session, ...buildRoster(players, attendance, matches) }
+  }
+
+  // 23503: no such player
+  const saveAttendance = async (res, save) => {
+    try {
+      await save()
+      return true
+    } catch (error) {
+      if (error.code === '23503') {
+        res.status(404).json({ error: 'Player not found' })
+        return false
+      }
+      throw error
+    }
+  }
+
+  // Announced dates with answer counts (?from=&to=, e.g. from=today for upcoming ones)
+  router.get('/sessions', checkAuth, [
+    query('from').optional().isISO8601().withMessage('Valid from date required (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('Valid to date required (YYYY-MM-DD)')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const sessions = await db.getPlaySessions({
+      from: req.query.from ? dateOnly(req.query.from) : null,
+      to: req.query.to ? dateOnly(req.query.to) : null
+    })
+    res.json(sanitizeResponse(sessions))
+  }))
+
+  router.post(
+    '/sessions',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      body('playDate').isISO8601().withMessage('Valid play date is required'),
+      ...validateSessionDetails
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playDate = dateOnly(req.body.playDate)
+      try {
+        await db.addPlaySession({ playDate, ...sessionDetails(req.body) }, req.user?.username || null)
+      } catch (error) {
+        if (error.code === '23505') {
+          res.status(409).json({ error: 'This date is already announced' })
+          return
+        }
+        if (error.code === '23503') {
+          res.status(404).json({ error: 'Season not found' })
+          return
+        }
+        throw error
+      }
+
+      await rankingsCache.invalidateOnAttendanceChange()
+      console.log(`📣 Play date ${playDate} announced by ${req.user?.username}`)
+      res.json(sanitizeResponse({ success: true, session: await db.getPlaySession(playDate) }))
+    })
+  )
+
+  // Replaces the season, time, venue and note of an announced date
+  router.put(
+    '/sessions/:date',
+    authenticateToken,
+    requireEditor,
+    [validateDate, ...validateSessionDetails],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const date = dateOnly(req.params.date)
+      try {
+        if (!await db.updatePlaySession(date, sessionDetails(req.body))) {
+          res.status(404).json({ error: 'Play date not announced' })
+          return
+        }
+      } catch (error) {
+        if (error.code === '23503') {
+          res.status(404).json({ error: 'Season not found' })
+          return
+        }
+        throw error
+      }
+
+      await rankingsCache.invalidateOnAttendanceChange()
+      res.json(sanitizeResponse({ success: true, session: await db.getPlaySession(date) }))
+    })
+  )
+
+  router.delete(
+    '/sessions/:date',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(deleteLimiter),
+    [validateDate],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const date = dateOnly(req.params.date)
+      if (!await db.deletePlaySession(date)) {
+        res.status(404).json({ error: 'Play date not announced' })
+        return
+      }
+      await rankingsCache.invalidateOnAttendanceChange()
+      res.json({ success: true, message: 'Announcement removed' })
+    })
+  )
+
+  // Who is expected, who answered what, who checked in or played
+  router.get('/:date', checkAuth, [validateDate], handleValidationErrors, asyncHandler(async (req, res) => {
+    res.json(sanitizeResponse(await loadDate(dateOnly(req.params.date))))
+  }))
+
+  // A player's answer; availability null clears it
+  router.put(
+    '/:date/players/:playerId',
+    authenticateToken,
+    [
+      ...validatePlayer,
+      body('availability').exists().withMessage('Availability is required').bail()
+        .isIn([...AVAILABILITY, null]).withMessage(`Availability must be one of: ${AVAILABILITY.join(', ')} (or null)`)
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const date = dateOnly(req.params.date)
+      const saved = await saveAttendance(res, () =>
+        db.setAvailability(date, parseInt(req.params.playerId), req.body.availability, req.user?.username || null))
+      if (!saved) return
+      await rankingsCache.invalidateOnAttendanceChange()
+      res.json(sanitizeResponse({ success: true, ...await loadDate(date) }))
+    })
+  )
+
+  router.put(
+    '/:date/players/:playerId/check-in',
+    authenticateToken,
+    requireEditor,
+    [
+      ...validatePlayer,
+      body('checkedIn').isBoolean({ strict: true }).withMessage('checkedIn must be true or false')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const date = dateOnly(req.params.date)
+      const saved = await saveAttendance(res, () =>
+        db.setCheckIn(date, parseInt(req.params.playerId), req.body.checkedIn, req.user?.username || null))
+      if (!saved) return
+      await rankingsCache.invalidateOnAttendanceChange()
+      res.json(sanitizeResponse({ success: true, ...await loadDate(date) }))
+    })
+  )
+
+  return router
+}
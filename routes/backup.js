@@ -3,6 +3,33 @@ import express from 'express'
 import { body } from 'express-validator'
 
 import { asyncHandler } from '../utils/async-handler.js'
+import { scoringFromSeason } from '../lib/scoring.js'
+import { parseSets } from '../lib/tennis-score.js'
+
+// Scoring columns in INSERT order; older backups fall back to the defaults
+const scoringValues = (season) => {
+  const scoring = scoringFromSeason(season)
+  return [scoring.pointsPerWin, scoring.pointsPerLoss, scoring.marginBonusThreshold, scoring.marginBonusPoints, scoring.noShowPenalty]
+}
+
+// Set-score columns in INSERT order; the totals are re-derived from the stored sets
+const setScoreValues = (match) => {
+  if (!match.sets) return [null, null, null, null, null]
+  try {
+    const score = parseSets(typeof match.sets === 'string' ? JSON.parse(match.sets) : match.sets)
+    return [JSON.stringify(score.sets), score.team1Sets, score.team2Sets, score.team1Games, score.team2Games]
+  } catch {
+    return [null, null, null, null, null]
+  }
+}
+
+// archived_at, nickname, preferred_hand, avatar_color in INSERT order (absent in older backups)
+const playerProfileValues = (player) => [
+  player.archived_at || null,
+  player.nickname || null,
+  ['left', 'right'].includes(player.preferred_hand) ? player.preferred_hand : null,
+  /^#[0-9a-fA-F]{6}$/.test(player.avatar_color || '') ? player.avatar_color : null
+]
 
 /**
  * Backup and restore routes (admin-only).
@@ -28,15 +55,17 @@ export const createBackupRouter = ({
     authenticateToken, requireAdmin, conditionalRateLimit(criticalLimiter),
     asyncHandler(async (req, res) => {
       console.log(`📦 BACKUP requested by user: ${req.user.username}`)
-      const [players, seasons, matches, users, seasonPlayersMap] = await Promise.all([
-        db.getPlayers(), db.getSeasons(), db.getMatches(), db.getUsersForBackup(), db.getAllSeasonPlayers()
+      const [players, seasons, matches, users, seasonPlayersMap, payments, expenses, playSessions, attendance, tournamentTables, seasonFixtures, calendarTokens, shareLinks] = await Promise.all([
+        db.getPlayers(true), db.getSeasons(), db.getMatches(), db.getUsersForBackup(), db.getAllSeasonPlayers(), db.getPayments(), db.getExpenses(),
+        db.getPlaySessions(), db.getAllAttendance(), db.getTournamentTables(), db.getAllSeasonFixtures(),
+        db.getAllCalendarTokens(), db.getAllShareLinks()
       ])
       const seasonsWithPlayers = seasons.map(s => ({
         ...s, players: seasonPlayersMap.get(s.id) || []
       }))
       res.json({
-        version: '2.2', timestamp: new Date().toISOString(), exportedBy: req.user.username,
-        players, seasons: seasonsWithPlayers, matches, users
+        version: '2.9', timestamp: new Date().toISOString(), exportedBy: req.user.username,
+        players, seasons: seasonsWithPlayers, matches, users, payments, expenses, playSessions, attendance, ...tournamentTables, seasonFixtures, calendarTokens, shareLinks
       })
       console.log('✅ Backup created successfully (including users)')
     })
@@ -59,126 +88,283 @@ export const createBackupRouter = ({
       console.log(`📊 Restoring: ${backupData.players.length} players, ${backupData.seasons.length} seasons, ${backupData.matches.length} matches${hasUsers ? `, ${backupData.users.length} users` : ''}`)
 
       // Wrap entire restore in a transaction for all-or-nothing semantics
-      const client = await db.pool.connect()
       let matchesRestored = 0, matchesSkipped = 0
+      let paymentsRestored = 0, paymentsSkipped = 0
+      let expensesRestored = 0
+      let attendanceRestored = 0
+      let tournamentsRestored = 0
+      let fixturesRestored = 0
+      let calendarTokensRestored = 0
+      let shareLinksRestored = 0
       let usersRestored = 0, usersSkipped = 0
       try {
-        await client.query('BEGIN')
-
-        // Clear existing data (within transaction)
-        await client.query('DELETE FROM matches')
-        await client.query('DELETE FROM season_players')
-        await client.query('DELETE FROM seasons')
-        await client.query('DELETE FROM players')
-        if (currentUserId) {
-          await client.query('DELETE FROM users WHERE id != $1', [currentUserId])
-        }
-        await client.query('ALTER SEQUENCE players_id_seq RESTART WITH 1')
-        await client.query('ALTER SEQUENCE seasons_id_seq RESTART WITH 1')
-        await client.query('ALTER SEQUENCE matches_id_seq RESTART WITH 1')
-
-        // Restore players
-        const playerIdMap = new Map()
-        for (const player of backupData.players) {
-          const result = await client.query('INSERT INTO players (name) VALUES ($1) RETURNING id', [player.name])
-          playerIdMap.set(Number(player.id), result.rows[0].id)
-        }
-        console.log(`✅ Restored ${backupData.players.length} players`)
-
-        // Restore seasons
-        const seasonIdMap = new Map()
-        for (const season of backupData.seasons) {
-          const result = await client.query(
-            `INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money_per_loss)
-             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
-            [season.name, season.start_date, season.end_date || null,
-             season.is_active !== false, season.auto_end !== false,
-             season.description || '', season.lose_money_per_loss ?? 20000]
-          )
-          const newId = result.rows[0].id
-          seasonIdMap.set(Number(season.id), newId)
-
-          if (season.players && season.players.length > 0) {
-            const newPlayerIds = season.players.map(oldId => playerIdMap.get(Number(oldId))).filter(Boolean)
-            for (const playerId of newPlayerIds) {
-              await client.query(
-                'INSERT INTO season_players (season_id, player_id, added_by) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
-                [newId, playerId, 'restore']
-              )
-            }
+        await db.transaction(async (client) => {
+          // Clear existing data (within transaction)
+          // Trash entries refer to the rows being replaced
+          await client.query('DELETE FROM trash')
+          await client.query('DELETE FROM expenses')
+          await client.query('DELETE FROM attendance')
+          await client.query('DELETE FROM play_sessions')
+          await client.query('DELETE FROM tournament_matches')
+          await client.query('DELETE FROM tournament_entries')
+          await client.query('DELETE FROM tournaments')
+          await client.query('DELETE FROM season_fixtures')
+          await client.query('DELETE FROM calendar_tokens')
+          await client.query('DELETE FROM share_links')
+          await client.query('DELETE FROM match_submissions')
+          await client.query('DELETE FROM matches')
+          await client.query('DELETE FROM season_players')
+          await client.query('DELETE FROM payments')
+          await client.query('DELETE FROM seasons')
+          await client.query('DELETE FROM players')
+          if (currentUserId) {
+            await client.query('DELETE FROM users WHERE id != $1', [currentUserId])
           }
-        }
-        console.log(`✅ Restored ${backupData.seasons.length} seasons`)
-
-        // Restore matches
-        for (const match of backupData.matches) {
-          const newSeasonId = seasonIdMap.get(Number(match.season_id))
-          const newP1 = playerIdMap.get(Number(match.player1_id))
-          const newP2 = match.player2_id ? playerIdMap.get(Number(match.player2_id)) : null
-          const newP3 = playerIdMap.get(Number(match.player3_id))
-          const newP4 = match.player4_id ? playerIdMap.get(Number(match.player4_id)) : null
-          if (newSeasonId && newP1 && newP3) {
-            try {
-              const matchType = match.match_type || 'duo'
-              if (match.created_at) {
-                await client.query(
-                  `INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, created_at)
-                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
-                  [newSeasonId, match.play_date, newP1, newP2, newP3, newP4, match.team1_score, match.team2_score, match.winning_team, matchType, match.created_at]
-                )
-              } else {
+          await db.resetIdSequences(client)
+
+          // Restore players
+          const playerIdMap = new Map()
+          for (const player of backupData.players) {
+            const result = await client.query(
+              'INSERT INTO players (name, archived_at, nickname, preferred_hand, avatar_color) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+              [player.name, ...playerProfileValues(player)]
+            )
+            playerIdMap.set(Number(player.id), result.rows[0].id)
+          }
+          console.log(`✅ Restored ${backupData.players.length} players`)
+
+          // Restore seasons
+          const seasonIdMap = new Map()
+          for (const season of backupData.seasons) {
+            const result = await client.query(
+              `INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money_per_loss,
+                 points_per_win, points_per_loss, margin_bonus_threshold, margin_bonus_points, no_show_penalty)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+              [season.name, season.start_date, season.end_date || null,
+               season.is_active !== false, season.auto_end !== false,
+               season.description || '', season.lose_money_per_loss ?? 20000,
+               ...scoringValues(season)]
+            )
+            const newId = result.rows[0].id
+            seasonIdMap.set(Number(season.id), newId)
+
+            if (season.players && season.players.length > 0) {
+              const newPlayerIds = season.players.map(oldId => playerIdMap.get(Number(oldId))).filter(Boolean)
+              for (const playerId of newPlayerIds) {
                 await client.query(
-                  `INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type)
-                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-                  [newSeasonId, match.play_date, newP1, newP2, newP3, newP4, match.team1_score, match.team2_score, match.winning_team, matchType]
+                  'INSERT INTO season_players (season_id, player_id, added_by) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+                  [newId, playerId, 'restore']
                 )
               }
-              matchesRestored++
-            } catch (e) { console.error('❌ Error restoring match:', e.message); matchesSkipped++ }
-          } else { matchesSkipped++ }
-        }
-        console.log(`✅ Restored ${matchesRestored} matches (${matchesSkipped} skipped)`)
-
-        // Restore users (within transaction)
-        if (hasUsers) {
-          for (const user of backupData.users) {
-            if (user.username === currentUsername) { usersSkipped++; continue }
-            const existsUser = await client.query('SELECT COUNT(*) as count FROM users WHERE username = $1', [user.username])
-            if (parseInt(existsUser.rows[0].count) > 0) { usersSkipped++; continue }
-            if (user.email) {
-              const existsEmail = await client.query('SELECT COUNT(*) as count FROM users WHERE email = $1', [user.email])
-              if (parseInt(existsEmail.rows[0].count) > 0) { usersSkipped++; continue }
             }
-            try {
-              if (!user.password_hash) {
-                console.warn(`⚠️ Skipping user "${user.username}": no password_hash in backup`)
-                usersSkipped++; continue
+          }
+          console.log(`✅ Restored ${backupData.seasons.length} seasons`)
+
+          // Restore tournaments before the matches that decide their slots (backups before 2.6 have none)
+          const tournamentIdMap = new Map()
+          const tournamentMatchIdMap = new Map()
+          for (const tournament of backupData.tournaments || []) {
+            const newSeasonId = seasonIdMap.get(Number(tournament.season_id))
+            if (!newSeasonId) continue
+            const result = await client.query(
+              `INSERT INTO tournaments (season_id, name, format, match_type, group_count, advance_per_group, created_by, created_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+              [newSeasonId, tournament.name, tournament.format, tournament.match_type, tournament.group_count ?? null,
+               tournament.advance_per_group ?? null, tournament.created_by || null, tournament.created_at || new Date().toISOString()]
+            )
+            tournamentIdMap.set(Number(tournament.id), result.rows[0].id)
+            tournamentsRestored++
+          }
+          for (const entry of backupData.tournamentEntries || []) {
+            const newTournamentId = tournamentIdMap.get(Number(entry.tournament_id))
+            const newP1 = playerIdMap.get(Number(entry.player1_id))
+            if (!newTournamentId || !newP1) continue
+            await client.query(
+              `INSERT INTO tournament_entries (tournament_id, seed, player1_id, player2_id, group_number)
+               VALUES ($1, $2, $3, $4, $5)`,
+              [newTournamentId, entry.seed, newP1, entry.player2_id ? playerIdMap.get(Number(entry.player2_id)) || null : null, entry.group_number ?? null]
+            )
+          }
+          for (const slot of backupData.tournamentMatches || []) {
+            const newTournamentId = tournamentIdMap.get(Number(slot.tournament_id))
+            if (!newTournamentId) continue
+            const result = await client.query(
+              `INSERT INTO tournament_matches (tournament_id, slot, stage, round, position, group_number, source1, source2)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+              [newTournamentId, slot.slot, slot.stage, slot.round, slot.position, slot.group_number ?? null, slot.source1, slot.source2]
+            )
+            tournamentMatchIdMap.set(Number(slot.id), result.rows[0].id)
+          }
+          if (backupData.tournaments) console.log(`✅ Restored ${tournamentsRestored} tournaments`)
+
+          // Restore league fixtures (backups before 2.7 have none)
+          for (const fixture of backupData.seasonFixtures || []) {
+            const newSeasonId = seasonIdMap.get(Number(fixture.season_id))
+            const [newP1, newP2, newP3, newP4] = [fixture.player1_id, fixture.player2_id, fixture.player3_id, fixture.player4_id]
+              .map(id => id ? playerIdMap.get(Number(id)) || null : null)
+            if (!newSeasonId || !newP1 || !newP3) continue
+            await client.query(
+              `INSERT INTO season_fixtures (season_id, match_type, round, position, player1_id, player2_id, player3_id, player4_id, created_by, created_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+              [newSeasonId, fixture.match_type, fixture.round, fixture.position, newP1, newP2, newP3, newP4,
+               fixture.created_by || null, fixture.created_at || new Date().toISOString()]
+            )
+            fixturesRestored++
+          }
+          if (backupData.seasonFixtures) console.log(`✅ Restored ${fixturesRestored} league fixtures`)
+
+          // Restore matches
+          for (const match of backupData.matches) {
+            const newSeasonId = seasonIdMap.get(Number(match.season_id))
+            const newP1 = playerIdMap.get(Number(match.player1_id))
+            const newP2 = match.player2_id ? playerIdMap.get(Number(match.player2_id)) : null
+            const newP3 = playerIdMap.get(Number(match.player3_id))
+            const newP4 = match.player4_id ? playerIdMap.get(Number(match.player4_id)) : null
+            if (newSeasonId && newP1 && newP3) {
+              try {
+                const matchType = match.match_type || 'duo'
+                const tournamentMatchId = match.tournament_match_id ? tournamentMatchIdMap.get(Number(match.tournament_match_id)) || null : null
+                if (match.created_at) {
+                  await client.query(
+                    `INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team, created_at,
+                       sets, team1_sets, team2_sets, team1_games, team2_games, tournament_match_id)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
+                    [newSeasonId, match.play_date, newP1, newP2, newP3, newP4, match.team1_score, match.team2_score, match.winning_team, matchType, match.no_show_team || null, match.created_at, ...setScoreValues(match), tournamentMatchId]
+                  )
+                } else {
+                  await client.query(
+                    `INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, match_type, no_show_team,
+                       sets, team1_sets, team2_sets, team1_games, team2_games, tournament_match_id)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+                    [newSeasonId, match.play_date, newP1, newP2, newP3, newP4, match.team1_score, match.team2_score, match.winning_team, matchType, match.no_show_team || null, ...setScoreValues(match), tournamentMatchId]
+                  )
+                }
+                matchesRestored++
+              } catch (e) { console.error('❌ Error restoring match:', e.message); matchesSkipped++ }
+            } else { matchesSkipped++ }
+          }
+          console.log(`✅ Restored ${matchesRestored} matches (${matchesSkipped} skipped)`)
+
+          // Restore ledger entries (backups before 2.3 have none)
+          for (const payment of backupData.payments || []) {
+            const newSeasonId = seasonIdMap.get(Number(payment.season_id))
+            const newPlayerId = playerIdMap.get(Number(payment.player_id))
+            if (!newSeasonId || !newPlayerId) { paymentsSkipped++; continue }
+            await client.query(
+              `INSERT INTO payments (season_id, player_id, kind, amount, note, paid_on, recorded_by, created_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+              [newSeasonId, newPlayerId, payment.kind, payment.amount, payment.note || null, payment.paid_on,
+               payment.recorded_by || null, payment.created_at || new Date().toISOString()]
+            )
+            paymentsRestored++
+          }
+          if (backupData.payments) console.log(`✅ Restored ${paymentsRestored} payments (${paymentsSkipped} skipped)`)
+
+          // Restore play date expenses (backups before 2.4 have none); payer and weights follow the new player ids
+          for (const expense of backupData.expenses || []) {
+            const weights = expense.weights
+              ? Object.fromEntries(Object.entries(expense.weights)
+                .filter(([oldId]) => playerIdMap.has(Number(oldId)))
+                .map(([oldId, weight]) => [playerIdMap.get(Number(oldId)), weight]))
+              : null
+            await client.query(
+              `INSERT INTO expenses (play_date, amount, description, paid_by, weights, created_by, created_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+              [expense.play_date, expense.amount, expense.description, playerIdMap.get(Number(expense.paid_by)) || null,
+               weights ? JSON.stringify(weights) : null, expense.created_by || null, expense.created_at || new Date().toISOString()]
+            )
+            expensesRestored++
+          }
+          if (backupData.expenses) console.log(`✅ Restored ${expensesRestored} expenses`)
+
+          // Restore announced play dates and attendance (backups before 2.5 have none)
+          for (const session of backupData.playSessions || []) {
+            await client.query(
+              `INSERT INTO play_sessions (play_date, season_id, start_time, end_time, venue, note, created_by, created_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+              [session.play_date, seasonIdMap.get(Number(session.season_id)) || null, session.start_time || null,
+               session.end_time || null, session.venue || null, session.note || null,
+               session.created_by || null, session.created_at || new Date().toISOString()]
+            )
+          }
+          for (const row of backupData.attendance || []) {
+            const newPlayerId = playerIdMap.get(Number(row.player_id))
+            if (!newPlayerId) continue
+            await client.query(
+              `INSERT INTO attendance (play_date, player_id, availability, checked_in_at, updated_by, updated_at)
+               VALUES ($1, $2, $3, $4, $5, $6)`,
+              [row.play_date, newPlayerId, row.availability || null, row.checked_in_at || null,
+               row.updated_by || null, row.updated_at || new Date().toISOString()]
+            )
+            attendanceRestored++
+          }
+          if (backupData.attendance) console.log(`✅ Restored ${attendanceRestored} attendance rows`)
+
+          // Restore calendar feed links, so subscribed phones keep working (backups before 2.8 have none)
+          for (const row of backupData.calendarTokens || []) {
+            const newPlayerId = playerIdMap.get(Number(row.player_id))
+            if (!newPlayerId || !row.token_hash) continue
+            await client.query(
+              `INSERT INTO calendar_tokens (player_id, token_hash, created_by, created_at, last_used_at)
+               VALUES ($1, $2, $3, $4, $5)`,
+              [newPlayerId, row.token_hash, row.created_by || null, row.created_at || new Date().toISOString(), row.last_used_at || null]
+            )
+            calendarTokensRestored++
+          }
+          if (backupData.calendarTokens) console.log(`✅ Restored ${calendarTokensRestored} calendar links`)
+
+          // Restore public share links, so posted links keep working (backups before 2.9 have none)
+          for (const link of backupData.shareLinks || []) {
+            const newSeasonId = link.season_id ? seasonIdMap.get(Number(link.season_id)) : null
+            if (!link.token_hash || (link.scope === 'season' && !newSeasonId)) continue
+            await client.query(
+              `INSERT INTO share_links (token_hash, scope, season_id, label, expires_at, created_by, created_at, last_used_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+              [link.token_hash, link.scope, newSeasonId, link.label || null, link.expires_at || null,
+               link.created_by || null, link.created_at || new Date().toISOString(), link.last_used_at || null]
+            )
+            shareLinksRestored++
+          }
+          if (backupData.shareLinks) console.log(`✅ Restored ${shareLinksRestored} share links`)
+
+          // Restore users (within transaction)
+          if (hasUsers) {
+            for (const user of backupData.users) {
+              if (user.username === currentUsername) { usersSkipped++; continue }
+              const existsUser = await client.query('SELECT COUNT(*) as count FROM users WHERE username = $1', [user.username])
+              if (parseInt(existsUser.rows[0].count) > 0) { usersSkipped++; continue }
+              if (user.email) {
+                const existsEmail = await client.query('SELECT COUNT(*) as count FROM users WHERE email = $1', [user.email])
+                if (parseInt(existsEmail.rows[0].count) > 0) { usersSkipped++; continue }
               }
-              await client.query(
-                `INSERT INTO users (username, email, password_hash, role, display_name, is_active, created_by, notes)
-                 VALUES ($1, $2, $3, $4, $5, $6, 'backup_restore', $7)`,
-                [user.username, user.email, user.password_hash, user.role, user.display_name, user.is_active !== false, user.notes]
-              )
-              usersRestored++
-            } catch (e) { console.error('Error restoring user:', e.message); usersSkipped++ }
+              try {
+                if (!user.password_hash) {
+                  console.warn(`⚠️ Skipping user "${user.username}": no password_hash in backup`)
+                  usersSkipped++; continue
+                }
+                await client.query(
+                  `INSERT INTO users (username, email, password_hash, role, display_name, is_active, created_by, notes)
+                   VALUES ($1, $2, $3, $4, $5, $6, 'backup_restore', $7)`,
+                  [user.username, user.email, user.password_hash, user.role, user.display_name, user.is_active !== false, user.notes]
+                )
+                usersRestored++
+              } catch (e) { console.error('Error restoring user:', e.message); usersSkipped++ }
+            }
+            console.log(`✅ Restored ${usersRestored} users (${usersSkipped} skipped)`)
           }
-          console.log(`✅ Restored ${usersRestored} users (${usersSkipped} skipped)`)
-        }
 
-        await client.query('COMMIT')
+        })
         console.log('✅ Restore transaction committed successfully')
       } catch (error) {
-        await client.query('ROLLBACK')
         console.error('❌ Restore failed, transaction rolled back:', error.message)
         throw error
-      } finally {
-        client.release()
       }
 
+      await db.refreshRatings()
       await rankingsCache.clear()
       res.json({
         success: true, message: 'Data restored successfully',
-        restored: { players: backupData.players.length, seasons: backupData.seasons.length, matches: matchesRestored, users: usersRestored }
+        restored: { players: backupData.players.length, seasons: backupData.seasons.length, matches: matchesRestored, payments: paymentsRestored, expenses: expensesRestored, attendance: attendanceRestored, tournaments: tournamentsRestored, fixtures: fixturesRestored, calendarLinks: calendarTokensRestored, shareLinks: shareLinksRestored, users: usersRestored }
       })
     })
   )
@@ -187,7 +373,7 @@ export const createBackupRouter = ({
   router.get('/backup-data',
     authenticateToken, requireAdmin, conditionalRateLimit(exportLimiter),
     asyncHandler(async (req, res) => {
-      const [players, seasons, matches] = await Promise.all([db.getPlayers(), db.getSeasons(), db.getMatches()])
+      const [players, seasons, matches] = await Promise.all([db.getPlayers(true), db.getSeasons(), db.getMatches()])
       const fileName = `tennis-backup-${new Date().toISOString().split('T')[0]}-${Date.now()}.json`
       res.setHeader('Content-Type', 'application/json')
       res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
@@ -216,76 +402,81 @@ export const createBackupRouter = ({
       const results = { playersImported: 0, seasonsImported: 0, matchesImported: 0, errors: [] }
 
       // Wrap in a transaction for all-or-nothing semantics
-      const client = await db.pool.connect()
       try {
-        await client.query('BEGIN')
-
-        if (clearExisting) {
-          await client.query('DELETE FROM matches')
-          await client.query('DELETE FROM season_players')
-          await client.query('DELETE FROM seasons')
-          await client.query('DELETE FROM players')
-        }
-
-        for (const player of players) {
-          try {
-            await client.query('INSERT INTO players (name) VALUES ($1) ON CONFLICT DO NOTHING', [player.name])
-            results.playersImported++
-          } catch (e) {
-            results.errors.push(`Player ${player.name}: ${e.message}`)
+        await db.transaction(async (client) => {
+          if (clearExisting) {
+            // Trash entries refer to the rows being replaced
+            await client.query('DELETE FROM trash')
+            await client.query('DELETE FROM matches')
+            await client.query('DELETE FROM season_players')
+            await client.query('DELETE FROM seasons')
+            await client.query('DELETE FROM players')
           }
-        }
 
-        const seasonMapping = new Map()
-        for (const season of seasons) {
-          try {
-            const result = await client.query(
-              `INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money_per_loss)
-               VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
-              [season.name, season.start_date, season.end_date || null,
-               season.is_active !== false, season.auto_end || false,
-               season.description || '', season.lose_money_per_loss ?? 20000]
-            )
-            seasonMapping.set(season.name, result.rows[0].id)
-            results.seasonsImported++
-          } catch (e) { results.errors.push(`Season ${season.name}: ${e.message}`) }
-        }
-
-        // Fetch players from DB (within transaction) for name→id mapping
-        const playersResult = await client.query('SELECT id, name FROM players')
-        const currentPlayers = playersResult.rows
-
-        for (const match of matches) {
-          try {
-            const p1 = currentPlayers.find(p => p.name === match.player1_name)
-            const p2 = match.player2_name ? currentPlayers.find(p => p.name === match.player2_name) : null
-            const p3 = currentPlayers.find(p => p.name === match.player3_name)
-            const p4 = match.player4_name ? currentPlayers.find(p => p.name === match.player4_name) : null
-            const sid = seasonMapping.get(match.season_name)
-            const matchType = match.match_type || 'duo'
-
-            if (p1 && p3 && sid) {
+          for (const player of players) {
+            try {
               await client.query(
-                `INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id,
-                   team1_score, team2_score, winning_team, match_type)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-                [sid, match.play_date, p1.id, p2?.id || null, p3.id, p4?.id || null,
-                 match.team1_score, match.team2_score, match.winning_team, matchType]
+                'INSERT INTO players (name, archived_at, nickname, preferred_hand, avatar_color) VALUES ($1, $2, $3, $4, $5) ON CONFLICT DO NOTHING',
+                [player.name, ...playerProfileValues(player)]
               )
-              results.matchesImported++
-            } else { results.errors.push(`Match ${match.id}: Missing players or season`) }
-          } catch (e) { results.errors.push(`Match ${match.id}: ${e.message}`) }
-        }
+              results.playersImported++
+            } catch (e) {
+              results.errors.push(`Player ${player.name}: ${e.message}`)
+            }
+          }
+
+          const seasonMapping = new Map()
+          for (const season of seasons) {
+            try {
+              const result = await client.query(
+                `INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money_per_loss,
+                   points_per_win, points_per_loss, margin_bonus_threshold, margin_bonus_points, no_show_penalty)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+                [season.name, season.start_date, season.end_date || null,
+                 season.is_active !== false, season.auto_end || false,
+                 season.description || '', season.lose_money_per_loss ?? 20000,
+                 ...scoringValues(season)]
+              )
+              seasonMapping.set(season.name, result.rows[0].id)
+              results.seasonsImported++
+            } catch (e) { results.errors.push(`Season ${season.name}: ${e.message}`) }
+          }
+
+          // Fetch players from DB (within transaction) for name→id mapping
+          const playersResult = await client.query('SELECT id, name FROM players')
+          const currentPlayers = playersResult.rows
+
+          for (const match of matches) {
+            try {
+              const p1 = currentPlayers.find(p => p.name === match.player1_name)
+              const p2 = match.player2_name ? currentPlayers.find(p => p.name === match.player2_name) : null
+              const p3 = currentPlayers.find(p => p.name === match.player3_name)
+              const p4 = match.player4_name ? currentPlayers.find(p => p.name === match.player4_name) : null
+              const sid = seasonMapping.get(match.season_name)
+              const matchType = match.match_type || 'duo'
+
+              if (p1 && p3 && sid) {
+                await client.query(
+                  `INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id,
+                     team1_score, team2_score, winning_team, match_type, no_show_team,
+                     sets, team1_sets, team2_sets, team1_games, team2_games)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+                  [sid, match.play_date, p1.id, p2?.id || null, p3.id, p4?.id || null,
+                   match.team1_score, match.team2_score, match.winning_team, matchType, match.no_show_team || null,
+                   ...setScoreValues(match)]
+                )
+                results.matchesImported++
+              } else { results.errors.push(`Match ${match.id}: Missing players or season`) }
+            } catch (e) { results.errors.push(`Match ${match.id}: ${e.message}`) }
+          }
 
-        await client.query('COMMIT')
+        })
       } catch (error) {
-        await client.query('ROLLBACK')
         console.error('❌ Restore-data failed, transaction rolled back:', error.message)
         throw error
-      } finally {
-        client.release()
       }
 
+      await db.refreshRatings()
       await rankingsCache.clear()
       res.json({ success: true, message: 'Data restored successfully', results, timestamp: formatSecureTimestamp() })
     }))
@@ -0,0 +1,142 @@
+import { Router } from 'express'
+import { body, param } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { CALENDAR_DAYS_BACK, buildCalendar } from '../lib/calendar.js'
+import { trackFixtures } from '../lib/fixtures.js'
+import { SECRET_TOKEN_PATTERN, createSecretToken, hashSecretToken } from '../lib/secret-token.js'
+
+/**
+ * Per-player iCalendar feeds (lib/calendar.js). Calendar apps cannot sign in,
+ * so the feed is public behind a secret URL; editors hand the URL out and can
+ * revoke it. Revoking bumps the data version, otherwise the ETag middleware
+ * would keep answering 304 to a revoked feed.
+ */
+export const createCalendarRouter = ({
+  db,
+  rankingsCache,
+  audit,
+  calendarTimezone,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  smartApiLimiter,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  sanitizeResponse
+}) => {
+  const router = Router()
+
+  // Today in the club's time zone, not the server's
+  const localToday = () => new Date().toLocaleDateString('en-CA', { timeZone: calendarTimezone })
+
+  const shiftDate = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number)
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+  }
+
+  // Play dates the player is expected at: their seasons' dates and the open ones
+  const loadSessions = async (playerId) => {
+    const sessions = await db.getPlaySessions({ from: shiftDate(localToday(), -CALENDAR_DAYS_BACK) })
+    const seasonIds = [...new Set(sessions.map(session => session.season_id).filter(Boolean))]
+    const rosters = new Map(await Promise.all(seasonIds.map(async seasonId => [
+      seasonId,
+      new Set((await db.getSeasonPlayers(seasonId)).map(player => player.id))
+    ])))
+    return sessions.filter(session => !session.season_id || rosters.get(session.season_id).has(playerId))
+  }
+
+  // The player's fixtures in active seasons that no recorded match has played yet
+  const loadOpenFixtures = async (playerId) => {
+    const fixtures = await db.getPlayerFixtures(playerId)
+    const seasonIds = [...new Set(fixtures.map(fixture => fixture.season_id))]
+    const tracked = await Promise.all(seasonIds.map(async seasonId => trackFixtures(
+      fixtures.filter(fixture => fixture.season_id === seasonId),
+      await db.getMatchesBySeason(seasonId)
+    )))
+    return tracked.flat().filter(fixture => !fixture.played)
+  }
+
+  // The feed itself; the URL is the credential
+  router.get(
+    '/:token.ics',
+    conditionalRateLimit(smartApiLimiter),
+    [param('token').matches(SECRET_TOKEN_PATTERN).withMessage('Invalid calendar token')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const owner = await db.getCalendarToken(hashSecretToken(req.params.token))
+      if (!owner) {
+        res.status(404).json({ error: 'Calendar not found' })
+        return
+      }
+
+      const [sessions, fixtures] = await Promise.all([
+        loadSessions(owner.player_id),
+        loadOpenFixtures(owner.player_id)
+      ])
+      const ics = buildCalendar({
+        name: `Tennis · ${owner.player_name}`,
+        timezone: calendarTimezone,
+        host: req.hostname || 'tennis-ranking',
+        sessions,
+        fixtures
+      })
+      await db.touchCalendarToken(owner.id)
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+      res.setHeader('Content-Disposition', 'inline; filename="tennis.ics"')
+      res.send(ics)
+    })
+  )
+
+  // Players with a feed URL (the URLs themselves are only shown once)
+  router.get('/tokens', authenticateToken, requireEditor, asyncHandler(async (req, res) => {
+    res.json(sanitizeResponse(await db.getCalendarTokens()))
+  }))
+
+  // A new feed URL for a player; the previous one stops working
+  router.post(
+    '/tokens',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [body('playerId').isInt().withMessage('Valid player ID is required')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.body.playerId)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+
+      const { token, hash } = createSecretToken()
+      await db.setCalendarToken(playerId, hash, req.user?.username || null)
+      await audit(req, { entityType: 'player', entityId: playerId, action: 'calendar_link' })
+      await rankingsCache.invalidateOnCalendarChange()
+
+      res.json(sanitizeResponse({ success: true, playerId, token, url: `/api/calendar/${token}.ics` }))
+    })
+  )
+
+  router.delete(
+    '/tokens/:playerId',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(deleteLimiter),
+    [param('playerId').isInt().withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.playerId)
+      if (!await db.deleteCalendarToken(playerId)) {
+        res.status(404).json({ error: 'This player has no calendar link' })
+        return
+      }
+      await audit(req, { entityType: 'player', entityId: playerId, action: 'calendar_revoke' })
+      await rankingsCache.invalidateOnCalendarChange()
+      res.json({ success: true, message: 'Calendar link revoked' })
+    })
+  )
+
+  return router
+}
@@ -0,0 +1,158 @@
+import { Router } from 'express'
+import { body, param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import {
+  MAX_EXPENSE_AMOUNT,
+  MAX_EXPENSE_WEIGHT,
+  planDateExpenses,
+  mergeExpenseBalances
+} from '../lib/expense-split.js'
+
+// YYYY-MM-DD part of a validated ISO 8601 date
+const dateOnly = (value) => String(value).slice(0, 10)
+
+/**
+ * Court fee and other shared costs per play date, split among the players
+ * of that date's matches (lib/expense-split.js). Splits are computed when
+ * read, so matches entered after an expense are included.
+ */
+export const createExpenseRouter = ({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireAdmin,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  sanitizeResponse
+}) => {
+  const router = Router()
+
+  const validateExpense = [
+    body('playDate').isISO8601().withMessage('Valid play date is required'),
+    body('amount').isInt({ min: 1, max: MAX_EXPENSE_AMOUNT }).withMessage(`Amount must be a whole number from 1 to ${MAX_EXPENSE_AMOUNT}`),
+    body('description').trim().isLength({ min: 1, max: 255 }).withMessage('Description is required (at most 255 characters)'),
+    body('paidBy').optional({ nullable: true }).isInt().withMessage('Payer must be a player ID'),
+    body('weights').optional({ nullable: true }).isObject().withMessage('Weights must be an object of player ID → weight')
+      .custom((weights) => {
+        for (const [playerId, weight] of Object.entries(weights)) {
+          if (!/^\d+$/.test(playerId)) throw new Error(`Invalid player ID "${playerId}" in weights`)
+          if (typeof weight !== 'number' || !(weight >= 0 && weight <= MAX_EXPENSE_WEIGHT)) {
+            throw new Error(`Weights must be numbers from 0 to ${MAX_EXPENSE_WEIGHT}`)
+          }
+        }
+        return true
+      })
+  ]
+
+  const expenseFromBody = (reqBody) => ({
+    playDate: dateOnly(reqBody.playDate),
+    amount: parseInt(reqBody.amount),
+    description: reqBody.description,
+    paidBy: reqBody.paidBy ? parseInt(reqBody.paidBy) : null,
+    // An empty object means "everyone weighs 1", same as no weights
+    weights: reqBody.weights && Object.keys(reqBody.weights).length > 0 ? reqBody.weights : null
+  })
+
+  // 23503: the payer is not a player
+  const saveExpense = async (res, save) => {
+    try {
+      return await save()
+    } catch (error) {
+      if (error.code === '23503') {
+        res.status(400).json({ error: 'Payer not found' })
+        return null
+      }
+      throw error
+    }
+  }
+
+  // Expenses of one date with each player's share and the date's net balances
+  router.get('/date/:date', checkAuth, [
+    param('date').isISO8601().withMessage('Valid date required (YYYY-MM-DD)')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const date = dateOnly(req.params.date)
+    const [expenses, matches] = await Promise.all([
+      db.getExpenses({ playDate: date }),
+      db.getMatchesByPlayDate(date)
+    ])
+    res.json(sanitizeResponse({ date, ...planDateExpenses(expenses, matches) }))
+  }))
+
+  // Net expense balance per player over a date range (default: all dates)
+  router.get('/balances', checkAuth, [
+    query('from').optional().isISO8601().withMessage('Valid from date required (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('Valid to date required (YYYY-MM-DD)')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const from = req.query.from ? dateOnly(req.query.from) : null
+    const to = req.query.to ? dateOnly(req.query.to) : null
+    const expenses = await db.getExpenses({ from, to })
+
+    const byDate = new Map()
+    for (const expense of expenses) byDate.set(expense.play_date, [...(byDate.get(expense.play_date) || []), expense])
+    const dateBalances = []
+    let unallocated = 0
+    for (const [date, dateExpenses] of byDate) {
+      const plan = planDateExpenses(dateExpenses, await db.getMatchesByPlayDate(date))
+      dateBalances.push(plan.balances)
+      unallocated += plan.totals.unallocated
+    }
+    res.json(sanitizeResponse({ from, to, dates: byDate.size, unallocated, balances: mergeExpenseBalances(dateBalances) }))
+  }))
+
+  router.post(
+    '/',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    validateExpense,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const expense = expenseFromBody(req.body)
+      const expenseId = await saveExpense(res, () => db.addExpense(expense, req.user?.username || null))
+      if (expenseId === null) return
+      console.log(`💸 Expense ${expenseId} (${expense.amount} VND, ${expense.playDate}) recorded by ${req.user?.username}`)
+      res.json(sanitizeResponse({ success: true, expense: await db.getExpenseById(expenseId) }))
+    })
+  )
+
+  router.put(
+    '/:id',
+    authenticateToken,
+    requireEditor,
+    [param('id').isInt().withMessage('Invalid expense ID'), ...validateExpense],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const expenseId = parseInt(req.params.id)
+      const updated = await saveExpense(res, () => db.updateExpense(expenseId, expenseFromBody(req.body)))
+      if (updated === null) return
+      if (!updated) {
+        res.status(404).json({ error: 'Expense not found' })
+        return
+      }
+      res.json(sanitizeResponse({ success: true, expense: await db.getExpenseById(expenseId) }))
+    })
+  )
+
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid expense ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const expenseId = parseInt(req.params.id)
+      if (!await db.deleteExpense(expenseId)) {
+        res.status(404).json({ error: 'Expense not found' })
+        return
+      }
+      console.log(`🗑️ Expense ${expenseId} deleted by ${req.user?.username}`)
+      res.json({ success: true, message: 'Expense deleted successfully' })
+    })
+  )
+
+  return router
+}
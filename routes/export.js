@@ -3,9 +3,12 @@ import { asyncHandler } from '../utils/async-handler.js'
 import {
   createDateExportBuffer,
   createSeasonExportBuffer,
+  writeExcelBuffer,
+  withSetScores,
   MATCHES_FULL_COLUMNS
 } from '../utils/excel-helper.js'
 import { streamExcelResponse } from '../utils/stream-helper.js'
+import { planDateExpenses } from '../lib/expense-split.js'
 
 export const createExportRouter = ({
   db,
@@ -21,6 +24,7 @@ export const createExportRouter = ({
     SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
       m.player1_id, m.player2_id, m.player3_id, m.player4_id,
       m.team1_score, m.team2_score, m.winning_team, 
+      m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
       COALESCE(m.match_type, 'duo') as match_type,
       m.created_at,
       s.name as season_name,
@@ -39,9 +43,22 @@ export const createExportRouter = ({
   // Full export (all data) — streams matches via cursor
   router.get('/', authenticateToken, requireEditor, conditionalRateLimit(exportLimiter), asyncHandler(async (req, res) => {
     const filename = `tennis-rankings-${new Date().toISOString().split('T')[0]}.xlsx`
+
+    // The SQLite backend has no pg pool to stream from
+    if (!db.pool) {
+      const matches = await db.getMatches()
+      const buffer = await writeExcelBuffer([
+        { name: 'Kết quả thi đấu', data: matches.map(withSetScores), columns: MATCHES_FULL_COLUMNS }
+      ])
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+      return res.send(buffer)
+    }
+
     await streamExcelResponse(db.pool, MATCHES_EXPORT_SQL, [], res, {
       columns: MATCHES_FULL_COLUMNS,
-      filename
+      filename,
+      transform: withSetScores
     })
   }))
 
@@ -49,12 +66,15 @@ export const createExportRouter = ({
   router.get('/date/:date', authenticateToken, requireEditor, conditionalRateLimit(exportLimiter), asyncHandler(async (req, res) => {
     const { date } = req.params
     
-    const [rankings, matches] = await Promise.all([
+    const [rankings, matches, expenses, playDateMatches] = await Promise.all([
       db.getPlayerStatsBySpecificDate(date),
-      db.getMatchesByDate(date)
+      db.getMatchesByDate(date),
+      db.getExpenses({ playDate: date }),
+      db.getMatchesByPlayDate(date)
     ])
+    const expensePlan = planDateExpenses(expenses, playDateMatches)
 
-    const buffer = await createDateExportBuffer({ date, rankings, matches })
+    const buffer = await createDateExportBuffer({ date, rankings, matches, expensePlan })
     
     const sanitizedDate = date.replace(/[^a-zA-Z0-9-_]/g, '')
     
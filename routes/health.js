@@ -6,14 +6,15 @@ import { Router } from 'express'
  * - GET /health          — unauthenticated (for load balancers / Docker HEALTHCHECK)
  * - GET /api/health      — admin only (includes proxy/internal info)
  * - GET /api/performance — admin only (process & OS metrics)
- * - GET /api/cache-stats — admin only (Redis cache statistics)
+ * - GET /api/cache-stats — admin only (Redis cache statistics, SSE clients of all workers)
  */
 export const createHealthRouter = ({
   db,
   app,
   authenticateToken,
   requireAdmin,
-  rankingsCache
+  rankingsCache,
+  sseClients
 }) => {
   const router = Router()
 
@@ -120,7 +121,16 @@ export const createHealthRouter = ({
       redisConnected: stats.isConnected
     }
 
-    res.json({ success: true, cacheStats: stats, recommendations, serverInfo })
+    // SSE clients of every PM2 worker, as reported to Redis (this worker's count is live)
+    const instances = (await rankingsCache.getSseClientCounts())
+      .filter(entry => entry.instance !== rankingsCache.instanceId)
+    instances.push({ instance: rankingsCache.instanceId, clients: sseClients.size, current: true })
+    const sseConnections = {
+      total: instances.reduce((sum, entry) => sum + entry.clients, 0),
+      instances
+    }
+
+    res.json({ success: true, cacheStats: stats, recommendations, serverInfo, sseConnections })
   })
 
   return router
@@ -0,0 +1,94 @@
+import { Router } from 'express'
+import express from 'express'
+import { query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { MATCHES_FULL_COLUMNS } from '../utils/excel-helper.js'
+import { readSpreadsheet, SpreadsheetError } from '../utils/spreadsheet-reader.js'
+import { mapImportHeader, readImportRecords, planMatchImport } from '../lib/match-import.js'
+import { publishMatchChange } from '../lib/event-stream.js'
+
+// Most rows one import may contain (several seasons of an active group)
+const MAX_IMPORT_ROWS = 5000
+
+/**
+ * Spreadsheet import routes (admin-only).
+ * The file is sent as the raw request body (.xlsx or .csv).
+ */
+export const createImportRouter = ({
+  db,
+  authenticateToken,
+  requireAdmin,
+  conditionalRateLimit,
+  restoreLimiter,
+  handleValidationErrors,
+  rankingsCache,
+  audit,
+  sanitizeResponse,
+  webhooks,
+  eventStream
+}) => {
+  const router = Router()
+  const fileBodyParser = express.raw({ type: () => true, limit: '5mb' })
+
+  // Matches in the Excel export layout. ?dryRun=true (default) only returns the
+  // preview; ?dryRun=false imports the rows that are ok. ?createMissing=true
+  // creates unknown players and seasons instead of rejecting their rows.
+  router.post('/matches',
+    authenticateToken, requireAdmin, conditionalRateLimit(restoreLimiter), fileBodyParser,
+    [
+      query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+      query('createMissing').optional().isBoolean().withMessage('createMissing must be true or false')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const dryRun = req.query.dryRun !== 'false'
+      const createMissing = req.query.createMissing === 'true'
+
+      let rows
+      try {
+        rows = readSpreadsheet(req.body)
+      } catch (error) {
+        if (error instanceof SpreadsheetError) return res.status(400).json({ error: error.message })
+        throw error
+      }
+      const { index, missing } = mapImportHeader(rows[0] || [], MATCHES_FULL_COLUMNS)
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `Missing columns: ${missing.join(', ')}` })
+      }
+      const records = readImportRecords(rows, index)
+      if (records.length === 0) return res.status(400).json({ error: 'The file has no matches' })
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} matches can be imported at once` })
+      }
+
+      const [players, seasons, matches] = await Promise.all([db.getPlayers(true), db.getSeasons(), db.getMatches()])
+      const plan = planMatchImport(records, { players, seasons, matches }, { createMissing })
+      const preview = { rows: plan.rows, unknownPlayers: plan.unknownPlayers, unknownSeasons: plan.unknownSeasons, summary: plan.summary }
+
+      if (dryRun) {
+        return res.json(sanitizeResponse({ success: true, dryRun: true, ...preview }))
+      }
+
+      const toImport = plan.rows.filter(row => row.status === 'ok').map(row => row.match)
+      const ids = toImport.length > 0 ? await db.importMatches(toImport) : []
+      console.log(`📥 IMPORT by ${req.user.username}: ${ids.length} matches (${plan.summary.duplicate} duplicates, ${plan.summary.error} errors skipped)`)
+      if (ids.length > 0) {
+        // New players and seasons may have been created too
+        if (plan.unknownPlayers.length > 0) await rankingsCache.invalidateOnPlayerChange()
+        if (plan.unknownSeasons.length > 0) await rankingsCache.invalidateOnSeasonChange()
+        await rankingsCache.invalidateOnMatchChange()
+        // One query for the snapshots instead of one per imported match
+        const imported = new Set(ids)
+        const created = (await db.getMatches()).filter(m => imported.has(m.id))
+        publishMatchChange(eventStream, 'match.created', created, { sanitize: sanitizeResponse })
+        for (const match of created) {
+          await audit(req, { entityType: 'match', entityId: match.id, action: 'import', after: match })
+          await webhooks.emit('match.created', { match, imported: true })
+        }
+      }
+      res.json(sanitizeResponse({ success: true, dryRun: false, imported: ids.length, ...preview }))
+    })
+  )
+
+  return router
+}
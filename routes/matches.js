@@ -1,7 +1,23 @@
 import { Router } from 'express'
-import { body, param, query } from 'express-validator'
+import { body, header, param, query } from 'express-validator'
 import { asyncHandler } from '../utils/async-handler.js'
 import { streamJsonResponse } from '../utils/stream-helper.js'
+import { parseSets, legacyScore, TennisScoreError } from '../lib/tennis-score.js'
+import { resolveBracket, tournamentMatchProblem } from '../lib/tournament.js'
+import { publishMatchChange as publishToStream } from '../lib/event-stream.js'
+import {
+  IDEMPOTENCY_HEADER,
+  SUBMISSION_KEY_PATTERN,
+  MATCH_SUBMISSION_DAYS,
+  STALE_CLAIM_SECONDS,
+  submissionFingerprint,
+  findDuplicateMatch
+} from '../lib/match-submission.js'
+
+const hasSets = (payload) => payload.sets !== undefined && payload.sets !== null
+
+// Upper bound for one bulk entry (a long evening is 10-15 matches)
+const MAX_BULK_MATCHES = 30
 
 export const createMatchRouter = ({
   db,
@@ -13,17 +29,28 @@ export const createMatchRouter = ({
   deleteLimiter,
   handleValidationErrors,
   rankingsCache,
-  sanitizeResponse
+  sanitizeResponse,
+  audit,
+  webhooks,
+  eventStream,
+  trashRetentionDays
 }) => {
   const router = Router()
 
+  // Live update for open pages (lib/event-stream.js): the changed matches,
+  // then one rankings.changed for all of them. Sent right after the cache
+  // invalidation, so the version bump it caused counts as covered
+  const publishMatchChange = (type, matches, previous = null) =>
+    publishToStream(eventStream, type, matches, { previous, sanitize: sanitizeResponse })
+
   // SQL for match listing (shared between cached and streamed paths)
   const MATCHES_LIST_SQL = `
     SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
       m.player1_id, m.player2_id, m.player3_id, m.player4_id,
       m.team1_score, m.team2_score, m.winning_team, 
       COALESCE(m.match_type, 'duo') as match_type,
-      m.created_at,
+      m.no_show_team, m.sets, m.team1_sets, m.team2_sets, m.team1_games, m.team2_games,
+      m.tournament_match_id, m.created_at,
       s.name as season_name,
       COALESCE(s.lose_money_per_loss, 20000) as lose_money_per_loss,
       p1.name as player1_name, COALESCE(p2.name, '') as player2_name, 
@@ -61,8 +88,10 @@ export const createMatchRouter = ({
       return res.json(sanitizeResponse(cached))
     }
 
-    // Stream directly from DB → HTTP response (constant memory)
+    // Stream directly from DB → HTTP response (constant memory).
+    // The SQLite backend has no pg pool to stream from.
     res.set('Redis-Cache', 'MISS')
+    if (!db.pool) return res.json(sanitizeResponse(await db.getMatches()))
     await streamJsonResponse(db.pool, MATCHES_LIST_SQL, [], res, { sanitize: sanitizeResponse })
   }))
 
@@ -111,7 +140,8 @@ export const createMatchRouter = ({
     res.json(sanitizeResponse(match))
   }))
 
-  // Validation for match payload - player2 and player4 are optional for solo matches
+  // Validation for match payload - player2 and player4 are optional for solo matches.
+  // With a set-by-set score (sets) the team scores and winner are derived from it.
   const validateMatchPayload = [
     body('seasonId').isInt().withMessage('Valid season ID is required'),
     body('playDate').isISO8601().withMessage('Valid play date is required'),
@@ -119,12 +149,61 @@ export const createMatchRouter = ({
     body('player2Id').optional({ nullable: true }).isInt().withMessage('Valid player 2 ID is required for duo matches'),
     body('player3Id').isInt().withMessage('Valid player 3 ID is required'),
     body('player4Id').optional({ nullable: true }).isInt().withMessage('Valid player 4 ID is required for duo matches'),
-    body('team1Score').isInt({ min: 0 }).withMessage('Valid team 1 score is required'),
-    body('team2Score').isInt({ min: 0 }).withMessage('Valid team 2 score is required'),
-    body('winningTeam').isInt({ min: 1, max: 2 }).withMessage('Winning team must be 1 or 2'),
-    body('matchType').optional().isIn(['solo', 'duo']).withMessage('Match type must be solo or duo')
+    body('sets').optional({ nullable: true }).isArray({ min: 1, max: 5 }).withMessage('Sets must be a list of 1 to 5 sets'),
+    body('team1Score').if((value, { req }) => !hasSets(req.body)).isInt({ min: 0 }).withMessage('Valid team 1 score is required'),
+    body('team2Score').if((value, { req }) => !hasSets(req.body)).isInt({ min: 0 }).withMessage('Valid team 2 score is required'),
+    // Optional with a set score, but still checked when sent
+    body('winningTeam').if((value, { req }) => !hasSets(req.body) || (value !== undefined && value !== null)).isInt({ min: 1, max: 2 }).withMessage('Winning team must be 1 or 2'),
+    body('matchType').optional().isIn(['solo', 'duo']).withMessage('Match type must be solo or duo'),
+    body('noShowTeam').optional({ nullable: true }).isInt({ min: 1, max: 2 }).withMessage('No-show team must be 1 or 2')
   ]
 
+  // A match recorded for a bracket slot must be that slot's pairing, in the
+  // tournament's season and match type; returns { status, error } or null
+  const checkTournamentMatch = async (tournamentMatchId, seasonId, match) => {
+    const tournamentId = await db.getTournamentIdBySlot(tournamentMatchId)
+    if (!tournamentId) return { status: 404, error: 'Tournament match not found' }
+    const tournament = await db.getTournament(tournamentId)
+    if (Number(tournament.season_id) !== Number(seasonId)) {
+      return { status: 400, error: 'The tournament belongs to another season' }
+    }
+    if (tournament.match_type !== match.matchType) {
+      return { status: 400, error: `This tournament is played as ${tournament.match_type}` }
+    }
+    const slot = resolveBracket(tournament).matches.find(candidate => candidate.id === tournamentMatchId)
+    return tournamentMatchProblem(slot, tournament.entries, match)
+  }
+
+  // A forfeit (no-show) always goes to the team that turned up
+  const validateNoShow = (noShowTeam, winningTeam) => {
+    if (noShowTeam && noShowTeam === Number(winningTeam)) {
+      return { valid: false, error: 'The team that did not show up cannot be the winner' }
+    }
+    return { valid: true }
+  }
+
+  // Resolve the stored score: a set-by-set score is validated and decides the
+  // winner; without one the submitted team scores and winner are used as-is
+  const resolveScore = (payload, sets, noShowTeam) => {
+    if (!sets) {
+      return { valid: true, score: null, team1Score: payload.team1Score, team2Score: payload.team2Score, winningTeam: payload.winningTeam }
+    }
+    if (noShowTeam) {
+      return { valid: false, error: 'A no-show match cannot have a set score' }
+    }
+    let score
+    try {
+      score = parseSets(sets)
+    } catch (error) {
+      if (error instanceof TennisScoreError) return { valid: false, error: error.message }
+      throw error
+    }
+    if (payload.winningTeam !== undefined && payload.winningTeam !== null && Number(payload.winningTeam) !== score.winningTeam) {
+      return { valid: false, error: 'Winning team does not match the set score' }
+    }
+    return { valid: true, score, ...legacyScore(score), winningTeam: score.winningTeam }
+  }
+
   // Helper function to validate players are in season
   const validatePlayersInSeason = async (seasonId, playerIds) => {
     const seasonPlayers = await db.getSeasonPlayers(seasonId)
@@ -145,57 +224,186 @@ export const createMatchRouter = ({
     return { valid: true }
   }
 
+  // Check one new match (score, no-show, players, season eligibility) and
+  // return the values to store, or the first problem found
+  const prepareMatch = async (seasonId, payload) => {
+    const { player1Id, player2Id, player3Id, player4Id, matchType = 'duo' } = payload
+    const noShowTeam = payload.noShowTeam ? parseInt(payload.noShowTeam) : null
+    const resolved = resolveScore(payload, hasSets(payload) ? payload.sets : null, noShowTeam)
+    if (!resolved.valid) return resolved
+    const { score, team1Score, team2Score, winningTeam } = resolved
+    const noShowCheck = validateNoShow(noShowTeam, winningTeam)
+    if (!noShowCheck.valid) return noShowCheck
+
+    // For solo matches, only player1 and player3 are required (they are the opponents)
+    let playerIds
+    if (matchType === 'solo') {
+      if (!player1Id || !player3Id) {
+        return { valid: false, error: 'For solo matches, player 1 and player 3 are required' }
+      }
+      if (player1Id === player3Id) {
+        return { valid: false, error: 'Players must be different' }
+      }
+      playerIds = [player1Id, null, player3Id, null]
+    } else {
+      playerIds = [player1Id, player2Id, player3Id, player4Id]
+      if (new Set(playerIds).size !== 4) {
+        return { valid: false, error: 'All players must be different' }
+      }
+    }
+
+    const validation = await validatePlayersInSeason(seasonId, playerIds)
+    if (!validation.valid) return validation
+
+    const [p1, p2, p3, p4] = playerIds
+    return {
+      valid: true,
+      match: { player1Id: p1, player2Id: p2, player3Id: p3, player4Id: p4, team1Score, team2Score, winningTeam, matchType, noShowTeam, score }
+    }
+  }
+
+  // Check and add the match of a POST body. Returns the new match id, or null
+  // after answering with the problem
+  const addSubmittedMatch = async (req, res) => {
+    const { seasonId, playDate } = req.body
+    const prepared = await prepareMatch(seasonId, req.body)
+    if (!prepared.valid) {
+      res.status(400).json({ error: prepared.error })
+      return null
+    }
+    const m = prepared.match
+    const tournamentMatchId = req.body.tournamentMatchId ? parseInt(req.body.tournamentMatchId) : null
+    if (tournamentMatchId) {
+      const problem = await checkTournamentMatch(tournamentMatchId, seasonId, m)
+      if (problem) {
+        res.status(problem.status).json({ error: problem.error })
+        return null
+      }
+    }
+    if (req.body.checkDuplicate === true || req.body.checkDuplicate === 'true') {
+      const duplicate = findDuplicateMatch(await db.getMatchesByPlayDate(playDate), {
+        seasonId,
+        playDate,
+        playerIds: [m.player1Id, m.player2Id, m.player3Id, m.player4Id],
+        team1Score: m.team1Score,
+        team2Score: m.team2Score
+      })
+      if (duplicate) {
+        res.status(409).json(sanitizeResponse({
+          error: 'A match with the same players and score is already recorded for this day',
+          conflict: 'duplicate',
+          match: duplicate
+        }))
+        return null
+      }
+    }
+    return db.addMatch(seasonId, playDate, m.player1Id, m.player2Id, m.player3Id, m.player4Id, m.team1Score, m.team2Score, m.winningTeam, m.matchType, m.noShowTeam, m.score, tournamentMatchId)
+  }
+
+  // tournamentMatchId: the bracket slot this match decides (see routes/tournaments.js)
+  // Idempotency-Key header and checkDuplicate: see lib/match-submission.js
   router.post(
     '/',
     authenticateToken,
     requireEditor,
     conditionalRateLimit(createLimiter),
-    validateMatchPayload,
+    [
+      ...validateMatchPayload,
+      body('tournamentMatchId').optional({ nullable: true }).isInt().withMessage('Invalid tournament match ID'),
+      body('checkDuplicate').optional().isBoolean().withMessage('checkDuplicate must be boolean'),
+      header(IDEMPOTENCY_HEADER).optional().matches(SUBMISSION_KEY_PATTERN).withMessage('Invalid Idempotency-Key')
+    ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-      const { seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo' } = req.body
-      
-      // For solo matches, only player1 and player3 are required (they are the opponents)
-      if (matchType === 'solo') {
-        if (!player1Id || !player3Id) {
-          res.status(400).json({ error: 'For solo matches, player 1 and player 3 are required' })
-          return
-        }
-        if (player1Id === player3Id) {
-          res.status(400).json({ error: 'Players must be different' })
+      // A key that was used before answers with the match it recorded, as long
+      // as it comes with the same submission from the same user
+      const submissionKey = req.get(IDEMPOTENCY_HEADER)
+      const username = req.user?.username || null
+      const fingerprint = submissionKey ? submissionFingerprint(req.body, username) : null
+      if (submissionKey && !await db.claimMatchSubmission(submissionKey, username, fingerprint, STALE_CLAIM_SECONDS, MATCH_SUBMISSION_DAYS)) {
+        const submission = await db.getMatchSubmission(submissionKey)
+        if (submission?.payload_hash && submission.payload_hash !== fingerprint) {
+          res.status(422).json({ error: 'This Idempotency-Key was used for another submission', conflict: 'key_mismatch' })
           return
         }
-        
-        // Validate players are in season
-        const validation = await validatePlayersInSeason(seasonId, [player1Id, player3Id])
-        if (!validation.valid) {
-          res.status(400).json({ error: validation.error })
+        if (submission?.match_id) {
+          res.json({ success: true, id: submission.match_id, duplicate: true })
           return
         }
-        
-        // For solo matches, player2 and player4 are null
-        const matchId = await db.addMatch(seasonId, playDate, player1Id, null, player3Id, null, team1Score, team2Score, winningTeam, matchType)
-        await rankingsCache.invalidateOnMatchChange(playDate)
-        res.json({ success: true, id: matchId })
-      } else {
-        // Duo match validation (existing logic)
-        const playerIds = [player1Id, player2Id, player3Id, player4Id]
-        if (new Set(playerIds).size !== 4) {
-          res.status(400).json({ error: 'All players must be different' })
-          return
-        }
-        
-        // Validate players are in season
-        const validation = await validatePlayersInSeason(seasonId, playerIds)
-        if (!validation.valid) {
-          res.status(400).json({ error: validation.error })
-          return
-        }
-        
-        const matchId = await db.addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType)
-        await rankingsCache.invalidateOnMatchChange(playDate)
-        res.json({ success: true, id: matchId })
+        res.status(409).json({ error: 'This submission is still being recorded', conflict: 'in_progress' })
+        return
+      }
+
+      let matchId = null
+      try {
+        matchId = await addSubmittedMatch(req, res)
+      } finally {
+        if (submissionKey && matchId) await db.completeMatchSubmission(submissionKey, matchId)
+        else if (submissionKey) await db.releaseMatchSubmission(submissionKey)
+      }
+      if (!matchId) return
+
+      await rankingsCache.invalidateOnMatchChange(req.body.playDate)
+      const match = await db.getMatchById(matchId)
+      publishMatchChange('match.created', [match])
+      await audit(req, { entityType: 'match', entityId: matchId, action: 'create', after: match })
+      await webhooks.emit('match.created', { match })
+      res.json({ success: true, id: matchId })
+    })
+  )
+
+  // The bulk row a field belongs to (paths look like matches[3].team1Score)
+  const bulkRow = (req, path) => req.body.matches?.[Number(path.match(/^matches\[(\d+)\]/)?.[1])] || {}
+
+  // Same per-match rules as validateMatchPayload, for every row of a bulk entry
+  const validateBulkPayload = [
+    body('seasonId').isInt().withMessage('Valid season ID is required'),
+    body('playDate').isISO8601().withMessage('Valid play date is required'),
+    body('matches').isArray({ min: 1, max: MAX_BULK_MATCHES }).withMessage(`Matches must be a list of 1 to ${MAX_BULK_MATCHES} matches`),
+    body('matches.*.player1Id').isInt().withMessage('Valid player 1 ID is required'),
+    body('matches.*.player2Id').optional({ nullable: true }).isInt().withMessage('Valid player 2 ID is required for duo matches'),
+    body('matches.*.player3Id').isInt().withMessage('Valid player 3 ID is required'),
+    body('matches.*.player4Id').optional({ nullable: true }).isInt().withMessage('Valid player 4 ID is required for duo matches'),
+    body('matches.*.sets').optional({ nullable: true }).isArray({ min: 1, max: 5 }).withMessage('Sets must be a list of 1 to 5 sets'),
+    body('matches.*.team1Score').if((value, { req, path }) => !hasSets(bulkRow(req, path))).isInt({ min: 0 }).withMessage('Valid team 1 score is required'),
+    body('matches.*.team2Score').if((value, { req, path }) => !hasSets(bulkRow(req, path))).isInt({ min: 0 }).withMessage('Valid team 2 score is required'),
+    body('matches.*.winningTeam').if((value, { req, path }) => !hasSets(bulkRow(req, path)) || (value !== undefined && value !== null)).isInt({ min: 1, max: 2 }).withMessage('Winning team must be 1 or 2'),
+    body('matches.*.matchType').optional().isIn(['solo', 'duo']).withMessage('Match type must be solo or duo'),
+    body('matches.*.noShowTeam').optional({ nullable: true }).isInt({ min: 1, max: 2 }).withMessage('No-show team must be 1 or 2')
+  ]
+
+  // Enter a whole evening at once: every match is checked first, then all are
+  // inserted in one transaction with a single cache invalidation
+  router.post(
+    '/bulk',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    validateBulkPayload,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { seasonId, playDate, matches } = req.body
+      const prepared = []
+      const rowErrors = []
+      for (const [index, payload] of matches.entries()) {
+        const result = await prepareMatch(seasonId, payload)
+        if (result.valid) prepared.push(result.match)
+        else rowErrors.push({ index, error: result.error })
+      }
+      if (rowErrors.length > 0) {
+        res.status(400).json({ error: 'Some matches are invalid, nothing was saved', rows: rowErrors })
+        return
+      }
+
+      const ids = await db.addMatches(seasonId, playDate, prepared)
+      await rankingsCache.invalidateOnMatchChange(playDate)
+      const created = await Promise.all(ids.map(matchId => db.getMatchById(matchId)))
+      publishMatchChange('match.created', created)
+      for (const match of created) {
+        await audit(req, { entityType: 'match', entityId: match.id, action: 'create', after: match })
+        await webhooks.emit('match.created', { match })
       }
+      res.json({ success: true, ids })
     })
   )
 
@@ -212,7 +420,28 @@ export const createMatchRouter = ({
         res.status(404).json({ error: 'Match not found' })
         return
       }
-      const { seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo' } = req.body
+      const { seasonId, playDate, player1Id, player2Id, player3Id, player4Id, matchType = 'duo' } = req.body
+      // Clients that don't send noShowTeam keep the stored value
+      const noShowTeam = req.body.noShowTeam === undefined
+        ? existingMatch.no_show_team
+        : (req.body.noShowTeam ? parseInt(req.body.noShowTeam) : null)
+      // Clients that don't send sets keep the stored set score, unless they changed the result
+      const keepsStoredSets = req.body.sets === undefined && existingMatch.sets &&
+        Number(req.body.team1Score) === existingMatch.team1_score &&
+        Number(req.body.team2Score) === existingMatch.team2_score &&
+        Number(req.body.winningTeam) === existingMatch.winning_team
+      const sets = keepsStoredSets ? existingMatch.sets : (hasSets(req.body) ? req.body.sets : null)
+      const resolved = resolveScore(req.body, sets, noShowTeam)
+      if (!resolved.valid) {
+        res.status(400).json({ error: resolved.error })
+        return
+      }
+      const { score, team1Score, team2Score, winningTeam } = resolved
+      const noShowCheck = validateNoShow(noShowTeam, winningTeam)
+      if (!noShowCheck.valid) {
+        res.status(400).json({ error: noShowCheck.error })
+        return
+      }
       
       if (matchType === 'solo') {
         if (!player1Id || !player3Id) {
@@ -231,7 +460,7 @@ export const createMatchRouter = ({
           return
         }
         
-        await db.updateMatch(matchId, seasonId, playDate, player1Id, null, player3Id, null, team1Score, team2Score, winningTeam, matchType)
+        await db.updateMatch(matchId, seasonId, playDate, player1Id, null, player3Id, null, team1Score, team2Score, winningTeam, matchType, noShowTeam, score)
       } else {
         const playerIds = [player1Id, player2Id, player3Id, player4Id]
         if (new Set(playerIds).size !== 4) {
@@ -246,7 +475,7 @@ export const createMatchRouter = ({
           return
         }
         
-        await db.updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType)
+        await db.updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, noShowTeam, score)
       }
       
       // Invalidate new date + old date if play_date changed
@@ -255,6 +484,10 @@ export const createMatchRouter = ({
       if (oldDate && oldDate !== playDate) {
         await rankingsCache.invalidateOnMatchChange(oldDate)
       }
+      const match = await db.getMatchById(matchId)
+      publishMatchChange('match.updated', [match], existingMatch)
+      await audit(req, { entityType: 'match', entityId: matchId, action: 'update', before: existingMatch, after: match })
+      await webhooks.emit('match.updated', { match, previous: existingMatch })
       res.json({ success: true, message: 'Match updated successfully' })
     })
   )
@@ -274,9 +507,44 @@ export const createMatchRouter = ({
         return
       }
       const matchDate = existingMatch.play_date
-      await db.deleteMatch(matchId)
+      await db.deleteMatch(matchId, req.user?.username || null, trashRetentionDays)
       await rankingsCache.invalidateOnMatchChange(matchDate)
-      res.json({ success: true, message: 'Match deleted successfully' })
+      publishMatchChange('match.deleted', [existingMatch])
+      await audit(req, { entityType: 'match', entityId: matchId, action: 'delete', before: existingMatch })
+      await webhooks.emit('match.deleted', { match: existingMatch })
+      res.json({ success: true, message: 'Match moved to trash', retentionDays: trashRetentionDays })
+    })
+  )
+
+  // Bring a deleted match back from the trash (same id, stats and ratings rebuilt)
+  router.post(
+    '/:id/restore',
+    authenticateToken,
+    requireEditor,
+    [param('id').isInt().withMessage('Invalid match ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const matchId = parseInt(req.params.id)
+      try {
+        if (!await db.restoreMatch(matchId)) {
+          res.status(404).json({ error: 'Match not found in trash' })
+          return
+        }
+      } catch (error) {
+        // Foreign key violation: the season or a player was deleted since
+        if (error.code === '23503') {
+          res.status(409).json({ error: 'The season or a player of this match no longer exists. Restore the season first.' })
+          return
+        }
+        throw error
+      }
+      const match = await db.getMatchById(matchId)
+      await rankingsCache.invalidateOnMatchChange(match.play_date)
+      // For open pages and webhook receivers a restored match is a new one again
+      publishMatchChange('match.created', [match])
+      await audit(req, { entityType: 'match', entityId: matchId, action: 'restore', after: match })
+      await webhooks.emit('match.created', { match, restored: true })
+      res.json({ success: true, message: 'Match restored successfully' })
     })
   )
 
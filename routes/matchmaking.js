@@ -0,0 +1,88 @@
+import { Router } from 'express'
+import { body } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { STRENGTHS, MAX_COURTS, suggestTeams } from '../lib/matchmaking.js'
+
+const MAX_PRESENT_PLAYERS = 20
+const MAX_ROUNDS = 10
+
+/**
+ * Balanced doubles teams for the evening (lib/matchmaking.js), offered in
+ * the bulk match entry. Strength comes from the season's player stats and
+ * partners already recorded on the play date are avoided.
+ */
+export const createMatchmakingRouter = ({
+  db,
+  authenticateToken,
+  requireEditor,
+  handleValidationErrors,
+  sanitizeResponse
+}) => {
+  const router = Router()
+
+  router.post(
+    '/suggest',
+    authenticateToken,
+    requireEditor,
+    [
+      body('seasonId').isInt().withMessage('Valid season ID is required'),
+      body('playerIds').isArray({ min: 4, max: MAX_PRESENT_PLAYERS }).withMessage(`Between 4 and ${MAX_PRESENT_PLAYERS} players are required`),
+      body('playerIds.*').isInt().withMessage('Invalid player ID'),
+      body('playDate').optional().isISO8601().withMessage('Valid play date required (YYYY-MM-DD)'),
+      body('strength').optional().isIn(STRENGTHS).withMessage(`Strength must be one of: ${STRENGTHS.join(', ')}`),
+      body('rounds').optional().isInt({ min: 1, max: MAX_ROUNDS }).withMessage(`Rounds must be between 1 and ${MAX_ROUNDS}`),
+      body('courts').optional().isInt({ min: 1, max: MAX_COURTS }).withMessage(`Courts must be between 1 and ${MAX_COURTS}`)
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = parseInt(req.body.seasonId)
+      const playerIds = req.body.playerIds.map(id => parseInt(id))
+      if (new Set(playerIds).size !== playerIds.length) {
+        res.status(400).json({ error: 'Each player can only be listed once' })
+        return
+      }
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+
+      const playDate = req.body.playDate
+        ? String(req.body.playDate).slice(0, 10)
+        : new Date().toISOString().split('T')[0]
+      const strength = req.body.strength || 'rating'
+      const [stats, matches] = await Promise.all([
+        db.getPlayerStatsBySeason(seasonId),
+        db.getMatchesByPlayDate(playDate)
+      ])
+
+      const statsById = new Map(stats.map(row => [Number(row.id), row]))
+      const missing = playerIds.filter(id => !statsById.has(id))
+      if (missing.length > 0) {
+        res.status(400).json({ error: `Players not in this season: ${missing.join(', ')}` })
+        return
+      }
+
+      const players = playerIds.map(id => {
+        const row = statsById.get(id)
+        return { id, name: row.name, strength: Number(row[strength]) || 0 }
+      })
+      const suggestion = suggestTeams(players, {
+        rounds: req.body.rounds ? parseInt(req.body.rounds) : 1,
+        courts: req.body.courts ? parseInt(req.body.courts) : undefined,
+        strength,
+        matches
+      })
+
+      res.json(sanitizeResponse({
+        season_id: seasonId,
+        play_date: playDate,
+        strength,
+        players,
+        ...suggestion
+      }))
+    })
+  )
+
+  return router
+}
@@ -1,7 +1,39 @@
 import { Router } from 'express'
-import { body, param } from 'express-validator'
+import { body, param, query } from 'express-validator'
 import { asyncHandler } from '../utils/async-handler.js'
 
+// Creation and rename share the same name rules
+const playerNameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 100 }).withMessage('Player name is required')
+  .matches(/^[a-zA-Z0-9\s\u0080-\uFFFF]+$/).withMessage('Player name contains invalid characters')
+
+// Unique violation on players.name (PostgreSQL error code / SQLite message)
+const isDuplicateName = (error) =>
+  error.code === '23505' || error.message.includes('UNIQUE constraint failed')
+
+// Plain calendar dates only, so from/to compare correctly as strings
+const DATE_ONLY = { format: 'YYYY-MM-DD', strictMode: true }
+const isDateOnly = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+
+// ?seasonId=&from=&to= filters shared by the player statistics endpoints
+const validateStatsFilters = [
+  query('seasonId').optional().isInt({ min: 1 }).withMessage('Invalid season ID'),
+  query('from').optional().isDate(DATE_ONLY).withMessage('Valid from date required (YYYY-MM-DD)'),
+  query('to').optional().isDate(DATE_ONLY).withMessage('Valid to date required (YYYY-MM-DD)').bail()
+    .custom((to, { req }) => !isDateOnly(req.query.from) || req.query.from <= to).withMessage('from must not be after to')
+]
+
+const statsFilters = (req) => ({
+  seasonId: req.query.seasonId ? parseInt(req.query.seasonId) : null,
+  from: req.query.from || null,
+  to: req.query.to || null
+})
+
+// Stored under rankings: so every match/player/season invalidation clears them too
+const statsCacheKey = (kind, ids, { seasonId, from, to }) =>
+  `rankings:${kind}:${ids.join(':')}:${seasonId || 'all'}:${from || ''}:${to || ''}`
+
 export const createPlayerRouter = ({
   db,
   checkAuth,
@@ -12,39 +44,115 @@ export const createPlayerRouter = ({
   deleteLimiter,
   handleValidationErrors,
   rankingsCache,
-  sanitizeResponse
+  sanitizeResponse,
+  audit,
+  webhooks
 }) => {
   const router = Router()
 
-  router.get('/', checkAuth, asyncHandler(async (req, res) => {
+  // ?includeArchived=true also lists archived players (for the admin player list)
+  router.get('/', checkAuth, [
+    query('includeArchived').optional().isBoolean().withMessage('includeArchived must be true or false')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const includeArchived = req.query.includeArchived === 'true'
     const { data: players, hit: cacheHit } = await rankingsCache.getOrSet(
-      'players',
-      () => db.getPlayers()
+      includeArchived ? 'players:all' : 'players',
+      () => db.getPlayers(includeArchived)
     )
     res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
     res.json(sanitizeResponse(players))
   }))
 
+  router.get('/:id/profile', checkAuth, [
+    param('id').isInt({ min: 1 }).withMessage('Invalid player ID')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const playerId = parseInt(req.params.id)
+    const { data: profile, hit: cacheHit } = await rankingsCache.getOrSet(
+      `rankings:profile:${playerId}`,
+      async () => {
+        const result = await db.getPlayerProfile(playerId)
+        // Return sentinel value for not-found so we don't cache null
+        return result || { __notFound: true }
+      }
+    )
+    if (!profile || profile.__notFound) {
+      res.status(404).json({ error: 'Player not found' })
+      return
+    }
+    res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
+    res.json(sanitizeResponse(profile))
+  }))
+
+  router.get('/:a/head-to-head/:b', checkAuth, [
+    param('a').isInt({ min: 1 }).withMessage('Invalid player ID'),
+    param('b').isInt({ min: 1 }).withMessage('Invalid player ID'),
+    ...validateStatsFilters
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const playerAId = parseInt(req.params.a)
+    const playerBId = parseInt(req.params.b)
+    if (playerAId === playerBId) {
+      res.status(400).json({ error: 'Players must be different' })
+      return
+    }
+
+    const [playerA, playerB] = await Promise.all([db.getPlayerById(playerAId), db.getPlayerById(playerBId)])
+    if (!playerA || !playerB) {
+      res.status(404).json({ error: 'Player not found' })
+      return
+    }
+
+    const filters = statsFilters(req)
+    const { data: headToHead, hit: cacheHit } = await rankingsCache.getOrSet(
+      statsCacheKey('h2h', [playerAId, playerBId], filters),
+      () => db.getHeadToHead(playerAId, playerBId, filters)
+    )
+    res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
+    res.json(sanitizeResponse({
+      playerA: { id: playerA.id, name: playerA.name },
+      playerB: { id: playerB.id, name: playerB.name },
+      filters,
+      ...headToHead
+    }))
+  }))
+
+  router.get('/:id/partners', checkAuth, [
+    param('id').isInt({ min: 1 }).withMessage('Invalid player ID'),
+    ...validateStatsFilters
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const playerId = parseInt(req.params.id)
+    const player = await db.getPlayerById(playerId)
+    if (!player) {
+      res.status(404).json({ error: 'Player not found' })
+      return
+    }
+
+    const filters = statsFilters(req)
+    const { data: partners, hit: cacheHit } = await rankingsCache.getOrSet(
+      statsCacheKey('partners', [playerId], filters),
+      () => db.getPartnerStats(playerId, filters)
+    )
+    res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
+    res.json(sanitizeResponse({ player: { id: player.id, name: player.name }, filters, partners }))
+  }))
+
   router.post(
     '/',
     authenticateToken,
     requireAdmin,
     conditionalRateLimit(createLimiter),
-    [
-      body('name')
-        .trim()
-        .isLength({ min: 1, max: 100 }).withMessage('Player name is required')
-        .matches(/^[a-zA-Z0-9\s\u0080-\uFFFF]+$/).withMessage('Player name contains invalid characters')
-    ],
+    [playerNameRule()],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
       const { name } = req.body
       try {
         const playerId = await db.addPlayer(name)
         await rankingsCache.invalidateOnPlayerChange()
+        const player = await db.getPlayerById(playerId)
+        await audit(req, { entityType: 'player', entityId: playerId, action: 'create', after: player })
+        await webhooks.emit('player.created', { player })
         res.json({ success: true, id: playerId, name })
       } catch (error) {
-        if (error.message.includes('UNIQUE constraint failed')) {
+        if (isDuplicateName(error)) {
           res.status(400).json({ error: 'Player name already exists' })
           return
         }
@@ -53,6 +161,163 @@ export const createPlayerRouter = ({
     })
   )
 
+  // Rename / edit profile fields; nickname, preferredHand and avatarColor accept null to clear
+  router.patch(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    [
+      param('id').isInt({ min: 1 }).withMessage('Invalid player ID'),
+      playerNameRule().optional(),
+      body('nickname').optional({ nullable: true })
+        .trim()
+        .isLength({ max: 50 }).withMessage('Nickname must be at most 50 characters')
+        .matches(/^[a-zA-Z0-9\s\u0080-\uFFFF]*$/).withMessage('Nickname contains invalid characters'),
+      body('preferredHand').optional({ nullable: true })
+        .isIn(['left', 'right']).withMessage('Preferred hand must be left or right'),
+      body('avatarColor').optional({ nullable: true })
+        .matches(/^#[0-9a-fA-F]{6}$/).withMessage('Avatar colour must be a hex colour like #1a2b3c'),
+      body().custom(payload => ['name', 'nickname', 'preferredHand', 'avatarColor'].some(field => field in payload))
+        .withMessage('Nothing to update')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const fields = {}
+      for (const field of ['name', 'nickname', 'preferredHand', 'avatarColor']) {
+        if (req.body[field] !== undefined) fields[field] = req.body[field]
+      }
+      // An empty nickname clears it
+      if (fields.nickname === '') fields.nickname = null
+
+      const existingPlayer = await db.getPlayerById(playerId)
+      if (!existingPlayer) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+
+      try {
+        const player = await db.updatePlayer(playerId, fields)
+        await rankingsCache.invalidateOnPlayerChange()
+        await audit(req, { entityType: 'player', entityId: playerId, action: 'update', before: existingPlayer, after: player })
+        res.json({ success: true, player: sanitizeResponse(player) })
+      } catch (error) {
+        if (isDuplicateName(error)) {
+          res.status(400).json({ error: 'Player name already exists' })
+          return
+        }
+        throw error
+      }
+    })
+  )
+
+  router.post(
+    '/:id/archive',
+    authenticateToken,
+    requireAdmin,
+    [param('id').isInt({ min: 1 }).withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      if (!await db.archivePlayer(playerId)) {
+        res.status(400).json({ error: 'Player is already archived' })
+        return
+      }
+      await rankingsCache.invalidateOnPlayerChange()
+      await audit(req, { entityType: 'player', entityId: playerId, action: 'archive', before: player, after: await db.getPlayerById(playerId) })
+      res.json({ success: true, message: 'Player archived successfully' })
+    })
+  )
+
+  router.delete(
+    '/:id/archive',
+    authenticateToken,
+    requireAdmin,
+    [param('id').isInt({ min: 1 }).withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      if (!await db.unarchivePlayer(playerId)) {
+        res.status(400).json({ error: 'Player is not archived' })
+        return
+      }
+      await rankingsCache.invalidateOnPlayerChange()
+      await audit(req, { entityType: 'player', entityId: playerId, action: 'unarchive', before: player, after: await db.getPlayerById(playerId) })
+      res.json({ success: true, message: 'Player restored successfully' })
+    })
+  )
+
+  router.post(
+    '/:id/merge-into/:targetId',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [
+      param('id').isInt({ min: 1 }).withMessage('Invalid player ID'),
+      param('targetId').isInt({ min: 1 }).withMessage('Invalid target player ID')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const sourceId = parseInt(req.params.id)
+      const targetId = parseInt(req.params.targetId)
+      if (sourceId === targetId) {
+        res.status(400).json({ error: 'Cannot merge a player into itself' })
+        return
+      }
+
+      const [source, target] = await Promise.all([db.getPlayerById(sourceId), db.getPlayerById(targetId)])
+      if (!source || !target) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+
+      const sharedMatches = await db.countSharedMatches(sourceId, targetId)
+      if (sharedMatches > 0) {
+        res.status(400).json({ error: `Players played together in ${sharedMatches} match(es) and cannot be merged` })
+        return
+      }
+      const sharedTournaments = await db.countSharedTournaments(sourceId, targetId)
+      if (sharedTournaments > 0) {
+        res.status(400).json({ error: `Players are both entered in ${sharedTournaments} tournament(s) and cannot be merged` })
+        return
+      }
+      const sharedFixtureSeasons = await db.countSharedFixtureSeasons(sourceId, targetId)
+      if (sharedFixtureSeasons > 0) {
+        res.status(400).json({
+          error: `Players are both in the fixtures of ${sharedFixtureSeasons} season(s) and cannot be merged; clear those fixtures first`
+        })
+        return
+      }
+
+      const { matchesMoved, seasonsMoved } = await db.mergePlayers(sourceId, targetId)
+      await rankingsCache.invalidateOnPlayerChange()
+      await audit(req, {
+        entityType: 'player',
+        entityId: sourceId,
+        action: 'merge',
+        before: source,
+        after: { merged_into_id: target.id, merged_into_name: target.name, matches_moved: matchesMoved, seasons_moved: seasonsMoved }
+      })
+      res.json({
+        success: true,
+        message: `Merged ${source.name} into ${target.name}`,
+        matchesMoved,
+        seasonsMoved
+      })
+    })
+  )
+
+  // Players with match history are archived instead of deleted so old matches stay intact
   router.delete(
     '/:id',
     authenticateToken,
@@ -62,9 +327,19 @@ export const createPlayerRouter = ({
     handleValidationErrors,
     asyncHandler(async (req, res) => {
       const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      const matchCount = await db.countPlayerMatches(playerId)
+      if (matchCount > 0) {
+        await db.archivePlayer(playerId)
+        await rankingsCache.invalidateOnPlayerChange()
+        await audit(req, { entityType: 'player', entityId: playerId, action: 'archive', before: player, after: await db.getPlayerById(playerId) })
+        res.json({ success: true, archived: true, message: 'Player has match history and was archived instead' })
+        return
+      }
       await db.removePlayer(playerId)
       await rankingsCache.invalidateOnPlayerChange()
-      res.json({ success: true, message: 'Player removed successfully' })
+      if (player) await audit(req, { entityType: 'player', entityId: playerId, action: 'delete', before: player })
+      res.json({ success: true, archived: false, message: 'Player removed successfully' })
     })
   )
 
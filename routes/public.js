@@ -0,0 +1,59 @@
+import { Router } from 'express'
+import { param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { compareByRating } from '../lib/skill-rating.js'
+import { SECRET_TOKEN_PATTERN, hashSecretToken } from '../lib/secret-token.js'
+import { publicRankings, publicShareInfo } from '../lib/share.js'
+
+/**
+ * Read-only data behind a public share link (lib/share.js). Nothing here
+ * looks at the session: the token decides what can be seen, so these routes
+ * work the same whether or not the deployment lets anonymous users read the
+ * rest of the API. Responses only carry what lib/share.js copies out.
+ */
+export const createPublicRouter = ({
+  db,
+  rankingsCache,
+  conditionalRateLimit,
+  smartApiLimiter,
+  handleValidationErrors
+}) => {
+  const router = Router()
+
+  // Unknown and expired links look the same
+  const loadLink = [
+    conditionalRateLimit(smartApiLimiter),
+    param('token').matches(SECRET_TOKEN_PATTERN).withMessage('Invalid share link'),
+    handleValidationErrors,
+    asyncHandler(async (req, res, next) => {
+      const link = await db.getShareLink(hashSecretToken(req.params.token))
+      if (!link) {
+        res.status(404).json({ error: 'This link does not exist or has expired' })
+        return
+      }
+      req.shareLink = link
+      next()
+    })
+  ]
+
+  router.get('/:token', loadLink, asyncHandler(async (req, res) => {
+    await db.touchShareLink(req.shareLink.id)
+    res.json(publicShareInfo(req.shareLink))
+  }))
+
+  // Same cache entries as /api/rankings
+  router.get('/:token/rankings', loadLink, [
+    query('sort').optional().isIn(['points', 'rating']).withMessage('Sort must be points or rating')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const link = req.shareLink
+    const { data: rankings } = link.scope === 'season'
+      ? await rankingsCache.getOrSet(`rankings:season:${link.season_id}`, () => db.getPlayerStatsWithFormsBySeason(link.season_id, 5))
+      : await rankingsCache.getOrSet('rankings:lifetime', () => db.getPlayerStatsWithFormsLifetime(5))
+    const sorted = req.query.sort === 'rating' ? [...rankings].sort(compareByRating) : rankings
+
+    await db.touchShareLink(link.id)
+    res.json({ ...publicShareInfo(link), rankings: publicRankings(sorted) })
+  }))
+
+  return router
+}
@@ -1,11 +1,20 @@
 import { Router } from 'express'
-import { param } from 'express-validator'
+import { param, query } from 'express-validator'
 import { asyncHandler } from '../utils/async-handler.js'
+import { compareByRating } from '../lib/skill-rating.js'
+
+// Rankings are cached in points order; ?sort=rating re-sorts the cached rows
+const validateSort = query('sort').optional().isIn(['points', 'rating']).withMessage('Sort must be points or rating')
+
+const applySort = (rankings, sort) => {
+  if (sort !== 'rating' || !Array.isArray(rankings)) return rankings
+  return [...rankings].sort(compareByRating)
+}
 
 export const createRankingRouter = ({ db, checkAuth, rankingsCache, handleValidationErrors }) => {
   const router = Router()
 
-  router.get('/lifetime', checkAuth, asyncHandler(async (req, res) => {
+  router.get('/lifetime', checkAuth, [validateSort], handleValidationErrors, asyncHandler(async (req, res) => {
     const cacheKey = 'rankings:lifetime'
 
     // Stampede-protected cache: only one request rebuilds on miss
@@ -16,11 +25,12 @@ export const createRankingRouter = ({ db, checkAuth, rankingsCache, handleValida
     )
 
     res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
-    res.json(rankings)
+    res.json(applySort(rankings, req.query.sort))
   }))
 
   router.get('/season/:seasonId', checkAuth, [
-    param('seasonId').isInt({ min: 1 }).withMessage('Invalid season ID')
+    param('seasonId').isInt({ min: 1 }).withMessage('Invalid season ID'),
+    validateSort
   ], handleValidationErrors, asyncHandler(async (req, res) => {
     const seasonId = parseInt(req.params.seasonId)
     const cacheKey = `rankings:season:${seasonId}`
@@ -33,11 +43,12 @@ export const createRankingRouter = ({ db, checkAuth, rankingsCache, handleValida
     )
 
     res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
-    res.json(rankings)
+    res.json(applySort(rankings, req.query.sort))
   }))
 
   router.get('/date/:date', checkAuth, [
-    param('date').isISO8601().withMessage('Valid date required (YYYY-MM-DD)')
+    param('date').isISO8601().withMessage('Valid date required (YYYY-MM-DD)'),
+    validateSort
   ], handleValidationErrors, asyncHandler(async (req, res) => {
     const { date } = req.params
     const cacheKey = `rankings:date:${date}`
@@ -49,7 +60,7 @@ export const createRankingRouter = ({ db, checkAuth, rankingsCache, handleValida
     )
 
     res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
-    res.json(rankings)
+    res.json(applySort(rankings, req.query.sort))
   }))
 
   return router
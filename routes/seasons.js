@@ -1,6 +1,13 @@
 import { Router } from 'express'
-import { body, param } from 'express-validator'
+import { body, param, query } from 'express-validator'
 import { asyncHandler } from '../utils/async-handler.js'
+import { publishMatchChange } from '../lib/event-stream.js'
+import { scoringFromBody, isScoringChanged } from '../lib/scoring.js'
+import { LEDGER_KINDS, MAX_LEDGER_AMOUNT, summarizeBalances } from '../lib/ledger.js'
+import {
+  MIN_FIXTURE_ENTRIES, MAX_FIXTURE_ENTRIES, MAX_LEGS,
+  generateFixtures, trackFixtures, fixtureProgress
+} from '../lib/fixtures.js'
 
 export const createSeasonRouter = ({
   db,
@@ -13,10 +20,30 @@ export const createSeasonRouter = ({
   deleteLimiter,
   handleValidationErrors,
   rankingsCache,
-  sanitizeResponse
+  sanitizeResponse,
+  audit,
+  webhooks,
+  eventStream,
+  trashRetentionDays
 }) => {
   const router = Router()
 
+  // Seasons ended by their end date (checkAndEndExpiredSeasons) are announced like manual ends
+  const announceExpiredSeasons = async (expiredSeasons) => {
+    for (const { id } of expiredSeasons) {
+      await webhooks.emit('season.ended', { season: await db.getSeasonById(id), auto: true })
+    }
+  }
+
+  // Scoring rules (lib/scoring.js) — all optional; defaults apply on create
+  const validateScoring = [
+    body('pointsPerWin').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Points per win must be between 0 and 100'),
+    body('pointsPerLoss').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Points per loss must be between 0 and 100'),
+    body('marginBonusThreshold').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Margin bonus threshold must be between 0 and 100'),
+    body('marginBonusPoints').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Margin bonus points must be between 0 and 100'),
+    body('noShowPenalty').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('No-show penalty must be between 0 and 100')
+  ]
+
   router.get('/', checkAuth, asyncHandler(async (req, res) => {
     const { data: seasons, hit: cacheHit } = await rankingsCache.getOrSet(
       'seasons',
@@ -74,7 +101,8 @@ export const createSeasonRouter = ({
       body('description').optional({ nullable: true, checkFalsy: true }).isString().withMessage('Description must be string'),
       body('loseMoneyPerLoss').optional().isInt({ min: 0 }).withMessage('Lose money must be a non-negative integer'),
       body('playerIds').optional().isArray().withMessage('Player IDs must be an array'),
-      body('playerIds.*').optional().isInt().withMessage('Player ID must be an integer')
+      body('playerIds.*').optional().isInt().withMessage('Player ID must be an integer'),
+      ...validateScoring
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
@@ -90,12 +118,20 @@ export const createSeasonRouter = ({
       const expiredSeasons = await db.checkAndEndExpiredSeasons()
       if (expiredSeasons.length > 0) {
         console.log(`🏁 Auto-ended ${expiredSeasons.length} expired season(s)`)
+        await announceExpiredSeasons(expiredSeasons)
       }
 
-      const seasonId = await db.createSeason(name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, playerIds)
+      const scoring = scoringFromBody(req.body)
+      const seasonId = await db.createSeason(name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, playerIds, scoring)
       await rankingsCache.invalidateOnSeasonChange()
+      await audit(req, {
+        entityType: 'season',
+        entityId: seasonId,
+        action: 'create',
+        after: { ...await db.getSeasonById(seasonId), player_ids: playerIds }
+      })
 
-      res.json({ success: true, id: seasonId, name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, playerIds })
+      res.json({ success: true, id: seasonId, name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, playerIds, scoring })
     })
   )
 
@@ -110,7 +146,8 @@ export const createSeasonRouter = ({
       body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date is required'),
       body('autoEnd').optional().isBoolean().withMessage('autoEnd must be boolean'),
       body('description').optional({ nullable: true, checkFalsy: true }).isString().withMessage('Description must be string'),
-      body('loseMoneyPerLoss').optional().isInt({ min: 0 }).withMessage('Lose money must be a non-negative integer')
+      body('loseMoneyPerLoss').optional().isInt({ min: 0 }).withMessage('Lose money must be a non-negative integer'),
+      ...validateScoring
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
@@ -124,9 +161,22 @@ export const createSeasonRouter = ({
         return
       }
 
-      await db.updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoneyPerLoss)
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ success: false, error: 'Season not found' })
+        return
+      }
+
+      // Points and money in the summary tables depend on these settings
+      const scoring = scoringFromBody(req.body)
+      const needsRecompute = isScoringChanged(season, scoring) ||
+        (loseMoneyPerLoss !== null && Number(loseMoneyPerLoss) !== Number(season.lose_money_per_loss))
+
+      await db.updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoneyPerLoss, scoring)
+      const recomputedPlayers = needsRecompute ? await db.rebuildSeasonStats(seasonId) : 0
       await rankingsCache.invalidateOnSeasonChange()
-      res.json({ success: true, message: 'Season updated successfully' })
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'update', before: season, after: await db.getSeasonById(seasonId) })
+      res.json({ success: true, message: 'Season updated successfully', recomputed: needsRecompute, recomputedPlayers })
     })
   )
 
@@ -152,8 +202,16 @@ export const createSeasonRouter = ({
         return
       }
 
+      const previousPlayers = await db.getSeasonPlayers(seasonId)
       await db.setSeasonPlayers(seasonId, playerIds, addedBy)
       await rankingsCache.invalidateOnSeasonChange()
+      await audit(req, {
+        entityType: 'season',
+        entityId: seasonId,
+        action: 'set_players',
+        before: { player_ids: previousPlayers.map(p => p.id) },
+        after: { player_ids: playerIds.map(Number) }
+      })
       res.json({ success: true, message: 'Season players updated successfully' })
     })
   )
@@ -181,6 +239,7 @@ export const createSeasonRouter = ({
 
       await db.addPlayerToSeason(seasonId, playerId, addedBy)
       await rankingsCache.invalidateOnSeasonChange()
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'add_player', after: { player_id: playerId } })
       res.json({ success: true, message: 'Player added to season successfully' })
     })
   )
@@ -201,6 +260,7 @@ export const createSeasonRouter = ({
 
       await db.removePlayerFromSeason(seasonId, playerId)
       await rankingsCache.invalidateOnSeasonChange()
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'remove_player', before: { player_id: playerId } })
       res.json({ success: true, message: 'Player removed from season successfully' })
     })
   )
@@ -218,8 +278,13 @@ export const createSeasonRouter = ({
       const seasonId = parseInt(req.params.id)
       const endDate = req.body.endDate || new Date().toISOString().split('T')[0]
       const endedBy = req.user.username
+      const season = await db.getSeasonById(seasonId)
       await db.endSeason(seasonId, endDate, endedBy)
       await rankingsCache.invalidateOnSeasonChange()
+      const ended = await db.getSeasonById(seasonId)
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'end', before: season, after: ended })
+      // Ending an ended season again only moves its end date
+      if (season?.is_active) await webhooks.emit('season.ended', { season: ended, auto: false })
       res.json({ success: true, message: 'Season ended successfully' })
     })
   )
@@ -244,6 +309,7 @@ export const createSeasonRouter = ({
       }
       await db.reactivateSeason(seasonId)
       await rankingsCache.invalidateOnSeasonChange()
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'reactivate', before: season, after: await db.getSeasonById(seasonId) })
       console.log(`✅ Season ${seasonId} reactivated by ${username}`)
       res.json({ success: true, message: 'Season reactivated successfully' })
     })
@@ -267,9 +333,290 @@ export const createSeasonRouter = ({
         res.status(400).json({ error: 'Cannot delete active season. Please end the season first.' })
         return
       }
-      await db.deleteSeason(seasonId)
+      const matches = await db.getMatchesBySeason(seasonId)
+      await db.deleteSeason(seasonId, req.user?.username || null, trashRetentionDays)
+      // The season's matches go with it: play dates and per-date lists change too
+      await rankingsCache.invalidateOnSeasonChange()
+      await rankingsCache.invalidateOnMatchChange()
+      publishMatchChange(eventStream, 'match.deleted', matches, { sanitize: sanitizeResponse })
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'delete', before: season })
+      for (const match of matches) await webhooks.emit('match.deleted', { match })
+      res.json({ success: true, message: 'Season moved to trash', retentionDays: trashRetentionDays })
+    })
+  )
+
+  // Bring a deleted season back from the trash with its roster and matches
+  router.post(
+    '/:id/restore',
+    authenticateToken,
+    requireAdmin,
+    [param('id').isInt().withMessage('Invalid season ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = parseInt(req.params.id)
+      try {
+        if (!await db.restoreSeason(seasonId)) {
+          res.status(404).json({ error: 'Season not found in trash' })
+          return
+        }
+      } catch (error) {
+        // Foreign key violation: a player of the season was deleted since
+        if (error.code === '23503') {
+          res.status(409).json({ error: 'A player of this season no longer exists, so it cannot be restored' })
+          return
+        }
+        throw error
+      }
       await rankingsCache.invalidateOnSeasonChange()
-      res.json({ success: true, message: 'Season deleted successfully' })
+      await rankingsCache.invalidateOnMatchChange()
+      // As for a restored match, its matches are new ones again
+      const matches = await db.getMatchesBySeason(seasonId)
+      publishMatchChange(eventStream, 'match.created', matches, { sanitize: sanitizeResponse })
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'restore', after: await db.getSeasonById(seasonId) })
+      for (const match of matches) await webhooks.emit('match.created', { match, restored: true })
+      res.json({ success: true, message: 'Season restored successfully' })
+    })
+  )
+
+  // ── Money ledger ─────────────────────────────────────────────────────────
+  // What each player owes (money_lost + adjustments), has paid, and still owes
+  router.get('/:id/balances', checkAuth, [
+    param('id').isInt().withMessage('Invalid season ID')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const seasonId = parseInt(req.params.id)
+    const season = await db.getSeasonById(seasonId)
+    if (!season) {
+      res.status(404).json({ error: 'Season not found' })
+      return
+    }
+    // Under rankings: so match, season and payment changes all clear it
+    const { data: balances, hit: cacheHit } = await rankingsCache.getOrSet(
+      `rankings:balances:season:${seasonId}`,
+      async () => summarizeBalances(await db.getSeasonBalances(seasonId))
+    )
+    res.set('Redis-Cache', cacheHit ? 'HIT' : 'MISS')
+    res.json(sanitizeResponse({
+      season: { id: season.id, name: season.name, lose_money_per_loss: season.lose_money_per_loss },
+      ...balances
+    }))
+  }))
+
+  // Ledger entries of the season, newest first (?playerId= for one player)
+  router.get('/:id/payments', checkAuth, [
+    param('id').isInt().withMessage('Invalid season ID'),
+    query('playerId').optional().isInt().withMessage('Invalid player ID')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const payments = await db.getPayments({
+      seasonId: parseInt(req.params.id),
+      playerId: req.query.playerId ? parseInt(req.query.playerId) : null
+    })
+    res.json(sanitizeResponse(payments))
+  }))
+
+  // Record a payment (amount > 0) or an adjustment to what is owed (non-zero, may be negative)
+  router.post(
+    '/:id/payments',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      param('id').isInt().withMessage('Invalid season ID'),
+      body('playerId').isInt().withMessage('Player ID must be an integer'),
+      body('kind').optional().isIn(LEDGER_KINDS).withMessage(`Kind must be one of: ${LEDGER_KINDS.join(', ')}`),
+      body('amount')
+        .isInt({ min: -MAX_LEDGER_AMOUNT, max: MAX_LEDGER_AMOUNT }).withMessage(`Amount must be a whole number up to ${MAX_LEDGER_AMOUNT}`)
+        .custom((value, { req }) => {
+          if (Number(value) === 0) throw new Error('Amount cannot be zero')
+          if ((req.body.kind || 'payment') === 'payment' && Number(value) < 0) {
+            throw new Error('Payments must be positive; record a negative adjustment instead')
+          }
+          return true
+        }),
+      body('note').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 255 }).withMessage('Note must be at most 255 characters'),
+      body('paidOn').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid payment date is required')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = parseInt(req.params.id)
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+
+      const entry = {
+        seasonId,
+        playerId: parseInt(req.body.playerId),
+        kind: req.body.kind || 'payment',
+        amount: parseInt(req.body.amount),
+        note: req.body.note || null,
+        paidOn: req.body.paidOn ? req.body.paidOn.slice(0, 10) : null
+      }
+      let paymentId
+      try {
+        paymentId = await db.addPayment(entry, req.user?.username || null)
+      } catch (error) {
+        if (error.code === '23503') {
+          res.status(404).json({ error: 'Player not found' })
+          return
+        }
+        throw error
+      }
+
+      const payment = await db.getPaymentById(paymentId)
+      await rankingsCache.invalidateOnPaymentChange()
+      await audit(req, { entityType: 'season', entityId: seasonId, action: `record_${entry.kind}`, after: payment })
+      res.json(sanitizeResponse({ success: true, payment }))
+    })
+  )
+
+  // Remove a mistaken ledger entry
+  router.delete(
+    '/:id/payments/:paymentId',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [
+      param('id').isInt().withMessage('Invalid season ID'),
+      param('paymentId').isInt().withMessage('Invalid payment ID')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = parseInt(req.params.id)
+      const payment = await db.getPaymentById(parseInt(req.params.paymentId))
+      if (!payment || payment.season_id !== seasonId) {
+        res.status(404).json({ error: 'Payment not found' })
+        return
+      }
+      await db.deletePayment(payment.id)
+      await rankingsCache.invalidateOnPaymentChange()
+      await audit(req, { entityType: 'season', entityId: seasonId, action: `delete_${payment.kind}`, before: payment })
+      res.json({ success: true, message: 'Payment deleted successfully' })
+    })
+  )
+
+  // ── League fixtures ──────────────────────────────────────────────────────
+  // Every fixture with whether it has been played, and each entry's progress
+  router.get('/:id/fixtures', checkAuth, [
+    param('id').isInt().withMessage('Invalid season ID')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const seasonId = parseInt(req.params.id)
+    if (!await db.getSeasonById(seasonId)) {
+      res.status(404).json({ error: 'Season not found' })
+      return
+    }
+    const [stored, matches] = await Promise.all([
+      db.getSeasonFixtures(seasonId),
+      db.getMatchesBySeason(seasonId)
+    ])
+    const fixtures = trackFixtures(stored, matches)
+    const names = new Map(stored.flatMap(fixture => [1, 2, 3, 4].map(n => [fixture[`player${n}_id`], fixture[`player${n}_name`]])))
+    const entries = fixtureProgress(fixtures)
+      .map(entry => ({ ...entry, name: [names.get(entry.player1_id), names.get(entry.player2_id)].filter(Boolean).join(' / ') }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+    const played = fixtures.filter(fixture => fixture.played).length
+    res.json(sanitizeResponse({
+      season_id: seasonId,
+      match_type: stored[0]?.match_type || null,
+      total: fixtures.length,
+      played,
+      remaining: fixtures.length - played,
+      entries,
+      fixtures
+    }))
+  }))
+
+  // Round robin between the season's players (solo) or the given fixed pairs (duo);
+  // replaces fixtures generated before
+  router.post(
+    '/:id/fixtures/generate',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      param('id').isInt().withMessage('Invalid season ID'),
+      body('matchType').optional().isIn(['solo', 'duo']).withMessage('Match type must be solo or duo'),
+      body('pairs')
+        .if((value, { req }) => req.body.matchType === 'duo')
+        .isArray({ min: MIN_FIXTURE_ENTRIES, max: MAX_FIXTURE_ENTRIES }).withMessage(`Duo fixtures need ${MIN_FIXTURE_ENTRIES} to ${MAX_FIXTURE_ENTRIES} pairs`),
+      body('pairs.*')
+        .if((value, { req }) => req.body.matchType === 'duo')
+        .custom(pair => Array.isArray(pair) && pair.length === 2 && pair.every(id => Number.isInteger(Number(id)) && Number(id) > 0))
+        .withMessage('Each pair must be two player IDs'),
+      body('legs').optional().isInt({ min: 1, max: MAX_LEGS }).withMessage(`Legs must be between 1 and ${MAX_LEGS}`)
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = parseInt(req.params.id)
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+      const matchType = req.body.matchType || 'solo'
+      const legs = req.body.legs ? parseInt(req.body.legs) : 1
+      // Archived players stay on the roster for history but get no new fixtures
+      const roster = (await db.getSeasonPlayers(seasonId)).filter(player => !player.archived_at)
+      const rosterIds = new Set(roster.map(player => Number(player.id)))
+
+      let entries
+      if (matchType === 'solo') {
+        entries = roster.map(player => ({ player1_id: Number(player.id), player2_id: null }))
+        if (entries.length < MIN_FIXTURE_ENTRIES || entries.length > MAX_FIXTURE_ENTRIES) {
+          res.status(400).json({ error: `Solo fixtures need ${MIN_FIXTURE_ENTRIES} to ${MAX_FIXTURE_ENTRIES} players in the season` })
+          return
+        }
+      } else {
+        entries = req.body.pairs.map(([player1Id, player2Id]) => ({ player1_id: Number(player1Id), player2_id: Number(player2Id) }))
+        const playerIds = entries.flatMap(entry => [entry.player1_id, entry.player2_id])
+        if (new Set(playerIds).size !== playerIds.length) {
+          res.status(400).json({ error: 'A player can only be in one pair' })
+          return
+        }
+        const outside = playerIds.filter(id => !rosterIds.has(id))
+        if (outside.length > 0) {
+          res.status(400).json({ error: `Players not in this season: ${outside.join(', ')}` })
+          return
+        }
+      }
+
+      const fixtures = generateFixtures(entries, { legs })
+      await db.replaceSeasonFixtures(seasonId, matchType, fixtures, req.user?.username || null)
+      await rankingsCache.invalidateOnFixtureChange()
+      await audit(req, {
+        entityType: 'season',
+        entityId: seasonId,
+        action: 'generate_fixtures',
+        after: { match_type: matchType, legs, entries: entries.length, fixtures: fixtures.length }
+      })
+      res.json({
+        success: true,
+        matchType,
+        entries: entries.length,
+        fixtures: fixtures.length,
+        rounds: fixtures.reduce((rounds, fixture) => Math.max(rounds, fixture.round), 0)
+      })
+    })
+  )
+
+  // Drop the league fixtures; recorded matches are not touched
+  router.delete(
+    '/:id/fixtures',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid season ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = parseInt(req.params.id)
+      const removed = await db.deleteSeasonFixtures(seasonId)
+      if (removed === 0) {
+        res.status(404).json({ error: 'This season has no fixtures' })
+        return
+      }
+      await rankingsCache.invalidateOnFixtureChange()
+      await audit(req, { entityType: 'season', entityId: seasonId, action: 'delete_fixtures', before: { fixtures: removed } })
+      res.json({ success: true, message: 'Fixtures deleted, recorded matches are kept' })
     })
   )
 
@@ -281,6 +628,7 @@ export const createSeasonRouter = ({
       const expiredSeasons = await db.checkAndEndExpiredSeasons()
       if (expiredSeasons.length > 0) {
         await rankingsCache.invalidateOnSeasonChange()
+        await announceExpiredSeasons(expiredSeasons)
       }
       res.json({ success: true, ended: expiredSeasons.length, seasons: expiredSeasons })
     })
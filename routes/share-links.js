@@ -0,0 +1,89 @@
+import { Router } from 'express'
+import { body, param } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { createSecretToken } from '../lib/secret-token.js'
+import { MAX_SHARE_DAYS, SHARE_SCOPES } from '../lib/share.js'
+
+/**
+ * Admin management of public share links (lib/share.js, served by
+ * routes/public.js). The token is only returned when a link is created.
+ * Deleting a link bumps the data version, otherwise the ETag middleware
+ * could keep answering 304 to it.
+ */
+export const createShareLinkRouter = ({
+  db,
+  rankingsCache,
+  authenticateToken,
+  requireAdmin,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  sanitizeResponse
+}) => {
+  const router = Router()
+
+  router.get('/', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    res.json(sanitizeResponse(await db.getShareLinks()))
+  }))
+
+  router.post(
+    '/',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(createLimiter),
+    [
+      body('scope').isIn(SHARE_SCOPES).withMessage(`Scope must be one of: ${SHARE_SCOPES.join(', ')}`),
+      body('seasonId').if((value, { req }) => req.body.scope === 'season')
+        .isInt().withMessage('Valid season ID is required for a season link'),
+      body('label').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Label is too long (max 100 characters)'),
+      body('expiresInDays').optional({ nullable: true })
+        .isInt({ min: 1, max: MAX_SHARE_DAYS }).withMessage(`Expiry must be between 1 and ${MAX_SHARE_DAYS} days`)
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const scope = req.body.scope
+      const seasonId = scope === 'season' ? parseInt(req.body.seasonId) : null
+      const { token, hash } = createSecretToken()
+      let linkId
+      try {
+        linkId = await db.createShareLink({
+          tokenHash: hash,
+          scope,
+          seasonId,
+          label: req.body.label || null,
+          expiresInDays: req.body.expiresInDays ? parseInt(req.body.expiresInDays) : null
+        }, req.user?.username || null)
+      } catch (error) {
+        if (error.code === '23503') {
+          res.status(404).json({ error: 'Season not found' })
+          return
+        }
+        throw error
+      }
+
+      await rankingsCache.invalidateOnShareLinkChange()
+      console.log(`🔗 Share link ${linkId} (${scope}${seasonId ? ` ${seasonId}` : ''}) created by ${req.user?.username}`)
+      res.json(sanitizeResponse({ success: true, id: linkId, token }))
+    })
+  )
+
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid share link ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      if (!await db.deleteShareLink(parseInt(req.params.id))) {
+        res.status(404).json({ error: 'Share link not found' })
+        return
+      }
+      await rankingsCache.invalidateOnShareLinkChange()
+      res.json({ success: true, message: 'Share link revoked' })
+    })
+  )
+
+  return router
+}
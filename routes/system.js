@@ -14,6 +14,7 @@ export const createSystemRouter = ({
   requireAdmin,
   rankingsCache,
   sseClients,
+  eventStream,
   formatSecureTimestamp,
   sanitizeResponse
 }) => {
@@ -107,7 +108,8 @@ export const createSystemRouter = ({
   })
 
   // ── SSE — Server-Sent Events for real-time updates ────────────────────────
-  // Open to all users (authenticated or not) — only broadcasts version numbers
+  // Open to all users (authenticated or not) — broadcasts version numbers and
+  // match changes, which GET /api/matches shows to everyone as well
   router.get('/api/events', (req, res) => {
     if (sseClients.size >= config.maxSseClients) {
       return res.status(503).json({ error: 'Too many SSE connections' })
@@ -124,11 +126,9 @@ export const createSystemRouter = ({
     res.setHeader('X-Accel-Buffering', 'no') // Nginx: don't buffer SSE
     res.flushHeaders()
 
-    // Send initial version — flush immediately so Nginx/proxies see activity
-    res.write(`data: ${JSON.stringify({ type: 'version', version: rankingsCache.getDataVersion() })}\n\n`)
-    if (typeof res.flush === 'function') res.flush()
-
-    sseClients.add(res)
+    // Replay what a reconnecting browser missed (Last-Event-ID), or send the
+    // current version — flushed immediately so Nginx/proxies see activity
+    eventStream.connect(res, req.headers['last-event-id'], rankingsCache.getDataVersion())
 
     // Keepalive every 20s — flush so proxies don't consider the connection idle
     const keepAlive = setInterval(() => {
@@ -0,0 +1,151 @@
+import { Router } from 'express'
+import { body, param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import {
+  FORMATS, MIN_ENTRIES, MAX_ENTRIES, TournamentError,
+  seedEntries, buildBracket, resolveBracket
+} from '../lib/tournament.js'
+
+const entryName = (entry) => [entry.player1_name, entry.player2_name].filter(Boolean).join(' / ')
+
+/**
+ * Tournaments of a season (lib/tournament.js). Entries are seeded from the
+ * season ranking when the tournament is created; results are recorded as
+ * ordinary matches through POST /api/matches with a tournamentMatchId, and
+ * the bracket state is worked out from them on every read.
+ */
+export const createTournamentRouter = ({
+  db,
+  rankingsCache,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  requireAdmin,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  sanitizeResponse
+}) => {
+  const router = Router()
+
+  router.get('/', checkAuth, [
+    query('seasonId').optional().isInt().withMessage('Invalid season ID')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const tournaments = await db.getTournaments({ seasonId: req.query.seasonId ? parseInt(req.query.seasonId) : null })
+    res.json(sanitizeResponse(tournaments))
+  }))
+
+  // Bracket state: every slot with its entrants and result, group standings, champion
+  router.get('/:id', checkAuth, [
+    param('id').isInt().withMessage('Invalid tournament ID')
+  ], handleValidationErrors, asyncHandler(async (req, res) => {
+    const tournament = await db.getTournament(parseInt(req.params.id))
+    if (!tournament) {
+      res.status(404).json({ error: 'Tournament not found' })
+      return
+    }
+    const { entries, slots, results, ...details } = tournament
+    const bracket = resolveBracket({ entries, slots, results })
+    res.json(sanitizeResponse({
+      ...details,
+      entries: entries.map(entry => ({ ...entry, name: entryName(entry) })),
+      ...bracket,
+      completed: bracket.champion_entry_id !== null
+    }))
+  }))
+
+  router.post(
+    '/',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      body('seasonId').isInt().withMessage('Valid season ID is required'),
+      body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+      body('format').isIn(FORMATS).withMessage(`Format must be one of: ${FORMATS.join(', ')}`),
+      body('matchType').optional().isIn(['solo', 'duo']).withMessage('Match type must be solo or duo'),
+      // Solo: one player per entry; duo: teams of two
+      body('entries').isArray({ min: MIN_ENTRIES, max: MAX_ENTRIES }).withMessage(`Between ${MIN_ENTRIES} and ${MAX_ENTRIES} entries are required`),
+      body('entries.*').custom((entry, { req }) => {
+        const ids = Array.isArray(entry) ? entry : [entry]
+        const size = req.body.matchType === 'duo' ? 2 : 1
+        return ids.length === size && ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)
+      }).withMessage('Each entry must be a player ID (solo) or a pair of player IDs (duo)'),
+      body('groupCount').optional().isInt({ min: 1, max: 16 }).withMessage('Group count must be between 1 and 16'),
+      body('advancePerGroup').optional().isInt({ min: 1, max: 8 }).withMessage('Advance per group must be between 1 and 8')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = parseInt(req.body.seasonId)
+      const { format } = req.body
+      const matchType = req.body.matchType || 'solo'
+      const entries = req.body.entries.map(entry => {
+        const [player1Id, player2Id = null] = (Array.isArray(entry) ? entry : [entry]).map(Number)
+        return { player1_id: player1Id, player2_id: player2Id }
+      })
+
+      const playerIds = entries.flatMap(entry => [entry.player1_id, entry.player2_id]).filter(Boolean)
+      if (new Set(playerIds).size !== playerIds.length) {
+        res.status(400).json({ error: 'A player can only be in one entry' })
+        return
+      }
+      if (!await db.getSeasonById(seasonId)) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+      const stats = await db.getPlayerStatsBySeason(seasonId)
+      const seasonPlayerIds = new Set(stats.map(row => Number(row.id)))
+      const outside = playerIds.filter(id => !seasonPlayerIds.has(id))
+      if (outside.length > 0) {
+        res.status(400).json({ error: `Players not in this season: ${outside.join(', ')}` })
+        return
+      }
+
+      const options = format === 'groups_knockout'
+        ? { groupCount: parseInt(req.body.groupCount) || 2, advancePerGroup: parseInt(req.body.advancePerGroup) || 2 }
+        : {}
+      let bracket
+      try {
+        bracket = buildBracket(format, entries.length, options)
+      } catch (error) {
+        if (error instanceof TournamentError) {
+          res.status(400).json({ error: error.message })
+          return
+        }
+        throw error
+      }
+      const groupOfSeed = new Map((bracket.groups || []).flatMap((seeds, index) => seeds.map(seed => [seed, index + 1])))
+      const seeded = seedEntries(entries, stats).map(entry => ({ ...entry, group_number: groupOfSeed.get(entry.seed) ?? null }))
+
+      const tournamentId = await db.createTournament(
+        { seasonId, name: req.body.name, format, matchType, groupCount: options.groupCount, advancePerGroup: options.advancePerGroup },
+        seeded,
+        bracket.slots,
+        req.user?.username || null
+      )
+      await rankingsCache.invalidateOnTournamentChange()
+      console.log(`🏆 Tournament "${req.body.name}" (${format}, ${entries.length} entries) created by ${req.user?.username}`)
+      res.json({ success: true, id: tournamentId })
+    })
+  )
+
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid tournament ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      if (!await db.deleteTournament(parseInt(req.params.id))) {
+        res.status(404).json({ error: 'Tournament not found' })
+        return
+      }
+      await rankingsCache.invalidateOnTournamentChange()
+      res.json({ success: true, message: 'Tournament deleted, its matches are kept' })
+    })
+  )
+
+  return router
+}
@@ -10,7 +10,8 @@ export const createAuthRouter = ({
   handleValidationErrors,
   conditionalRateLimit,
   createLimiter,
-  sanitizeResponse
+  sanitizeResponse,
+  audit
 }) => {
   const router = Router()
   // 2026 security standard: 14 rounds for bcrypt (configurable via env)
@@ -113,6 +114,7 @@ export const createAuthRouter = ({
         createdBy,
         notes || null
       )
+      await audit(req, { entityType: 'user', entityId: user.id, action: 'create', after: user })
       
       res.status(201).json(sanitizeResponse({
         success: true,
@@ -180,6 +182,7 @@ export const createAuthRouter = ({
         notes,
         bumpTokenVersion
       })
+      await audit(req, { entityType: 'user', entityId: userId, action: 'update', before: existingUser, after: updatedUser })
       
       res.json(sanitizeResponse({
         success: true,
@@ -212,6 +215,8 @@ export const createAuthRouter = ({
       
       const passwordHash = await bcrypt.hash(password, SALT_ROUNDS)
       await db.updateUserPassword(userId, passwordHash)
+      // Only the fact that the password changed is recorded, never the hash
+      await audit(req, { entityType: 'user', entityId: userId, action: 'change_password' })
       
       res.json({
         success: true,
@@ -236,6 +241,7 @@ export const createAuthRouter = ({
       }
       
       await db.deleteUser(userId)
+      await audit(req, { entityType: 'user', entityId: userId, action: 'delete', before: existingUser })
       
       res.json({
         success: true,
@@ -0,0 +1,201 @@
+import { Router } from 'express'
+import { body, param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { createSecretToken } from '../lib/secret-token.js'
+import { WEBHOOK_EVENTS, webhookEvents } from '../lib/webhooks.js'
+
+const DELIVERY_STATUSES = ['pending', 'success', 'failed']
+
+/**
+ * Admin management of outbound webhooks (lib/webhooks.js) and their delivery
+ * log. The signing secret is only returned when a hook is created or its
+ * secret is replaced.
+ */
+export const createWebhookRouter = ({
+  db,
+  webhooks,
+  authenticateToken,
+  requireAdmin,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  sanitizeResponse
+}) => {
+  const router = Router()
+
+  // http(s) only; a hook on the local network (or localhost) is allowed
+  const urlRule = (field) => body(field)
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http(s) address')
+    .isLength({ max: 500 }).withMessage('URL is too long (max 500 characters)')
+
+  const eventsRule = (field) => [
+    body(field).isArray({ min: 1 }).withMessage('Choose at least one event'),
+    body(`${field}.*`).isIn(WEBHOOK_EVENTS).withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`)
+  ]
+
+  const descriptionRule = body('description').optional({ nullable: true }).trim()
+    .isLength({ max: 100 }).withMessage('Description is too long (max 100 characters)')
+
+  const hookView = (hook) => ({ ...hook, events: webhookEvents(hook) })
+
+  const loadHook = async (req, res) => {
+    const hook = await db.getWebhookById(parseInt(req.params.id))
+    if (!hook) res.status(404).json({ error: 'Webhook not found' })
+    return hook
+  }
+
+  router.get('/', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    res.json(sanitizeResponse({ events: WEBHOOK_EVENTS, webhooks: (await db.getWebhooks()).map(hookView) }))
+  }))
+
+  router.post(
+    '/',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(createLimiter),
+    [urlRule('url'), ...eventsRule('events'), descriptionRule],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const secret = createSecretToken().token
+      const events = [...new Set(req.body.events)]
+      const webhookId = await db.createWebhook({
+        url: req.body.url,
+        events,
+        secret,
+        description: req.body.description || null
+      }, req.user?.username || null)
+      console.log(`🪝 Webhook ${webhookId} (${events.join(', ')}) created by ${req.user?.username}`)
+      res.json(sanitizeResponse({ success: true, id: webhookId, secret }))
+    })
+  )
+
+  router.put(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    [
+      param('id').isInt().withMessage('Invalid webhook ID'),
+      urlRule('url').optional(),
+      body('events').optional().isArray({ min: 1 }).withMessage('Choose at least one event'),
+      body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+      descriptionRule,
+      body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { url, events, description, isActive } = req.body
+      const updated = await db.updateWebhook(parseInt(req.params.id), {
+        url,
+        events: events ? [...new Set(events)] : undefined,
+        description: description === undefined ? undefined : (description || null),
+        isActive: isActive === undefined ? undefined : isActive === true || isActive === 'true'
+      })
+      if (!updated) {
+        res.status(404).json({ error: 'Webhook not found' })
+        return
+      }
+      res.json({ success: true, message: 'Webhook updated' })
+    })
+  )
+
+  // A new signing secret; the old one stops being used right away
+  router.post(
+    '/:id/secret',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(createLimiter),
+    [param('id').isInt().withMessage('Invalid webhook ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const secret = createSecretToken().token
+      if (!await db.updateWebhook(parseInt(req.params.id), { secret })) {
+        res.status(404).json({ error: 'Webhook not found' })
+        return
+      }
+      res.json(sanitizeResponse({ success: true, secret }))
+    })
+  )
+
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid webhook ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      if (!await db.deleteWebhook(parseInt(req.params.id))) {
+        res.status(404).json({ error: 'Webhook not found' })
+        return
+      }
+      res.json({ success: true, message: 'Webhook deleted' })
+    })
+  )
+
+  // Send a ping now and answer with how it went
+  router.post(
+    '/:id/test',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(createLimiter),
+    [param('id').isInt().withMessage('Invalid webhook ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const hook = await loadHook(req, res)
+      if (!hook) return
+      if (!hook.is_active) {
+        res.status(409).json({ error: 'Webhook is paused, enable it first' })
+        return
+      }
+      const deliveryId = await webhooks.ping(hook)
+      await webhooks.flush()
+      res.json(sanitizeResponse({ success: true, delivery: await db.getWebhookDelivery(deliveryId) }))
+    })
+  )
+
+  router.get(
+    '/deliveries',
+    authenticateToken,
+    requireAdmin,
+    [
+      query('webhookId').optional().isInt().withMessage('Invalid webhook ID'),
+      query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+      query('event').optional().isLength({ max: 50 }),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+      query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { deliveries, total } = await db.getWebhookDeliveries({
+        webhookId: req.query.webhookId ? parseInt(req.query.webhookId) : null,
+        status: req.query.status || null,
+        event: req.query.event || null,
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0
+      })
+      res.json(sanitizeResponse({ deliveries, total }))
+    })
+  )
+
+  // Queue a delivered or failed delivery again, with its original body
+  router.post(
+    '/deliveries/:id/retry',
+    authenticateToken,
+    requireAdmin,
+    [param('id').isInt().withMessage('Invalid delivery ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      if (!await db.retryWebhookDelivery(parseInt(req.params.id))) {
+        res.status(404).json({ error: 'Delivery not found or still pending' })
+        return
+      }
+      webhooks.flush()
+      res.json({ success: true, message: 'Delivery queued' })
+    })
+  )
+
+  return router
+}
@@ -12,7 +12,7 @@
 
 import express from 'express'
 import { fileURLToPath } from 'url'
-import { dirname, join } from 'path'
+import { basename, dirname, join } from 'path'
 import cors from 'cors'
 import helmet from 'helmet'
 import jwt from 'jsonwebtoken'
@@ -34,7 +34,10 @@ import {
 import { buildAuthMiddleware } from './middleware/auth.js'
 import { createTimeoutMiddleware } from './utils/async-handler.js'
 import RedisCache from './lib/redis-cache.js'
-import TennisDatabase from './database-postgresql.js'
+import { createAuditLogger } from './lib/audit.js'
+import { createWebhookDispatcher } from './lib/webhooks.js'
+import { createEventStream } from './lib/event-stream.js'
+import TennisDatabaseFactory from './database-factory.js'
 import { getRealClientIP, logAccess } from './access-logger.js'
 
 // Route factories
@@ -46,6 +49,15 @@ import { createExportRouter } from './routes/export.js'
 import { createAuthRouter } from './routes/users.js'
 import { createAdminRouter } from './routes/admin.js'
 import { createBackupRouter } from './routes/backup.js'
+import { createImportRouter } from './routes/import.js'
+import { createExpenseRouter } from './routes/expenses.js'
+import { createAttendanceRouter } from './routes/attendance.js'
+import { createMatchmakingRouter } from './routes/matchmaking.js'
+import { createTournamentRouter } from './routes/tournaments.js'
+import { createCalendarRouter } from './routes/calendar.js'
+import { createShareLinkRouter } from './routes/share-links.js'
+import { createPublicRouter } from './routes/public.js'
+import { createWebhookRouter } from './routes/webhooks.js'
 import { createHealthRouter } from './routes/health.js'
 import { createSystemRouter } from './routes/system.js'
 
@@ -69,9 +81,9 @@ const hashedEditorPassword = await bcrypt.hash(config.editor.password, config.bc
 
 // ── Database & Cache ────────────────────────────────────────────────────────
 
-const db = new TennisDatabase()
-const dbReady = await db.init()
-if (!dbReady) {
+// DB_TYPE=sqlite runs without a database server (see database-factory.js)
+const db = await TennisDatabaseFactory.create()
+if (!db.isConnected) {
   console.warn('⚠️  PostgreSQL unavailable at startup - server will keep retrying in the background')
 }
 
@@ -185,7 +197,7 @@ app.use(helmet({
       fontSrc: ["'self'", "data:", "https://fonts.gstatic.com"],
       formAction: ["'self'"], frameAncestors: ["'none'"],
       scriptSrcAttr: ["'none'"], upgradeInsecureRequests: [],
-      workerSrc: ["'none'"], manifestSrc: ["'self'"], childSrc: ["'none'"],
+      workerSrc: ["'self'"], manifestSrc: ["'self'"], childSrc: ["'none'"],
       reportUri: ['/api/csp-report']
     }
   },
@@ -266,6 +278,9 @@ if (!isDevelopment) {
       const lp = filePath.toLowerCase()
       if (lp.endsWith('.html')) {
         res.setHeader('Cache-Control', 'public, max-age=600, must-revalidate')
+      } else if (basename(lp) === 'sw.js') {
+        // The service worker keeps its name across builds: always check for a new one
+        res.setHeader('Cache-Control', 'no-cache')
       } else if (/\.(js|css|mjs|cjs|svg|png|jpg|jpeg|gif|ico|webp|avif|woff|woff2|ttf)$/i.test(lp)) {
         res.setHeader('Cache-Control', 'public, max-age=31536000, immutable')
       } else {
@@ -291,9 +306,12 @@ if (SUBPATH !== '/' && !isDevelopment) {
 
 // API cache headers (ETag based on data version)
 // Skip auth routes — they must always return fresh authentication state
+// Skip token routes (share links, calendar feeds) — a 304 would answer before the
+// route checks that the token is still valid, and expiry does not bump the version
 const apiCachePaths = ['/api', ...(SUBPATH !== '/' && !isDevelopment ? [`${SUBPATH}/api`] : [])]
+const isTokenPath = (path) => path.startsWith('/public/') || path.startsWith('/calendar/')
 app.use(apiCachePaths, (req, res, next) => {
-  if (req.method === 'GET' && !req.path.startsWith('/auth/') && req.path !== '/init') {
+  if (req.method === 'GET' && !req.path.startsWith('/auth/') && req.path !== '/init' && !isTokenPath(req.path)) {
     res.setHeader('Cache-Control', 'no-cache')
     res.setHeader('Pragma', 'no-cache')
     const dv = rankingsCache.getDataVersion()
@@ -342,20 +360,38 @@ const handleValidationErrors = (req, res, next) => {
 
 const sseClients = new Set()
 
-rankingsCache.on('versionChange', (version) => {
-  const payload = `data: ${JSON.stringify({ version })}\n\n`
-  for (const client of sseClients) {
-    try {
-      client.write(payload)
-      if (typeof client.flush === 'function') client.flush()
-    } catch { sseClients.delete(client) }
-  }
+// Typed events and the replay buffer (lib/event-stream.js); routes publish
+// match changes, cache version bumps arrive here. Under PM2 each message is
+// also published through Redis, and every worker relays the others' messages
+// to its own clients
+const eventStream = createEventStream({
+  clients: sseClients,
+  relay: (message) => rankingsCache.publishEvent(message)
+})
+
+rankingsCache.on('versionChange', (version, reason) => eventStream.versionChanged(version, reason))
+rankingsCache.on('relayedEvent', (message) => {
+  if (message.type === 'version') rankingsCache.adoptVersion(message.version)
+  eventStream.receive(message)
 })
+rankingsCache.subscribeToEvents()
+
+// Each worker reports its client count for the cluster-wide total in /api/cache-stats
+const sseReportInterval = setInterval(() => rankingsCache.reportSseClients(sseClients.size), 20000)
+sseReportInterval.unref()
+
+// ── Outbound webhooks ───────────────────────────────────────────────────────
+
+// Routes emit events; deliveries and retries run in the background
+const webhooks = createWebhookDispatcher({ db })
 
 // ── Shared context for route factories ──────────────────────────────────────
 
 const routeCtx = {
-  db, app, rankingsCache, sseClients,
+  db, app, rankingsCache, sseClients, eventStream, webhooks,
+  audit: createAuditLogger(db),
+  trashRetentionDays: config.trashRetentionDays,
+  calendarTimezone: config.calendarTimezone,
   authenticateToken, checkAuth, requireAdmin, requireEditor,
   conditionalRateLimit, smartApiLimiter,
   authLimiter, createLimiter, deleteLimiter, exportLimiter, criticalLimiter, restoreLimiter,
@@ -379,6 +415,15 @@ app.use('/api/auth', createAuthRouter(routeCtx))
 // System & admin routes (newly extracted)
 app.use('/api/admin', createAdminRouter(routeCtx))
 app.use('/api', createBackupRouter(routeCtx))
+app.use('/api/import', createImportRouter(routeCtx))
+app.use('/api/expenses', createExpenseRouter(routeCtx))
+app.use('/api/attendance', createAttendanceRouter(routeCtx))
+app.use('/api/matchmaking', createMatchmakingRouter(routeCtx))
+app.use('/api/tournaments', createTournamentRouter(routeCtx))
+app.use('/api/calendar', createCalendarRouter(routeCtx))
+app.use('/api/share-links', createShareLinkRouter(routeCtx))
+app.use('/api/public', createPublicRouter(routeCtx))
+app.use('/api/webhooks', createWebhookRouter(routeCtx))
 app.use('/', createHealthRouter(routeCtx))
 app.use('/', createSystemRouter(routeCtx))
 
@@ -564,8 +609,9 @@ app.use((err, _req, res, _next) => {
 
 const server = app.listen(PORT, () => {
   console.log(`🎾 Tennis Ranking System Server running on http://localhost:${PORT}`)
-  console.log(`🗄️ Using PostgreSQL database for data storage`)
+  console.log(`🗄️ Using ${db.dialect === 'sqlite' ? 'SQLite' : 'PostgreSQL'} database for data storage`)
   if (process.send) process.send('ready') // PM2 wait_ready
+  webhooks.start()
 })
 
 // ── Graceful shutdown ───────────────────────────────────────────────────────
@@ -580,6 +626,8 @@ function gracefulShutdown(signal) {
     for (const client of sseClients) { client.end() }
     sseClients.clear()
     clearInterval(cacheCheckInterval)
+    clearInterval(sseReportInterval)
+    try { await webhooks.stop() } catch { /* ignore */ }
     try { await rankingsCache.disconnect() } catch { /* ignore */ }
     try { await disconnectRateLimitRedis() } catch { /* ignore */ }
     try { await db.close() } catch { /* ignore */ }
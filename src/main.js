@@ -1,15 +1,44 @@
 import './style.css'
+import { parseSets, parseSetsText, legacyScore, formatSets } from '../lib/tennis-score.js'
+import { changedFields } from '../lib/audit.js'
+import {
+  isOutboxAvailable,
+  createOutboxEntry,
+  saveOutboxEntry,
+  listOutbox,
+  updateOutboxEntry,
+  removeFromOutbox
+} from './outbox.js'
+
+// Rows per page of the webhook delivery log
+const WEBHOOK_LOG_PAGE_SIZE = 20
+// A match submission without an answer by then is kept in the outbox
+const MATCH_SUBMIT_TIMEOUT_MS = 15000
+// Queued matches are tried again this often (the server may have been down)
+const OUTBOX_RETRY_MS = 60 * 1000
 
 // Tennis Ranking System with PostgreSQL Database
 class TennisRankingSystem {
   constructor() {
     this.players = []
+    this.archivedPlayers = [] // Admin only: hidden from selectors but kept in history
+    this.editingPlayerId = null // Players tab row being edited inline
     this.matches = []
     this.seasons = []
     this.playDates = []
     this.currentViewMode = 'daily' // daily, season, lifetime
     this.selectedDate = null
     this.selectedSeason = null
+    this.rankingSort = 'points' // points, rating (Elo)
+    this.detailPlayerId = null // player shown in the player detail modal
+    this.profile = null // last loaded player profile (for re-drawing the chart)
+    this.attendanceDate = null // date shown in the schedule tab's attendance list
+    this.tournamentId = null // tournament whose bracket is shown
+    this.tournamentPicks = [] // players ticked in the tournament form, in click order (duo pairs)
+    this.tournamentMatchId = null // bracket slot the match form is recording
+    this.fixturesSeasonId = null // season whose league fixtures are shown
+    this.fixturePicks = [] // players ticked for duo fixtures, in click order
+    this.webhookDeliveryOffset = 0 // page of the webhook delivery log
     this.autoSaveEnabled = true
     this.serverMode = true
     this.apiBase = this.getApiBaseUrl()
@@ -20,7 +49,10 @@ class TennisRankingSystem {
     this.isManualWinnerMode = false
     this.currentMatchType = 'duo' // 'duo' (đánh đôi) or 'solo' (đánh đơn)
     this.currentSeasonPlayers = [] // Players eligible for current selected season
+    this.bulkMatchSeasonId = null // Season of the open bulk match entry
+    this.importFile = null // Spreadsheet chosen for the match import preview
     this.eventHandlers = [] // Track event listeners for cleanup
+    this.outboxReplay = null // Running replayOutbox() send, if any
     
     // Smart client-side cache with type-specific TTLs
     this.cache = {
@@ -65,23 +97,17 @@ class TennisRankingSystem {
     try {
       this.eventSource = new EventSource(sseUrl, { withCredentials: true })
 
+      // On reconnect the browser sends the last message id (Last-Event-ID)
+      // and the server replays what was missed
       this.eventSource.onmessage = (event) => {
+        let data
         try {
-          const data = JSON.parse(event.data)
-          const newVersion = data.version
-
-          if (this.cache.serverVersion !== null && this.cache.serverVersion !== newVersion) {
-            console.log(`🔄 SSE: Server data changed (${this.cache.serverVersion} → ${newVersion}), clearing cache`)
-            this.invalidateCache()
-
-            // Reload current view data after invalidation
-            this.reloadCurrentView()
-          }
-
-          this.cache.serverVersion = newVersion
+          data = JSON.parse(event.data)
         } catch (parseError) {
           console.warn('⚠️ SSE: Failed to parse event data')
+          return
         }
+        this.handleServerEvent(data)
       }
 
       this.eventSource.onopen = () => {
@@ -128,6 +154,73 @@ class TennisRankingSystem {
     this.stopPollingFallback()
   }
 
+  // Typed SSE messages (lib/event-stream.js on the server). Match changes are
+  // patched into the cached lists and only the rankings they count in are
+  // dropped; a version change clears everything unless the typed messages
+  // already described it (covered)
+  handleServerEvent(data) {
+    switch (data.type) {
+      case 'match.created':
+      case 'match.updated':
+      case 'match.deleted':
+        this.patchMatchCache(data)
+        this.scheduleViewRefresh()
+        break
+      case 'rankings.changed':
+        this.dropRankings(data)
+        this.scheduleViewRefresh()
+        break
+      default: {
+        // 'version' (and untyped messages from servers before typed events)
+        const newVersion = data.version
+        if (this.cache.serverVersion !== null && this.cache.serverVersion !== newVersion && !data.covered) {
+          console.log(`🔄 SSE: Server data changed (${this.cache.serverVersion} → ${newVersion}), clearing cache`)
+          this.invalidateCache()
+          this.scheduleViewRefresh()
+        }
+        this.cache.serverVersion = newVersion
+      }
+    }
+  }
+
+  // Put a changed match into (or take it out of) every cached match list it
+  // belongs to, newest first like the server's lists. Patching keeps each
+  // list's fetch time, so the TTL still bounds how long it is trusted
+  patchMatchCache({ type, match, date, seasonId }) {
+    const newestFirst = (a, b) => b.play_date.localeCompare(a.play_date) || String(b.created_at).localeCompare(String(a.created_at))
+    for (const [key, list] of this.cache.matches) {
+      if (!Array.isArray(list)) continue
+      const patched = list.filter(row => row.id !== match.id)
+      if (type !== 'match.deleted' && (key === 'all' || key === `date:${date}` || key === `season:${seasonId}`)) {
+        patched.push(match)
+        patched.sort(newestFirst)
+      }
+      this.cache.matches.set(key, patched)
+    }
+    // A date may have gained its first match or lost its last one
+    this.invalidateCache(['playDates'])
+    console.log(`🩹 SSE: ${type} #${match.id} patched into cached match lists`)
+  }
+
+  // rankings.changed: drop the cached tables it names (both sort orders) and
+  // the daily tables from ratingsFrom on, whose Elo ratings were replayed
+  dropRankings({ scope = [], ratingsFrom = null }) {
+    for (const key of [...this.cache.rankings.keys()]) {
+      const table = key.replace(/:rating$/, '')
+      const ratingsMoved = ratingsFrom && table.startsWith('daily:') && table.slice('daily:'.length) >= ratingsFrom
+      if (scope.includes(table) || ratingsMoved) {
+        this.cache.rankings.delete(key)
+        this.cache.lastFetch.delete(`rankings:${key}`)
+      }
+    }
+  }
+
+  // One re-render for a burst of messages (a bulk entry sends one per match)
+  scheduleViewRefresh() {
+    clearTimeout(this.viewRefreshTimer)
+    this.viewRefreshTimer = setTimeout(() => this.reloadCurrentView(), 100)
+  }
+
   // Reload current view data after cache invalidation (called by SSE handler)
   async reloadCurrentView() {
     try {
@@ -155,9 +248,21 @@ class TennisRankingSystem {
         this.renderPlayers()
       } else if (activeTabId === 'seasons-tab') {
         this.renderSeasons()
+        if (this.fixturesSeasonId) await this.renderSeasonFixtures()
+      } else if (activeTabId === 'schedule-tab') {
+        // Answers and check-ins from other devices arrive as a version bump
+        await this.renderSchedule()
+      } else if (activeTabId === 'tournaments-tab') {
+        // Brackets move on when a tournament match is recorded anywhere
+        await this.renderTournaments()
       } else if (activeTabId === 'accounts-tab') {
         this.renderAccounts()
-        if (this.user?.role === 'admin') this.renderCacheStatus()
+        if (this.user?.role === 'admin') {
+          this.renderCacheStatus()
+          this.renderTrash()
+          this.renderShareLinks()
+          this.renderWebhooks()
+        }
       }
     } catch (error) {
       console.warn('⚠️ Failed to reload current view:', error)
@@ -423,6 +528,10 @@ class TennisRankingSystem {
       
       // Ensure rankings tab is properly activated
       this.switchTab('rankings')
+
+      // Offline support: cached app shell, and matches queued while offline
+      this.registerServiceWorker()
+      this.replayOutbox()
       
       // System is ready
       this.updateFileStatus('✅ Hệ thống đã sẵn sàng', 'success')
@@ -496,6 +605,13 @@ class TennisRankingSystem {
         console.log('❌ Fallback API URL also failed')
       }
       
+      // Offline with the app installed: the service worker answers /init
+      // from its cache (public/sw.js), and new matches go to the outbox
+      if (navigator.serviceWorker?.controller) {
+        console.log('⚠️ No server available, using the offline copy')
+        return
+      }
+
       console.log('⚠️ No server available, falling back to local storage mode')
       this.serverMode = false
       this.apiBase = null
@@ -543,6 +659,7 @@ class TennisRankingSystem {
         this.csrfToken = data.csrfToken // Store CSRF token from login response
         this.updateUIForAuthStatus()
         await this.loadInitialData() // Reload data after login
+        this.replayOutbox()
         return { success: true, message: data.message }
       } else {
         return { success: false, message: data.error }
@@ -574,6 +691,8 @@ class TennisRankingSystem {
     this.isAuthenticated = false
     this.user = null
     this.csrfToken = null
+    // The offline copy of /api/init carries this user's session
+    navigator.serviceWorker?.controller?.postMessage({ type: 'clear-data' })
     this.updateUIForAuthStatus()
   }
 
@@ -817,6 +936,14 @@ class TennisRankingSystem {
       
       if (response.ok) {
         const data = await response.json()
+
+        // The service worker's copy from the last visit: /auth/status could
+        // not be reached, so the sign-in state of that visit is used
+        if (response.headers.get('X-SW-Cache')) {
+          this.isAuthenticated = data.isAuthenticated
+          this.user = data.user
+          this.updateFileStatus('⚠️ Đang ngoại tuyến: hiển thị dữ liệu đã lưu', 'warning')
+        }
         
         // Populate all data from combined response
         this.players = data.players || []
@@ -863,6 +990,7 @@ class TennisRankingSystem {
       
       // Update UI components after loading data
       this.updatePlayerSelects()
+      await this.loadArchivedPlayers()
       this.setTodaysDate()
       
       // Set default view mode and render
@@ -893,6 +1021,23 @@ class TennisRankingSystem {
     }
   }
 
+  // Archived players are only listed for admins (restore / merge)
+  async loadArchivedPlayers() {
+    if (this.user?.role !== 'admin') {
+      this.archivedPlayers = []
+      return
+    }
+    try {
+      const response = await fetch(`${this.apiBase}/players?includeArchived=true`, { credentials: 'include' })
+      if (response.ok) {
+        const players = await response.json()
+        this.archivedPlayers = players.filter(player => player.archived_at)
+      }
+    } catch (error) {
+      console.error('Error loading archived players:', error)
+    }
+  }
+
   async loadSeasons() {
     try {
       // Check cache first (10 min TTL for seasons)
@@ -1018,6 +1163,48 @@ class TennisRankingSystem {
       if (resetFormBtn) {
         resetFormBtn.addEventListener('click', () => this.resetMatchForm())
       }
+
+      // Match outbox: send when the connection is back, and now and then in
+      // case the server was the problem
+      window.addEventListener('online', () => this.replayOutbox())
+      window.addEventListener('offline', () => this.renderOutbox())
+      setInterval(() => this.replayOutbox(), OUTBOX_RETRY_MS)
+      document.getElementById('sendOutboxBtn')?.addEventListener('click', () => this.replayOutbox())
+      document.getElementById('matchOutboxTableBody')?.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-outbox-action]')
+        if (!button) return
+        try {
+          await this.handleOutboxAction(button.dataset.outboxAction, button.dataset.key)
+        } catch (error) {
+          console.error('Error updating match outbox:', error)
+          this.showToast('Lỗi khi cập nhật danh sách chờ gửi', 'error')
+        }
+      })
+
+      // Bulk match entry (one evening's matches at once)
+      document.getElementById('openBulkMatchBtn')?.addEventListener('click', () => this.openBulkMatchEntry())
+      document.getElementById('addBulkMatchRow')?.addEventListener('click', () => this.addBulkMatchRow())
+      document.getElementById('saveBulkMatches')?.addEventListener('click', () => this.saveBulkMatches())
+      document.getElementById('toggleSuggestTeams')?.addEventListener('click', () => this.toggleSuggestTeams())
+      document.getElementById('applySuggestedTeams')?.addEventListener('click', () => this.applySuggestedTeams())
+      const bulkMatchRows = document.getElementById('bulkMatchRows')
+      if (bulkMatchRows) {
+        bulkMatchRows.addEventListener('click', (e) => {
+          const removeBtn = e.target.closest('.remove-bulk-row-btn')
+          if (!removeBtn) return
+          removeBtn.closest('tr').remove()
+          this.renumberBulkMatchRows()
+        })
+        bulkMatchRows.addEventListener('change', (e) => {
+          if (e.target.classList.contains('bulk-type')) this.updateBulkRowType(e.target.closest('tr'))
+        })
+        // Enter on the last row starts a new one, like a spreadsheet
+        bulkMatchRows.addEventListener('keydown', (e) => {
+          if (e.key !== 'Enter') return
+          e.preventDefault()
+          if (e.target.closest('tr') === bulkMatchRows.lastElementChild) this.addBulkMatchRow()
+        })
+      }
       
       // Login button
       const loginBtn = document.getElementById('loginBtn')
@@ -1043,6 +1230,164 @@ class TennisRankingSystem {
         createAccountBtn.addEventListener('click', () => this.showAccountModal())
       }
       
+      // Schedule tab: announce a date, pick a date, answer / check in
+      document.getElementById('playSessionForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault()
+        await this.announcePlaySession()
+      })
+      document.getElementById('playSessionList')?.addEventListener('click', async (e) => {
+        const deleteBtn = e.target.closest('.delete-session-btn')
+        if (deleteBtn) {
+          await this.deletePlaySession(deleteBtn.dataset.date)
+          return
+        }
+        const item = e.target.closest('.play-session-item')
+        if (item) await this.selectAttendanceDate(item.dataset.date)
+      })
+      document.getElementById('attendanceDateInput')?.addEventListener('change', (e) => this.selectAttendanceDate(e.target.value))
+      document.getElementById('createCalendarLinkBtn')?.addEventListener('click', () => this.createCalendarLink())
+      document.getElementById('copyCalendarLinkBtn')?.addEventListener('click', async () => {
+        const input = document.getElementById('calendarLinkUrl')
+        try {
+          await navigator.clipboard.writeText(input.value)
+          this.showToast('Đã sao chép đường dẫn lịch', 'success')
+        } catch {
+          input.select()
+        }
+      })
+      document.getElementById('calendarLinkList')?.addEventListener('click', async (e) => {
+        const revokeBtn = e.target.closest('.revoke-calendar-btn')
+        if (revokeBtn) await this.revokeCalendarLink(parseInt(revokeBtn.dataset.playerId), revokeBtn.dataset.name)
+      })
+      document.getElementById('attendanceTableBody')?.addEventListener('click', async (e) => {
+        const answerBtn = e.target.closest('.availability-btn')
+        if (answerBtn) {
+          await this.updateAttendance(parseInt(answerBtn.dataset.playerId), { availability: answerBtn.dataset.availability || null })
+        }
+        const checkInBtn = e.target.closest('.check-in-btn')
+        if (checkInBtn) {
+          await this.updateAttendance(parseInt(checkInBtn.dataset.playerId), { checkedIn: checkInBtn.dataset.checkedIn === 'true' })
+        }
+      })
+
+      // League fixtures (season view): generate, delete, duo pairs in click order
+      document.getElementById('fixturesForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault()
+        await this.generateSeasonFixtures()
+      })
+      document.getElementById('fixturesMatchType')?.addEventListener('change', (e) => {
+        document.getElementById('fixturesPairsGroup').style.display = e.target.value === 'duo' ? '' : 'none'
+      })
+      document.getElementById('fixturesPlayers')?.addEventListener('change', (e) => {
+        const id = parseInt(e.target.value)
+        this.fixturePicks = this.fixturePicks.filter(pick => pick !== id)
+        if (e.target.checked) this.fixturePicks.push(id)
+        document.getElementById('fixturesPairsHint').textContent = this.describePickedPairs(this.fixturePicks)
+      })
+      document.getElementById('deleteFixturesBtn')?.addEventListener('click', () => this.deleteSeasonFixtures())
+
+      // Tournaments tab: create, open a bracket, record a slot, delete
+      document.getElementById('tournamentForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault()
+        await this.createTournament()
+      })
+      document.getElementById('tournamentSeason')?.addEventListener('change', (e) => this.loadTournamentPlayers(e.target.value))
+      document.getElementById('tournamentFormat')?.addEventListener('change', (e) => {
+        document.getElementById('tournamentGroupOptions').style.display = e.target.value === 'groups_knockout' ? '' : 'none'
+      })
+      document.getElementById('tournamentMatchType')?.addEventListener('change', () => this.updateTournamentPicksHint())
+      document.getElementById('tournamentPlayers')?.addEventListener('change', (e) => {
+        const id = parseInt(e.target.value)
+        this.tournamentPicks = this.tournamentPicks.filter(pick => pick !== id)
+        if (e.target.checked) this.tournamentPicks.push(id)
+        this.updateTournamentPicksHint()
+      })
+      document.getElementById('tournamentList')?.addEventListener('click', async (e) => {
+        const item = e.target.closest('.tournament-item')
+        if (item) await this.loadTournament(parseInt(item.dataset.id))
+      })
+      document.getElementById('tournamentBracket')?.addEventListener('click', async (e) => {
+        const playBtn = e.target.closest('.play-tournament-match-btn')
+        if (playBtn) await this.playTournamentMatch(parseInt(playBtn.dataset.id))
+      })
+      document.getElementById('deleteTournamentBtn')?.addEventListener('click', () => this.deleteTournament())
+      document.getElementById('cancelTournamentMatch')?.addEventListener('click', () => this.clearTournamentMatch())
+
+      // Public share links (admin only): create, copy, revoke
+      document.getElementById('shareLinkForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault()
+        await this.createShareLink()
+      })
+      document.getElementById('copyShareLinkBtn')?.addEventListener('click', async () => {
+        const input = document.getElementById('shareLinkUrl')
+        try {
+          await navigator.clipboard.writeText(input.value)
+          this.showToast('Đã sao chép liên kết', 'success')
+        } catch {
+          input.select()
+        }
+      })
+      document.getElementById('shareLinksTableBody')?.addEventListener('click', async (e) => {
+        const revokeBtn = e.target.closest('.revoke-share-btn')
+        if (revokeBtn) await this.revokeShareLink(parseInt(revokeBtn.dataset.id))
+      })
+
+      // Webhooks (admin only): add, per-hook actions and the delivery log
+      document.getElementById('webhookForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault()
+        await this.createWebhook()
+      })
+      document.getElementById('refreshWebhooksBtn')?.addEventListener('click', () => this.renderWebhooks())
+      document.getElementById('copyWebhookSecretBtn')?.addEventListener('click', async () => {
+        const input = document.getElementById('webhookSecret')
+        try {
+          await navigator.clipboard.writeText(input.value)
+          this.showToast('Đã sao chép khóa', 'success')
+        } catch {
+          input.select()
+        }
+      })
+      document.getElementById('webhooksTableBody')?.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-id]')
+        if (!button) return
+        const webhookId = parseInt(button.dataset.id)
+        if (button.classList.contains('test-webhook-btn')) await this.testWebhook(webhookId)
+        else if (button.classList.contains('toggle-webhook-btn')) await this.toggleWebhook(webhookId, button.dataset.active === 'true')
+        else if (button.classList.contains('rotate-webhook-btn')) await this.rotateWebhookSecret(webhookId)
+        else if (button.classList.contains('delete-webhook-btn')) await this.deleteWebhook(webhookId)
+      })
+      for (const id of ['webhookDeliveryHook', 'webhookDeliveryStatus']) {
+        document.getElementById(id)?.addEventListener('change', () => {
+          this.webhookDeliveryOffset = 0
+          this.renderWebhookDeliveries()
+        })
+      }
+      document.getElementById('webhookDeliveriesPrev')?.addEventListener('click', () => {
+        this.webhookDeliveryOffset = Math.max(0, this.webhookDeliveryOffset - WEBHOOK_LOG_PAGE_SIZE)
+        this.renderWebhookDeliveries()
+      })
+      document.getElementById('webhookDeliveriesNext')?.addEventListener('click', () => {
+        this.webhookDeliveryOffset += WEBHOOK_LOG_PAGE_SIZE
+        this.renderWebhookDeliveries()
+      })
+      document.getElementById('webhookDeliveriesTableBody')?.addEventListener('click', async (e) => {
+        const retryBtn = e.target.closest('.retry-delivery-btn')
+        if (retryBtn) await this.retryWebhookDelivery(parseInt(retryBtn.dataset.id))
+      })
+
+      // Trash (admin only): refresh, restore and permanent delete
+      document.getElementById('refreshTrashBtn')?.addEventListener('click', () => this.renderTrash())
+      document.getElementById('trashTableBody')?.addEventListener('click', async (e) => {
+        const restoreBtn = e.target.closest('.restore-trash-btn')
+        if (restoreBtn) {
+          await this.restoreFromTrash(restoreBtn.dataset.entityType, parseInt(restoreBtn.dataset.entityId))
+        }
+        const purgeBtn = e.target.closest('.purge-trash-btn')
+        if (purgeBtn) {
+          await this.purgeTrashEntry(parseInt(purgeBtn.dataset.trashId))
+        }
+      })
+
       // Refresh cache status button (admin only)
       const refreshCacheStatusBtn = document.getElementById('refreshCacheStatusBtn')
       if (refreshCacheStatusBtn) {
@@ -1109,6 +1454,15 @@ class TennisRankingSystem {
         })
       }
       
+      // Ranking sort (points / Elo rating)
+      const rankingSortSelect = document.getElementById('rankingSortSelect')
+      if (rankingSortSelect) {
+        rankingSortSelect.addEventListener('change', (e) => {
+          this.rankingSort = e.target.value === 'rating' ? 'rating' : 'points'
+          this.renderRankings()
+        })
+      }
+      
       // Season select
       const seasonSelect = document.getElementById('seasonSelect')
       if (seasonSelect) {
@@ -1229,7 +1583,63 @@ class TennisRankingSystem {
           const playerId = parseInt(deleteBtn.dataset.playerId)
           await this.removePlayer(playerId)
         }
+        const restoreBtn = e.target.closest('.restore-player-btn')
+        if (restoreBtn) {
+          await this.restorePlayer(parseInt(restoreBtn.dataset.playerId))
+        }
+        const mergeBtn = e.target.closest('.merge-player-btn')
+        if (mergeBtn) {
+          this.showMergePlayerModal(parseInt(mergeBtn.dataset.playerId))
+        }
+        const editBtn = e.target.closest('.edit-player-btn')
+        if (editBtn) {
+          this.startEditPlayer(parseInt(editBtn.dataset.playerId))
+        }
+        const saveBtn = e.target.closest('.save-player-btn')
+        if (saveBtn) {
+          await this.savePlayer(parseInt(saveBtn.dataset.playerId))
+        }
+        if (e.target.closest('.cancel-player-edit-btn')) {
+          this.cancelEditPlayer()
+        }
+      })
+      // Enter saves / Escape cancels the inline player edit
+      document.addEventListener('keydown', async (e) => {
+        const row = e.target.closest?.('.player-edit-row')
+        if (!row) return
+        if (e.key === 'Enter') {
+          e.preventDefault()
+          await this.savePlayer(parseInt(row.dataset.playerId))
+        } else if (e.key === 'Escape') {
+          this.cancelEditPlayer()
+        }
+      })
+      document.getElementById('confirmMergePlayer')?.addEventListener('click', () => this.mergePlayer())
+
+      // Player detail (head-to-head / partners) from a player name
+      document.addEventListener('click', async (e) => {
+        const detailLink = e.target.closest('.player-detail-link')
+        if (detailLink && detailLink.dataset.playerId) {
+          await this.openPlayerDetail(parseInt(detailLink.dataset.playerId))
+        }
+      })
+      // Player profile from a name in the rankings table
+      document.addEventListener('click', async (e) => {
+        const profileLink = e.target.closest('.player-profile-link')
+        if (profileLink && profileLink.dataset.playerId) {
+          await this.openPlayerProfile(parseInt(profileLink.dataset.playerId))
+        }
+      })
+      document.getElementById('playerProfileMetric')?.addEventListener('change', () => this.renderProfileChart())
+      document.getElementById('playerProfileDetailBtn')?.addEventListener('click', async () => {
+        if (!this.profile) return
+        this.hideModal('playerProfileModal')
+        await this.openPlayerDetail(this.profile.player.id)
+      })
+      ;['playerDetailSeason', 'playerDetailFrom', 'playerDetailTo'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => this.loadPlayerDetail())
       })
+      document.getElementById('playerH2HOpponent')?.addEventListener('change', () => this.loadHeadToHead())
 
       // Record match
       const recordMatchBtn = document.getElementById('recordMatch')
@@ -1345,6 +1755,16 @@ class TennisRankingSystem {
         restoreJsonBtn.addEventListener('click', () => restoreJsonInput.click())
         restoreJsonInput.addEventListener('change', (e) => this.restoreFromJson(e))
       }
+
+      // Match import from Excel/CSV: preview first, then import
+      const importMatchesBtn = document.getElementById('importMatchesBtn')
+      const importMatchesInput = document.getElementById('importMatchesInput')
+      if (importMatchesBtn && importMatchesInput) {
+        importMatchesBtn.addEventListener('click', () => importMatchesInput.click())
+        importMatchesInput.addEventListener('change', (e) => this.selectImportFile(e))
+      }
+      document.getElementById('importCreateMissing')?.addEventListener('change', () => this.previewImport())
+      document.getElementById('confirmImport')?.addEventListener('click', () => this.confirmImport())
       
       // Backup Excel button (in accounts tab - exports lifetime data)
       const backupExcelBtn = document.getElementById('backupExcelBtn')
@@ -1371,6 +1791,12 @@ class TennisRankingSystem {
         team2ScoreInput.addEventListener('input', () => this.updateAutoWinner())
       }
 
+      // A set-by-set score fills in the team scores and winner
+      const setScoresInput = document.getElementById('setScores')
+      if (setScoresInput) {
+        setScoresInput.addEventListener('input', () => this.updateScoreFromSets())
+      }
+
       // Manual winner toggle
       const useManualWinnerBtn = document.getElementById('useManualWinner')
       const useAutoWinnerBtn = document.getElementById('useAutoWinner')
@@ -1464,7 +1890,8 @@ class TennisRankingSystem {
       let seasonPlayers = []
       
       if (response.ok) {
-        seasonPlayers = await response.json()
+        // Archived players stay on the roster for history but can't be picked
+        seasonPlayers = (await response.json()).filter(player => !player.archived_at)
       }
       
       // If no players assigned to season, use all players (backward compatibility)
@@ -1546,11 +1973,18 @@ class TennisRankingSystem {
       this.renderPlayers()
     } else if (tabName === 'seasons') {
       this.renderSeasons()
+    } else if (tabName === 'schedule') {
+      this.renderSchedule()
+    } else if (tabName === 'tournaments') {
+      this.renderTournaments()
     } else if (tabName === 'accounts') {
       this.renderAccounts()
-      // Also render cache status for admin users
+      // Also render cache status and trash for admin users
       if (this.user?.role === 'admin') {
         this.renderCacheStatus()
+        this.renderTrash()
+        this.renderShareLinks()
+        this.renderWebhooks()
       }
     }
   }
@@ -1656,7 +2090,7 @@ class TennisRankingSystem {
     const player = this.players.find(p => p.id === playerId)
     if (!player) return
 
-    const confirmDelete = confirm(`Bạn có chắc muốn xóa người chơi "${player.name}"? Tất cả lịch sử thi đấu của người này cũng sẽ bị xóa.`)
+    const confirmDelete = confirm(`Bạn có chắc muốn xóa người chơi "${player.name}"? Nếu người này đã có trận đấu, họ sẽ được lưu trữ (ẩn khỏi danh sách chọn) và lịch sử thi đấu được giữ nguyên.`)
     if (!confirmDelete) return
 
     try {
@@ -1665,14 +2099,9 @@ class TennisRankingSystem {
       })
 
       if (response.ok) {
-        this.invalidateCache(['players', 'rankings', 'matches']) // Player deletion affects all
-        await this.loadPlayers()
-        await this.loadMatches()
-        this.renderPlayers()
-        this.renderRankings()
-        this.renderMatchHistory()
-        this.updatePlayerSelects()
-        this.showToast(`Đã xóa người chơi: ${player.name}`, 'success')
+        const data = await response.json()
+        await this.reloadAfterPlayerChange()
+        this.showToast(data.archived ? `Đã lưu trữ người chơi: ${player.name}` : `Đã xóa người chơi: ${player.name}`, 'success')
       } else {
         const data = await response.json()
         this.showToast(data.error, 'error')
@@ -1683,6 +2112,153 @@ class TennisRankingSystem {
     }
   }
   
+  // Inline edit row for the Players tab (admin)
+  renderPlayerEditRow(player) {
+    return `
+      <tr class="player-edit-row" data-player-id="${player.id}">
+        <td><span class="id-badge">#${player.id}</span></td>
+        <td>
+          <div class="player-edit-fields">
+            <input type="text" class="input-field player-edit-name" value="${this.escapeHtml(player.name)}" maxlength="100" placeholder="Tên người chơi" required>
+            <input type="text" class="input-field player-edit-nickname" value="${this.escapeHtml(player.nickname || '')}" maxlength="50" placeholder="Biệt danh">
+            <select class="select-field player-edit-hand">
+              <option value="">Tay thuận...</option>
+              <option value="right" ${player.preferred_hand === 'right' ? 'selected' : ''}>Tay phải</option>
+              <option value="left" ${player.preferred_hand === 'left' ? 'selected' : ''}>Tay trái</option>
+            </select>
+            <input type="color" class="player-edit-color" value="${player.avatar_color || '#3b82f6'}" title="Màu ảnh đại diện">
+          </div>
+        </td>
+        <td>${player.created_at ? this.formatDate(player.created_at) : '-'}</td>
+        <td>
+          <button class="btn btn-sm btn-primary save-player-btn" data-player-id="${player.id}">Lưu</button>
+          <button class="btn btn-sm btn-ghost cancel-player-edit-btn">Hủy</button>
+        </td>
+      </tr>
+    `
+  }
+
+  startEditPlayer(playerId) {
+    this.editingPlayerId = playerId
+    this.renderPlayers()
+    document.querySelector('.player-edit-row .player-edit-name')?.focus()
+  }
+
+  cancelEditPlayer() {
+    this.editingPlayerId = null
+    this.renderPlayers()
+  }
+
+  async savePlayer(playerId) {
+    const row = document.querySelector(`.player-edit-row[data-player-id="${playerId}"]`)
+    const player = this.players.find(p => p.id === playerId)
+    if (!row || !player) return
+
+    const name = row.querySelector('.player-edit-name').value.trim()
+    if (!name) {
+      this.showToast('Vui lòng nhập tên người chơi', 'error')
+      return
+    }
+    const colorInput = row.querySelector('.player-edit-color')
+    const payload = {
+      name,
+      nickname: row.querySelector('.player-edit-nickname').value.trim() || null,
+      preferredHand: row.querySelector('.player-edit-hand').value || null,
+      // The colour picker always has a value; only send it once it was changed or already set
+      avatarColor: player.avatar_color || colorInput.value !== colorInput.defaultValue ? colorInput.value : null
+    }
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${playerId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(payload)
+      })
+      const data = await response.json()
+      if (response.ok) {
+        this.editingPlayerId = null
+        await this.reloadAfterPlayerChange()
+        this.showToast(`Đã cập nhật người chơi: ${data.player.name}`, 'success')
+      } else {
+        this.showToast(data.details?.[0]?.msg || data.error, 'error')
+      }
+    } catch (error) {
+      console.error('Error updating player:', error)
+      this.showToast('Lỗi khi cập nhật người chơi', 'error')
+    }
+  }
+
+  async reloadAfterPlayerChange() {
+    this.invalidateCache(['players', 'rankings', 'matches']) // Player changes affect all
+    await this.loadPlayers()
+    await this.loadArchivedPlayers()
+    await this.loadMatches()
+    this.renderPlayers()
+    this.renderRankings()
+    this.renderMatchHistory()
+    this.updatePlayerSelects()
+  }
+
+  async restorePlayer(playerId) {
+    const player = this.archivedPlayers.find(p => p.id === playerId)
+    if (!player) return
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${playerId}/archive`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+      if (response.ok) {
+        await this.reloadAfterPlayerChange()
+        this.showToast(`Đã khôi phục người chơi: ${player.name}`, 'success')
+      } else {
+        this.showToast(data.error, 'error')
+      }
+    } catch (error) {
+      console.error('Error restoring player:', error)
+      this.showToast('Lỗi khi khôi phục người chơi', 'error')
+    }
+  }
+
+  showMergePlayerModal(playerId) {
+    const source = this.players.find(p => p.id === playerId) || this.archivedPlayers.find(p => p.id === playerId)
+    if (!source) return
+
+    document.getElementById('mergeSourcePlayerId').value = source.id
+    document.getElementById('mergeSourcePlayerName').textContent = source.name
+    document.getElementById('mergeTargetPlayer').innerHTML = '<option value="">Chọn người chơi...</option>' +
+      this.players.filter(p => p.id !== source.id)
+        .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('')
+    document.getElementById('mergePlayerError').textContent = ''
+    this.showModal('mergePlayerModal')
+  }
+
+  async mergePlayer() {
+    const sourceId = parseInt(document.getElementById('mergeSourcePlayerId').value)
+    const targetId = parseInt(document.getElementById('mergeTargetPlayer').value)
+    const errorDiv = document.getElementById('mergePlayerError')
+    if (!targetId) {
+      errorDiv.textContent = 'Vui lòng chọn người chơi để gộp vào'
+      return
+    }
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${sourceId}/merge-into/${targetId}`, {
+        method: 'POST'
+      })
+      const data = await response.json()
+      if (response.ok) {
+        this.hideModal('mergePlayerModal')
+        await this.reloadAfterPlayerChange()
+        this.showToast(`Đã gộp người chơi (${data.matchesMoved} trận được chuyển)`, 'success')
+      } else {
+        errorDiv.textContent = data.error
+      }
+    } catch (error) {
+      console.error('Error merging players:', error)
+      errorDiv.textContent = 'Lỗi kết nối khi gộp người chơi'
+    }
+  }
+
   // Alias for table button onclick
   async deletePlayer(playerId, playerName) {
     await this.removePlayer(playerId)
@@ -1732,6 +2308,31 @@ class TennisRankingSystem {
     // Get winner from select
     const winnerValue = document.getElementById('winner')?.value
     let winningTeam = winnerValue === 'team1' ? 1 : (winnerValue === 'team2' ? 2 : null)
+    
+    // A no-show forfeits the match to the other team
+    const noShowTeam = parseInt(document.getElementById('noShowTeam')?.value) || null
+    if (noShowTeam) {
+      winningTeam = noShowTeam === 1 ? 2 : 1
+    }
+
+    // Optional set-by-set score: the server derives the result from it
+    let sets = null
+    const setScoresText = document.getElementById('setScores')?.value.trim()
+    if (setScoresText) {
+      if (noShowTeam) {
+        this.showToast('Trận vắng mặt không có tỷ số set', 'error')
+        return
+      }
+      try {
+        const score = parseSets(parseSetsText(setScoresText))
+        sets = score.sets
+        ;({ team1Score, team2Score } = legacyScore(score))
+        winningTeam = score.winningTeam
+      } catch (error) {
+        this.showToast(`Tỷ số set không hợp lệ: ${error.message}`, 'error')
+        return
+      }
+    }
 
     // Validation
     if (!playDate) {
@@ -1778,58 +2379,595 @@ class TennisRankingSystem {
       return
     }
 
+    const payload = {
+      seasonId,
+      playDate,
+      player1Id,
+      player2Id,
+      player3Id,
+      player4Id,
+      team1Score,
+      team2Score,
+      winningTeam,
+      matchType,
+      noShowTeam,
+      sets,
+      winMoney,
+      loseMoney,
+      tournamentMatchId: this.tournamentMatchId
+    }
+    // The key goes with every try, so a lost answer does not record it twice
+    const entry = createOutboxEntry(payload, this.matchSubmissionLabel(payload))
+
+    if (navigator.onLine) {
+      const result = await this.sendMatchSubmission(entry)
+      if (result.outcome === 'sent') {
+        this.clearTournamentMatch()
+        this.resetMatchForm()
+        await this.refreshAfterMatchesRecorded()
+        this.showToast('Đã ghi nhận kết quả trận đấu', 'success')
+        return
+      }
+      if (result.outcome !== 'retry') {
+        this.showToast(result.error || 'Lỗi khi ghi nhận kết quả', 'error')
+        return
+      }
+    }
+
+    // No connection (or no answer): keep it in the outbox until there is one
+    try {
+      await saveOutboxEntry(entry)
+    } catch (error) {
+      console.error('Error queueing match:', error)
+      this.showToast('Không có kết nối, chưa ghi nhận được kết quả', 'error')
+      return
+    }
+    this.clearTournamentMatch()
+    this.resetMatchForm()
+    await this.renderOutbox()
+    this.showToast('Chưa gửi được: trận đấu đã được lưu và sẽ tự gửi khi có kết nối', 'warning')
+  }
+
+  // After matches were recorded: reload the match-related data and redraw
+  async refreshAfterMatchesRecorded() {
+    this.invalidateCache(['rankings', 'matches', 'playDates']) // Only match-related data
+    await this.loadMatches()
+    await this.loadPlayDates()
+    this.renderRankings()
+    this.renderMatchHistory()
+    this.updateDateSelector()
+  }
+
+  // ========== Match Outbox (offline recording, see src/outbox.js) ==========
+
+  // "12/05 · An & Bình 6-3 Cường & Dũng" for the outbox panel
+  matchSubmissionLabel(payload) {
+    const name = (id) => this.players.find(player => player.id === id)?.name || `#${id}`
+    const team = (a, b) => [a, b].filter(Boolean).map(name).join(' & ')
+    const [, month, day] = payload.playDate.split('-')
+    return `${day}/${month} · ${team(payload.player1Id, payload.player2Id)} ${payload.team1Score}-${payload.team2Score} ${team(payload.player3Id, payload.player4Id)}`
+  }
+
+  /**
+   * POST one outbox entry with its Idempotency-Key. A stale CSRF token is
+   * fetched again and an expired session refreshed, once each.
+   * @returns {Promise<{ outcome: 'sent' | 'retry' | 'conflict' | 'rejected' | 'signed_out', error?, match? }>}
+   *   retry: no connection, no answer in time or the server is busy; try again later
+   */
+  async sendMatchSubmission(entry, { checkDuplicate = false, renewedCsrf = false, refreshed = false } = {}) {
+    let response
     try {
-      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/matches`, {
+      response = await this.makeAuthenticatedRequest(`${this.apiBase}/matches`, {
         method: 'POST',
-        body: JSON.stringify({
-          seasonId,
-          playDate,
-          player1Id,
-          player2Id,
-          player3Id,
-          player4Id,
-          team1Score,
-          team2Score,
-          winningTeam,
-          matchType,
-          winMoney,
-          loseMoney
-        })
+        headers: { 'Idempotency-Key': entry.key },
+        body: JSON.stringify(checkDuplicate ? { ...entry.payload, checkDuplicate: true } : entry.payload),
+        signal: AbortSignal.timeout(MATCH_SUBMIT_TIMEOUT_MS)
       })
+    } catch (error) {
+      // Network error, timeout, or the CSRF token request failed as well
+      return { outcome: 'retry', error: 'Không có kết nối' }
+    }
+    const data = await response.json().catch(() => ({}))
+    const retry = (changes) => this.sendMatchSubmission(entry, { checkDuplicate, renewedCsrf, refreshed, ...changes })
 
-      const data = await response.json()
-      
-      if (response.ok) {
-        this.invalidateCache(['rankings', 'matches', 'playDates']) // Only match-related data
-        await this.loadMatches()
-        await this.loadPlayDates()
-        
-        // Reset form
-        this.resetMatchForm()
-        
-        // Update displays
-        this.renderRankings()
-        this.renderMatchHistory()
-        this.updateDateSelector()
-        
-        this.showToast('Đã ghi nhận kết quả trận đấu', 'success')
-      } else {
-        this.showToast(data.error || 'Lỗi khi ghi nhận kết quả', 'error')
+    if (response.ok) return { outcome: 'sent', id: data.id }
+    if (data.csrfRequired) {
+      if (renewedCsrf) return { outcome: 'retry', error: data.error }
+      this.csrfToken = null
+      return retry({ renewedCsrf: true })
+    }
+    if (response.status === 401 || response.status === 403) {
+      // The access token lasts 15 minutes; a queued match is often older
+      if (!refreshed && await this.refreshSession()) return retry({ refreshed: true })
+      if (response.status === 401 || !refreshed) {
+        return { outcome: 'signed_out', error: 'Phiên đăng nhập đã hết hạn, vui lòng đăng nhập lại' }
       }
-    } catch (error) {
-      console.error('Error recording match:', error)
-      this.showToast('Lỗi khi ghi nhận kết quả', 'error')
+      return { outcome: 'rejected', error: data.error === 'Insufficient permissions' ? 'Tài khoản không có quyền ghi nhận kết quả' : data.error }
+    }
+    if (response.status === 409) {
+      // in_progress: an earlier try of this entry is still being recorded
+      if (data.conflict === 'in_progress') return { outcome: 'retry', error: data.error }
+      return { outcome: 'conflict', error: data.error, match: data.match || null }
+    }
+    if (data.conflict === 'key_mismatch') {
+      // The key already went with another submission (e.g. sent earlier from another account)
+      return { outcome: 'rejected', error: 'Mã gửi của trận này đã được dùng cho một lần gửi khác; hãy sửa và gửi lại' }
     }
+    if (response.status === 429 || response.status >= 500) {
+      return { outcome: 'retry', error: data.error || `HTTP ${response.status}` }
+    }
+    return { outcome: 'rejected', error: data.details?.[0]?.msg || data.error || `HTTP ${response.status}` }
   }
 
-  renderPlayers() {
+  // New access token from the refresh cookie (7 days). False when the user
+  // has to sign in again
+  async refreshSession() {
     try {
-      const userRole = this.user?.role
-      const canDelete = userRole === 'admin'
-      
-      // Render old style player list (if container exists)
-      const container = document.getElementById('playersList')
-      if (container) {
+      const csrfToken = await this.getCSRFToken()
+      const response = await fetch(`${this.apiBase}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+        },
+        credentials: 'include'
+      })
+      if (!response.ok) return false
+      const data = await response.json()
+      this.isAuthenticated = true
+      this.user = { ...this.user, ...data.user }
+      this.csrfToken = data.csrfToken
+      return true
+    } catch (error) {
+      console.log('Session refresh failed:', error)
+      return false
+    }
+  }
+
+  // Send the queued matches, oldest first. Runs at start, when the browser is
+  // back online and after login; a call while a run is going waits for it
+  replayOutbox() {
+    if (!this.outboxReplay) {
+      this.outboxReplay = this.sendOutbox().finally(() => { this.outboxReplay = null })
+    }
+    return this.outboxReplay
+  }
+
+  async sendOutbox() {
+    if (!this.serverMode || !this.isAuthenticated || !navigator.onLine) {
+      await this.renderOutbox()
+      return
+    }
+    let entries
+    try {
+      entries = (await listOutbox()).filter(entry => entry.status === 'pending')
+    } catch (error) {
+      console.warn('⚠️ Match outbox unavailable:', error)
+      return
+    }
+
+    let sent = 0
+    for (const entry of entries) {
+      // A replayed match is checked against what others recorded meanwhile,
+      // unless the user chose to record it anyway
+      const result = await this.sendMatchSubmission(entry, { checkDuplicate: !entry.confirmed })
+      const tried = { attempts: entry.attempts + 1, lastTriedAt: new Date().toISOString(), error: result.error || null }
+      if (result.outcome === 'sent') {
+        await removeFromOutbox(entry.key)
+        sent++
+      } else if (result.outcome === 'conflict' || result.outcome === 'rejected') {
+        await updateOutboxEntry(entry.key, { ...tried, status: result.outcome, match: result.match || null })
+      } else {
+        // Still no connection (or signed out): keep this and the rest in order
+        await updateOutboxEntry(entry.key, tried)
+        if (result.outcome === 'signed_out') {
+          this.showToast('Phiên đăng nhập đã hết hạn: đăng nhập lại để gửi các trận đấu đang chờ', 'warning')
+        }
+        break
+      }
+    }
+
+    if (sent > 0) {
+      await this.refreshAfterMatchesRecorded()
+      this.showToast(`Đã gửi ${sent} trận đấu đang chờ`, 'success')
+    }
+    await this.renderOutbox()
+  }
+
+  async renderOutbox() {
+    const card = document.getElementById('matchOutboxCard')
+    if (!card || !isOutboxAvailable()) return
+
+    let entries = []
+    try {
+      entries = await listOutbox()
+    } catch (error) {
+      console.warn('⚠️ Match outbox unavailable:', error)
+    }
+    card.style.display = entries.length > 0 ? '' : 'none'
+    document.getElementById('matchOutboxCount').textContent = entries.length
+    document.getElementById('matchOutboxOffline').style.display = navigator.onLine ? 'none' : ''
+
+    const formatTime = (value) => new Date(value).toLocaleString('vi-VN')
+    const recordedMatch = (match) => match
+      ? `<small>Đã có: ${this.escapeHtml([match.player1_name, match.player2_name].filter(Boolean).join(' & '))} ${match.team1_score}-${match.team2_score} ${this.escapeHtml([match.player3_name, match.player4_name].filter(Boolean).join(' & '))}</small>`
+      : ''
+    const statusCell = (entry) => {
+      if (entry.status === 'conflict') {
+        return `<span class="badge badge-error">Trùng trận đã ghi</span> ${recordedMatch(entry.match)}`
+      }
+      if (entry.status === 'rejected') {
+        return `<span class="badge badge-error">Bị từ chối</span> <small>${this.escapeHtml(entry.error || '')}</small>`
+      }
+      return entry.attempts === 0
+        ? '<span class="badge badge-warning">Chờ gửi</span>'
+        : `<span class="badge badge-warning">Chờ gửi lại</span> <small>${this.escapeHtml(entry.error || '')}</small>`
+    }
+    const actions = (entry) => [
+      entry.status === 'conflict' ? `<button type="button" class="btn btn-sm btn-ghost" data-outbox-action="confirm" data-key="${entry.key}">Vẫn ghi</button>` : '',
+      entry.status !== 'pending' ? `<button type="button" class="btn btn-sm btn-ghost" data-outbox-action="edit" data-key="${entry.key}">Sửa</button>` : '',
+      `<button type="button" class="btn btn-sm btn-danger" data-outbox-action="discard" data-key="${entry.key}">Bỏ</button>`
+    ].join(' ')
+
+    document.getElementById('matchOutboxTableBody').innerHTML = entries.map(entry => `
+      <tr>
+        <td>${formatTime(entry.createdAt)}</td>
+        <td>${this.escapeHtml(entry.label)}</td>
+        <td>${statusCell(entry)}</td>
+        <td>${actions(entry)}</td>
+      </tr>
+    `).join('')
+  }
+
+  async handleOutboxAction(action, key) {
+    if (action === 'confirm') {
+      await updateOutboxEntry(key, { status: 'pending', confirmed: true, error: null, match: null })
+      await this.replayOutbox()
+    } else if (action === 'edit') {
+      const entry = (await listOutbox()).find(candidate => candidate.key === key)
+      if (!entry) return
+      await this.loadMatchIntoForm(entry.payload)
+      await removeFromOutbox(key)
+      await this.renderOutbox()
+      this.showToast('Đã chuyển trận đấu vào biểu mẫu để sửa', 'success')
+    } else if (action === 'discard') {
+      if (!confirm('Bỏ trận đấu này? Kết quả sẽ không được ghi nhận.')) return
+      await removeFromOutbox(key)
+      await this.renderOutbox()
+    }
+  }
+
+  // Fill the match form with a queued match, to fix and save it again
+  async loadMatchIntoForm(payload) {
+    this.resetMatchForm()
+    const seasonSelect = document.getElementById('matchSeasonSelect')
+    seasonSelect.value = payload.seasonId
+    await this.onMatchSeasonChange(payload.seasonId)
+    this.switchMatchType(payload.matchType || 'duo')
+    for (const field of ['player1', 'player2', 'player3', 'player4']) {
+      const select = document.getElementById(field)
+      if (select && payload[`${field}Id`]) select.value = payload[`${field}Id`]
+    }
+    document.getElementById('team1Score').value = payload.team1Score
+    document.getElementById('team2Score').value = payload.team2Score
+    document.getElementById('matchDate').value = payload.playDate
+    document.getElementById('setScores').value = formatSets(payload.sets)
+    document.getElementById('noShowTeam').value = payload.noShowTeam || ''
+    document.getElementById('winner').value = payload.winningTeam ? `team${payload.winningTeam}` : ''
+    this.currentWinningTeam = payload.winningTeam || null
+    document.getElementById('matchForm').scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  // Production builds only: the Vite dev server serves modules that are not
+  // worth caching
+  registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(error => {
+      console.warn('⚠️ Service worker registration failed:', error)
+    })
+  }
+
+  // ========== Bulk Match Entry ==========
+
+  // Uses the season chosen in the match form and its eligible players
+  openBulkMatchEntry() {
+    const seasonId = parseInt(document.getElementById('matchSeasonSelect')?.value)
+    const season = this.seasons.find(s => s.id === seasonId)
+    if (!season) {
+      this.showToast('Vui lòng chọn mùa giải', 'error')
+      return
+    }
+    this.bulkMatchSeasonId = seasonId
+    document.getElementById('bulkMatchSeasonName').textContent = season.name
+    document.getElementById('bulkMatchDate').value =
+      document.getElementById('matchDate')?.value || new Date().toISOString().split('T')[0]
+    document.getElementById('bulkMatchError').textContent = ''
+    document.getElementById('suggestTeamsPanel').style.display = 'none'
+    document.getElementById('bulkMatchRows').innerHTML = ''
+    for (let i = 0; i < 3; i++) this.addBulkMatchRow()
+    this.showModal('bulkMatchModal')
+    document.querySelector('#bulkMatchRows .bulk-player')?.focus()
+  }
+
+  // New rows keep the match type of the row above
+  addBulkMatchRow() {
+    const tbody = document.getElementById('bulkMatchRows')
+    const matchType = tbody.lastElementChild?.querySelector('.bulk-type').value || this.currentMatchType || 'duo'
+    const players = this.currentSeasonPlayers?.length ? this.currentSeasonPlayers : this.players
+    const options = `<option value="">--</option>${players.map(player =>
+      `<option value="${player.id}">${this.escapeHtml(player.name)}</option>`
+    ).join('')}`
+    const playerSelect = (slot) => `<select class="select-field bulk-player" data-slot="${slot}">${options}</select>`
+
+    const row = document.createElement('tr')
+    row.className = 'bulk-match-row'
+    row.innerHTML = `
+      <td class="bulk-row-number"></td>
+      <td>
+        <select class="select-field bulk-type">
+          <option value="duo"${matchType === 'duo' ? ' selected' : ''}>2v2</option>
+          <option value="solo"${matchType === 'solo' ? ' selected' : ''}>1v1</option>
+        </select>
+      </td>
+      <td><div class="bulk-team">${playerSelect(1)}${playerSelect(2)}</div></td>
+      <td><div class="bulk-team">${playerSelect(3)}${playerSelect(4)}</div></td>
+      <td>
+        <div class="bulk-scores">
+          <input type="number" class="input-field bulk-score" data-team="1" min="0">
+          <input type="number" class="input-field bulk-score" data-team="2" min="0">
+        </div>
+      </td>
+      <td><input type="text" class="input-field bulk-sets" placeholder="6-4 3-6 10-7" autocomplete="off"></td>
+      <td><button type="button" class="btn btn-sm btn-ghost btn-icon remove-bulk-row-btn" title="Xóa dòng">✕</button></td>
+    `
+    tbody.appendChild(row)
+    this.updateBulkRowType(row)
+    this.renumberBulkMatchRows()
+    row.querySelector('.bulk-player').focus()
+  }
+
+  updateBulkRowType(row) {
+    const solo = row.querySelector('.bulk-type').value === 'solo'
+    row.querySelectorAll('.bulk-player[data-slot="2"], .bulk-player[data-slot="4"]').forEach(select => {
+      select.disabled = solo
+      if (solo) select.value = ''
+    })
+  }
+
+  // Players present default to those checked in, playing or answering "có" on the date
+  async toggleSuggestTeams() {
+    const panel = document.getElementById('suggestTeamsPanel')
+    if (panel.style.display !== 'none') {
+      panel.style.display = 'none'
+      return
+    }
+    const playDate = document.getElementById('bulkMatchDate').value
+    const players = this.currentSeasonPlayers?.length ? this.currentSeasonPlayers : this.players
+    let present = new Set()
+    try {
+      if (playDate) {
+        const response = await fetch(`${this.apiBase}/attendance/${playDate}`, { credentials: 'include' })
+        if (response.ok) {
+          const roster = await response.json()
+          present = new Set(roster.players
+            .filter(player => player.checked_in || player.played || player.availability === 'available')
+            .map(player => player.player_id))
+        }
+      }
+    } catch (error) {
+      console.error('Error loading attendance:', error)
+    }
+
+    document.getElementById('suggestTeamsPlayers').innerHTML = players.map(player => `
+      <label class="player-checkbox">
+        <input type="checkbox" name="suggestTeamsPlayer" value="${player.id}"${present.has(player.id) ? ' checked' : ''}>
+        <span>${this.escapeHtml(player.name)}</span>
+      </label>
+    `).join('')
+    document.getElementById('suggestTeamsSummary').textContent = ''
+    panel.style.display = ''
+  }
+
+  // Replaces the empty rows with one 2v2 row per court and round
+  async applySuggestedTeams() {
+    const errorDiv = document.getElementById('bulkMatchError')
+    const playerIds = [...document.querySelectorAll('input[name="suggestTeamsPlayer"]:checked')]
+      .map(input => parseInt(input.value))
+    errorDiv.textContent = ''
+    if (playerIds.length < 4) {
+      errorDiv.textContent = 'Chọn ít nhất 4 người có mặt'
+      return
+    }
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/matchmaking/suggest`, {
+        method: 'POST',
+        body: JSON.stringify({
+          seasonId: this.bulkMatchSeasonId,
+          playerIds,
+          playDate: document.getElementById('bulkMatchDate').value || undefined,
+          strength: document.getElementById('suggestTeamsStrength').value,
+          rounds: parseInt(document.getElementById('suggestTeamsRounds').value) || 1
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        errorDiv.textContent = data.details?.[0]?.msg || data.error || 'Không thể chia đội'
+        return
+      }
+
+      document.querySelectorAll('#bulkMatchRows .bulk-match-row').forEach(row => {
+        if (this.readBulkMatchRow(row).empty) row.remove()
+      })
+      const names = (team) => team.map(player => this.escapeHtml(player.name)).join(' & ')
+      const lines = []
+      for (const round of data.rounds) {
+        for (const court of round.courts) {
+          this.addBulkMatchRow()
+          const row = document.getElementById('bulkMatchRows').lastElementChild
+          row.querySelector('.bulk-type').value = 'duo'
+          this.updateBulkRowType(row)
+          const ids = [...court.team1, ...court.team2].map(player => player.id)
+          ids.forEach((id, index) => {
+            row.querySelector(`.bulk-player[data-slot="${index + 1}"]`).value = id
+          })
+          lines.push(`Lượt ${round.round}, sân ${court.court}: ${names(court.team1)} vs ${names(court.team2)} (chênh ${court.difference})`)
+        }
+        if (round.sitting_out.length > 0) {
+          lines.push(`Lượt ${round.round} nghỉ: ${names(round.sitting_out)}`)
+        }
+      }
+      if (data.repeated_partners > 0) {
+        lines.push(`${data.repeated_partners} cặp đã đánh cùng nhau hôm nay`)
+      }
+      this.renumberBulkMatchRows()
+      document.getElementById('suggestTeamsSummary').innerHTML = lines.join('<br>')
+    } catch (error) {
+      console.error('Error suggesting teams:', error)
+      errorDiv.textContent = 'Lỗi kết nối server'
+    }
+  }
+
+  renumberBulkMatchRows() {
+    document.querySelectorAll('#bulkMatchRows .bulk-match-row').forEach((row, index) => {
+      row.querySelector('.bulk-row-number').textContent = index + 1
+    })
+  }
+
+  // Read one row into a POST /matches/bulk item, or { error } / { empty: true }
+  readBulkMatchRow(row) {
+    const matchType = row.querySelector('.bulk-type').value
+    const playerId = (slot) => parseInt(row.querySelector(`.bulk-player[data-slot="${slot}"]`).value) || null
+    const [player1Id, player2Id, player3Id, player4Id] = [1, 2, 3, 4].map(playerId)
+    const scoreText = (team) => row.querySelector(`.bulk-score[data-team="${team}"]`).value.trim()
+    const setScoresText = row.querySelector('.bulk-sets').value.trim()
+
+    if (![player1Id, player2Id, player3Id, player4Id].some(Boolean) && !scoreText(1) && !scoreText(2) && !setScoresText) {
+      return { empty: true }
+    }
+
+    const playerIds = matchType === 'solo' ? [player1Id, player3Id] : [player1Id, player2Id, player3Id, player4Id]
+    if (playerIds.some(id => !id)) {
+      return { error: matchType === 'solo' ? 'Chọn đủ 2 người chơi' : 'Chọn đủ 4 người chơi' }
+    }
+    if (new Set(playerIds).size !== playerIds.length) {
+      return { error: 'Người chơi phải khác nhau' }
+    }
+
+    let team1Score = parseInt(scoreText(1))
+    let team2Score = parseInt(scoreText(2))
+    let sets = null
+    let winningTeam
+    if (setScoresText) {
+      try {
+        const score = parseSets(parseSetsText(setScoresText))
+        sets = score.sets
+        ;({ team1Score, team2Score } = legacyScore(score))
+        winningTeam = score.winningTeam
+      } catch (error) {
+        return { error: `Tỷ số set không hợp lệ: ${error.message}` }
+      }
+    } else {
+      if (isNaN(team1Score) || isNaN(team2Score) || team1Score < 0 || team2Score < 0) {
+        return { error: 'Nhập điểm hoặc tỷ số set' }
+      }
+      if (team1Score === team2Score) {
+        return { error: 'Điểm hòa, không xác định được đội thắng' }
+      }
+      winningTeam = team1Score > team2Score ? 1 : 2
+    }
+
+    return {
+      match: { matchType, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, sets }
+    }
+  }
+
+  async saveBulkMatches() {
+    const errorDiv = document.getElementById('bulkMatchError')
+    const playDate = document.getElementById('bulkMatchDate').value
+    const rows = [...document.querySelectorAll('#bulkMatchRows .bulk-match-row')]
+    rows.forEach(row => {
+      row.classList.remove('bulk-row-error')
+      row.title = ''
+    })
+    errorDiv.textContent = ''
+
+    if (!playDate) {
+      errorDiv.textContent = 'Vui lòng chọn ngày thi đấu'
+      return
+    }
+
+    // Rows that are sent, so server errors (by index) can be mapped back
+    const sentRows = []
+    const matches = []
+    const markRow = (row, message) => {
+      row.classList.add('bulk-row-error')
+      row.title = message
+    }
+    let firstError = null
+    rows.forEach((row, index) => {
+      const result = this.readBulkMatchRow(row)
+      if (result.empty) return
+      if (result.error) {
+        markRow(row, result.error)
+        firstError = firstError || `Trận ${index + 1}: ${result.error}`
+        return
+      }
+      sentRows.push(row)
+      matches.push(result.match)
+    })
+    if (firstError) {
+      errorDiv.textContent = firstError
+      return
+    }
+    if (matches.length === 0) {
+      errorDiv.textContent = 'Chưa nhập trận nào'
+      return
+    }
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/matches/bulk`, {
+        method: 'POST',
+        body: JSON.stringify({ seasonId: this.bulkMatchSeasonId, playDate, matches })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        // Row problems come back as rows[] (checks) or details[] (matches[i].field)
+        const rowErrors = data.rows || (data.details || []).map(detail => ({
+          index: Number(detail.path?.match(/^matches\[(\d+)\]/)?.[1]),
+          error: detail.msg
+        })).filter(rowError => !isNaN(rowError.index))
+        rowErrors.forEach(({ index, error }) => sentRows[index] && markRow(sentRows[index], error))
+        const first = rowErrors[0]
+        errorDiv.textContent = first && sentRows[first.index]
+          ? `Trận ${rows.indexOf(sentRows[first.index]) + 1}: ${first.error}`
+          : (data.details?.[0]?.msg || data.error || 'Lỗi khi lưu trận đấu')
+        return
+      }
+
+      this.hideModal('bulkMatchModal')
+      this.invalidateCache(['rankings', 'matches', 'playDates'])
+      await this.loadMatches()
+      await this.loadPlayDates()
+      this.renderRankings()
+      this.renderMatchHistory()
+      this.updateDateSelector()
+      this.showToast(`Đã lưu ${data.ids.length} trận đấu`, 'success')
+    } catch (error) {
+      console.error('Error saving bulk matches:', error)
+      errorDiv.textContent = 'Lỗi khi lưu trận đấu'
+    }
+  }
+
+  renderPlayers() {
+    try {
+      const userRole = this.user?.role
+      const canDelete = userRole === 'admin'
+      
+      // Render old style player list (if container exists)
+      const container = document.getElementById('playersList')
+      if (container) {
         container.innerHTML = this.players.map(player => `
           <div class="player-card">
             <span class="player-name">${this.escapeHtml(player.name)}</span>
@@ -1848,18 +2986,22 @@ class TennisRankingSystem {
       // Render Players tab table
       const tableBody = document.getElementById('playersTableBody')
       if (tableBody) {
-        tableBody.innerHTML = this.players.map(player => `
+        tableBody.innerHTML = this.players.map(player => canDelete && player.id === this.editingPlayerId ? this.renderPlayerEditRow(player) : `
           <tr>
             <td><span class="id-badge">#${player.id}</span></td>
             <td>
               <div class="player-cell">
-                <span class="player-avatar-small">${this.escapeHtml(player.name.charAt(0).toUpperCase())}</span>
-                <span class="player-name-text">${this.escapeHtml(player.name)}</span>
+                <span class="player-avatar-small"${player.avatar_color ? ` style="background: ${player.avatar_color}"` : ''}>${this.escapeHtml(player.name.charAt(0).toUpperCase())}</span>
+                <button type="button" class="player-name-text player-detail-link" data-player-id="${player.id}" title="Xem thống kê">${this.escapeHtml(player.name)}</button>
+                ${player.nickname ? `<span class="player-nickname">“${this.escapeHtml(player.nickname)}”</span>` : ''}
+                ${player.preferred_hand ? `<span class="player-hand">${player.preferred_hand === 'left' ? 'Tay trái' : 'Tay phải'}</span>` : ''}
               </div>
             </td>
             <td>${player.created_at ? this.formatDate(player.created_at) : '-'}</td>
             ${canDelete ? `
               <td>
+                <button class="btn btn-sm btn-ghost edit-player-btn" data-player-id="${player.id}" title="Sửa thông tin">✏️ Sửa</button>
+                <button class="btn btn-sm btn-ghost merge-player-btn" data-player-id="${player.id}" title="Gộp vào người chơi khác">🔀 Gộp</button>
                 <button class="btn btn-sm btn-danger delete-player-btn" data-player-id="${player.id}">
                   <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="3 6 5 6 21 6"/>
@@ -1870,7 +3012,23 @@ class TennisRankingSystem {
               </td>
             ` : ''}
           </tr>
-        `).join('')
+        `).join('') + (canDelete ? this.archivedPlayers.map(player => `
+          <tr class="archived-row">
+            <td><span class="id-badge">#${player.id}</span></td>
+            <td>
+              <div class="player-cell">
+                <span class="player-avatar-small">${this.escapeHtml(player.name.charAt(0).toUpperCase())}</span>
+                <button type="button" class="player-name-text player-detail-link" data-player-id="${player.id}" title="Xem thống kê">${this.escapeHtml(player.name)}</button>
+                <span class="archived-badge">Đã lưu trữ</span>
+              </div>
+            </td>
+            <td>${player.created_at ? this.formatDate(player.created_at) : '-'}</td>
+            <td>
+              <button class="btn btn-sm btn-ghost restore-player-btn" data-player-id="${player.id}">↺ Khôi phục</button>
+              <button class="btn btn-sm btn-ghost merge-player-btn" data-player-id="${player.id}" title="Gộp vào người chơi khác">🔀 Gộp</button>
+            </td>
+          </tr>
+        `).join('') : '')
         
         // Event listeners handled by event delegation in setupEventListeners
       }
@@ -1885,6 +3043,227 @@ class TennisRankingSystem {
     }
   }
 
+  // ========== Player Profile ==========
+  async openPlayerProfile(playerId) {
+    try {
+      const response = await fetch(`${this.apiBase}/players/${playerId}/profile`)
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Không tải được hồ sơ người chơi', 'error')
+        return
+      }
+      this.profile = data
+      this.renderPlayerProfile()
+      this.showModal('playerProfileModal')
+    } catch (error) {
+      console.error('Error loading player profile:', error)
+      this.showToast('Không tải được hồ sơ người chơi', 'error')
+    }
+  }
+
+  renderPlayerProfile() {
+    const { player, lifetime, seasons, streaks, first_played: firstPlayed, last_played: lastPlayed, attendance } = this.profile
+    document.getElementById('playerProfileName').textContent = player.name
+
+    const current = streaks.current_streak
+    const currentText = current.length > 0 ? `${current.length} trận ${current.result === 'win' ? 'thắng' : 'thua'}` : '-'
+    document.getElementById('playerProfileSummary').innerHTML = `
+      <div class="profile-stats">
+        <div class="profile-stat"><span class="profile-stat-value">${lifetime.total_matches}</span><span class="profile-stat-label">Số trận</span></div>
+        <div class="profile-stat"><span class="profile-stat-value">${lifetime.wins} - ${lifetime.losses}</span><span class="profile-stat-label">Thắng - Thua</span></div>
+        <div class="profile-stat"><span class="profile-stat-value">${lifetime.win_percentage}%</span><span class="profile-stat-label">Tỉ lệ thắng</span></div>
+        <div class="profile-stat"><span class="profile-stat-value">${lifetime.points}</span><span class="profile-stat-label">Điểm</span></div>
+        <div class="profile-stat"><span class="profile-stat-value">${lifetime.rating}</span><span class="profile-stat-label">Elo</span></div>
+      </div>
+      <div class="profile-meta">
+        <span>🔥 Chuỗi thắng dài nhất: <strong>${streaks.longest_win_streak}</strong></span>
+        <span>🧊 Chuỗi thua dài nhất: <strong>${streaks.longest_loss_streak}</strong></span>
+        <span>Hiện tại: <strong>${currentText}</strong></span>
+        <span>📅 ${firstPlayed ? `${this.formatDate(firstPlayed)} → ${this.formatDate(lastPlayed)}` : 'Chưa thi đấu'}</span>
+        ${attendance?.sessions > 0
+          ? `<span>🙋 Đi đánh: <strong>${attendance.attended}/${attendance.sessions}</strong> (${attendance.attendance_rate}%) · Báo có nhưng vắng: <strong>${attendance.no_shows}</strong></span>`
+          : ''}
+      </div>
+    `
+
+    document.getElementById('playerProfileSeasons').innerHTML = seasons.length === 0
+      ? '<tr><td colspan="7" class="player-detail-empty">Chưa có dữ liệu</td></tr>'
+      : seasons.map(season => `
+        <tr>
+          <td>${this.escapeHtml(season.season_name)}${season.is_active ? ' <span class="season-status active">Đang hoạt động</span>' : ''}</td>
+          <td>${season.total_matches}</td>
+          <td>${season.wins}</td>
+          <td>${season.losses}</td>
+          <td>${season.win_percentage}%</td>
+          <td>${season.points}</td>
+          <td>${season.rating}</td>
+        </tr>
+      `).join('')
+
+    this.renderProfileChart()
+  }
+
+  // Line chart (inline SVG) of Elo or cumulative points per play date
+  renderProfileChart() {
+    const container = document.getElementById('playerProfileChart')
+    if (!container || !this.profile) return
+    const metric = document.getElementById('playerProfileMetric')?.value || 'rating'
+    const points = this.profile.timeline.filter(day => day[metric] !== null && day[metric] !== undefined)
+    if (points.length < 2) {
+      container.innerHTML = '<p class="player-detail-empty">Chưa đủ dữ liệu để vẽ biểu đồ</p>'
+      return
+    }
+
+    const width = 600
+    const height = 180
+    const pad = 28
+    const values = points.map(day => day[metric])
+    const min = Math.min(...values)
+    const max = Math.max(...values)
+    const range = max - min || 1
+    const x = (index) => pad + (index * (width - pad * 2)) / (points.length - 1)
+    const y = (value) => height - pad - ((value - min) * (height - pad * 2)) / range
+    const line = points.map((day, index) => `${x(index).toFixed(1)},${y(day[metric]).toFixed(1)}`).join(' ')
+    const dots = points.map((day, index) =>
+      `<circle cx="${x(index).toFixed(1)}" cy="${y(day[metric]).toFixed(1)}" r="3"><title>${this.formatDate(day.play_date)}: ${day[metric]} (${day.wins}T/${day.losses}B)</title></circle>`
+    ).join('')
+
+    container.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Biểu đồ diễn biến">
+        <text x="4" y="${pad}" class="profile-chart-label">${max}</text>
+        <text x="4" y="${height - pad}" class="profile-chart-label">${min}</text>
+        <polyline points="${line}" class="profile-chart-line" />
+        ${dots}
+      </svg>
+      <div class="profile-chart-range"><span>${this.formatDate(points[0].play_date)}</span><span>${this.formatDate(points[points.length - 1].play_date)}</span></div>
+    `
+  }
+
+  // ========== Player Detail (partners / head-to-head) ==========
+  async openPlayerDetail(playerId) {
+    const player = this.players.find(p => p.id === playerId) || this.archivedPlayers.find(p => p.id === playerId)
+    if (!player) return
+    this.detailPlayerId = playerId
+
+    document.getElementById('playerDetailName').textContent = player.name
+    document.getElementById('playerDetailSeason').innerHTML = '<option value="">Tất cả mùa giải</option>' +
+      this.seasons.map(season => `<option value="${season.id}">${this.escapeHtml(season.name)}</option>`).join('')
+    document.getElementById('playerDetailFrom').value = ''
+    document.getElementById('playerDetailTo').value = ''
+    document.getElementById('playerH2HOpponent').innerHTML = '<option value="">Chọn đối thủ...</option>' +
+      this.players.filter(p => p.id !== playerId)
+        .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('')
+    document.getElementById('playerH2HResult').innerHTML = ''
+
+    this.showModal('playerDetailModal')
+    await this.loadPlayerDetail()
+  }
+
+  // ?seasonId=&from=&to= from the player detail filters
+  getPlayerDetailQuery() {
+    const params = new URLSearchParams()
+    const seasonId = document.getElementById('playerDetailSeason')?.value
+    const from = document.getElementById('playerDetailFrom')?.value
+    const to = document.getElementById('playerDetailTo')?.value
+    if (seasonId) params.set('seasonId', seasonId)
+    if (from) params.set('from', from)
+    if (to) params.set('to', to)
+    const query = params.toString()
+    return query ? `?${query}` : ''
+  }
+
+  async loadPlayerDetail() {
+    if (!this.detailPlayerId) return
+    await Promise.all([this.loadPlayerPartners(), this.loadHeadToHead()])
+  }
+
+  async loadPlayerPartners() {
+    const tbody = document.getElementById('playerPartnersBody')
+    if (!tbody) return
+    try {
+      const response = await fetch(`${this.apiBase}/players/${this.detailPlayerId}/partners${this.getPlayerDetailQuery()}`)
+      const data = await response.json()
+      if (!response.ok) {
+        tbody.innerHTML = `<tr><td colspan="6" class="player-detail-empty">${this.escapeHtml(data.error || 'Lỗi khi tải dữ liệu')}</td></tr>`
+        return
+      }
+      tbody.innerHTML = data.partners.length === 0
+        ? '<tr><td colspan="6" class="player-detail-empty">Chưa có trận đánh đôi</td></tr>'
+        : data.partners.map(partner => `
+          <tr>
+            <td><button type="button" class="player-name-text player-detail-link" data-player-id="${partner.partner_id}">${this.escapeHtml(partner.partner_name)}</button></td>
+            <td>${partner.matches}</td>
+            <td>${partner.wins}</td>
+            <td>${partner.losses}</td>
+            <td>${partner.win_percentage}%</td>
+            <td>${this.formatDate(partner.last_played)}</td>
+          </tr>
+        `).join('')
+    } catch (error) {
+      console.error('Error loading partners:', error)
+      tbody.innerHTML = '<tr><td colspan="6" class="player-detail-empty">Lỗi khi tải dữ liệu</td></tr>'
+    }
+  }
+
+  async loadHeadToHead() {
+    const container = document.getElementById('playerH2HResult')
+    const opponentId = document.getElementById('playerH2HOpponent')?.value
+    if (!container) return
+    if (!opponentId) {
+      container.innerHTML = ''
+      return
+    }
+
+    try {
+      const response = await fetch(`${this.apiBase}/players/${this.detailPlayerId}/head-to-head/${opponentId}${this.getPlayerDetailQuery()}`)
+      const data = await response.json()
+      if (!response.ok) {
+        container.innerHTML = `<p class="player-detail-empty">${this.escapeHtml(data.error || 'Lỗi khi tải dữ liệu')}</p>`
+        return
+      }
+
+      const { summary, playerA, playerB } = data
+      const setsLine = summary.player_a_sets + summary.player_b_sets > 0
+        ? `<div class="h2h-sets">Set ${summary.player_a_sets}-${summary.player_b_sets} · Game ${summary.player_a_games}-${summary.player_b_games}</div>`
+        : ''
+      const matchRows = data.matches.map(match => {
+        const won = match.winning_team === match.player_a_team
+        const team1 = [match.player1_name, match.player2_name].filter(Boolean).map(name => this.escapeHtml(name)).join(' & ')
+        const team2 = [match.player3_name, match.player4_name].filter(Boolean).map(name => this.escapeHtml(name)).join(' & ')
+        return `
+          <tr>
+            <td>${this.formatDate(match.play_date)}</td>
+            <td>${team1} vs ${team2}</td>
+            <td>${match.team1_score} - ${match.team2_score}${match.sets ? `<br><span class="set-scores">${this.escapeHtml(formatSets(match.sets))}</span>` : ''}</td>
+            <td><span class="form-dot ${won ? 'form-dot-win' : 'form-dot-loss'}" title="${won ? 'Thắng' : 'Thua'}"></span></td>
+          </tr>
+        `
+      }).join('')
+
+      container.innerHTML = `
+        <div class="h2h-summary">
+          <div class="h2h-score">
+            <span>${this.escapeHtml(playerA.name)}</span>
+            <strong>${summary.player_a_wins} - ${summary.player_b_wins}</strong>
+            <span>${this.escapeHtml(playerB.name)}</span>
+          </div>
+          <div class="h2h-meta">${summary.matches} trận (${summary.solo_matches} đơn, ${summary.duo_matches} đôi) · Tỉ lệ thắng ${summary.player_a_win_percentage}%</div>
+          ${setsLine}
+        </div>
+        ${summary.matches === 0 ? '<p class="player-detail-empty">Chưa từng đối đầu</p>' : `
+        <div class="table-container">
+          <table class="data-table">
+            <thead><tr><th>Ngày</th><th>Trận</th><th>Tỷ số</th><th>KQ</th></tr></thead>
+            <tbody>${matchRows}</tbody>
+          </table>
+        </div>`}
+      `
+    } catch (error) {
+      console.error('Error loading head-to-head:', error)
+      container.innerHTML = '<p class="player-detail-empty">Lỗi khi tải dữ liệu</p>'
+    }
+  }
+
   renderSeasons() {
     try {
       const container = document.getElementById('seasonsList')
@@ -1914,6 +3293,7 @@ class TennisRankingSystem {
           const autoEndInfo = season.auto_end && hasEndDate ? ` <span class="season-auto-end">(Tự động kết thúc)</span>` : ''
           const descriptionInfo = season.description ? `<p class="season-description">📝 ${this.escapeHtml(season.description)}</p>` : ''
           const loseMoneyInfo = `<p>💰 Tiền thua: ${this.formatMoney(season.lose_money_per_loss ?? 20000)}/trận</p>`
+          const scoringInfo = `<p>🎯 ${this.describeScoring(season)}</p>`
           
           html += `
             <div class="season-card active-season">
@@ -1925,9 +3305,11 @@ class TennisRankingSystem {
                 <p>📅 Từ: ${this.formatDate(season.start_date)}</p>
                 <p>🏁 Đến: ${endDateDisplay}${autoEndInfo}</p>
                 ${loseMoneyInfo}
+                ${scoringInfo}
                 ${descriptionInfo}
                 ${!hasEndDate ? `<p class="info-warning">⚠️ Cần kết thúc thủ công</p>` : ''}
               </div>
+              <button data-action="season-fixtures" data-id="${season.id}" class="btn btn-sm btn-ghost">📋 Lịch vòng tròn</button>
               ${userRole === 'admin' || userRole === 'editor' ? `
                 <div class="season-actions">
                   <button data-action="end-season" data-id="${season.id}" class="btn btn-sm btn-secondary">🏁 Kết thúc</button>
@@ -1956,6 +3338,7 @@ class TennisRankingSystem {
           const endedAtInfo = season.ended_at ? `<p>⏰ Kết thúc lúc: ${new Date(season.ended_at).toLocaleString('vi-VN')}</p>` : ''
           const endedByInfo = season.ended_by ? `<p>👤 Kết thúc bởi: ${this.escapeHtml(season.ended_by)}</p>` : ''
           const loseMoneyInfo = `<p>💰 Tiền thua: ${this.formatMoney(season.lose_money_per_loss ?? 20000)}/trận</p>`
+          const scoringInfo = `<p>🎯 ${this.describeScoring(season)}</p>`
           
           html += `
             <div class="season-card ended-season">
@@ -1967,10 +3350,12 @@ class TennisRankingSystem {
                 <p>📅 Từ: ${this.formatDate(season.start_date)}</p>
                 <p>🏁 Đến: ${endDateDisplay}</p>
                 ${loseMoneyInfo}
+                ${scoringInfo}
                 ${endedAtInfo}
                 ${endedByInfo}
                 ${descriptionInfo}
               </div>
+              <button data-action="season-fixtures" data-id="${season.id}" class="btn btn-sm btn-ghost">📋 Lịch vòng tròn</button>
               ${userRole === 'admin' || userRole === 'editor' ? `
                 <div class="season-actions">
                   <button data-action="reactivate-season" data-id="${season.id}" class="btn btn-sm btn-primary">✅ Kích hoạt lại</button>
@@ -1990,6 +3375,11 @@ class TennisRankingSystem {
       
       container.innerHTML = html
 
+      // League fixtures can be looked at by everyone
+      container.querySelectorAll('[data-action="season-fixtures"]').forEach(button => {
+        button.addEventListener('click', () => this.showSeasonFixtures(parseInt(button.dataset.id)))
+      })
+
       // Add event listeners for season actions
       if (userRole === 'admin' || userRole === 'editor') {
         container.querySelectorAll('[data-action]').forEach(button => {
@@ -2014,6 +3404,19 @@ class TennisRankingSystem {
     }
   }
 
+  describeScoring(season) {
+    const win = season.points_per_win ?? 4
+    const loss = season.points_per_loss ?? 1
+    let text = `Thắng ${win} điểm, thua ${loss} điểm`
+    if ((season.margin_bonus_threshold ?? 0) > 0 && (season.margin_bonus_points ?? 0) > 0) {
+      text += `, thắng cách ${season.margin_bonus_threshold}+ game +${season.margin_bonus_points}`
+    }
+    if ((season.no_show_penalty ?? 0) > 0) {
+      text += `, vắng mặt -${season.no_show_penalty}`
+    }
+    return text
+  }
+
   async renderRankings() {
     let rankings = []
     
@@ -2032,6 +3435,12 @@ class TennisRankingSystem {
         apiUrl = `${this.apiBase}/rankings/lifetime`
       }
       
+      // Points order is the default (and what /api/init preloads)
+      if (cacheKey && this.rankingSort === 'rating') {
+        cacheKey += ':rating'
+        apiUrl += '?sort=rating'
+      }
+      
       if (cacheKey) {
         // Use smart cache with type-specific TTL
         rankings = this.getCache('rankings', cacheKey)
@@ -2061,7 +3470,7 @@ class TennisRankingSystem {
     if (!tbody) return
     
     tbody.innerHTML = rankings.length === 0 
-      ? '<tr><td colspan="9" style="text-align: center; padding: 2rem; color: var(--text-muted);">Không có dữ liệu</td></tr>'
+      ? '<tr><td colspan="12" style="text-align: center; padding: 2rem; color: var(--text-muted);">Không có dữ liệu</td></tr>'
       : rankings.map((player, index) => {
         const balanceClass = player.money_balance > 0 ? 'positive' : (player.money_balance < 0 ? 'negative' : '')
         const balanceValue = player.money_balance || (player.money_won || 0) - (player.money_lost || 0)
@@ -2071,19 +3480,47 @@ class TennisRankingSystem {
         return `
           <tr>
             <td class="col-rank">${this.getRankEmoji(index + 1)}${index + 1}</td>
-            <td class="col-name">${this.escapeHtml(player.name)}</td>
+            <td class="col-name"><button type="button" class="player-name-text player-profile-link" data-player-id="${player.id}" title="Xem hồ sơ">${this.escapeHtml(player.name)}</button></td>
             <td class="col-form"><div class="form-dots">${formHtml || '-'}</div></td>
             <td>${player.total_matches || 0}</td>
             <td>${player.wins || 0}</td>
             <td>${player.losses || 0}</td>
             <td>${player.win_percentage || 0}%</td>
             <td class="col-points ${pointsClass}">${points}</td>
+            <td class="col-rating"${player.rated_matches !== undefined ? ` title="${player.rated_matches} trận tính Elo"` : ''}>${player.rating ?? '-'}</td>
+            <td class="col-sets">${this.renderSetStats(player)}</td>
             <td class="col-balance ${balanceClass}">${this.formatMoney(balanceValue)}</td>
+            ${this.renderOutstanding(player)}
+            ${this.currentViewMode === 'season' ? this.renderAttendanceRate(player) : ''}
           </tr>
         `
       }).join('')
   }
   
+  // Money still owed after payments (season and lifetime rankings; daily rows have no ledger)
+  renderOutstanding(player) {
+    if (player.money_outstanding === undefined || player.money_outstanding === null) {
+      return '<td class="col-outstanding">-</td>'
+    }
+    const outstanding = Number(player.money_outstanding)
+    const outstandingClass = outstanding > 0 ? 'negative' : (outstanding < 0 ? 'positive' : '')
+    return `<td class="col-outstanding ${outstandingClass}" title="Đã trả: ${this.formatMoney(Number(player.money_paid || 0))}">${outstanding === 0 ? '✓' : this.formatMoney(outstanding)}</td>`
+  }
+
+  // Announced dates attended in the season (season rankings only)
+  renderAttendanceRate(player) {
+    const attendance = player.attendance
+    if (!attendance || attendance.sessions === 0) return '<td class="col-attendance">-</td>'
+    const noShows = attendance.no_shows > 0 ? ` · ${attendance.no_shows} lần báo có nhưng vắng` : ''
+    return `<td class="col-attendance" title="${attendance.attendance_rate}%${noShows}">${attendance.attended}/${attendance.sessions}</td>`
+  }
+
+  // Sets won-lost with games below; only matches recorded set by set count
+  renderSetStats(player) {
+    if (!player.sets_won && !player.sets_lost) return '-'
+    return `${player.sets_won}-${player.sets_lost}<br><small title="Game thắng - thua">${player.games_won}-${player.games_lost}</small>`
+  }
+
   getRankEmoji(rank) {
     if (rank === 1) return '🥇 '
     if (rank === 2) return '🥈 '
@@ -2166,12 +3603,20 @@ class TennisRankingSystem {
           <tr>
             <td>${this.formatDate(match.play_date)}</td>
             <td class="${team1Class}">${this.escapeHtml(team1Players)} ${match.winning_team === 1 ? winnerBadge : ''}</td>
-            <td style="text-align: center; font-weight: 600;">${match.team1_score} - ${match.team2_score}</td>
+            <td style="text-align: center; font-weight: 600;">${match.team1_score} - ${match.team2_score}${match.sets ? `<br><span class="set-scores">${this.escapeHtml(formatSets(match.sets))}</span>` : ''}${match.no_show_team ? `<br><span class="no-show-badge">Đội ${match.no_show_team} vắng</span>` : ''}</td>
             <td class="${team2Class}">${this.escapeHtml(team2Players)} ${match.winning_team === 2 ? winnerBadge : ''}</td>
             <td>${this.formatMoney(matchMoney)}</td>
             ${canEdit ? `
               <td>
                 <div class="action-btns">
+                  ${userRole === 'admin' ? `
+                  <button class="btn btn-sm btn-icon match-audit-btn" data-match-id="${match.id}" title="Lịch sử thay đổi">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                      <circle cx="12" cy="12" r="10"/>
+                      <polyline points="12 6 12 12 16 14"/>
+                    </svg>
+                  </button>
+                  ` : ''}
                   <button class="btn btn-sm btn-icon edit-match-btn" data-match-id="${match.id}" title="Sửa">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                       <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
@@ -2205,13 +3650,95 @@ class TennisRankingSystem {
           this.deleteMatch(matchId)
         })
       })
+      container.querySelectorAll('.match-audit-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          this.showMatchAuditHistory(parseInt(btn.dataset.matchId))
+        })
+      })
     }
   }
 
-  updatePlayerSelects() {
+  // Who changed a match and what changed (admin only, from the audit log)
+  async showMatchAuditHistory(matchId) {
+    const body = document.getElementById('auditHistoryBody')
+    document.getElementById('auditHistoryTitle').textContent = `🕘 Lịch sử thay đổi trận #${matchId}`
+    body.innerHTML = '<p class="player-detail-empty">Đang tải...</p>'
+    this.showModal('auditHistoryModal')
+
     try {
-      // Filter players by selected season if a season is selected
-      let availablePlayers = this.players
+      const response = await fetch(`${this.apiBase}/admin/audit?entityType=match&entityId=${matchId}&limit=200`, {
+        credentials: 'include'
+      })
+      if (!response.ok) {
+        body.innerHTML = '<p class="player-detail-empty">Không thể tải lịch sử thay đổi</p>'
+        return
+      }
+      const { entries } = await response.json()
+      body.innerHTML = entries.length === 0
+        ? '<p class="player-detail-empty">Chưa có thay đổi nào được ghi lại cho trận này</p>'
+        : entries.map(entry => this.renderAuditEntry(entry)).join('')
+    } catch (error) {
+      console.error('Error loading audit history:', error)
+      body.innerHTML = '<p class="player-detail-empty">Lỗi kết nối server</p>'
+    }
+  }
+
+  renderAuditEntry(entry) {
+    const actions = { create: 'Tạo', update: 'Sửa', delete: 'Xóa', restore: 'Khôi phục', import: 'Nhập từ file' }
+    const labels = {
+      play_date: 'Ngày đánh',
+      season_name: 'Mùa giải',
+      match_type: 'Loại trận',
+      player1_name: 'Người chơi 1',
+      player2_name: 'Người chơi 2',
+      player3_name: 'Người chơi 3',
+      player4_name: 'Người chơi 4',
+      team1_score: 'Tỷ số đội 1',
+      team2_score: 'Tỷ số đội 2',
+      winning_team: 'Đội thắng',
+      sets: 'Tỷ số từng set',
+      no_show_team: 'Đội vắng',
+      lose_money_per_loss: 'Tiền thua'
+    }
+    const formatValue = (field, value) => {
+      if (value === null || value === undefined || value === '') return '—'
+      if (field === 'sets') return formatSets(value)
+      if (field === 'lose_money_per_loss') return this.formatMoney(value)
+      return String(value)
+    }
+    // Ids and derived totals repeat what the labelled fields already show
+    const fields = changedFields(entry.before_data, entry.after_data).filter(field => labels[field])
+    const when = new Date(entry.created_at).toLocaleString('vi-VN')
+
+    return `
+      <div class="audit-entry">
+        <div class="audit-entry-header">
+          <span class="audit-action audit-action-${this.escapeHtml(entry.action)}">${actions[entry.action] || this.escapeHtml(entry.action)}</span>
+          <strong>${this.escapeHtml(entry.actor_username)}</strong>
+          <span class="audit-time">${this.escapeHtml(when)}</span>
+        </div>
+        ${fields.length > 0 ? `
+          <table class="data-table audit-changes">
+            <tbody>
+              ${fields.map(field => `
+                <tr>
+                  <td>${labels[field]}</td>
+                  <td>${this.escapeHtml(formatValue(field, entry.before_data?.[field]))}</td>
+                  <td>→</td>
+                  <td>${this.escapeHtml(formatValue(field, entry.after_data?.[field]))}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+      </div>
+    `
+  }
+
+  updatePlayerSelects() {
+    try {
+      // Filter players by selected season if a season is selected
+      let availablePlayers = this.players
       
       if (this.selectedMatchSeason && this.seasonPlayers.length > 0) {
         // Only show players who are allowed in this season
@@ -2439,6 +3966,11 @@ class TennisRankingSystem {
     document.getElementById('seasonId').value = seasonId || ''
     document.getElementById('seasonName').value = season ? season.name : ''
     document.getElementById('seasonLoseMoney').value = season ? (season.lose_money_per_loss ?? 20000) : 20000
+    document.getElementById('seasonPointsPerWin').value = season?.points_per_win ?? 4
+    document.getElementById('seasonPointsPerLoss').value = season?.points_per_loss ?? 1
+    document.getElementById('seasonNoShowPenalty').value = season?.no_show_penalty ?? 0
+    document.getElementById('seasonMarginBonusThreshold').value = season?.margin_bonus_threshold ?? 0
+    document.getElementById('seasonMarginBonusPoints').value = season?.margin_bonus_points ?? 0
     document.getElementById('seasonStartDate').value = season ? season.start_date : ''
     document.getElementById('seasonEndDate').value = season ? (season.end_date || '') : ''
     document.getElementById('seasonDescription').value = season ? (season.description || '') : ''
@@ -2513,6 +4045,17 @@ class TennisRankingSystem {
     const endDate = document.getElementById('seasonEndDate').value || null
     const autoEnd = document.getElementById('seasonAutoEnd').checked
     const loseMoneyPerLoss = parseInt(document.getElementById('seasonLoseMoney').value) || 20000
+    const readPoints = (id, fallback) => {
+      const value = parseInt(document.getElementById(id).value)
+      return isNaN(value) ? fallback : value
+    }
+    const scoring = {
+      pointsPerWin: readPoints('seasonPointsPerWin', 4),
+      pointsPerLoss: readPoints('seasonPointsPerLoss', 1),
+      noShowPenalty: readPoints('seasonNoShowPenalty', 0),
+      marginBonusThreshold: readPoints('seasonMarginBonusThreshold', 0),
+      marginBonusPoints: readPoints('seasonMarginBonusPoints', 0)
+    }
     const errorDiv = document.getElementById('seasonError')
     
     // Get selected players
@@ -2536,9 +4079,14 @@ class TennisRankingSystem {
       return
     }
     
+    if (Object.values(scoring).some(value => value < 0 || value > 100)) {
+      if (errorDiv) errorDiv.textContent = 'Điểm phải nằm trong khoảng 0 - 100'
+      return
+    }
+    
     const result = isEdit ? 
-      await this.updateSeason(seasonId, name, description, startDate, endDate, autoEnd, loseMoneyPerLoss, selectedPlayers) :
-      await this.createSeason(name, description, startDate, endDate, autoEnd, loseMoneyPerLoss, selectedPlayers)
+      await this.updateSeason(seasonId, name, description, startDate, endDate, autoEnd, loseMoneyPerLoss, selectedPlayers, scoring) :
+      await this.createSeason(name, description, startDate, endDate, autoEnd, loseMoneyPerLoss, selectedPlayers, scoring)
     
     if (result.success) {
       this.hideModal('seasonModal')
@@ -2565,7 +4113,7 @@ class TennisRankingSystem {
     }
   }
 
-  async createSeason(name, description, startDate, endDate, autoEnd, loseMoneyPerLoss = 20000, playerIds = []) {
+  async createSeason(name, description, startDate, endDate, autoEnd, loseMoneyPerLoss = 20000, playerIds = [], scoring = {}) {
     try {
       const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons`, {
         method: 'POST',
@@ -2576,7 +4124,8 @@ class TennisRankingSystem {
           endDate,
           autoEnd,
           loseMoneyPerLoss,
-          playerIds
+          playerIds,
+          ...scoring
         })
       })
 
@@ -2597,12 +4146,12 @@ class TennisRankingSystem {
     }
   }
 
-  async updateSeason(seasonId, name, description, startDate, endDate, autoEnd, loseMoneyPerLoss = null, playerIds = null) {
+  async updateSeason(seasonId, name, description, startDate, endDate, autoEnd, loseMoneyPerLoss = null, playerIds = null, scoring = {}) {
     try {
-      // Update season details
+      // Update season details (the server recomputes stats if scoring changed)
       const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons/${seasonId}`, {
         method: 'PUT',
-        body: JSON.stringify({ name, description, startDate, endDate, autoEnd, loseMoneyPerLoss })
+        body: JSON.stringify({ name, description, startDate, endDate, autoEnd, loseMoneyPerLoss, ...scoring })
       })
 
       const data = await response.json()
@@ -2628,7 +4177,11 @@ class TennisRankingSystem {
       await this.loadSeasons()
       this.renderSeasons()
       this.updateSeasonSelector()
-      return { success: true, message: 'Đã cập nhật mùa giải thành công' }
+      if (data.recomputed) this.renderRankings()
+      return {
+        success: true,
+        message: data.recomputed ? 'Đã cập nhật mùa giải và tính lại bảng xếp hạng' : 'Đã cập nhật mùa giải thành công'
+      }
     } catch (error) {
       console.error('Error updating season:', error)
       return { success: false, message: 'Lỗi khi cập nhật mùa giải' }
@@ -2742,8 +4295,8 @@ class TennisRankingSystem {
     // Show confirmation dialog
     const confirmDelete = confirm(
       `Bạn có chắc chắn muốn xóa mùa giải "${season.name}"?\n\n` +
-      `⚠️ CẢNH BÁO: Tất cả dữ liệu trận đấu và thống kê liên quan đến mùa giải này sẽ bị xóa vĩnh viễn!\n\n` +
-      `Hành động này không thể hoàn tác.`
+      `⚠️ Mùa giải cùng toàn bộ trận đấu của nó sẽ được chuyển vào thùng rác.\n\n` +
+      `Admin có thể khôi phục lại từ mục Thùng rác trước khi hết hạn.`
     )
 
     if (!confirmDelete) {
@@ -2776,7 +4329,7 @@ class TennisRankingSystem {
           await this.switchViewMode('lifetime')
         }
         
-        this.updateFileStatus(`✅ Đã xóa mùa giải "${season.name}" thành công`, 'success')
+        this.updateFileStatus(`✅ Đã chuyển mùa giải "${season.name}" vào thùng rác`, 'success')
       } else {
         this.updateFileStatus(`❌ ${data.error || 'Lỗi khi xóa mùa giải'}`, 'error')
       }
@@ -2882,6 +4435,119 @@ class TennisRankingSystem {
   }
   
   // Restore database from JSON backup
+  // ========== Match Import (Excel/CSV) ==========
+
+  async selectImportFile(event) {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    this.importFile = file
+    document.getElementById('importCreateMissing').checked = false
+    await this.previewImport()
+  }
+
+  // The file goes as the raw request body; the server detects .xlsx vs .csv
+  async sendImportFile(dryRun) {
+    const createMissing = document.getElementById('importCreateMissing').checked
+    const response = await this.makeAuthenticatedRequest(
+      `${this.apiBase}/import/matches?dryRun=${dryRun}&createMissing=${createMissing}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': this.importFile.type || 'application/octet-stream' },
+        body: this.importFile
+      }
+    )
+    return { response, data: await response.json() }
+  }
+
+  async previewImport() {
+    if (!this.importFile) return
+    try {
+      const { response, data } = await this.sendImportFile(true)
+      if (!response.ok) {
+        this.showToast(data.details?.[0]?.msg || data.error || 'Không đọc được file', 'error')
+        return
+      }
+      this.renderImportPreview(data)
+      this.showModal('importPreviewModal')
+    } catch (error) {
+      console.error('Error previewing import:', error)
+      this.showToast('Lỗi khi đọc file', 'error')
+    }
+  }
+
+  renderImportPreview({ rows, summary, unknownPlayers, unknownSeasons }) {
+    const statuses = {
+      ok: { label: 'Sẽ nhập', className: 'import-status-ok' },
+      duplicate: { label: 'Trùng', className: 'import-status-duplicate' },
+      error: { label: 'Lỗi', className: 'import-status-error' }
+    }
+    const team = (a, b) => [a, b].filter(Boolean).map(name => this.escapeHtml(name)).join(' & ')
+
+    document.getElementById('importSummary').textContent =
+      `${summary.total} dòng: ${summary.ok} sẽ nhập, ${summary.duplicate} trùng, ${summary.error} lỗi`
+    const unknown = [
+      unknownPlayers.length ? `Người chơi chưa có: ${unknownPlayers.join(', ')}` : '',
+      unknownSeasons.length ? `Mùa giải chưa có: ${unknownSeasons.map(season => season.name).join(', ')}` : ''
+    ].filter(Boolean).join('. ')
+    document.getElementById('importUnknownNames').textContent = unknown
+    document.getElementById('importError').textContent = ''
+
+    document.getElementById('importPreviewBody').innerHTML = rows.map(({ row, status, errors, match }) => `
+      <tr class="${statuses[status].className}">
+        <td>${row}</td>
+        <td><span class="import-status">${statuses[status].label}</span></td>
+        <td>${this.escapeHtml(match.seasonName || '')}</td>
+        <td>${match.playDate ? this.formatDate(match.playDate) : ''}</td>
+        <td>${team(match.player1Name, match.player2Name)}</td>
+        <td>${team(match.player3Name, match.player4Name)}</td>
+        <td>${match.score ? this.escapeHtml(formatSets(match.score.sets)) : (match.team1Score ?? '') + ' - ' + (match.team2Score ?? '')}</td>
+        <td>${errors.map(error => this.escapeHtml(error)).join('<br>') || (status === 'duplicate' ? 'Đã có trận này' : '')}</td>
+      </tr>
+    `).join('')
+
+    const confirmBtn = document.getElementById('confirmImport')
+    confirmBtn.textContent = `Nhập ${summary.ok} trận`
+    confirmBtn.disabled = summary.ok === 0
+  }
+
+  async confirmImport() {
+    if (!this.importFile) return
+    const errorDiv = document.getElementById('importError')
+    const confirmBtn = document.getElementById('confirmImport')
+    confirmBtn.disabled = true
+    try {
+      const { response, data } = await this.sendImportFile(false)
+      if (!response.ok) {
+        errorDiv.textContent = data.details?.[0]?.msg || data.error || 'Lỗi khi nhập trận đấu'
+        confirmBtn.disabled = false
+        return
+      }
+
+      this.hideModal('importPreviewModal')
+      this.importFile = null
+      this.showToast(`Đã nhập ${data.imported} trận đấu`, 'success')
+
+      // New players and seasons may have been created
+      this.clearCache()
+      await this.loadPlayers()
+      await this.loadSeasons()
+      await this.loadMatches()
+      await this.loadPlayDates()
+      this.renderRankings()
+      this.renderMatchHistory()
+      this.renderSeasons()
+      this.updatePlayerSelects()
+      this.updateSeasonSelector()
+      this.updateDateSelector()
+      this.updateSeasonSelect()
+    } catch (error) {
+      console.error('Error importing matches:', error)
+      errorDiv.textContent = 'Lỗi khi nhập trận đấu'
+      confirmBtn.disabled = false
+    }
+  }
+
   async restoreFromJson(event) {
     const file = event.target.files?.[0]
     if (!file) return
@@ -3370,6 +5036,18 @@ class TennisRankingSystem {
     }
   }
 
+  // Options for an edit-match player select; archived players are no longer in
+  // this.players, so the match's own player is added to keep the selection intact
+  editPlayerOptions(match, slot) {
+    const selectedId = match[`player${slot}_id`]
+    const players = this.players.some(p => p.id === selectedId)
+      ? this.players
+      : [...this.players, { id: selectedId, name: match[`player${slot}_name`] }]
+    return players.map(player =>
+      `<option value="${player.id}" ${player.id === selectedId ? 'selected' : ''}>${this.escapeHtml(player.name)}</option>`
+    ).join('')
+  }
+
   async editMatch(matchId) {
     if (!this.isAuthenticated) {
       this.showToast('Cần đăng nhập để sửa trận đấu', 'error')
@@ -3412,7 +5090,7 @@ class TennisRankingSystem {
         `📊 ${matchInfo.team1_score} - ${matchInfo.team2_score}\n\n` :
         ''
       ) +
-      `Hành động này không thể hoàn tác.`
+      `Trận đấu sẽ được chuyển vào thùng rác và admin có thể khôi phục lại.`
     )
 
     if (!confirmDelete) return
@@ -3431,7 +5109,7 @@ class TennisRankingSystem {
         this.renderRankings()
         this.renderMatchHistory()
         this.updateDateSelector()
-        this.showToast('Đã xóa trận đấu thành công', 'success')
+        this.showToast('Đã chuyển trận đấu vào thùng rác', 'success')
       } else {
         this.showToast(data.error || 'Lỗi khi xóa trận đấu', 'error')
       }
@@ -3501,18 +5179,14 @@ class TennisRankingSystem {
               <div class="form-group">
                 <label for="editPlayer1">${isSolo ? 'Người chơi' : 'Người chơi 1'}</label>
                 <select id="editPlayer1" required>
-                  ${this.players.map(player => 
-                    `<option value="${player.id}" ${player.id === match.player1_id ? 'selected' : ''}>${this.escapeHtml(player.name)}</option>`
-                  ).join('')}
+                  ${this.editPlayerOptions(match, 1)}
                 </select>
               </div>
               ${!isSolo ? `
               <div class="form-group">
                 <label for="editPlayer2">Người chơi 2</label>
                 <select id="editPlayer2" required>
-                  ${this.players.map(player => 
-                    `<option value="${player.id}" ${player.id === match.player2_id ? 'selected' : ''}>${this.escapeHtml(player.name)}</option>`
-                  ).join('')}
+                  ${this.editPlayerOptions(match, 2)}
                 </select>
               </div>
               ` : ''}
@@ -3533,18 +5207,14 @@ class TennisRankingSystem {
               <div class="form-group">
                 <label for="editPlayer3">${isSolo ? 'Người chơi' : 'Người chơi 3'}</label>
                 <select id="editPlayer3" required>
-                  ${this.players.map(player => 
-                    `<option value="${player.id}" ${player.id === match.player3_id ? 'selected' : ''}>${this.escapeHtml(player.name)}</option>`
-                  ).join('')}
+                  ${this.editPlayerOptions(match, 3)}
                 </select>
               </div>
               ${!isSolo ? `
               <div class="form-group">
                 <label for="editPlayer4">Người chơi 4</label>
                 <select id="editPlayer4" required>
-                  ${this.players.map(player => 
-                    `<option value="${player.id}" ${player.id === match.player4_id ? 'selected' : ''}>${this.escapeHtml(player.name)}</option>`
-                  ).join('')}
+                  ${this.editPlayerOptions(match, 4)}
                 </select>
               </div>
               ` : ''}
@@ -3573,6 +5243,20 @@ class TennisRankingSystem {
             </select>
           </div>
 
+          <div class="form-group">
+            <label for="editSetScores">Tỷ số từng set</label>
+            <input type="text" id="editSetScores" value="${this.escapeHtml(formatSets(match.sets))}" placeholder="VD: 6-4 3-6 10-7" autocomplete="off">
+          </div>
+
+          <div class="form-group">
+            <label for="editNoShowTeam">Vắng mặt</label>
+            <select id="editNoShowTeam">
+              <option value="" ${!match.no_show_team ? 'selected' : ''}>Không</option>
+              <option value="1" ${match.no_show_team === 1 ? 'selected' : ''}>${isSolo ? 'Người chơi 1' : 'Đội 1'} vắng</option>
+              <option value="2" ${match.no_show_team === 2 ? 'selected' : ''}>${isSolo ? 'Đối thủ' : 'Đội 2'} vắng</option>
+            </select>
+          </div>
+
           <div id="editMatchError" class="error-message"></div>
         </form>
         <div class="modal-footer">
@@ -3617,10 +5301,30 @@ class TennisRankingSystem {
       const player3Id = parseInt(document.getElementById('editPlayer3').value)
       const player4Select = document.getElementById('editPlayer4')
       const player4Id = player4Select ? parseInt(player4Select.value) : null
-      const team1Score = parseInt(document.getElementById('editTeam1Score').value)
-      const team2Score = parseInt(document.getElementById('editTeam2Score').value)
-      const winningTeam = parseInt(document.getElementById('editWinningTeam').value)
+      let team1Score = parseInt(document.getElementById('editTeam1Score').value)
+      let team2Score = parseInt(document.getElementById('editTeam2Score').value)
+      let winningTeam = parseInt(document.getElementById('editWinningTeam').value)
+      const noShowTeam = parseInt(document.getElementById('editNoShowTeam').value) || null
       const errorDiv = document.getElementById('editMatchError')
+
+      // A set-by-set score overrides the team scores; clearing it removes the stored sets
+      let sets = null
+      const setScoresText = document.getElementById('editSetScores').value.trim()
+      if (setScoresText) {
+        if (noShowTeam) {
+          errorDiv.textContent = 'Trận vắng mặt không có tỷ số set'
+          return
+        }
+        try {
+          const score = parseSets(parseSetsText(setScoresText))
+          sets = score.sets
+          ;({ team1Score, team2Score } = legacyScore(score))
+          winningTeam = score.winningTeam
+        } catch (error) {
+          errorDiv.textContent = `Tỷ số set không hợp lệ: ${error.message}`
+          return
+        }
+      }
       
       // Validation
       if (!playDate || !seasonId || !player1Id || !player3Id || 
@@ -3653,6 +5357,11 @@ class TennisRankingSystem {
         return
       }
 
+      if (noShowTeam && noShowTeam === winningTeam) {
+        errorDiv.textContent = 'Đội vắng mặt không thể là đội thắng'
+        return
+      }
+
       try {
         const response = await this.makeAuthenticatedRequest(`${this.apiBase}/matches/${match.id}`, {
           method: 'PUT',
@@ -3666,7 +5375,9 @@ class TennisRankingSystem {
             team1Score,
             team2Score,
             winningTeam,
-            matchType: isSolo ? 'solo' : 'duo'
+            matchType: isSolo ? 'solo' : 'duo',
+            noShowTeam,
+            sets
           })
         })
 
@@ -3701,6 +5412,24 @@ class TennisRankingSystem {
     })
   }
 
+  // Fill team scores and the winner from the set-by-set input when it is a complete score
+  updateScoreFromSets() {
+    const text = document.getElementById('setScores')?.value.trim()
+    if (!text) return
+    let score
+    try {
+      score = parseSets(parseSetsText(text))
+    } catch {
+      return // Still typing or invalid; recordMatch reports the error
+    }
+    const { team1Score, team2Score } = legacyScore(score)
+    document.getElementById('team1Score').value = team1Score
+    document.getElementById('team2Score').value = team2Score
+    const winnerSelect = document.getElementById('winner')
+    if (winnerSelect) winnerSelect.value = score.winningTeam === 1 ? 'team1' : 'team2'
+    this.currentWinningTeam = score.winningTeam
+  }
+
   // Auto-winner detection based on scores - works for both duo and solo modes
   updateAutoWinner() {
     if (this.isManualWinnerMode) return // Don't auto-update if in manual mode
@@ -4029,6 +5758,1133 @@ class TennisRankingSystem {
   }
 
   // ========== Cache Status Display (Admin Only) ==========
+  // ── Play dates & attendance (Lịch Đánh tab) ──────────────────────────────
+
+  async renderSchedule() {
+    const seasonSelect = document.getElementById('playSessionSeason')
+    if (seasonSelect) {
+      const selected = seasonSelect.value
+      seasonSelect.innerHTML = '<option value="">-- Tất cả người chơi --</option>' +
+        this.seasons.filter(s => s.is_active)
+          .map(season => `<option value="${season.id}">${this.escapeHtml(season.name)}</option>`).join('')
+      seasonSelect.value = selected
+    }
+    await this.renderPlaySessions()
+    await this.renderAttendance()
+    await this.renderCalendarLinks()
+  }
+
+  // Announced dates from a week ago on; the first upcoming one is opened by default
+  async renderPlaySessions() {
+    const container = document.getElementById('playSessionList')
+    if (!container) return
+
+    const today = new Date().toISOString().split('T')[0]
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+    const canEdit = this.user?.role === 'admin' || this.user?.role === 'editor'
+    try {
+      const response = await fetch(`${this.apiBase}/attendance/sessions?from=${weekAgo}`, { credentials: 'include' })
+      if (!response.ok) {
+        container.innerHTML = '<p class="form-hint">Không thể tải lịch đánh</p>'
+        return
+      }
+      const sessions = await response.json()
+      if (!this.attendanceDate) {
+        this.attendanceDate = sessions.find(session => session.play_date >= today)?.play_date || today
+      }
+
+      container.innerHTML = sessions.length === 0
+        ? '<p class="form-hint">Chưa có ngày đánh nào được thông báo</p>'
+        : sessions.map(session => `
+          <div class="play-session-item${session.play_date === this.attendanceDate ? ' active' : ''}${session.play_date < today ? ' past' : ''}" data-date="${session.play_date}">
+            <div class="play-session-date">${this.formatDate(session.play_date)}</div>
+            <div class="play-session-info">
+              ${session.start_time ? `<span>🕖 ${session.start_time}${session.end_time ? `–${session.end_time}` : ''}</span>` : ''}
+              ${session.venue ? `<span>📍 ${this.escapeHtml(session.venue)}</span>` : ''}
+              ${session.season_name ? `<span>${this.escapeHtml(session.season_name)}</span>` : ''}
+              ${session.note ? `<span>${this.escapeHtml(session.note)}</span>` : ''}
+            </div>
+            <div class="play-session-counts" title="Có / Có thể / Không / Đã điểm danh">
+              ✅ ${session.available_count} · ❓ ${session.maybe_count} · ❌ ${session.unavailable_count} · 🙋 ${session.checked_in_count}
+            </div>
+            ${canEdit ? `<button type="button" class="btn btn-sm btn-ghost delete-session-btn" data-date="${session.play_date}" title="Hủy thông báo">✕</button>` : ''}
+          </div>
+        `).join('')
+    } catch (error) {
+      console.error('Error loading play sessions:', error)
+      container.innerHTML = '<p class="form-hint">Lỗi kết nối server</p>'
+    }
+  }
+
+  // Who answered what for the selected date, who checked in or played
+  async renderAttendance() {
+    const tbody = document.getElementById('attendanceTableBody')
+    if (!tbody || !this.attendanceDate) return
+
+    const dateInput = document.getElementById('attendanceDateInput')
+    if (dateInput) dateInput.value = this.attendanceDate
+    try {
+      const response = await fetch(`${this.apiBase}/attendance/${this.attendanceDate}`, { credentials: 'include' })
+      if (!response.ok) {
+        tbody.innerHTML = '<tr><td colspan="3" class="text-center">Không thể tải điểm danh</td></tr>'
+        return
+      }
+      this.drawAttendance(await response.json())
+    } catch (error) {
+      console.error('Error loading attendance:', error)
+      tbody.innerHTML = '<tr><td colspan="3" class="text-center">Lỗi kết nối server</td></tr>'
+    }
+  }
+
+  drawAttendance({ date, session, players, counts }) {
+    const canEdit = this.user?.role === 'admin' || this.user?.role === 'editor'
+    const answers = [['available', '✅ Có'], ['maybe', '❓ Có thể'], ['unavailable', '❌ Không']]
+
+    document.getElementById('attendanceTitle').textContent =
+      `Điểm danh ${this.formatDate(date)}${session ? '' : ' (chưa thông báo)'}`
+    document.getElementById('attendanceCounts').textContent =
+      `✅ ${counts.available} · ❓ ${counts.maybe} · ❌ ${counts.unavailable} · Chưa trả lời ${counts.no_answer} · Có mặt ${counts.present}`
+
+    document.getElementById('attendanceTableBody').innerHTML = players.length === 0
+      ? '<tr><td colspan="3" class="text-center">Không có người chơi</td></tr>'
+      : players.map(player => `
+        <tr>
+          <td>${this.escapeHtml(player.name)}</td>
+          <td>
+            ${this.isAuthenticated
+              ? `<div class="availability-btns">${answers.map(([value, label]) => `
+                <button type="button" class="btn btn-sm ${player.availability === value ? 'btn-primary' : 'btn-ghost'} availability-btn"
+                  data-player-id="${player.player_id}" data-availability="${player.availability === value ? '' : value}">${label}</button>`).join('')}
+              </div>`
+              : (answers.find(([value]) => value === player.availability)?.[1] || '-')}
+          </td>
+          <td>
+            ${player.played ? '<span class="attendance-played" title="Có trận đấu trong ngày">🎾</span>' : ''}
+            ${canEdit
+              ? `<button type="button" class="btn btn-sm ${player.checked_in ? 'btn-primary' : 'btn-ghost'} check-in-btn"
+                  data-player-id="${player.player_id}" data-checked-in="${player.checked_in ? 'false' : 'true'}">${player.checked_in ? '🙋 Đã đến' : 'Điểm danh'}</button>`
+              : (player.checked_in ? '🙋' : '')}
+          </td>
+        </tr>
+      `).join('')
+  }
+
+  async selectAttendanceDate(date) {
+    if (!date) return
+    this.attendanceDate = date
+    document.querySelectorAll('.play-session-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.date === date)
+    })
+    await this.renderAttendance()
+  }
+
+  async announcePlaySession() {
+    const playDate = document.getElementById('playSessionDate').value
+    const seasonId = document.getElementById('playSessionSeason').value
+    const startTime = document.getElementById('playSessionStart').value
+    const endTime = document.getElementById('playSessionEnd').value
+    const venue = document.getElementById('playSessionVenue').value.trim()
+    const note = document.getElementById('playSessionNote').value.trim()
+    if (!playDate) {
+      this.showToast('Vui lòng chọn ngày đánh', 'warning')
+      return
+    }
+    if (endTime && !startTime) {
+      this.showToast('Vui lòng nhập giờ bắt đầu', 'warning')
+      return
+    }
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/attendance/sessions`, {
+        method: 'POST',
+        body: JSON.stringify({
+          playDate,
+          seasonId: seasonId ? parseInt(seasonId) : null,
+          startTime: startTime || null,
+          endTime: endTime || null,
+          venue: venue || null,
+          note: note || null
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi thông báo ngày đánh', 'error')
+        return
+      }
+      document.getElementById('playSessionNote').value = ''
+      this.attendanceDate = playDate
+      await this.renderSchedule()
+      this.showToast(`Đã thông báo ngày đánh ${this.formatDate(playDate)}`, 'success')
+    } catch (error) {
+      console.error('Error announcing play date:', error)
+      this.showToast('Lỗi kết nối khi thông báo ngày đánh', 'error')
+    }
+  }
+
+  async deletePlaySession(date) {
+    if (!confirm(`Hủy thông báo ngày đánh ${this.formatDate(date)}? Các câu trả lời và điểm danh vẫn được giữ.`)) return
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/attendance/sessions/${date}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi hủy thông báo', 'error')
+        return
+      }
+      await this.renderSchedule()
+      this.showToast('Đã hủy thông báo', 'success')
+    } catch (error) {
+      console.error('Error deleting play date:', error)
+      this.showToast('Lỗi kết nối khi hủy thông báo', 'error')
+    }
+  }
+
+  // Players with a calendar feed (editors); the URL itself is only shown when created
+  async renderCalendarLinks() {
+    const container = document.getElementById('calendarLinkList')
+    const canEdit = this.user?.role === 'admin' || this.user?.role === 'editor'
+    if (!container || !canEdit) return
+
+    const playerSelect = document.getElementById('calendarPlayer')
+    const selected = playerSelect.value
+    playerSelect.innerHTML = '<option value="">-- Chọn người chơi --</option>' +
+      this.players.map(player => `<option value="${player.id}">${this.escapeHtml(player.name)}</option>`).join('')
+    playerSelect.value = selected
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/calendar/tokens`)
+      if (!response.ok) {
+        container.innerHTML = '<p class="form-hint">Không thể tải danh sách lịch</p>'
+        return
+      }
+      const links = await response.json()
+      container.innerHTML = links.length === 0
+        ? '<p class="form-hint">Chưa có ai có đường dẫn lịch</p>'
+        : links.map(link => `
+          <div class="play-session-item">
+            <div class="play-session-date">${this.escapeHtml(link.player_name)}</div>
+            <div class="play-session-info">
+              <span>Tạo ${this.formatDate(link.created_at)}</span>
+              <span>${link.last_used_at ? `Đồng bộ lần cuối ${this.formatDate(link.last_used_at)}` : 'Chưa đồng bộ'}</span>
+            </div>
+            <button type="button" class="btn btn-sm btn-ghost revoke-calendar-btn" data-player-id="${link.player_id}"
+              data-name="${this.escapeHtml(link.player_name)}" title="Thu hồi đường dẫn">✕</button>
+          </div>
+        `).join('')
+    } catch (error) {
+      console.error('Error loading calendar links:', error)
+      container.innerHTML = '<p class="form-hint">Lỗi kết nối server</p>'
+    }
+  }
+
+  async createCalendarLink() {
+    const playerId = document.getElementById('calendarPlayer').value
+    if (!playerId) {
+      this.showToast('Vui lòng chọn người chơi', 'warning')
+      return
+    }
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/calendar/tokens`, {
+        method: 'POST',
+        body: JSON.stringify({ playerId: parseInt(playerId) })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi tạo đường dẫn lịch', 'error')
+        return
+      }
+      // The API base already carries the subpath; webcal:// opens the subscribe dialog on phones
+      const url = new URL(`${this.apiBase}/calendar/${data.token}.ics`, window.location.href).href
+      document.getElementById('calendarLinkUrl').value = url
+      document.getElementById('calendarSubscribeLink').href = url.replace(/^https?:/, 'webcal:')
+      document.getElementById('calendarLinkResult').style.display = ''
+      await this.renderCalendarLinks()
+      this.showToast('Đã tạo đường dẫn lịch', 'success')
+    } catch (error) {
+      console.error('Error creating calendar link:', error)
+      this.showToast('Lỗi kết nối khi tạo đường dẫn lịch', 'error')
+    }
+  }
+
+  async revokeCalendarLink(playerId, name) {
+    if (!confirm(`Thu hồi đường dẫn lịch của ${name}? Ứng dụng lịch đã đăng ký sẽ ngừng cập nhật.`)) return
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/calendar/tokens/${playerId}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi thu hồi đường dẫn lịch', 'error')
+        return
+      }
+      document.getElementById('calendarLinkResult').style.display = 'none'
+      await this.renderCalendarLinks()
+      this.showToast('Đã thu hồi đường dẫn lịch', 'success')
+    } catch (error) {
+      console.error('Error revoking calendar link:', error)
+      this.showToast('Lỗi kết nối khi thu hồi đường dẫn lịch', 'error')
+    }
+  }
+
+  // availability '' clears the answer; checkedIn toggles the check-in (editors)
+  async updateAttendance(playerId, change) {
+    const path = 'checkedIn' in change ? `${playerId}/check-in` : playerId
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/attendance/${this.attendanceDate}/players/${path}`, {
+        method: 'PUT',
+        body: JSON.stringify(change)
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi cập nhật điểm danh', 'error')
+        return
+      }
+      this.drawAttendance(data)
+      await this.renderPlaySessions()
+    } catch (error) {
+      console.error('Error updating attendance:', error)
+      this.showToast('Lỗi kết nối khi cập nhật điểm danh', 'error')
+    }
+  }
+
+  // ── League fixtures (Mùa Giải tab) ───────────────────────────────────────
+
+  async showSeasonFixtures(seasonId) {
+    const season = this.seasons.find(s => s.id === seasonId)
+    if (!season) return
+    this.fixturesSeasonId = seasonId
+    this.fixturePicks = []
+    document.getElementById('seasonFixturesTitle').textContent = `📋 Lịch vòng tròn · ${season.name}`
+    document.getElementById('fixturesPairsHint').textContent = this.describePickedPairs([])
+    try {
+      const response = await fetch(`${this.apiBase}/seasons/${seasonId}/players`)
+      const players = response.ok ? (await response.json()).filter(player => !player.archived_at) : []
+      document.getElementById('fixturesPlayers').innerHTML = players.map(player => `
+        <label class="player-checkbox">
+          <input type="checkbox" name="fixturesPlayer" value="${player.id}">
+          <span>${this.escapeHtml(player.name)}</span>
+        </label>
+      `).join('')
+    } catch (error) {
+      console.error('Error loading season players:', error)
+    }
+    const card = document.getElementById('seasonFixturesCard')
+    card.style.display = ''
+    await this.renderSeasonFixtures()
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  async renderSeasonFixtures() {
+    const grid = document.getElementById('fixturesGrid')
+    if (!grid || !this.fixturesSeasonId) return
+    try {
+      const response = await fetch(`${this.apiBase}/seasons/${this.fixturesSeasonId}/fixtures`, { credentials: 'include' })
+      if (!response.ok) {
+        // Season deleted from another device
+        this.fixturesSeasonId = null
+        document.getElementById('seasonFixturesCard').style.display = 'none'
+        return
+      }
+      this.drawSeasonFixtures(await response.json())
+    } catch (error) {
+      console.error('Error loading fixtures:', error)
+      this.showToast('Lỗi kết nối khi tải lịch thi đấu', 'error')
+    }
+  }
+
+  // Cross table: the cell of row A, column B lists the fixtures of A against B,
+  // with the result from A's side once played
+  drawSeasonFixtures({ entries, fixtures, total, played, remaining, match_type: matchType }) {
+    const key = (player1Id, player2Id) => [player1Id, player2Id].filter(Boolean).sort((a, b) => a - b).join('-')
+    const progress = document.getElementById('fixturesProgress')
+    const grid = document.getElementById('fixturesGrid')
+    document.getElementById('fixturesEmpty').style.display = total === 0 ? '' : 'none'
+    document.getElementById('seasonFixturesCounts').textContent = total === 0
+      ? ''
+      : `${matchType === 'duo' ? '👥 Đôi' : '👤 Đơn'} · Đã đánh ${played}/${total} · Còn ${remaining}`
+    if (total === 0) {
+      grid.innerHTML = ''
+      progress.innerHTML = ''
+      return
+    }
+
+    const cell = (row, column) => {
+      if (row === column) return '<td class="fixture-cell self">—</td>'
+      const rowKey = key(row.player1_id, row.player2_id)
+      const columnKey = key(column.player1_id, column.player2_id)
+      const between = fixtures.filter(fixture => {
+        const side1 = key(fixture.player1_id, fixture.player2_id)
+        const side2 = key(fixture.player3_id, fixture.player4_id)
+        return (side1 === rowKey && side2 === columnKey) || (side1 === columnKey && side2 === rowKey)
+      })
+      const marks = between.map(fixture => {
+        if (!fixture.played) return `<span class="fixture-mark" title="Vòng ${fixture.round}">·</span>`
+        const rowSide = key(fixture.player1_id, fixture.player2_id) === rowKey ? 1 : 2
+        const result = fixture.winning_side === null ? '✓' : (fixture.winning_side === rowSide ? 'T' : 'B')
+        return `<span class="fixture-mark" title="${this.formatDate(fixture.play_date)}">${result}</span>`
+      })
+      const allPlayed = between.length > 0 && between.every(fixture => fixture.played)
+      return `<td class="fixture-cell ${allPlayed ? 'played' : 'unplayed'}">${marks.join(' ')}</td>`
+    }
+
+    grid.innerHTML = `
+      <thead>
+        <tr><th></th>${entries.map(entry => `<th>${this.escapeHtml(entry.name)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${entries.map(row => `
+          <tr><th>${this.escapeHtml(row.name)}</th>${entries.map(column => cell(row, column)).join('')}</tr>
+        `).join('')}
+      </tbody>`
+    progress.innerHTML = `
+      <thead><tr><th>Tên</th><th>Đã đánh</th><th>Thắng</th><th>Thua</th><th>Còn lại</th></tr></thead>
+      <tbody>
+        ${entries.map(entry => `
+          <tr><td>${this.escapeHtml(entry.name)}</td><td>${entry.played}</td><td>${entry.wins}</td><td>${entry.losses}</td><td>${entry.remaining}</td></tr>
+        `).join('')}
+      </tbody>`
+  }
+
+  async generateSeasonFixtures() {
+    const matchType = document.getElementById('fixturesMatchType').value
+    const legs = parseInt(document.getElementById('fixturesLegs').value)
+    const body = { matchType, legs }
+    if (matchType === 'duo') {
+      if (this.fixturePicks.length < 4 || this.fixturePicks.length % 2 !== 0) {
+        this.showToast('Đánh đôi cần ít nhất 2 cặp, chọn lần lượt từng cặp', 'warning')
+        return
+      }
+      body.pairs = this.fixturePicks.filter((_, index) => index % 2 === 0).map((id, index) => [id, this.fixturePicks[index * 2 + 1]])
+    }
+    if (!confirm('Tạo lịch vòng tròn? Lịch cũ của mùa giải (nếu có) sẽ được thay thế.')) return
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons/${this.fixturesSeasonId}/fixtures/generate`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi tạo lịch thi đấu', 'error')
+        return
+      }
+      await this.renderSeasonFixtures()
+      this.showToast(`Đã tạo ${data.fixtures} trận trong ${data.rounds} vòng`, 'success')
+    } catch (error) {
+      console.error('Error generating fixtures:', error)
+      this.showToast('Lỗi kết nối khi tạo lịch thi đấu', 'error')
+    }
+  }
+
+  async deleteSeasonFixtures() {
+    if (!confirm('Xóa lịch vòng tròn của mùa giải? Các trận đã ghi vẫn được giữ.')) return
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons/${this.fixturesSeasonId}/fixtures`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi xóa lịch thi đấu', 'error')
+        return
+      }
+      await this.renderSeasonFixtures()
+      this.showToast('Đã xóa lịch vòng tròn', 'success')
+    } catch (error) {
+      console.error('Error deleting fixtures:', error)
+      this.showToast('Lỗi kết nối khi xóa lịch thi đấu', 'error')
+    }
+  }
+
+  // ── Tournaments (Giải Đấu tab) ───────────────────────────────────────────
+
+  async renderTournaments() {
+    const seasonSelect = document.getElementById('tournamentSeason')
+    if (seasonSelect) {
+      const selected = seasonSelect.value
+      seasonSelect.innerHTML = '<option value="">-- Chọn mùa giải --</option>' +
+        this.seasons.filter(s => s.is_active)
+          .map(season => `<option value="${season.id}">${this.escapeHtml(season.name)}</option>`).join('')
+      seasonSelect.value = selected
+    }
+
+    const container = document.getElementById('tournamentList')
+    if (!container) return
+    const formats = {
+      single_elimination: 'Loại trực tiếp',
+      double_elimination: 'Nhánh thắng - nhánh thua',
+      groups_knockout: 'Vòng bảng + loại trực tiếp'
+    }
+    try {
+      const response = await fetch(`${this.apiBase}/tournaments`, { credentials: 'include' })
+      if (!response.ok) {
+        container.innerHTML = '<p class="form-hint">Không thể tải danh sách giải</p>'
+        return
+      }
+      const tournaments = await response.json()
+      container.innerHTML = tournaments.length === 0
+        ? '<p class="form-hint">Chưa có giải đấu nào</p>'
+        : tournaments.map(tournament => `
+          <div class="tournament-item${tournament.id === this.tournamentId ? ' active' : ''}" data-id="${tournament.id}">
+            <div class="tournament-item-name">${this.escapeHtml(tournament.name)}</div>
+            <div class="play-session-info">
+              <span>${this.escapeHtml(tournament.season_name)}</span>
+              <span>${formats[tournament.format]}</span>
+              <span>${tournament.match_type === 'duo' ? '👥 Đôi' : '👤 Đơn'}</span>
+              <span>${tournament.entry_count} đội</span>
+            </div>
+          </div>
+        `).join('')
+      if (this.tournamentId) await this.loadTournament(this.tournamentId)
+    } catch (error) {
+      console.error('Error loading tournaments:', error)
+      container.innerHTML = '<p class="form-hint">Lỗi kết nối server</p>'
+    }
+  }
+
+  async loadTournamentPlayers(seasonId) {
+    const grid = document.getElementById('tournamentPlayers')
+    this.tournamentPicks = []
+    grid.innerHTML = ''
+    this.updateTournamentPicksHint()
+    if (!seasonId) return
+    try {
+      const response = await fetch(`${this.apiBase}/seasons/${seasonId}/players`)
+      const players = response.ok ? (await response.json()).filter(player => !player.archived_at) : []
+      grid.innerHTML = players.map(player => `
+        <label class="player-checkbox">
+          <input type="checkbox" name="tournamentPlayer" value="${player.id}">
+          <span>${this.escapeHtml(player.name)}</span>
+        </label>
+      `).join('')
+    } catch (error) {
+      console.error('Error loading season players:', error)
+    }
+  }
+
+  // Doubles teams are the ticked players taken two at a time, in click order
+  updateTournamentPicksHint() {
+    const hint = document.getElementById('tournamentPlayersHint')
+    if (!hint) return
+    const seedHint = 'Hạt giống được xếp theo bảng xếp hạng của mùa giải'
+    if (document.getElementById('tournamentMatchType').value !== 'duo') {
+      hint.textContent = `${seedHint}. Đã chọn ${this.tournamentPicks.length} người.`
+      return
+    }
+    hint.textContent = this.describePickedPairs(this.tournamentPicks)
+  }
+
+  // Players ticked one after another form the pairs: 1st + 2nd, 3rd + 4th...
+  describePickedPairs(picks) {
+    const nameOf = (id) => this.players.find(player => player.id === id)?.name || id
+    const pairs = []
+    for (let i = 0; i < picks.length; i += 2) {
+      pairs.push(picks.slice(i, i + 2).map(nameOf).join(' / '))
+    }
+    return `Chọn lần lượt từng cặp. ${pairs.length ? `Các cặp: ${pairs.join(', ')}` : ''}`
+  }
+
+  async createTournament() {
+    const seasonId = parseInt(document.getElementById('tournamentSeason').value)
+    const name = document.getElementById('tournamentName').value.trim()
+    const format = document.getElementById('tournamentFormat').value
+    const matchType = document.getElementById('tournamentMatchType').value
+    if (!seasonId || !name) {
+      this.showToast('Vui lòng chọn mùa giải và nhập tên giải', 'warning')
+      return
+    }
+    let entries = this.tournamentPicks
+    if (matchType === 'duo') {
+      if (entries.length % 2 !== 0) {
+        this.showToast('Đánh đôi cần số người chẵn để ghép cặp', 'warning')
+        return
+      }
+      entries = entries.filter((_, index) => index % 2 === 0).map((id, index) => [id, this.tournamentPicks[index * 2 + 1]])
+    }
+    if (entries.length < 2) {
+      this.showToast('Cần ít nhất 2 đội tham gia', 'warning')
+      return
+    }
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/tournaments`, {
+        method: 'POST',
+        body: JSON.stringify({
+          seasonId,
+          name,
+          format,
+          matchType,
+          entries,
+          groupCount: parseInt(document.getElementById('tournamentGroupCount').value) || undefined,
+          advancePerGroup: parseInt(document.getElementById('tournamentAdvancePerGroup').value) || undefined
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi tạo giải', 'error')
+        return
+      }
+      document.getElementById('tournamentName').value = ''
+      document.querySelectorAll('input[name="tournamentPlayer"]').forEach(input => { input.checked = false })
+      this.tournamentPicks = []
+      this.updateTournamentPicksHint()
+      this.tournamentId = data.id
+      await this.renderTournaments()
+      this.showToast(`Đã tạo giải "${name}"`, 'success')
+    } catch (error) {
+      console.error('Error creating tournament:', error)
+      this.showToast('Lỗi kết nối khi tạo giải', 'error')
+    }
+  }
+
+  async loadTournament(id) {
+    const card = document.getElementById('tournamentBracketCard')
+    try {
+      const response = await fetch(`${this.apiBase}/tournaments/${id}`, { credentials: 'include' })
+      if (!response.ok) {
+        // Deleted from another device
+        this.tournamentId = null
+        card.style.display = 'none'
+        return
+      }
+      this.tournamentId = id
+      this.tournament = await response.json()
+      document.querySelectorAll('.tournament-item').forEach(item => {
+        item.classList.toggle('active', parseInt(item.dataset.id) === id)
+      })
+      this.drawBracket(this.tournament)
+      card.style.display = ''
+    } catch (error) {
+      console.error('Error loading tournament:', error)
+      this.showToast('Lỗi kết nối khi tải giải đấu', 'error')
+    }
+  }
+
+  // Group tables first, then one column of match cards per round for each stage
+  drawBracket(tournament) {
+    const canEdit = this.user?.role === 'admin' || this.user?.role === 'editor'
+    const entries = new Map(tournament.entries.map(entry => [entry.id, entry]))
+    const entryName = (id) => entries.has(id) ? `${entries.get(id).seed}. ${this.escapeHtml(entries.get(id).name)}` : ''
+    const sourceLabel = (source) => {
+      const [kind, ...rest] = source.split(':')
+      if (kind === 'seed') return `Hạt giống ${rest[0]}`
+      if (kind === 'winner') return `Thắng ${rest[0]}`
+      if (kind === 'loser') return `Thua ${rest[0]}`
+      if (kind === 'group') return `Hạng ${rest[1]} bảng ${rest[0]}`
+      return 'Miễn đấu'
+    }
+    const side = (match, number) => {
+      const entryId = match[`entry${number}_id`]
+      const score = match[`score${number}`]
+      const won = match.winner_entry_id !== null && match.winner_entry_id === entryId
+      return `
+        <div class="bracket-side${won ? ' winner' : ''}">
+          <span>${entryId ? entryName(entryId) : `<em>${sourceLabel(match[`source${number}`])}</em>`}</span>
+          <span class="bracket-score">${score ?? ''}</span>
+        </div>`
+    }
+    const card = (match) => `
+      <div class="bracket-match ${match.status}">
+        <div class="bracket-slot">${match.slot}${match.conflict ? ' <span title="Trận đã ghi không đúng người chơi">⚠️</span>' : ''}</div>
+        ${side(match, 1)}
+        ${side(match, 2)}
+        ${canEdit && match.status === 'ready'
+          ? `<button type="button" class="btn btn-sm btn-ghost play-tournament-match-btn" data-id="${match.id}">Ghi kết quả</button>`
+          : ''}
+      </div>`
+
+    const champion = tournament.champion_entry_id ? entryName(tournament.champion_entry_id) : null
+    document.getElementById('tournamentTitle').innerHTML =
+      `${this.escapeHtml(tournament.name)}${champion ? ` · 🏆 ${champion}` : ''}`
+
+    const groupTables = tournament.groups.map(group => `
+      <div class="bracket-group">
+        <h4>Bảng ${group.group_number}${group.complete ? ' ✓' : ''}</h4>
+        <table class="data-table">
+          <thead><tr><th>Đội</th><th>Trận</th><th>Thắng</th><th>Thua</th><th>Hiệu số</th></tr></thead>
+          <tbody>
+            ${group.standings.map(row => `
+              <tr><td>${entryName(row.entry_id)}</td><td>${row.played}</td><td>${row.wins}</td><td>${row.losses}</td><td>${row.score_difference}</td></tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="bracket-group-matches">
+          ${tournament.matches.filter(match => match.stage === 'group' && match.group_number === group.group_number).map(card).join('')}
+        </div>
+      </div>
+    `).join('')
+
+    const stages = [['winners', 'Nhánh thắng'], ['losers', 'Nhánh thua'], ['final', 'Chung kết'], ['knockout', 'Loại trực tiếp']]
+    const stageColumns = stages.map(([stage, title]) => {
+      const matches = tournament.matches.filter(match => match.stage === stage)
+      if (matches.length === 0) return ''
+      const rounds = [...new Set(matches.map(match => match.round))]
+      return `
+        <h4 class="bracket-stage-title">${title}</h4>
+        <div class="bracket-rounds">
+          ${rounds.map(round => `
+            <div class="bracket-round">
+              ${stage === 'final' ? '' : `<div class="bracket-round-title">Vòng ${round}</div>`}
+              ${matches.filter(match => match.round === round).map(card).join('')}
+            </div>
+          `).join('')}
+        </div>`
+    }).join('')
+
+    document.getElementById('tournamentBracket').innerHTML =
+      (groupTables ? `<div class="bracket-groups">${groupTables}</div>` : '') + stageColumns
+  }
+
+  // Opens the match form with the slot's season, match type and entrants filled in
+  async playTournamentMatch(slotId) {
+    const tournament = this.tournament
+    const match = tournament?.matches.find(m => m.id === slotId)
+    if (!match) return
+    const entries = new Map(tournament.entries.map(entry => [entry.id, entry]))
+    const entry1 = entries.get(match.entry1_id)
+    const entry2 = entries.get(match.entry2_id)
+
+    this.switchTab('matches')
+    const seasonSelect = document.getElementById('matchSeasonSelect')
+    seasonSelect.value = tournament.season_id
+    await this.onMatchSeasonChange(tournament.season_id)
+    this.switchMatchType(tournament.match_type)
+    document.getElementById('player1').value = entry1.player1_id
+    document.getElementById('player3').value = entry2.player1_id
+    if (tournament.match_type === 'duo') {
+      document.getElementById('player2').value = entry1.player2_id
+      document.getElementById('player4').value = entry2.player2_id
+    }
+
+    this.tournamentMatchId = slotId
+    document.getElementById('tournamentMatchLabel').textContent =
+      `🏆 ${tournament.name} · ${match.slot}: ${entry1.name} vs ${entry2.name}`
+    document.getElementById('tournamentMatchBanner').style.display = ''
+  }
+
+  clearTournamentMatch() {
+    this.tournamentMatchId = null
+    const banner = document.getElementById('tournamentMatchBanner')
+    if (banner) banner.style.display = 'none'
+  }
+
+  async deleteTournament() {
+    const tournament = this.tournament
+    if (!tournament || !confirm(`Xóa giải "${tournament.name}"? Các trận đấu đã ghi vẫn được giữ.`)) return
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/tournaments/${tournament.id}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi xóa giải', 'error')
+        return
+      }
+      this.tournamentId = null
+      this.tournament = null
+      document.getElementById('tournamentBracketCard').style.display = 'none'
+      await this.renderTournaments()
+      this.showToast('Đã xóa giải đấu', 'success')
+    } catch (error) {
+      console.error('Error deleting tournament:', error)
+      this.showToast('Lỗi kết nối khi xóa giải', 'error')
+    }
+  }
+
+  // ── Public share links (Tài Khoản tab, admin) ────────────────────────────
+
+  async renderShareLinks() {
+    const tbody = document.getElementById('shareLinksTableBody')
+    if (!tbody || this.user?.role !== 'admin') return
+
+    const targetSelect = document.getElementById('shareLinkTarget')
+    const selected = targetSelect.value
+    targetSelect.innerHTML = '<option value="lifetime">Tổng (mọi mùa giải)</option>' +
+      this.seasons.map(season => `<option value="${season.id}">${this.escapeHtml(season.name)}</option>`).join('')
+    targetSelect.value = selected || 'lifetime'
+
+    const formatTime = (value) => value ? new Date(value).toLocaleString('vi-VN') : '-'
+    try {
+      const response = await fetch(`${this.apiBase}/share-links`, { credentials: 'include' })
+      if (!response.ok) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Không thể tải liên kết chia sẻ</td></tr>'
+        return
+      }
+      const links = await response.json()
+      tbody.innerHTML = links.length === 0
+        ? '<tr><td colspan="6" class="text-center">Chưa có liên kết nào</td></tr>'
+        : links.map(link => `
+          <tr${link.expired ? ' class="share-link-expired"' : ''}>
+            <td>${link.scope === 'season' ? this.escapeHtml(link.season_name) : 'Tổng'}</td>
+            <td>${this.escapeHtml(link.label || '-')}</td>
+            <td>${this.escapeHtml(link.created_by || '-')}</td>
+            <td>${link.expires_at ? `${formatTime(link.expires_at)}${link.expired ? ' (đã hết hạn)' : ''}` : 'Không'}</td>
+            <td>${formatTime(link.last_used_at)}</td>
+            <td>
+              <button type="button" class="btn btn-sm btn-danger revoke-share-btn" data-id="${link.id}">Thu hồi</button>
+            </td>
+          </tr>
+        `).join('')
+    } catch (error) {
+      console.error('Error loading share links:', error)
+      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Lỗi kết nối server</td></tr>'
+    }
+  }
+
+  async createShareLink() {
+    const target = document.getElementById('shareLinkTarget').value
+    const label = document.getElementById('shareLinkLabel').value.trim()
+    const expiresInDays = document.getElementById('shareLinkExpiry').value
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/share-links`, {
+        method: 'POST',
+        body: JSON.stringify({
+          scope: target === 'lifetime' ? 'lifetime' : 'season',
+          seasonId: target === 'lifetime' ? null : parseInt(target),
+          label: label || null,
+          expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi tạo liên kết', 'error')
+        return
+      }
+      // share.html is built next to the app, at the same subpath as the API
+      document.getElementById('shareLinkUrl').value = `${this.apiBase.replace(/\/api$/, '/share.html')}#${data.token}`
+      document.getElementById('shareLinkResult').style.display = ''
+      document.getElementById('shareLinkLabel').value = ''
+      await this.renderShareLinks()
+      this.showToast('Đã tạo liên kết chia sẻ', 'success')
+    } catch (error) {
+      console.error('Error creating share link:', error)
+      this.showToast('Lỗi kết nối khi tạo liên kết', 'error')
+    }
+  }
+
+  async revokeShareLink(linkId) {
+    if (!confirm('Thu hồi liên kết này? Người đang giữ liên kết sẽ không xem được nữa.')) return
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/share-links/${linkId}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi thu hồi liên kết', 'error')
+        return
+      }
+      document.getElementById('shareLinkResult').style.display = 'none'
+      await this.renderShareLinks()
+      this.showToast('Đã thu hồi liên kết', 'success')
+    } catch (error) {
+      console.error('Error revoking share link:', error)
+      this.showToast('Lỗi kết nối khi thu hồi liên kết', 'error')
+    }
+  }
+
+  // ── Outbound webhooks (Tài Khoản tab, admin) ─────────────────────────────
+
+  webhookEventLabel(event) {
+    return {
+      'match.created': 'Trận mới',
+      'match.updated': 'Sửa trận',
+      'match.deleted': 'Xóa trận',
+      'season.ended': 'Kết thúc mùa giải',
+      'player.created': 'Người chơi mới',
+      ping: 'Thử'
+    }[event] || event
+  }
+
+  async renderWebhooks() {
+    const tbody = document.getElementById('webhooksTableBody')
+    if (!tbody || this.user?.role !== 'admin') return
+
+    const formatTime = (value) => value ? new Date(value).toLocaleString('vi-VN') : '-'
+    try {
+      const response = await fetch(`${this.apiBase}/webhooks`, { credentials: 'include' })
+      if (!response.ok) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center">Không thể tải webhook</td></tr>'
+        return
+      }
+      const { webhooks } = await response.json()
+      tbody.innerHTML = webhooks.length === 0
+        ? '<tr><td colspan="5" class="text-center">Chưa có webhook nào</td></tr>'
+        : webhooks.map(hook => `
+          <tr${hook.is_active ? '' : ' class="share-link-expired"'}>
+            <td>
+              <div>${this.escapeHtml(hook.description || hook.url)}</div>
+              ${hook.description ? `<small>${this.escapeHtml(hook.url)}</small>` : ''}
+            </td>
+            <td>${hook.events.map(event => this.webhookEventLabel(event)).join(', ')}</td>
+            <td>
+              <span class="badge ${hook.is_active ? 'badge-success' : ''}">${hook.is_active ? 'Đang bật' : 'Tạm dừng'}</span>
+              ${hook.pending_count > 0 ? `<span class="badge badge-warning">${hook.pending_count} chờ gửi lại</span>` : ''}
+              ${hook.failed_count > 0 ? `<span class="badge badge-error">${hook.failed_count} thất bại</span>` : ''}
+            </td>
+            <td>${formatTime(hook.last_attempt_at)}</td>
+            <td>
+              <button type="button" class="btn btn-sm btn-ghost test-webhook-btn" data-id="${hook.id}"${hook.is_active ? '' : ' disabled'}>Gửi thử</button>
+              <button type="button" class="btn btn-sm btn-ghost toggle-webhook-btn" data-id="${hook.id}" data-active="${hook.is_active}">${hook.is_active ? 'Tạm dừng' : 'Bật'}</button>
+              <button type="button" class="btn btn-sm btn-ghost rotate-webhook-btn" data-id="${hook.id}">Đổi khóa</button>
+              <button type="button" class="btn btn-sm btn-danger delete-webhook-btn" data-id="${hook.id}">Xóa</button>
+            </td>
+          </tr>
+        `).join('')
+
+      const hookSelect = document.getElementById('webhookDeliveryHook')
+      const selected = hookSelect.value
+      hookSelect.innerHTML = '<option value="">Tất cả</option>' +
+        webhooks.map(hook => `<option value="${hook.id}">${this.escapeHtml(hook.description || hook.url)}</option>`).join('')
+      hookSelect.value = webhooks.some(hook => String(hook.id) === selected) ? selected : ''
+    } catch (error) {
+      console.error('Error loading webhooks:', error)
+      tbody.innerHTML = '<tr><td colspan="5" class="text-center">Lỗi kết nối server</td></tr>'
+    }
+    await this.renderWebhookDeliveries()
+  }
+
+  async renderWebhookDeliveries() {
+    const tbody = document.getElementById('webhookDeliveriesTableBody')
+    if (!tbody || this.user?.role !== 'admin') return
+
+    const params = new URLSearchParams({ limit: WEBHOOK_LOG_PAGE_SIZE, offset: this.webhookDeliveryOffset })
+    const webhookId = document.getElementById('webhookDeliveryHook').value
+    const status = document.getElementById('webhookDeliveryStatus').value
+    if (webhookId) params.set('webhookId', webhookId)
+    if (status) params.set('status', status)
+
+    const formatTime = (value) => value ? new Date(value).toLocaleString('vi-VN') : '-'
+    const statusBadge = (delivery) => {
+      if (delivery.status === 'success') return `<span class="badge badge-success">${delivery.response_status}</span>`
+      const detail = this.escapeHtml(delivery.error || '')
+      if (delivery.status === 'failed') return `<span class="badge badge-error">Thất bại</span> <small>${detail}</small>`
+      return delivery.attempts === 0
+        ? '<span class="badge">Đang gửi</span>'
+        : `<span class="badge badge-warning">Gửi lại lúc ${formatTime(delivery.next_attempt_at)}</span> <small>${detail}</small>`
+    }
+    try {
+      const response = await fetch(`${this.apiBase}/webhooks/deliveries?${params}`, { credentials: 'include' })
+      if (!response.ok) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Không thể tải nhật ký gửi</td></tr>'
+        return
+      }
+      const { deliveries, total } = await response.json()
+      tbody.innerHTML = deliveries.length === 0
+        ? '<tr><td colspan="6" class="text-center">Chưa có lần gửi nào</td></tr>'
+        : deliveries.map(delivery => `
+          <tr>
+            <td>${formatTime(delivery.created_at)}</td>
+            <td title="${this.escapeHtml(delivery.payload)}">${this.webhookEventLabel(delivery.event)}</td>
+            <td><small>${this.escapeHtml(delivery.url)}</small></td>
+            <td>${statusBadge(delivery)}</td>
+            <td>${delivery.attempts}</td>
+            <td>
+              ${delivery.status === 'pending' ? '' : `<button type="button" class="btn btn-sm btn-ghost retry-delivery-btn" data-id="${delivery.id}">Gửi lại</button>`}
+            </td>
+          </tr>
+        `).join('')
+
+      const offset = this.webhookDeliveryOffset
+      document.getElementById('webhookDeliveriesRange').textContent =
+        total === 0 ? '' : `${offset + 1}-${offset + deliveries.length} / ${total}`
+      document.getElementById('webhookDeliveriesPrev').disabled = offset === 0
+      document.getElementById('webhookDeliveriesNext').disabled = offset + WEBHOOK_LOG_PAGE_SIZE >= total
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error)
+      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Lỗi kết nối server</td></tr>'
+    }
+  }
+
+  async createWebhook() {
+    const events = [...document.querySelectorAll('input[name="webhookEvent"]:checked')].map(input => input.value)
+    if (events.length === 0) {
+      this.showToast('Hãy chọn ít nhất một sự kiện', 'error')
+      return
+    }
+    const description = document.getElementById('webhookDescription').value.trim()
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/webhooks`, {
+        method: 'POST',
+        body: JSON.stringify({
+          url: document.getElementById('webhookUrl').value.trim(),
+          events,
+          description: description || null
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.details?.[0]?.msg || data.error || 'Lỗi khi thêm webhook', 'error')
+        return
+      }
+      this.showWebhookSecret(data.secret)
+      document.getElementById('webhookForm').reset()
+      await this.renderWebhooks()
+      this.showToast('Đã thêm webhook', 'success')
+    } catch (error) {
+      console.error('Error creating webhook:', error)
+      this.showToast('Lỗi kết nối khi thêm webhook', 'error')
+    }
+  }
+
+  showWebhookSecret(secret) {
+    document.getElementById('webhookSecret').value = secret
+    document.getElementById('webhookSecretResult').style.display = ''
+  }
+
+  // Runs one of the per-hook actions and reloads the list; returns the answer, or null on error
+  async webhookAction(path, options, errorMessage) {
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/webhooks/${path}`, options)
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || errorMessage, 'error')
+        return null
+      }
+      await this.renderWebhooks()
+      return data
+    } catch (error) {
+      console.error(`Error on webhook ${path}:`, error)
+      this.showToast('Lỗi kết nối server', 'error')
+      return null
+    }
+  }
+
+  async testWebhook(webhookId) {
+    const data = await this.webhookAction(`${webhookId}/test`, { method: 'POST' }, 'Lỗi khi gửi thử')
+    if (!data) return
+    const { delivery } = data
+    if (delivery.status === 'success') {
+      this.showToast(`Gửi thử thành công (HTTP ${delivery.response_status})`, 'success')
+    } else {
+      this.showToast(`Gửi thử thất bại: ${delivery.error}`, 'error')
+    }
+  }
+
+  async toggleWebhook(webhookId, isActive) {
+    const data = await this.webhookAction(`${webhookId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ isActive: !isActive })
+    }, 'Lỗi khi cập nhật webhook')
+    if (data) this.showToast(isActive ? 'Đã tạm dừng webhook' : 'Đã bật webhook', 'success')
+  }
+
+  async rotateWebhookSecret(webhookId) {
+    if (!confirm('Đổi khóa ký? Nơi nhận phải cập nhật khóa mới để kiểm tra chữ ký.')) return
+    const data = await this.webhookAction(`${webhookId}/secret`, { method: 'POST' }, 'Lỗi khi đổi khóa')
+    if (!data) return
+    this.showWebhookSecret(data.secret)
+    this.showToast('Đã đổi khóa ký', 'success')
+  }
+
+  async deleteWebhook(webhookId) {
+    if (!confirm('Xóa webhook này cùng nhật ký gửi của nó?')) return
+    const data = await this.webhookAction(`${webhookId}`, { method: 'DELETE' }, 'Lỗi khi xóa webhook')
+    if (!data) return
+    document.getElementById('webhookSecretResult').style.display = 'none'
+    this.showToast('Đã xóa webhook', 'success')
+  }
+
+  async retryWebhookDelivery(deliveryId) {
+    const data = await this.webhookAction(`deliveries/${deliveryId}/retry`, { method: 'POST' }, 'Lỗi khi gửi lại')
+    if (data) this.showToast('Đã xếp lịch gửi lại', 'success')
+  }
+
+  async renderTrash() {
+    const tbody = document.getElementById('trashTableBody')
+    if (!tbody || this.user?.role !== 'admin') return
+
+    const formatTime = (value) => value ? new Date(value).toLocaleString('vi-VN') : '-'
+    try {
+      const response = await fetch(`${this.apiBase}/admin/trash`, { credentials: 'include' })
+      if (!response.ok) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Không thể tải thùng rác</td></tr>'
+        return
+      }
+      const { entries, retentionDays } = await response.json()
+      document.getElementById('trashRetentionHint').textContent =
+        `Trận đấu và mùa giải đã xóa được giữ ${retentionDays} ngày và có thể khôi phục trong thời gian này.`
+
+      if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Thùng rác trống</td></tr>'
+        return
+      }
+      tbody.innerHTML = entries.map(entry => {
+        const isSeason = entry.entity_type === 'season'
+        const description = isSeason
+          ? `${this.escapeHtml(entry.name)} (${entry.match_count} trận)`
+          : `${this.formatDate(entry.play_date)}: ${this.escapeHtml([entry.player1_name, entry.player2_name].filter(Boolean).join(' & '))} ` +
+            `${entry.team1_score} - ${entry.team2_score} ${this.escapeHtml([entry.player3_name, entry.player4_name].filter(Boolean).join(' & '))}` +
+            (entry.season_name ? ` · ${this.escapeHtml(entry.season_name)}` : '')
+        return `
+          <tr>
+            <td>${isSeason ? 'Mùa giải' : 'Trận đấu'} #${entry.entity_id}</td>
+            <td>${description}</td>
+            <td>${this.escapeHtml(entry.deleted_by || '-')}</td>
+            <td>${formatTime(entry.deleted_at)}</td>
+            <td>${formatTime(entry.expires_at)}</td>
+            <td>
+              <div class="action-btns">
+                <button class="btn btn-sm btn-ghost restore-trash-btn" data-entity-type="${entry.entity_type}" data-entity-id="${entry.entity_id}">↺ Khôi phục</button>
+                <button class="btn btn-sm btn-danger purge-trash-btn" data-trash-id="${entry.id}">Xóa vĩnh viễn</button>
+              </div>
+            </td>
+          </tr>
+        `
+      }).join('')
+    } catch (error) {
+      console.error('Error loading trash:', error)
+      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Lỗi kết nối server</td></tr>'
+    }
+  }
+
+  async restoreFromTrash(entityType, entityId) {
+    const path = entityType === 'season' ? 'seasons' : 'matches'
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/${path}/${entityId}/restore`, {
+        method: 'POST'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        this.showToast(data.error || 'Lỗi khi khôi phục', 'error')
+        return
+      }
+
+      this.invalidateCache(['seasons', 'rankings', 'matches', 'playDates'])
+      await Promise.all([
+        this.loadSeasons(),
+        this.loadMatches(),
+        this.loadPlayDates()
+      ])
+      this.renderSeasons()
+      this.updateSeasonSelector()
+      this.updateDateSelector()
+      this.renderRankings()
+      this.renderMatchHistory()
+      this.renderTrash()
+      this.showToast(entityType === 'season' ? 'Đã khôi phục mùa giải' : 'Đã khôi phục trận đấu', 'success')
+    } catch (error) {
+      console.error('Error restoring from trash:', error)
+      this.showToast('Lỗi kết nối khi khôi phục', 'error')
+    }
+  }
+
+  async purgeTrashEntry(trashId) {
+    if (!confirm('Xóa vĩnh viễn mục này? Sau khi xóa sẽ không thể khôi phục.')) return
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/admin/trash/${trashId}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+      if (response.ok) {
+        this.renderTrash()
+        this.showToast('Đã xóa vĩnh viễn', 'success')
+      } else {
+        this.showToast(data.error || 'Lỗi khi xóa', 'error')
+      }
+    } catch (error) {
+      console.error('Error purging trash entry:', error)
+      this.showToast('Lỗi kết nối khi xóa', 'error')
+    }
+  }
+
   async renderCacheStatus() {
     const container = document.getElementById('cacheStatusContainer')
     if (!container) return
@@ -4061,6 +6917,7 @@ class TennisRankingSystem {
       const stats = data.cacheStats
       const recommendations = data.recommendations
       const serverInfo = data.serverInfo
+      const sse = data.sseConnections
 
       // Calculate hit rate class
       const hitRateValue = parseFloat(stats.hitRate) || 0
@@ -4096,6 +6953,12 @@ class TennisRankingSystem {
             <span class="stat-label">Sets / Invalidations</span>
             <span class="stat-value">${stats.sets || 0} / ${stats.invalidations || 0}</span>
           </div>
+          ${sse ? `
+            <div class="cache-stat-card" title="${this.escapeHtml(sse.instances.map(entry => `${entry.instance}${entry.current ? ' (server này)' : ''}: ${entry.clients}`).join('\n'))}">
+              <span class="stat-label">Kết nối realtime (SSE)</span>
+              <span class="stat-value">${sse.total} <small>/ ${sse.instances.length} worker</small></span>
+            </div>
+          ` : ''}
         </div>
 
         ${recommendations ? `
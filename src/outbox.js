@@ -0,0 +1,85 @@
+// Match outbox: results recorded without a connection wait here (IndexedDB,
+// so they survive closing the tab) until they can be sent. Every entry keeps
+// its Idempotency-Key for all of its tries (see lib/match-submission.js).
+// Entry: { key, payload, label, status, error, attempts, createdAt, lastTriedAt }
+// and later match (the recorded match of a conflict) and confirmed (the user
+// chose to record it anyway: no duplicate check). Status:
+// - pending: waiting to be sent
+// - conflict: the same match is already recorded (someone else entered it);
+//   the user records it anyway, edits it or drops it
+// - rejected: the server refused it (invalid, permissions); edit or drop
+
+const DB_NAME = 'tennis-outbox'
+const STORE = 'matches'
+
+let opening = null
+
+const openDb = () => {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    opening.catch(() => { opening = null })
+  }
+  return opening
+}
+
+// Run one request on the store and resolve with its result
+const withStore = async (mode, work) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = work(transaction.objectStore(STORE))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+// randomUUID() needs a secure context; the app is also opened over plain http on the LAN
+const newKey = () => crypto.randomUUID?.() ||
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('')
+
+export const isOutboxAvailable = () => typeof indexedDB !== 'undefined'
+
+/**
+ * A new entry for a match, with its Idempotency-Key. It is only stored
+ * (saveOutboxEntry) when the first try does not get through.
+ * @param {Object} payload - POST /api/matches body
+ * @param {string} label - what the outbox panel shows for it
+ * @returns {Object}
+ */
+export const createOutboxEntry = (payload, label) => ({
+  key: newKey(),
+  payload,
+  label,
+  status: 'pending',
+  error: null,
+  attempts: 0,
+  createdAt: new Date().toISOString(),
+  lastTriedAt: null
+})
+
+export const saveOutboxEntry = (entry) => withStore('readwrite', store => store.put(entry))
+
+// Oldest first, the order they are sent in
+export const listOutbox = async () => {
+  const entries = await withStore('readonly', store => store.getAll())
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+// Merge changes into an entry; resolves with the stored entry (null when it is gone)
+export const updateOutboxEntry = async (key, changes) => {
+  const entry = await withStore('readonly', store => store.get(key))
+  if (!entry) return null
+  const updated = { ...entry, ...changes, key }
+  await withStore('readwrite', store => store.put(updated))
+  return updated
+}
+
+export const removeFromOutbox = (key) => withStore('readwrite', store => store.delete(key))
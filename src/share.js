@@ -0,0 +1,91 @@
+import './style.css'
+
+// Public share page (share.html#<token>): the rankings a share link points at,
+// read-only and without an account. The token stays in the URL hash, so it is
+// never sent with the page request; only the /api/public calls carry it.
+
+// share.html sits next to the app, so the API is at the same subpath
+const apiBase = `${window.location.pathname.replace(/[^/]*$/, '')}api/public`
+const token = decodeURIComponent(window.location.hash.slice(1))
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+const formatDate = (value) => {
+  if (!value) return ''
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number)
+  return new Date(year, month - 1, day).toLocaleDateString('vi-VN', { year: 'numeric', month: '2-digit', day: '2-digit' })
+}
+
+const rankEmoji = (rank) => ['🥇 ', '🥈 ', '🥉 '][rank - 1] || ''
+
+const showMessage = (message) => {
+  document.getElementById('shareRankingBody').innerHTML = `<tr><td colspan="10" class="text-center">${escapeHtml(message)}</td></tr>`
+}
+
+const drawHeader = ({ scope, label, season, expires_at: expiresAt }) => {
+  const title = scope === 'season' ? `Bảng Xếp Hạng ${season.name}` : 'Bảng Xếp Hạng Tổng'
+  document.getElementById('shareTitle').textContent = label ? `${title} · ${label}` : title
+  document.title = `${title} - Câu lạc bộ Tennis Siêu Lành Mạnh`
+  document.getElementById('shareSubtitle').textContent = [
+    season ? `${formatDate(season.start_date)} - ${season.end_date ? formatDate(season.end_date) : (season.is_active ? 'nay' : '')}` : null,
+    expiresAt ? `Liên kết hết hạn ${new Date(expiresAt).toLocaleString('vi-VN')}` : null
+  ].filter(Boolean).join(' · ')
+}
+
+const drawRankings = (rankings) => {
+  if (rankings.length === 0) {
+    showMessage('Chưa có dữ liệu')
+    return
+  }
+  document.getElementById('shareRankingBody').innerHTML = rankings.map(player => {
+    const form = player.form.map(result =>
+      `<span class="form-dot ${result === 'win' ? 'form-dot-win' : 'form-dot-loss'}" title="${result === 'win' ? 'Thắng' : 'Thua'}"></span>`).join('')
+    const points = player.points || 0
+    return `
+      <tr>
+        <td class="col-rank">${rankEmoji(player.rank)}${player.rank}</td>
+        <td class="col-name">${escapeHtml(player.name)}</td>
+        <td class="col-form"><div class="form-dots">${form || '-'}</div></td>
+        <td>${player.total_matches || 0}</td>
+        <td>${player.wins || 0}</td>
+        <td>${player.losses || 0}</td>
+        <td>${player.win_percentage || 0}%</td>
+        <td class="col-points ${points > 0 ? 'positive' : (points < 0 ? 'negative' : '')}">${points}</td>
+        <td class="col-rating">${player.rating ?? '-'}</td>
+        <td class="col-sets">${player.sets_won || player.sets_lost
+          ? `${player.sets_won}-${player.sets_lost}<br><small title="Game thắng - thua">${player.games_won}-${player.games_lost}</small>`
+          : '-'}</td>
+      </tr>
+    `
+  }).join('')
+}
+
+const load = async () => {
+  if (!token) {
+    showMessage('Liên kết không hợp lệ')
+    return
+  }
+  const sort = document.getElementById('shareSort').value
+  try {
+    const response = await fetch(`${apiBase}/${encodeURIComponent(token)}/rankings?sort=${sort}`, { credentials: 'omit' })
+    if (!response.ok) {
+      showMessage(response.status === 404 ? 'Liên kết không tồn tại hoặc đã hết hạn' : 'Không thể tải bảng xếp hạng')
+      return
+    }
+    const data = await response.json()
+    drawHeader(data)
+    drawRankings(data.rankings)
+  } catch (error) {
+    console.error('Error loading shared rankings:', error)
+    showMessage('Lỗi kết nối server')
+  }
+}
+
+document.getElementById('shareSort').addEventListener('change', load)
+window.addEventListener('hashchange', () => window.location.reload())
+load()
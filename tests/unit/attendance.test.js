@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { buildRoster, summarizeAttendance, attendanceOf, profileAttendance } from '../../lib/attendance.js'
+
+const match = (p1, p2, p3, p4) => ({
+  player1_id: p1, player1_name: `P${p1}`,
+  player2_id: p2, player2_name: p2 ? `P${p2}` : '',
+  player3_id: p3, player3_name: `P${p3}`,
+  player4_id: p4, player4_name: p4 ? `P${p4}` : ''
+})
+
+describe('lib/attendance.js', () => {
+  describe('buildRoster', () => {
+    const players = [{ id: 1, name: 'P1' }, { id: 2, name: 'P2' }, { id: 3, name: 'P3' }]
+
+    it('should merge answers, check-ins and match players into the roster', () => {
+      const { players: roster, counts } = buildRoster(players, [
+        { player_id: 1, name: 'P1', availability: 'available', checked_in_at: '2026-10-10T11:00:00Z' },
+        { player_id: 2, name: 'P2', availability: 'unavailable', checked_in_at: null }
+      ], [match(3, null, 4, null)])
+
+      expect(roster.map(p => p.player_id)).toEqual([1, 2, 3, 4])
+      expect(roster[0]).toMatchObject({ availability: 'available', checked_in: true, played: false })
+      expect(roster[3]).toMatchObject({ name: 'P4', availability: null, played: true })
+      expect(counts).toEqual({ available: 1, maybe: 0, unavailable: 1, no_answer: 2, present: 3 })
+    })
+
+    it('should list everyone without an answer on a new date', () => {
+      const { counts } = buildRoster(players, [], [])
+      expect(counts).toEqual({ available: 0, maybe: 0, unavailable: 0, no_answer: 3, present: 0 })
+    })
+  })
+
+  describe('summarizeAttendance', () => {
+    const sessions = [{ play_date: '2026-10-01' }, { play_date: '2026-10-08' }, { play_date: '2026-10-15' }]
+    const records = [
+      { play_date: '2026-10-01', player_id: 1, availability: 'available', checked_in: 1, played: 0 },
+      { play_date: '2026-10-08', player_id: 1, availability: null, checked_in: 0, played: 1 },
+      { play_date: '2026-10-01', player_id: 2, availability: 'available', checked_in: 0, played: 0 },
+      { play_date: '2026-10-08', player_id: 2, availability: 'maybe', checked_in: 0, played: 0 },
+      // Not over yet: neither attended nor a no-show
+      { play_date: '2026-10-15', player_id: 2, availability: 'available', checked_in: 0, played: 0 }
+    ]
+
+    it('should count check-ins and matches as attended and missed "available" answers as no-shows', () => {
+      const summary = summarizeAttendance(sessions, records, '2026-10-15')
+      expect(summary.sessions).toBe(2)
+      expect(attendanceOf(summary, 1)).toEqual({ sessions: 2, attended: 2, no_shows: 0, attendance_rate: 100 })
+      expect(attendanceOf(summary, 2)).toEqual({ sessions: 2, attended: 0, no_shows: 1, attendance_rate: 0 })
+    })
+
+    it('should give zeros to players without any record', () => {
+      expect(attendanceOf(summarizeAttendance(sessions, records, '2026-10-15'), 9))
+        .toEqual({ sessions: 2, attended: 0, no_shows: 0, attendance_rate: 0 })
+    })
+
+    it('should round the rate to one decimal', () => {
+      const summary = summarizeAttendance(sessions, records.slice(0, 1), '2026-12-31')
+      expect(attendanceOf(summary, 1).attendance_rate).toBe(33.3)
+    })
+  })
+
+  describe('profileAttendance', () => {
+    it('should add a line per season that announced dates', () => {
+      const history = {
+        sessions: [
+          { play_date: '2026-09-01', season_id: 1 },
+          { play_date: '2026-10-01', season_id: 2 },
+          { play_date: '2026-10-02', season_id: null }
+        ],
+        records: [
+          { play_date: '2026-09-01', season_id: 1, player_id: 5, availability: null, checked_in: 0, played: 1 },
+          { play_date: '2026-10-02', season_id: null, player_id: 5, availability: 'available', checked_in: 0, played: 0 }
+        ]
+      }
+      const attendance = profileAttendance(history, 5, '2026-11-01')
+      expect(attendance).toMatchObject({ sessions: 3, attended: 1, no_shows: 1 })
+      expect(attendance.seasons).toEqual([
+        { season_id: 1, sessions: 1, attended: 1, no_shows: 0, attendance_rate: 100 },
+        { season_id: 2, sessions: 1, attended: 0, no_shows: 0, attendance_rate: 0 }
+      ])
+    })
+  })
+})
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import {
+  redactSnapshot,
+  auditActor,
+  changedFields,
+  createAuditLogger
+} from '../../lib/audit.js'
+
+describe('lib/audit.js', () => {
+  describe('redactSnapshot', () => {
+    it('should drop credentials and serialize dates', () => {
+      const snapshot = redactSnapshot({
+        id: 3,
+        username: 'an',
+        password_hash: '$2a$14$secret',
+        token_version: 2,
+        created_at: new Date('2024-05-01T10:00:00Z')
+      })
+      expect(snapshot).toEqual({ id: 3, username: 'an', created_at: '2024-05-01T10:00:00.000Z' })
+    })
+
+    it('should keep null for a missing side', () => {
+      expect(redactSnapshot(null)).toBeNull()
+      expect(redactSnapshot(undefined)).toBeNull()
+    })
+  })
+
+  describe('auditActor', () => {
+    it('should use the database user id when there is one', () => {
+      expect(auditActor({ id: 7, username: 'editor1', role: 'editor' })).toEqual({ id: 7, username: 'editor1', role: 'editor' })
+    })
+
+    it('should handle env-based accounts and missing users', () => {
+      expect(auditActor({ username: 'admin', role: 'admin' })).toEqual({ id: null, username: 'admin', role: 'admin' })
+      expect(auditActor(undefined)).toEqual({ id: null, username: 'unknown', role: null })
+    })
+  })
+
+  describe('changedFields', () => {
+    it('should list only fields whose values differ', () => {
+      const before = { team1_score: 6, team2_score: 4, winning_team: 1, sets: [{ team1: 6, team2: 4 }] }
+      const after = { team1_score: 4, team2_score: 6, winning_team: 2, sets: [{ team1: 6, team2: 4 }] }
+      expect(changedFields(before, after)).toEqual(['team1_score', 'team2_score', 'winning_team'])
+    })
+
+    it('should list every field for creates and deletes', () => {
+      expect(changedFields(null, { id: 1, name: 'Nam' })).toEqual(['id', 'name'])
+      expect(changedFields({ id: 1, name: 'Nam' }, null)).toEqual(['id', 'name'])
+    })
+  })
+
+  describe('createAuditLogger', () => {
+    it('should write the actor and redacted snapshots', async () => {
+      const calls = []
+      const audit = createAuditLogger({ addAuditEntry: async (...args) => { calls.push(args) } })
+      await audit({ user: { id: 2, username: 'boss', role: 'admin' } }, {
+        entityType: 'user',
+        entityId: 5,
+        action: 'update',
+        before: { role: 'viewer', password_hash: 'x' },
+        after: { role: 'editor', password_hash: 'x' }
+      })
+      expect(calls).toEqual([
+        ['user', 5, 'update', { id: 2, username: 'boss', role: 'admin' }, { role: 'viewer' }, { role: 'editor' }]
+      ])
+    })
+
+    it('should not throw when the audit write fails', async () => {
+      const originalError = console.error
+      console.error = () => {}
+      try {
+        const audit = createAuditLogger({ addAuditEntry: async () => { throw new Error('db down') } })
+        await expect(audit({ user: null }, { entityType: 'match', entityId: 1, action: 'delete' })).resolves.toBeUndefined()
+      } finally {
+        console.error = originalError
+      }
+    })
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { buildCalendar } from '../../lib/calendar.js'
+
+const now = new Date('2026-03-01T10:00:00Z')
+const session = (fields) => ({ play_date: '2026-03-05', season_id: null, season_name: null, start_time: null, end_time: null, venue: null, note: null, ...fields })
+const fixture = (fields) => ({
+  id: 1, season_id: 1, season_name: 'Mùa xuân', round: 2,
+  player1_name: 'An', player2_name: null, player3_name: 'Bình', player4_name: null, ...fields
+})
+const build = (sessions, fixtures = []) =>
+  buildCalendar({ name: 'Tennis · An', timezone: 'Asia/Ho_Chi_Minh', host: 'example.test', sessions, fixtures, now })
+const unfold = (ics) => ics.replace(/\r\n /g, '')
+
+describe('lib/calendar.js', () => {
+  describe('buildCalendar', () => {
+    it('should write an all-day event for a play date without a start time', () => {
+      const ics = build([session()])
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true)
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true)
+      expect(ics).toContain('UID:play-date-2026-03-05@example.test')
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260305\r\nDTEND;VALUE=DATE:20260306')
+      expect(ics).toContain('DTSTAMP:20260301T100000Z')
+    })
+
+    it('should use local times and a default length for a timed play date', () => {
+      const ics = build([session({ start_time: '19:30' })])
+      expect(ics).toContain('DTSTART:20260305T193000\r\nDTEND:20260305T213000')
+      expect(ics).toContain('X-WR-TIMEZONE:Asia/Ho_Chi_Minh')
+    })
+
+    it('should end a play date that runs past midnight on the next day', () => {
+      const ics = build([session({ play_date: '2026-02-28', start_time: '22:00', end_time: '00:30' })])
+      expect(ics).toContain('DTSTART:20260228T220000\r\nDTEND:20260301T003000')
+    })
+
+    it('should escape text values', () => {
+      const ics = build([session({ venue: 'Sân A, Q.1; cổng sau', note: 'Mang bóng\nvà nước' })])
+      expect(ics).toContain('LOCATION:Sân A\\, Q.1\\; cổng sau')
+      expect(ics).toContain('DESCRIPTION:Mang bóng\\nvà nước')
+    })
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const ics = build([session({ note: 'Đánh đôi '.repeat(20) })])
+      for (const line of ics.split('\r\n')) {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75)
+      }
+      expect(unfold(ics)).toContain(`DESCRIPTION:${'Đánh đôi '.repeat(20)}\r\n`)
+    })
+
+    it('should list open fixtures on their season\'s play dates and as to-dos', () => {
+      const fixtures = [fixture({ id: 7 }), fixture({ id: 8, season_id: 2, season_name: 'Mùa hè', player3_name: 'Chi' })]
+      const ics = unfold(build([session({ season_id: 1, season_name: 'Mùa xuân' }), session({ play_date: '2026-03-06' })], fixtures))
+      const [first, second] = ics.split('BEGIN:VEVENT').slice(1)
+      expect(first).toContain('SUMMARY:🎾 Đánh tennis · Mùa xuân')
+      expect(first).toContain('- An vs Bình')
+      expect(first).not.toContain('An vs Chi')
+      expect(second).toContain('- An vs Chi')
+      expect(ics).toContain('UID:fixture-7@example.test')
+      expect(ics).toContain('SUMMARY:Mùa hè · vòng 2: An vs Chi')
+      expect(ics.match(/BEGIN:VTODO/g)).toHaveLength(2)
+    })
+  })
+})
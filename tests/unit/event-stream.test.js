@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  formatEvent,
+  matchEvent,
+  rankingScope,
+  createEventStream,
+  VERSION_COALESCE_MS
+} from '../../lib/event-stream.js'
+
+// Stand-in for an SSE response: keeps the parsed messages it was sent
+const fakeClient = () => {
+  const messages = []
+  return {
+    messages,
+    write: (text) => {
+      const [, id, data] = /^id: (.*)\ndata: (.*)\n\n$/.exec(text)
+      messages.push({ id, ...JSON.parse(data) })
+    }
+  }
+}
+
+describe('lib/event-stream.js', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('formatEvent', () => {
+    it('should write the id line and the message as JSON', () => {
+      expect(formatEvent({ id: 'a-1', type: 'version', version: 3 })).toBe('id: a-1\ndata: {"type":"version","version":3}\n\n')
+    })
+  })
+
+  describe('matchEvent / rankingScope', () => {
+    const moved = { id: 4, play_date: '2026-03-10', season_id: 2 }
+    const before = { id: 4, play_date: '2026-03-03', season_id: 1 }
+
+    it('should carry the match with its date and season', () => {
+      expect(matchEvent(moved)).toEqual({ match: moved, date: '2026-03-10', seasonId: 2, previous: null })
+      expect(matchEvent(moved, before).previous).toEqual({ date: '2026-03-03', seasonId: 1 })
+    })
+
+    it('should name every ranking the matches count in', () => {
+      expect(rankingScope([moved, before])).toEqual({
+        scope: ['daily:2026-03-10', 'daily:2026-03-03', 'season:2', 'season:1', 'lifetime'],
+        ratingsFrom: '2026-03-03'
+      })
+    })
+  })
+
+  describe('createEventStream', () => {
+    it('should send typed messages to every connected client', () => {
+      const stream = createEventStream()
+      const one = fakeClient()
+      const two = fakeClient()
+      stream.connect(one, undefined, 7)
+      stream.connect(two, undefined, 7)
+      stream.publish('match.created', { match: { id: 1 } })
+
+      expect(one.messages[0]).toMatchObject({ type: 'version', version: 7 })
+      expect(one.messages[1]).toMatchObject({ type: 'match.created', match: { id: 1 } })
+      expect(two.messages).toEqual(one.messages)
+    })
+
+    it('should replay what a reconnecting client missed', () => {
+      const stream = createEventStream()
+      const first = stream.publish('match.created', { match: { id: 1 } })
+      stream.publish('match.deleted', { match: { id: 1 } })
+      stream.publish('rankings.changed', { scope: ['lifetime'] })
+
+      const client = fakeClient()
+      stream.connect(client, first.id, 9)
+      expect(client.messages.map(message => message.type)).toEqual(['match.deleted', 'rankings.changed'])
+
+      // Nothing missed: nothing is sent
+      const upToDate = fakeClient()
+      stream.connect(upToDate, client.messages[1].id, 9)
+      expect(upToDate.messages).toEqual([])
+    })
+
+    it('should not replay the ids of another worker started in the same millisecond', () => {
+      const stream = createEventStream({ now: () => 0 })
+      const sibling = createEventStream({ now: () => 0 })
+      stream.publish('match.created', { match: { id: 1 } })
+      stream.publish('match.created', { match: { id: 2 } })
+      const siblingFirst = sibling.publish('match.created', { match: { id: 3 } })
+
+      expect(stream.replay(siblingFirst.id)).toBeNull()
+      expect(sibling.replay(siblingFirst.id)).toEqual([])
+    })
+
+    it('should send the current version when the gap cannot be replayed', () => {
+      let time = 0
+      const stream = createEventStream({ bufferSize: 2, maxAgeMs: 1000, now: () => time })
+      const first = stream.publish('match.created', { match: { id: 1 } })
+      stream.publish('match.created', { match: { id: 2 } })
+      stream.publish('match.created', { match: { id: 3 } })
+      stream.publish('match.created', { match: { id: 4 } })
+
+      // Message 2 was evicted by the buffer size
+      expect(stream.replay(first.id)).toBeNull()
+      // From another process, unknown or malformed
+      expect(stream.replay('zzz-1')).toBeNull()
+      expect(stream.replay(first.id.replace(/-\d+$/, '-99'))).toBeNull()
+      expect(stream.replay('nonsense')).toBeNull()
+
+      const client = fakeClient()
+      stream.connect(client, first.id, 12)
+      expect(client.messages).toEqual([expect.objectContaining({ type: 'version', version: 12, covered: false })])
+
+      // Expired by age
+      const last = stream.publish('match.created', { match: { id: 5 } })
+      expect(stream.replay(last.id)).toEqual([])
+      time = 5000
+      stream.publish('match.created', { match: { id: 6 } })
+      time = 7000
+      expect(stream.replay(last.id)).toBeNull()
+    })
+
+    it('should coalesce version bumps and mark match changes as covered', () => {
+      vi.useFakeTimers()
+      const stream = createEventStream({ now: () => Date.now() })
+      const client = fakeClient()
+      stream.connect(client, undefined, 1)
+
+      // The route bumps the version and publishes; the database trigger bumps again
+      stream.versionChanged(2, 'match')
+      stream.publish('match.created', { match: { id: 1 } })
+      stream.versionChanged(3, 'match')
+      vi.advanceTimersByTime(VERSION_COALESCE_MS)
+      expect(client.messages.slice(1).map(message => message.type)).toEqual(['match.created', 'version'])
+      expect(client.messages[2]).toMatchObject({ version: 3, reasons: ['match'], covered: true })
+
+      // Other changes have no typed messages, so clients reload
+      stream.versionChanged(4, 'player')
+      stream.versionChanged(5, 'match')
+      vi.advanceTimersByTime(VERSION_COALESCE_MS)
+      expect(client.messages[3]).toMatchObject({ version: 5, reasons: ['player', 'match'], covered: false })
+
+      // A match change long after the last typed message is not covered either
+      vi.advanceTimersByTime(60000)
+      stream.versionChanged(6, 'match')
+      vi.advanceTimersByTime(VERSION_COALESCE_MS)
+      expect(client.messages[4]).toMatchObject({ version: 6, covered: false })
+    })
+
+    it('should relay its own messages to the other workers, but not theirs', () => {
+      vi.useFakeTimers()
+      const relayed = []
+      const stream = createEventStream({ now: () => Date.now(), relay: message => relayed.push(message) })
+      const client = fakeClient()
+      stream.connect(client, undefined, 1)
+
+      stream.publish('match.deleted', { match: { id: 1 } })
+      stream.versionChanged(2, 'match')
+      vi.advanceTimersByTime(VERSION_COALESCE_MS)
+      expect(relayed).toEqual([
+        { type: 'match.deleted', match: { id: 1 } },
+        { type: 'version', version: 2, reasons: ['match'], covered: true }
+      ])
+
+      stream.receive({ type: 'match.created', match: { id: 2 } })
+      stream.receive({ type: 'version', version: 3, reasons: ['match'], covered: true })
+      expect(relayed).toHaveLength(2)
+      expect(client.messages.slice(-2)).toEqual([
+        expect.objectContaining({ type: 'match.created', match: { id: 2 } }),
+        expect.objectContaining({ type: 'version', version: 3 })
+      ])
+      // Relayed messages get ids of this worker, so they can be replayed here
+      expect(stream.replay(client.messages[1].id).map(message => message.type)).toEqual(['version', 'match.created', 'version'])
+    })
+
+    it('should count a relayed match change as covering a local version bump', () => {
+      vi.useFakeTimers()
+      const stream = createEventStream({ now: () => Date.now() })
+      const client = fakeClient()
+      stream.connect(client, undefined, 1)
+
+      // Another worker recorded the match; the database trigger bumps the version here
+      stream.receive({ type: 'match.created', match: { id: 1 } })
+      stream.versionChanged(2, 'match')
+      vi.advanceTimersByTime(VERSION_COALESCE_MS)
+      expect(client.messages.at(-1)).toMatchObject({ type: 'version', version: 2, covered: true })
+    })
+
+    it('should drop a client that can no longer be written to', () => {
+      const stream = createEventStream()
+      const broken = fakeClient()
+      stream.connect(broken, undefined, 1)
+      expect(stream.clients.has(broken)).toBe(true)
+      broken.write = () => { throw new Error('closed') }
+      stream.publish('match.deleted', { match: { id: 1 } })
+      expect(stream.clients.has(broken)).toBe(false)
+    })
+  })
+})
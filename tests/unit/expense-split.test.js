@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { splitExpense, planDateExpenses, mergeExpenseBalances } from '../../lib/expense-split.js'
+
+const match = (p1, p2, p3, p4) => ({
+  player1_id: p1, player1_name: `P${p1}`,
+  player2_id: p2, player2_name: p2 ? `P${p2}` : '',
+  player3_id: p3, player3_name: `P${p3}`,
+  player4_id: p4, player4_name: p4 ? `P${p4}` : ''
+})
+
+describe('lib/expense-split.js', () => {
+  describe('splitExpense', () => {
+    it('should split evenly and give leftover VND to the lowest ids', () => {
+      expect(splitExpense(100000, [3, 1, 2]).map(s => s.share)).toEqual([33334, 33333, 33333])
+      expect(splitExpense(100000, [3, 1, 2]).map(s => s.player_id)).toEqual([1, 2, 3])
+    })
+
+    it('should split by weight and always add up to the amount', () => {
+      const shares = splitExpense(100001, [1, 2, 3], { 2: 2, 3: 0.5 })
+      expect(shares.map(s => s.share)).toEqual([28572, 57143, 14286])
+      expect(shares.reduce((sum, s) => sum + s.share, 0)).toBe(100001)
+    })
+
+    it('should leave out players with weight 0', () => {
+      expect(splitExpense(60000, [1, 2, 3], { 3: 0 })).toEqual([
+        { player_id: 1, weight: 1, share: 30000 },
+        { player_id: 2, weight: 1, share: 30000 }
+      ])
+    })
+
+    it('should return nothing when there is nobody to split among', () => {
+      expect(splitExpense(60000, [])).toEqual([])
+      expect(splitExpense(60000, [1], { 1: 0 })).toEqual([])
+    })
+  })
+
+  describe('planDateExpenses', () => {
+    const matches = [match(1, 2, 3, 4), match(1, null, 5, null)]
+
+    it('should split among everyone who played that date and credit the payer', () => {
+      const plan = planDateExpenses([
+        { id: 1, amount: '250000', description: 'Tiền sân', paid_by: 1, paid_by_name: 'P1', weights: null }
+      ], matches)
+      expect(plan.expenses[0].shares).toHaveLength(5)
+      expect(plan.expenses[0].unallocated).toBe(0)
+      expect(plan.balances.find(b => b.player_id === 1)).toEqual({ player_id: 1, name: 'P1', share: 50000, paid: 250000, net: -200000 })
+      expect(plan.balances.find(b => b.player_id === 5).net).toBe(50000)
+      expect(plan.balances.reduce((sum, b) => sum + b.net, 0)).toBe(0)
+    })
+
+    it('should ignore weights of players who did not play', () => {
+      const plan = planDateExpenses([{ id: 1, amount: 50000, weights: { 9: 3 } }], matches)
+      expect(plan.expenses[0].shares.map(s => s.player_id)).toEqual([1, 2, 3, 4, 5])
+    })
+
+    it('should leave an expense unallocated before any match is entered', () => {
+      const plan = planDateExpenses([{ id: 1, amount: 80000, paid_by: 1, paid_by_name: 'P1' }], [])
+      expect(plan.balances).toEqual([])
+      expect(plan.totals).toEqual({ amount: 80000, allocated: 0, unallocated: 80000 })
+    })
+  })
+
+  describe('mergeExpenseBalances', () => {
+    it('should add up balances across dates, largest debt first', () => {
+      const merged = mergeExpenseBalances([
+        [{ player_id: 1, name: 'An', share: 20000, paid: 60000, net: -40000 }, { player_id: 2, name: 'Bình', share: 20000, paid: 0, net: 20000 }],
+        [{ player_id: 2, name: 'Bình', share: 10000, paid: 0, net: 10000 }, { player_id: 3, name: 'Cường', share: 10000, paid: 0, net: 10000 }]
+      ])
+      expect(merged.map(b => [b.name, b.net])).toEqual([['Bình', 30000], ['Cường', 10000], ['An', -40000]])
+    })
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import { circleRounds, generateFixtures, trackFixtures, fixtureProgress } from '../../lib/fixtures.js'
+
+const solo = (...ids) => ids.map(id => ({ player1_id: id, player2_id: null }))
+const match = (id, playDate, [p1, p2, p3, p4], winningTeam) => ({
+  id, play_date: playDate, player1_id: p1, player2_id: p2, player3_id: p3, player4_id: p4, winning_team: winningTeam
+})
+const pairing = (fixture) => [fixture.player1_id, fixture.player3_id].sort((a, b) => a - b).join('-')
+
+describe('lib/fixtures.js', () => {
+  describe('circleRounds', () => {
+    it('should pair everyone once, one match per item per round', () => {
+      const rounds = circleRounds([1, 2, 3, 4])
+      expect(rounds).toHaveLength(3)
+      rounds.forEach(pairs => expect(pairs.flat().sort()).toEqual([1, 2, 3, 4]))
+      expect(new Set(rounds.flat().map(pair => [...pair].sort().join('-'))).size).toBe(6)
+    })
+
+    it('should give one item a rest each round when the count is odd', () => {
+      const rounds = circleRounds([1, 2, 3])
+      expect(rounds).toHaveLength(3)
+      rounds.forEach(pairs => expect(pairs).toHaveLength(1))
+    })
+  })
+
+  describe('generateFixtures', () => {
+    it('should build a single round robin between solo players', () => {
+      const fixtures = generateFixtures(solo(1, 2, 3, 4, 5))
+      expect(fixtures).toHaveLength(10)
+      expect(new Set(fixtures.map(pairing)).size).toBe(10)
+      expect(Math.max(...fixtures.map(fixture => fixture.round))).toBe(5)
+      expect(fixtures[0]).toMatchObject({ round: 1, position: 1, player2_id: null, player4_id: null })
+    })
+
+    it('should keep duo pairs together and swap sides in the second leg', () => {
+      const pairs = [{ player1_id: 1, player2_id: 2 }, { player1_id: 3, player2_id: 4 }]
+      const fixtures = generateFixtures(pairs, { legs: 2 })
+      expect(fixtures).toEqual([
+        { round: 1, position: 1, player1_id: 1, player2_id: 2, player3_id: 3, player4_id: 4 },
+        { round: 2, position: 1, player1_id: 3, player2_id: 4, player3_id: 1, player4_id: 2 }
+      ])
+    })
+  })
+
+  describe('trackFixtures', () => {
+    const fixtures = generateFixtures(solo(1, 2, 3), { legs: 2 })
+
+    it('should match recorded matches in either order, oldest first', () => {
+      const tracked = trackFixtures(fixtures, [
+        match(8, '2024-03-02', [2, null, 1, null], 2),
+        match(7, '2024-03-01', [1, null, 2, null], 1)
+      ])
+      const between = tracked.filter(fixture => pairing(fixture) === '1-2')
+      expect(between.map(fixture => fixture.match_id)).toEqual([7, 8])
+      const first = between.find(fixture => fixture.match_id === 7)
+      const second = between.find(fixture => fixture.match_id === 8)
+      // Player 1 won both; winning_side is relative to each fixture's layout
+      expect(first.winning_side).toBe(first.player1_id === 1 ? 1 : 2)
+      expect(second.winning_side).toBe(second.player1_id === 1 ? 1 : 2)
+      expect(tracked.filter(fixture => fixture.played)).toHaveLength(2)
+    })
+
+    it('should ignore matches between other sides', () => {
+      const tracked = trackFixtures(generateFixtures([{ player1_id: 1, player2_id: 2 }, { player1_id: 3, player2_id: 4 }]), [
+        match(1, '2024-03-01', [1, 3, 2, 4], 1),
+        match(2, '2024-03-01', [1, null, 3, null], 1)
+      ])
+      expect(tracked[0].played).toBe(false)
+    })
+  })
+
+  describe('fixtureProgress', () => {
+    it('should count played, won and remaining fixtures per entry', () => {
+      const tracked = trackFixtures(generateFixtures(solo(1, 2, 3)), [match(1, '2024-03-01', [3, null, 1, null], 1)])
+      const progress = fixtureProgress(tracked)
+      expect(progress).toHaveLength(3)
+      expect(progress.find(entry => entry.player1_id === 3)).toMatchObject({ played: 1, wins: 1, losses: 0, remaining: 1 })
+      expect(progress.find(entry => entry.player1_id === 1)).toMatchObject({ played: 1, wins: 0, losses: 1, remaining: 1 })
+      expect(progress.find(entry => entry.player1_id === 2)).toMatchObject({ played: 0, remaining: 2 })
+    })
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { outstandingBalance, summarizeBalances } from '../../lib/ledger.js'
+
+describe('lib/ledger.js', () => {
+  describe('outstandingBalance', () => {
+    it('should subtract payments from losses plus adjustments', () => {
+      expect(outstandingBalance({ money_lost: 60000, adjustments: -20000, paid: 30000 })).toBe(10000)
+    })
+
+    it('should go negative when a player paid in advance', () => {
+      expect(outstandingBalance({ money_lost: 0, paid: 50000 })).toBe(-50000)
+    })
+
+    it('should accept bigint columns returned as strings', () => {
+      expect(outstandingBalance({ money_lost: '40000', adjustments: '0', paid: '15000' })).toBe(25000)
+    })
+  })
+
+  describe('summarizeBalances', () => {
+    const rows = [
+      { player_id: 1, name: 'An', money_lost: '40000', adjustments: '0', paid: '40000' },
+      { player_id: 2, name: 'Bình', money_lost: '60000', adjustments: '-20000', paid: '0' },
+      { player_id: 3, name: 'Cường', money_lost: '20000', adjustments: '0', paid: '0' }
+    ]
+
+    it('should fill in owed and outstanding per player', () => {
+      const { balances } = summarizeBalances(rows)
+      expect(balances.find(b => b.player_id === 2)).toMatchObject({ money_lost: 60000, adjustments: -20000, paid: 0, owed: 40000, outstanding: 40000 })
+      expect(balances.find(b => b.player_id === 1).outstanding).toBe(0)
+    })
+
+    it('should list the largest debt first, then by name', () => {
+      const { balances } = summarizeBalances([...rows, { player_id: 4, name: 'Anh', money_lost: 20000, adjustments: 0, paid: 0 }])
+      expect(balances.map(b => b.name)).toEqual(['Bình', 'Anh', 'Cường', 'An'])
+    })
+
+    it('should total the season', () => {
+      expect(summarizeBalances(rows).totals).toEqual({ owed: 100000, paid: 40000, outstanding: 60000 })
+    })
+
+    it('should handle a season without players', () => {
+      expect(summarizeBalances([])).toEqual({ balances: [], totals: { owed: 0, paid: 0, outstanding: 0 } })
+    })
+  })
+})
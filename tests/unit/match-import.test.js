@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+  mapImportHeader,
+  readImportRecords,
+  parseImportDate,
+  matchKey,
+  planMatchImport
+} from '../../lib/match-import.js'
+import { MATCHES_FULL_COLUMNS } from '../../utils/excel-helper.js'
+
+const HEADER = ['ID', 'Mùa giải', 'Ngày đánh', 'Người chơi 1', 'Người chơi 2', 'Người chơi 3', 'Người chơi 4', 'Điểm đội 1', 'Điểm đội 2', 'Tỷ số từng set', 'Đội thắng']
+
+const current = {
+  players: [{ id: 1, name: 'An' }, { id: 2, name: 'Bình' }, { id: 3, name: 'Cường' }, { id: 4, name: 'Dũng' }],
+  seasons: [{ id: 7, name: 'Mùa Xuân 2024' }],
+  matches: [{
+    season_id: 7, play_date: '2024-03-02',
+    player1_name: 'An', player2_name: 'Bình', player3_name: 'Cường', player4_name: 'Dũng',
+    team1_score: 6, team2_score: 3
+  }]
+}
+
+const plan = (rows, options) => {
+  const { index } = mapImportHeader(HEADER, MATCHES_FULL_COLUMNS)
+  return planMatchImport(readImportRecords([HEADER, ...rows], index), current, options)
+}
+
+describe('lib/match-import.js', () => {
+  describe('mapImportHeader', () => {
+    it('should find columns by export header or key', () => {
+      const { index, missing } = mapImportHeader(['season_name', ' ngày đánh ', 'Người chơi 1', 'Người chơi 3', 'Tỷ số từng set'], MATCHES_FULL_COLUMNS)
+      expect(index).toEqual({ season_name: 0, play_date: 1, player1_name: 2, player3_name: 3, set_scores: 4 })
+      expect(missing).toEqual([])
+    })
+
+    it('should report missing columns', () => {
+      expect(mapImportHeader(['Mùa giải', 'Người chơi 1'], MATCHES_FULL_COLUMNS).missing)
+        .toEqual(['play_date', 'player3_name', 'team1_score/team2_score or set_scores'])
+    })
+  })
+
+  describe('parseImportDate', () => {
+    it('should read ISO, day-first and Excel serial dates', () => {
+      expect(parseImportDate('2024-05-01')).toBe('2024-05-01')
+      expect(parseImportDate('1/5/2024')).toBe('2024-05-01')
+      expect(parseImportDate(45413)).toBe('2024-05-01')
+    })
+
+    it('should reject impossible dates', () => {
+      expect(parseImportDate('31/02/2024')).toBeNull()
+      expect(parseImportDate('hôm qua')).toBeNull()
+      expect(parseImportDate(null)).toBeNull()
+    })
+  })
+
+  describe('matchKey', () => {
+    it('should not depend on side or partner order', () => {
+      expect(matchKey('id:1', '2024-05-01', ['A', 'B', 'C', 'D'], 6, 3))
+        .toBe(matchKey('id:1', '2024-05-01', ['d', 'c', 'b', 'a'], 3, 6))
+    })
+  })
+
+  describe('planMatchImport', () => {
+    it('should resolve names and derive the winner', () => {
+      const { rows, summary } = plan([
+        [null, 'mùa xuân 2024', '2024-03-09', 'an', 'Bình', 'Cường', 'Dũng', 4, 6, null, null],
+        [null, 'Mùa Xuân 2024', '09/03/2024', 'An', null, 'Cường', null, null, null, '6-4 3-6 [10-7]', 'Đội 1']
+      ])
+      expect(summary).toEqual({ total: 2, ok: 2, duplicate: 0, error: 0 })
+      expect(rows[0].match).toMatchObject({ seasonId: 7, player1Name: 'An', matchType: 'duo', winningTeam: 2 })
+      expect(rows[1].match).toMatchObject({ matchType: 'solo', team1Score: 2, team2Score: 1, winningTeam: 1 })
+      expect(rows[1].match.score.sets).toHaveLength(3)
+    })
+
+    it('should flag duplicates of existing matches and earlier rows', () => {
+      const { rows } = plan([
+        [null, 'Mùa Xuân 2024', '2024-03-02', 'Dũng', 'Cường', 'Bình', 'An', 3, 6, null, null],
+        [null, 'Mùa Xuân 2024', '2024-03-09', 'An', 'Bình', 'Cường', 'Dũng', 6, 1, null, null],
+        [null, 'Mùa Xuân 2024', '2024-03-09', 'An', 'Bình', 'Cường', 'Dũng', 6, 1, null, null]
+      ])
+      expect(rows.map(row => row.status)).toEqual(['duplicate', 'ok', 'duplicate'])
+    })
+
+    it('should report unknown names and invalid rows with spreadsheet row numbers', () => {
+      const result = plan([
+        [null, 'Mùa Thu 2023', '2023-09-01', 'An', 'Én', 'Cường', 'Dũng', 6, 2, null, null],
+        [null, 'Mùa Xuân 2024', '2024-03-09', 'An', 'An', 'Cường', 'Dũng', 6, 6, null, null],
+        [],
+        [null, 'Mùa Xuân 2024', '2024-03-09', 'An', null, 'Cường', null, null, null, '6-5', null]
+      ])
+      expect(result.rows.map(row => row.row)).toEqual([2, 3, 5])
+      expect(result.rows[0].errors).toEqual(['Unknown season "Mùa Thu 2023"', 'Unknown player "Én"'])
+      expect(result.rows[1].errors).toEqual(['Players must be different', 'Tied score without a winning team'])
+      expect(result.rows[2].errors[0]).toMatch(/not a finished set/)
+      expect(result.unknownPlayers).toEqual(['Én'])
+      expect(result.unknownSeasons).toEqual([{ name: 'Mùa Thu 2023', startDate: '2023-09-01', endDate: '2023-09-01' }])
+    })
+
+    it('should accept unknown names when creating them', () => {
+      const { rows } = plan([
+        [null, 'Mùa Thu 2023', '2023-09-01', 'An', 'Én', 'Cường', 'Dũng', 6, 2, null, null]
+      ], { createMissing: true })
+      expect(rows[0]).toMatchObject({ status: 'ok', match: { seasonId: null, seasonName: 'Mùa Thu 2023', player2Name: 'Én' } })
+    })
+  })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { SUBMISSION_KEY_PATTERN, submissionFingerprint, sameMatchKey, findDuplicateMatch } from '../../lib/match-submission.js'
+
+const recorded = [
+  { id: 1, season_id: 2, play_date: '2026-05-01', player1_id: 1, player2_id: 2, player3_id: 3, player4_id: 4, team1_score: 6, team2_score: 3 },
+  { id: 2, season_id: 2, play_date: '2026-05-01', player1_id: 5, player2_id: null, player3_id: 6, player4_id: null, team1_score: 4, team2_score: 6 }
+]
+
+describe('lib/match-submission.js', () => {
+  describe('SUBMISSION_KEY_PATTERN', () => {
+    it('should accept UUIDs and reject odd keys', () => {
+      expect(SUBMISSION_KEY_PATTERN.test('0b6f2c1e-6c39-4e53-9d6a-1f0a2b3c4d5e')).toBe(true)
+      expect(SUBMISSION_KEY_PATTERN.test('short')).toBe(false)
+      expect(SUBMISSION_KEY_PATTERN.test('has spaces in it')).toBe(false)
+      expect(SUBMISSION_KEY_PATTERN.test('x'.repeat(101))).toBe(false)
+    })
+  })
+
+  describe('submissionFingerprint', () => {
+    const payload = { seasonId: 2, playDate: '2026-05-01', player1Id: 1, player2Id: 2, player3Id: 3, player4Id: 4, team1Score: 6, team2Score: 3, winningTeam: 1 }
+
+    it('should match a replay of the same submission by the same user', () => {
+      expect(submissionFingerprint({ ...payload, seasonId: '2', checkDuplicate: true }, 'an'))
+        .toBe(submissionFingerprint(payload, 'an'))
+    })
+
+    it('should differ for another match or another user', () => {
+      expect(submissionFingerprint({ ...payload, team2Score: 4 }, 'an')).not.toBe(submissionFingerprint(payload, 'an'))
+      expect(submissionFingerprint(payload, 'binh')).not.toBe(submissionFingerprint(payload, 'an'))
+    })
+  })
+
+  describe('sameMatchKey', () => {
+    it('should not depend on the side or the order of the partners', () => {
+      expect(sameMatchKey({ seasonId: 2, playDate: '2026-05-01', playerIds: [1, 2, 3, 4], team1Score: 6, team2Score: 3 }))
+        .toBe(sameMatchKey({ seasonId: '2', playDate: '2026-05-01', playerIds: [4, 3, 2, 1], team1Score: 3, team2Score: 6 }))
+    })
+  })
+
+  describe('findDuplicateMatch', () => {
+    it('should find a recorded match with the same players and score', () => {
+      expect(findDuplicateMatch(recorded, { seasonId: 2, playDate: '2026-05-01', playerIds: [3, 4, 2, 1], team1Score: 3, team2Score: 6 }))
+        .toBe(recorded[0])
+      expect(findDuplicateMatch(recorded, { seasonId: 2, playDate: '2026-05-01', playerIds: [6, null, 5, null], team1Score: 6, team2Score: 4 }))
+        .toBe(recorded[1])
+    })
+
+    it('should not match another score, day or season', () => {
+      const base = { seasonId: 2, playDate: '2026-05-01', playerIds: [1, 2, 3, 4], team1Score: 6, team2Score: 3 }
+      expect(findDuplicateMatch(recorded, { ...base, team2Score: 4 })).toBeNull()
+      expect(findDuplicateMatch(recorded, { ...base, playDate: '2026-05-02' })).toBeNull()
+      expect(findDuplicateMatch(recorded, { ...base, seasonId: 3 })).toBeNull()
+      expect(findDuplicateMatch(recorded, { ...base, playerIds: [1, 3, 2, 4] })).toBeNull()
+    })
+  })
+})
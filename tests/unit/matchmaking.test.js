@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { dayHistory, suggestTeams } from '../../lib/matchmaking.js'
+
+const player = (id, strength) => ({ id, name: `P${id}`, strength })
+const ids = (team) => team.map(p => p.id).sort((a, b) => a - b)
+const match = (p1, p2, p3, p4) => ({ player1_id: p1, player2_id: p2, player3_id: p3, player4_id: p4 })
+
+describe('lib/matchmaking.js', () => {
+  describe('dayHistory', () => {
+    it('should count duo partners and matches per player', () => {
+      const { partners, played } = dayHistory([match(1, 2, 3, 4), match(2, 1, 5, 3), match(1, null, 6, null)])
+      expect(partners.get('1-2')).toBe(2)
+      expect(partners.get('3-4')).toBe(1)
+      expect(partners.has('1-6')).toBe(false)
+      expect(played.get(1)).toBe(3)
+      expect(played.get(6)).toBe(1)
+    })
+  })
+
+  describe('suggestTeams', () => {
+    it('should pair the strongest with the weakest player', () => {
+      const { rounds } = suggestTeams([player(1, 1700), player(2, 1600), player(3, 1500), player(4, 1400)])
+      const [court] = rounds[0].courts
+      expect([ids(court.team1), ids(court.team2)]).toContainEqual([1, 4])
+      expect(court.difference).toBe(0)
+      expect(court.team1_win_chance).toBe(50)
+    })
+
+    it('should avoid partners who already played together that day', () => {
+      const players = [player(1, 1700), player(2, 1600), player(3, 1500), player(4, 1400)]
+      const { rounds, repeated_partners } = suggestTeams(players, { matches: [match(1, 4, 2, 3)] })
+      const [court] = rounds[0].courts
+      expect([ids(court.team1), ids(court.team2)]).not.toContainEqual([1, 4])
+      expect(repeated_partners).toBe(0)
+    })
+
+    it('should still repeat a pair when the strength gap outweighs the penalty', () => {
+      const players = [player(1, 2000), player(2, 1800), player(3, 1200), player(4, 1000)]
+      const { rounds, repeated_partners } = suggestTeams(players, { matches: [match(1, 4, 5, 6)] })
+      expect(ids(rounds[0].courts[0].team1)).toEqual([1, 4])
+      expect(repeated_partners).toBe(1)
+    })
+
+    it('should rotate partners across rounds', () => {
+      const players = [player(1, 1500), player(2, 1500), player(3, 1500), player(4, 1500)]
+      const { rounds, repeated_partners } = suggestTeams(players, { rounds: 3 })
+      const pairs = rounds.map(round => ids(round.courts[0].team1).join('-'))
+      expect(new Set(pairs).size).toBe(3)
+      expect(repeated_partners).toBe(0)
+    })
+
+    it('should fill every court and rotate who sits out, busiest players first', () => {
+      const players = Array.from({ length: 10 }, (_, i) => player(i + 1, 50))
+      const { rounds } = suggestTeams(players, {
+        rounds: 5,
+        strength: 'win_percentage',
+        matches: [match(9, 10, 7, 8)]
+      })
+      expect(rounds[0].courts).toHaveLength(2)
+      expect(rounds[0].courts[0].team1_win_chance).toBeNull()
+      expect(rounds[0].sitting_out.map(p => p.id)).toEqual([7, 8])
+      const sat = rounds.flatMap(round => round.sitting_out.map(p => p.id))
+      expect(new Set(sat).size).toBe(10)
+    })
+
+    it('should respect the number of courts', () => {
+      const players = Array.from({ length: 12 }, (_, i) => player(i + 1, 1500 + i * 10))
+      const { rounds } = suggestTeams(players, { courts: 2 })
+      expect(rounds[0].courts).toHaveLength(2)
+      expect(rounds[0].sitting_out).toHaveLength(4)
+    })
+
+    it('should require four players', () => {
+      expect(() => suggestTeams([player(1, 1500), player(2, 1500), player(3, 1500)])).toThrow()
+    })
+  })
+})
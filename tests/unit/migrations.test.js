@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import { join } from 'path'
+import {
+  MIGRATIONS_ROOT,
+  parseMigrationFilename,
+  migrationChecksum,
+  loadMigrations,
+  planMigrations
+} from '../../lib/migrations.js'
+
+const migration = (version, content = `-- ${version}`) => ({
+  version, name: `m${version}`, file: `00${version}-m${version}.sql`, checksum: migrationChecksum(content)
+})
+
+describe('parseMigrationFilename', () => {
+  it('reads version, name and type', () => {
+    expect(parseMigrationFilename('003-ranking-summary.sql')).toEqual({ version: 3, name: 'ranking-summary', type: 'sql' })
+    expect(parseMigrationFilename('001-base-schema.js')).toEqual({ version: 1, name: 'base-schema', type: 'js' })
+  })
+
+  it('ignores files that are not migrations', () => {
+    expect(parseMigrationFilename('README.md')).toBeNull()
+    expect(parseMigrationFilename('04-add-ranking-summary.sh')).toBeNull()
+    expect(parseMigrationFilename('add-token-version.sql')).toBeNull()
+    expect(parseMigrationFilename('002-users.sql~')).toBeNull()
+  })
+})
+
+describe('planMigrations', () => {
+  it('lists files not applied yet as pending, in order', () => {
+    const plan = planMigrations([migration(1), migration(2), migration(3)], [{ version: 1, checksum: migration(1).checksum }])
+    expect(plan.pending.map(m => m.version)).toEqual([2, 3])
+    expect(plan.changed).toEqual([])
+    expect(plan.missing).toEqual([])
+  })
+
+  it('flags applied files whose content changed', () => {
+    const plan = planMigrations([migration(1, '-- edited')], [{ version: 1, checksum: migration(1).checksum }])
+    expect(plan.pending).toEqual([])
+    expect(plan.changed.map(m => m.version)).toEqual([1])
+  })
+
+  it('reports applied versions without a file', () => {
+    // Versions are compared as numbers whatever type the driver returns
+    const plan = planMigrations([migration(1)], [{ version: 1, checksum: migration(1).checksum }, { version: '2', checksum: 'x' }])
+    expect(plan.missing.map(row => row.version)).toEqual(['2'])
+  })
+})
+
+describe('loadMigrations', () => {
+  it.each(['postgresql', 'sqlite'])('loads the %s migrations in version order', async (dialect) => {
+    const migrations = await loadMigrations(join(MIGRATIONS_ROOT, dialect))
+    expect(migrations.length).toBeGreaterThan(0)
+    expect(migrations[0].version).toBe(1)
+    migrations.forEach((m, i) => {
+      if (i > 0) expect(m.version).toBeGreaterThan(migrations[i - 1].version)
+      expect(m.checksum).toBe(migrationChecksum(m.content))
+    })
+  })
+
+  it('skips the legacy shell scripts next to the dialect directories', async () => {
+    expect(await loadMigrations(MIGRATIONS_ROOT)).toEqual([])
+  })
+})
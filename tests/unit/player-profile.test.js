@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { computeStreaks, buildTimeline } from '../../lib/player-profile.js'
+
+const match = (play_date, result, extra = {}) => ({ play_date, result, points: result === 'win' ? 4 : 1, rating_after: null, ...extra })
+
+describe('lib/player-profile.js', () => {
+  describe('computeStreaks', () => {
+    it('should be empty with no matches', () => {
+      expect(computeStreaks([])).toEqual({
+        longest_win_streak: 0,
+        longest_loss_streak: 0,
+        current_streak: { result: null, length: 0 }
+      })
+    })
+
+    it('should find the longest runs and the current one', () => {
+      const results = ['win', 'win', 'loss', 'win', 'win', 'win', 'loss', 'loss']
+      const streaks = computeStreaks(results.map(result => match('2024-01-01', result)))
+      expect(streaks.longest_win_streak).toBe(3)
+      expect(streaks.longest_loss_streak).toBe(2)
+      expect(streaks.current_streak).toEqual({ result: 'loss', length: 2 })
+    })
+  })
+
+  describe('buildTimeline', () => {
+    it('should group matches by play date with running points', () => {
+      const timeline = buildTimeline([
+        match('2024-01-01', 'win'),
+        match('2024-01-01', 'loss'),
+        match('2024-01-08', 'win')
+      ])
+      expect(timeline).toEqual([
+        { play_date: '2024-01-01', matches: 2, wins: 1, losses: 1, points: 5, cumulative_points: 5, rating: null },
+        { play_date: '2024-01-08', matches: 1, wins: 1, losses: 0, points: 4, cumulative_points: 9, rating: null }
+      ])
+    })
+
+    it('should keep the last rating of the day and carry it forward', () => {
+      const timeline = buildTimeline([
+        match('2024-01-01', 'win', { rating_after: 1520.4 }),
+        match('2024-01-01', 'win', { rating_after: 1538.6 }),
+        match('2024-01-08', 'loss')
+      ])
+      expect(timeline.map(day => day.rating)).toEqual([1539, 1539])
+    })
+
+    it('should handle negative points from no-show penalties', () => {
+      const timeline = buildTimeline([match('2024-01-01', 'loss', { points: -2 })])
+      expect(timeline[0].cumulative_points).toBe(-2)
+    })
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_SCORING,
+  scoringFromSeason,
+  scoringFromBody,
+  isScoringChanged,
+  calculateMatchPoints
+} from '../../lib/scoring.js'
+
+const match = (overrides = {}) => ({ team1_score: 6, team2_score: 4, winning_team: 1, no_show_team: null, ...overrides })
+
+describe('lib/scoring.js', () => {
+  describe('calculateMatchPoints', () => {
+    it('should keep the classic 4/1 scoring by default', () => {
+      expect(calculateMatchPoints(match(), 1)).toBe(4)
+      expect(calculateMatchPoints(match(), 2)).toBe(1)
+    })
+
+    it('should apply custom win/loss points', () => {
+      const scoring = { ...DEFAULT_SCORING, pointsPerWin: 3, pointsPerLoss: 0 }
+      expect(calculateMatchPoints(match(), 1, scoring)).toBe(3)
+      expect(calculateMatchPoints(match(), 2, scoring)).toBe(0)
+    })
+
+    it('should add the margin bonus only when the margin reaches the threshold', () => {
+      const scoring = { ...DEFAULT_SCORING, marginBonusThreshold: 3, marginBonusPoints: 2 }
+      expect(calculateMatchPoints(match({ team1_score: 6, team2_score: 4 }), 1, scoring)).toBe(4)
+      expect(calculateMatchPoints(match({ team1_score: 6, team2_score: 3 }), 1, scoring)).toBe(6)
+      expect(calculateMatchPoints(match({ team1_score: 1, team2_score: 6, winning_team: 2 }), 2, scoring)).toBe(6)
+      // Losers never get the bonus
+      expect(calculateMatchPoints(match({ team1_score: 6, team2_score: 0 }), 2, scoring)).toBe(1)
+    })
+
+    it('should measure the margin of a set-scored match in games', () => {
+      const scoring = { ...DEFAULT_SCORING, marginBonusThreshold: 3, marginBonusPoints: 2 }
+      // 6-2 3-6 6-1: 2 sets to 1, 15 games to 9
+      expect(calculateMatchPoints(match({ team1_score: 2, team2_score: 1, team1_games: 15, team2_games: 9 }), 1, scoring)).toBe(6)
+      // 7-6 6-7 7-6: one game apart
+      expect(calculateMatchPoints(match({ team1_score: 2, team2_score: 1, team1_games: 20, team2_games: 19 }), 1, scoring)).toBe(4)
+    })
+
+    it('should treat a threshold of 0 as no margin bonus', () => {
+      const scoring = { ...DEFAULT_SCORING, marginBonusThreshold: 0, marginBonusPoints: 5 }
+      expect(calculateMatchPoints(match({ team2_score: 0 }), 1, scoring)).toBe(4)
+    })
+
+    it('should deduct the no-show penalty from the absent team only', () => {
+      const scoring = { ...DEFAULT_SCORING, noShowPenalty: 2, marginBonusThreshold: 1, marginBonusPoints: 1 }
+      const forfeit = match({ team1_score: 0, team2_score: 0, winning_team: 2, no_show_team: 1 })
+      expect(calculateMatchPoints(forfeit, 1, scoring)).toBe(-2)
+      expect(calculateMatchPoints(forfeit, 2, scoring)).toBe(4)
+    })
+  })
+
+  describe('scoringFromSeason', () => {
+    it('should map season columns and default missing ones', () => {
+      expect(scoringFromSeason({ points_per_win: 3, points_per_loss: '0' })).toEqual({
+        ...DEFAULT_SCORING, pointsPerWin: 3, pointsPerLoss: 0
+      })
+      expect(scoringFromSeason(null)).toEqual({ ...DEFAULT_SCORING })
+    })
+  })
+
+  describe('scoringFromBody / isScoringChanged', () => {
+    it('should return null when no scoring fields are sent', () => {
+      expect(scoringFromBody({ name: 'x' })).toBeNull()
+    })
+
+    it('should only pick provided fields', () => {
+      expect(scoringFromBody({ pointsPerWin: '5', noShowPenalty: 1 })).toEqual({ pointsPerWin: 5, noShowPenalty: 1 })
+    })
+
+    it('should detect changes against the stored season', () => {
+      const season = { points_per_win: 4, points_per_loss: 1 }
+      expect(isScoringChanged(season, { pointsPerWin: 4 })).toBe(false)
+      expect(isScoringChanged(season, { pointsPerLoss: 0 })).toBe(true)
+      expect(isScoringChanged(season, null)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,13 @@
+import { describe, it, expect } from 'vitest'
+import { SECRET_TOKEN_PATTERN, createSecretToken, hashSecretToken } from '../../lib/secret-token.js'
+
+describe('lib/secret-token.js', () => {
+  it('should create URL-safe tokens and keep only their hash', () => {
+    const { token, hash } = createSecretToken()
+    expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/)
+    expect(token).toMatch(SECRET_TOKEN_PATTERN)
+    expect(hash).toBe(hashSecretToken(token))
+    expect(hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(createSecretToken().token).not.toBe(token)
+  })
+})
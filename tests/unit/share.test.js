@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { publicRankings, publicShareInfo } from '../../lib/share.js'
+
+const ranking = (fields) => ({
+  id: 4, name: 'An', wins: 3, losses: 1, total_matches: 4, money_lost: 20000, points: 10,
+  sets_won: 6, sets_lost: 2, games_won: 40, games_lost: 25, win_percentage: 75, rating: 1540, rated_matches: 4,
+  money_paid: 10000, money_outstanding: 10000, attendance: { rate: 80, no_shows: 1 },
+  form: [{ result: 'win', play_date: '2026-03-01' }, { result: 'loss', play_date: '2026-02-22' }],
+  ...fields
+})
+
+describe('lib/share.js', () => {
+  describe('publicRankings', () => {
+    it('should number the rows and drop money, attendance and ids', () => {
+      const [first, second] = publicRankings([ranking(), ranking({ name: 'Bình', form: undefined })])
+      expect(first).toEqual({
+        rank: 1, name: 'An', wins: 3, losses: 1, total_matches: 4, points: 10, win_percentage: 75,
+        sets_won: 6, sets_lost: 2, games_won: 40, games_lost: 25, rating: 1540, form: ['win', 'loss']
+      })
+      expect(second).toMatchObject({ rank: 2, name: 'Bình', form: [] })
+      expect(JSON.stringify(first)).not.toMatch(/money|attendance|"id"/)
+    })
+  })
+
+  describe('publicShareInfo', () => {
+    it('should describe the season of a season link', () => {
+      const info = publicShareInfo({
+        id: 9, scope: 'season', season_id: 2, label: 'Nhóm Zalo', expires_at: null,
+        season_name: 'Mùa xuân', start_date: '2026-01-01', end_date: null, is_active: 1
+      })
+      expect(info).toEqual({
+        scope: 'season', label: 'Nhóm Zalo', expires_at: null,
+        season: { name: 'Mùa xuân', start_date: '2026-01-01', end_date: null, is_active: true }
+      })
+    })
+
+    it('should leave the season out of a lifetime link', () => {
+      expect(publicShareInfo({ id: 1, scope: 'lifetime', season_id: null, label: '' })).toEqual({
+        scope: 'lifetime', label: null, expires_at: null, season: null
+      })
+    })
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_RATING,
+  K_PROVISIONAL,
+  K_ESTABLISHED,
+  PROVISIONAL_MATCHES,
+  expectedScore,
+  kFactor,
+  computeRatings,
+  compareByRating
+} from '../../lib/skill-rating.js'
+
+const duo = (id, winningTeam, extra = {}) => ({
+  id, season_id: 1, player1_id: 1, player2_id: 2, player3_id: 3, player4_id: 4, winning_team: winningTeam, ...extra
+})
+
+const solo = (id, p1, p3, winningTeam, extra = {}) => ({
+  id, season_id: 1, player1_id: p1, player2_id: null, player3_id: p3, player4_id: null, winning_team: winningTeam, ...extra
+})
+
+const byPlayer = (rows) => Object.fromEntries(rows.map(r => [r.player_id, r]))
+
+describe('lib/skill-rating.js', () => {
+  describe('expectedScore', () => {
+    it('should be 0.5 for equal ratings', () => {
+      expect(expectedScore(1500, 1500)).toBe(0.5)
+    })
+
+    it('should favour the higher rated side and be symmetric', () => {
+      const favourite = expectedScore(1700, 1500)
+      expect(favourite).toBeGreaterThan(0.5)
+      expect(favourite + expectedScore(1500, 1700)).toBeCloseTo(1, 10)
+    })
+  })
+
+  describe('kFactor', () => {
+    it('should use the provisional K for new players', () => {
+      expect(kFactor(0)).toBe(K_PROVISIONAL)
+      expect(kFactor(PROVISIONAL_MATCHES - 1)).toBe(K_PROVISIONAL)
+      expect(kFactor(PROVISIONAL_MATCHES)).toBe(K_ESTABLISHED)
+    })
+  })
+
+  describe('computeRatings', () => {
+    it('should return empty results with no matches', () => {
+      expect(computeRatings([])).toEqual({ lifetime: [], seasons: [], history: [] })
+    })
+
+    it('should move winners up and losers down by the same amount in a duo match', () => {
+      const { lifetime, history } = computeRatings([duo(10, 1)])
+      const ratings = byPlayer(lifetime)
+      const delta = K_PROVISIONAL * 0.5
+      expect(ratings[1].rating).toBe(DEFAULT_RATING + delta)
+      expect(ratings[2].rating).toBe(DEFAULT_RATING + delta)
+      expect(ratings[3].rating).toBe(DEFAULT_RATING - delta)
+      expect(ratings[4].rating).toBe(DEFAULT_RATING - delta)
+      expect(history).toHaveLength(4)
+      expect(history.every(h => h.match_id === 10 && h.seq === 1)).toBe(true)
+    })
+
+    it('should only rate the two players of a solo match', () => {
+      const { lifetime } = computeRatings([solo(1, 1, 3, 2)])
+      const ratings = byPlayer(lifetime)
+      expect(Object.keys(ratings)).toEqual(['1', '3'])
+      expect(ratings[3].rating).toBeGreaterThan(ratings[1].rating)
+    })
+
+    it('should share one lifetime rating across solo and duo matches', () => {
+      const { lifetime } = computeRatings([solo(1, 1, 3, 1), duo(2, 1)])
+      expect(byPlayer(lifetime)[1].rated_matches).toBe(2)
+    })
+
+    it('should reward an upset more than an expected win', () => {
+      // Player 1 beats 3 twice, then loses to 3
+      const { history } = computeRatings([solo(1, 1, 3, 1), solo(2, 1, 3, 1), solo(3, 1, 3, 2)])
+      const gains = history.filter(h => h.player_id === 3).map(h => h.rating_after - h.rating_before)
+      expect(gains[2]).toBeGreaterThan(Math.abs(gains[1]))
+    })
+
+    it('should depend on match order', () => {
+      const a = computeRatings([solo(1, 1, 3, 1), solo(2, 1, 4, 2)])
+      const b = computeRatings([solo(2, 1, 4, 2), solo(1, 1, 3, 1)])
+      expect(byPlayer(a.lifetime)[1].rating).not.toBe(byPlayer(b.lifetime)[1].rating)
+    })
+
+    it('should replay the tail of the history from the ratings before it', () => {
+      const matches = [solo(1, 1, 3, 1), solo(2, 1, 4, 2), solo(3, 3, 4, 1), solo(4, 1, 3, 2)]
+      const full = computeRatings(matches)
+      const head = computeRatings(matches.slice(0, 2))
+      const tail = computeRatings(matches.slice(2), { lifetime: head.lifetime, seqOffset: 2 })
+      expect(byPlayer(tail.lifetime)).toEqual(byPlayer(full.lifetime))
+      expect(tail.history).toEqual(full.history.filter(h => h.seq > 2))
+    })
+
+    it('should restart season ratings for each season while lifetime carries over', () => {
+      const { lifetime, seasons } = computeRatings([
+        solo(1, 1, 3, 1, { season_id: 1 }),
+        solo(2, 1, 3, 1, { season_id: 2 })
+      ])
+      const season2 = seasons.find(s => s.season_id === 2 && s.player_id === 1)
+      const season1 = seasons.find(s => s.season_id === 1 && s.player_id === 1)
+      expect(season2.rating).toBe(season1.rating)
+      expect(season2.rated_matches).toBe(1)
+      expect(byPlayer(lifetime)[1].rating).toBeGreaterThan(season2.rating)
+    })
+  })
+
+  describe('compareByRating', () => {
+    it('should sort by rating, then points, then name', () => {
+      const rows = [
+        { name: 'B', rating: 1500, points: 4 },
+        { name: 'A', rating: 1500, points: 4 },
+        { name: 'C', rating: 1600, points: 0 },
+        { name: 'D', rating: 1500, points: 8 }
+      ]
+      expect(rows.sort(compareByRating).map(r => r.name)).toEqual(['C', 'D', 'A', 'B'])
+    })
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { readSpreadsheet, parseCsv, SpreadsheetError } from '../../utils/spreadsheet-reader.js'
+import { writeExcelBuffer, MATCHES_FULL_COLUMNS } from '../../utils/excel-helper.js'
+
+describe('utils/spreadsheet-reader.js', () => {
+  describe('readSpreadsheet', () => {
+    it('should read back the first sheet of an exported workbook', async () => {
+      const buffer = await writeExcelBuffer([
+        {
+          name: 'Trận đấu',
+          data: [{ id: 1, season_name: 'Mùa <1> & "A"', play_date: '2024-05-01', player1_name: 'An', player3_name: 'Bình', team1_score: 6, team2_score: 4, set_scores: '6-4', winning_team: 1 }],
+          columns: MATCHES_FULL_COLUMNS
+        },
+        { name: 'Khác', data: [], columns: MATCHES_FULL_COLUMNS }
+      ])
+      const rows = readSpreadsheet(buffer)
+      expect(rows[0]).toEqual(MATCHES_FULL_COLUMNS.map(col => col.header))
+      expect(rows[1].slice(0, 10)).toEqual([1, 'Mùa <1> & "A"', '2024-05-01', 'An', null, 'Bình', null, 6, 4, '6-4'])
+    })
+
+    it('should read anything that is not a zip as CSV', () => {
+      expect(readSpreadsheet(Buffer.from('a,b\n1,2\n'))).toEqual([['a', 'b'], ['1', '2']])
+      expect(() => readSpreadsheet(Buffer.alloc(0))).toThrow(SpreadsheetError)
+    })
+  })
+
+  describe('parseCsv', () => {
+    it('should handle quotes, a BOM and semicolon delimiters', () => {
+      expect(parseCsv('\uFEFFTên;Ghi chú\r\n"Nam; Bắc";"nói ""xin chào""\nrồi đi"\r\n;x')).toEqual([
+        ['Tên', 'Ghi chú'],
+        ['Nam; Bắc', 'nói "xin chào"\nrồi đi'],
+        [null, 'x']
+      ])
+    })
+  })
+})
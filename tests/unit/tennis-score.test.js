@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseSets,
+  legacyScore,
+  formatSets,
+  parseSetsText,
+  TennisScoreError
+} from '../../lib/tennis-score.js'
+
+const sets = (...scores) => scores.map(([team1, team2, extra = {}]) => ({ team1, team2, ...extra }))
+
+describe('lib/tennis-score.js', () => {
+  describe('parseSets', () => {
+    it('should derive the result of a best-of-3 match with a match tiebreak', () => {
+      const result = parseSets(sets([6, 4], [3, 6], [10, 7, { matchTiebreak: true }]))
+      expect(result).toMatchObject({
+        winningTeam: 1,
+        team1Sets: 2,
+        team2Sets: 1,
+        // The match tiebreak counts as a single game
+        team1Games: 10,
+        team2Games: 10
+      })
+    })
+
+    it('should detect a deciding match tiebreak without the flag', () => {
+      const result = parseSets(sets([4, 6], [6, 3], [8, 10]))
+      expect(result.winningTeam).toBe(2)
+      expect(result.sets[2].matchTiebreak).toBe(true)
+    })
+
+    it('should accept single sets, best of 5 and 7-5 / 7-6 sets', () => {
+      expect(parseSets(sets([6, 4])).winningTeam).toBe(1)
+      expect(parseSets(sets([5, 7], [6, 7], [6, 0], [4, 6])).winningTeam).toBe(2)
+      expect(parseSets(sets([7, 6, { tiebreak: { team1: 12, team2: 10 } }])).team1Games).toBe(7)
+    })
+
+    it('should reject unfinished or impossible sets', () => {
+      expect(() => parseSets(sets([6, 5]))).toThrow(TennisScoreError)
+      expect(() => parseSets(sets([8, 6]))).toThrow(/not a finished set/)
+      expect(() => parseSets(sets([6, 6]))).toThrow(TennisScoreError)
+      expect(() => parseSets(sets([6, 4, { tiebreak: { team1: 7, team2: 3 } }]))).toThrow(/tiebreak/)
+    })
+
+    it('should reject tiebreaks that are unfinished or won by the wrong team', () => {
+      expect(() => parseSets(sets([7, 6, { tiebreak: { team1: 7, team2: 6 } }]))).toThrow(/not a finished tiebreak/)
+      expect(() => parseSets(sets([7, 6, { tiebreak: { team1: 12, team2: 8 } }]))).toThrow(/not a finished tiebreak/)
+      expect(() => parseSets(sets([7, 6, { tiebreak: { team1: 3, team2: 7 } }]))).toThrow(/does not match/)
+    })
+
+    it('should reject unfinished matches and sets played after the match was decided', () => {
+      expect(() => parseSets(sets([6, 4], [4, 6]))).toThrow(/not a finished match/)
+      expect(() => parseSets(sets([6, 4], [6, 4], [4, 6]))).toThrow(/already decided/)
+      expect(() => parseSets([])).toThrow(TennisScoreError)
+    })
+
+    it('should only allow a match tiebreak as the deciding set', () => {
+      expect(() => parseSets(sets([10, 7, { matchTiebreak: true }]))).toThrow(/deciding set/)
+      expect(() => parseSets(sets([6, 4], [10, 7, { matchTiebreak: true }]))).toThrow(/deciding set/)
+      expect(() => parseSets(sets([6, 4], [3, 6], [10, 9]))).toThrow(/match tiebreak/)
+    })
+
+    it('should reject non-numeric games', () => {
+      expect(() => parseSets([{ team1: 'a', team2: 6 }])).toThrow(/whole numbers/)
+      expect(() => parseSets([{ team1: 6.5, team2: 4 }])).toThrow(/whole numbers/)
+    })
+  })
+
+  describe('legacyScore', () => {
+    it('should keep games for a single set and sets won otherwise', () => {
+      expect(legacyScore(parseSets(sets([6, 3])))).toEqual({ team1Score: 6, team2Score: 3 })
+      expect(legacyScore(parseSets(sets([6, 4], [3, 6], [10, 7])))).toEqual({ team1Score: 2, team2Score: 1 })
+    })
+  })
+
+  describe('formatSets', () => {
+    it('should format tiebreaks and match tiebreaks', () => {
+      const { sets: parsed } = parseSets(sets([6, 7, { tiebreak: { team1: 5, team2: 7 } }], [6, 2], [10, 7]))
+      expect(formatSets(parsed)).toBe('6-7(5) 6-2 [10-7]')
+      expect(formatSets(null)).toBe('')
+    })
+  })
+
+  describe('parseSetsText', () => {
+    it('should read what formatSets writes', () => {
+      const { sets: parsed } = parseSets(sets([6, 7, { tiebreak: { team1: 5, team2: 7 } }], [6, 2], [10, 7]))
+      expect(parseSets(parseSetsText(formatSets(parsed))).sets).toEqual(parsed)
+    })
+
+    it('should accept other separators and reject unreadable tokens', () => {
+      expect(parseSetsText('6-4, 7-6(10)')).toEqual([
+        { team1: 6, team2: 4 },
+        { team1: 7, team2: 6, tiebreak: { team1: 12, team2: 10 } }
+      ])
+      expect(() => parseSetsText('6:4')).toThrow(TennisScoreError)
+    })
+  })
+})
@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest'
+import { buildBracket, resolveBracket, seedEntries, tournamentMatchProblem, TournamentError } from '../../lib/tournament.js'
+
+// Solo entries: entry id = player id = seed * 10
+const soloEntries = (count, groups = null) => Array.from({ length: count }, (_, i) => ({
+  id: (i + 1) * 10,
+  seed: i + 1,
+  player1_id: (i + 1) * 10,
+  player2_id: null,
+  group_number: groups ? groups.findIndex(seeds => seeds.includes(i + 1)) + 1 : null
+}))
+
+const withIds = (slots) => slots.map((slot, index) => ({ id: index + 1, ...slot }))
+
+// Plays a slot: the entry `winnerId` beats the other side 6-3
+const play = (state, slot, winnerId, results) => {
+  const match = state.matches.find(m => m.slot === slot)
+  const loserId = match.entry1_id === winnerId ? match.entry2_id : match.entry1_id
+  results.push({
+    id: results.length + 100,
+    tournament_match_id: match.id,
+    player1_id: winnerId, player2_id: null, player3_id: loserId, player4_id: null,
+    team1_score: 6, team2_score: 3, winning_team: 1
+  })
+}
+
+const slotState = (state, slot) => state.matches.find(m => m.slot === slot)
+
+describe('lib/tournament.js', () => {
+  describe('seedEntries', () => {
+    it('should seed by points, then win percentage, then rating', () => {
+      const stats = [
+        { id: 1, points: 20, win_percentage: 50, rating: 1500 },
+        { id: 2, points: 30, win_percentage: 40, rating: 1500 },
+        { id: 3, points: 20, win_percentage: 60, rating: 1400 },
+        { id: 4, points: 0, win_percentage: 0, rating: 1500 }
+      ]
+      const seeded = seedEntries([1, 2, 3, 4].map(id => ({ player1_id: id, player2_id: null })), stats)
+      expect(seeded.map(entry => [entry.player1_id, entry.seed])).toEqual([[2, 1], [3, 2], [1, 3], [4, 4]])
+    })
+
+    it('should add up the points of a duo team', () => {
+      const stats = [{ id: 1, points: 10 }, { id: 2, points: 10 }, { id: 3, points: 15 }, { id: 4, points: 0 }]
+      const seeded = seedEntries([{ player1_id: 3, player2_id: 4 }, { player1_id: 1, player2_id: 2 }], stats)
+      expect(seeded[0]).toMatchObject({ player1_id: 1, seed: 1 })
+    })
+  })
+
+  describe('buildBracket', () => {
+    it('should give the top seeds the byes and keep seeds 1 and 2 apart', () => {
+      const { slots } = buildBracket('single_elimination', 5)
+      const first = slots.filter(slot => slot.round === 1).map(slot => [slot.source1, slot.source2])
+      expect(first).toEqual([['seed:1', 'bye'], ['seed:4', 'seed:5'], ['seed:2', 'bye'], ['seed:3', 'bye']])
+      expect(slots.at(-1)).toMatchObject({ slot: 'W3-1', source1: 'winner:W2-1', source2: 'winner:W2-2' })
+    })
+
+    it('should build a losers bracket and both grand finals', () => {
+      const slots = buildBracket('double_elimination', 8).slots.map(slot => slot.slot)
+      expect(slots.filter(slot => slot.startsWith('L'))).toEqual(['L1-1', 'L1-2', 'L2-1', 'L2-2', 'L3-1', 'L4-1'])
+      expect(slots.slice(-2)).toEqual(['GF', 'GF2'])
+    })
+
+    it('should snake seed the groups and play everyone once', () => {
+      const { slots, groups } = buildBracket('groups_knockout', 8, { groupCount: 2, advancePerGroup: 2 })
+      expect(groups).toEqual([[1, 4, 5, 8], [2, 3, 6, 7]])
+      expect(slots.filter(slot => slot.group_number === 1)).toHaveLength(6)
+      const knockout = slots.filter(slot => slot.stage === 'knockout' && slot.round === 1)
+      expect(knockout.map(slot => [slot.source1, slot.source2])).toEqual([['group:1:1', 'group:2:2'], ['group:2:1', 'group:1:2']])
+    })
+
+    it('should reject impossible settings', () => {
+      expect(() => buildBracket('single_elimination', 1)).toThrow(TournamentError)
+      expect(() => buildBracket('groups_knockout', 5, { groupCount: 3, advancePerGroup: 1 })).toThrow(TournamentError)
+      expect(() => buildBracket('groups_knockout', 6, { groupCount: 2, advancePerGroup: 4 })).toThrow(TournamentError)
+      expect(() => buildBracket('swiss', 8)).toThrow(TournamentError)
+    })
+  })
+
+  describe('resolveBracket', () => {
+    it('should advance byes and winners up to the champion', () => {
+      const slots = withIds(buildBracket('single_elimination', 3).slots)
+      const entries = soloEntries(3)
+      const results = []
+      let state = resolveBracket({ entries, slots, results })
+      expect(slotState(state, 'W1-1')).toMatchObject({ status: 'bye', winner_entry_id: 10 })
+      expect(slotState(state, 'W2-1')).toMatchObject({ status: 'pending', entry1_id: 10, entry2_id: null })
+
+      play(state, 'W1-2', 30, results)
+      state = resolveBracket({ entries, slots, results })
+      expect(slotState(state, 'W1-2')).toMatchObject({ status: 'completed', winner_entry_id: 30, score1: 3, score2: 6 })
+      expect(slotState(state, 'W2-1')).toMatchObject({ status: 'ready', entry1_id: 10, entry2_id: 30 })
+
+      play(state, 'W2-1', 30, results)
+      expect(resolveBracket({ entries, slots, results }).champion_entry_id).toBe(30)
+    })
+
+    it('should only play GF2 when the losers-bracket side wins GF', () => {
+      const slots = withIds(buildBracket('double_elimination', 2).slots)
+      const entries = soloEntries(2)
+      const results = []
+      play(resolveBracket({ entries, slots, results }), 'W1-1', 10, results)
+      let state = resolveBracket({ entries, slots, results })
+      expect(slotState(state, 'GF')).toMatchObject({ status: 'ready', entry1_id: 10, entry2_id: 20 })
+
+      play(state, 'GF', 20, results)
+      state = resolveBracket({ entries, slots, results })
+      expect(slotState(state, 'GF2')).toMatchObject({ status: 'ready', entry1_id: 20, entry2_id: 10 })
+      expect(state.champion_entry_id).toBeNull()
+
+      results.pop()
+      play(state, 'GF', 10, results)
+      state = resolveBracket({ entries, slots, results })
+      expect(slotState(state, 'GF2').status).toBe('not_needed')
+      expect(state.champion_entry_id).toBe(10)
+    })
+
+    it('should send losers down to the losers bracket', () => {
+      const slots = withIds(buildBracket('double_elimination', 4).slots)
+      const entries = soloEntries(4)
+      const results = []
+      const state = resolveBracket({ entries, slots, results })
+      play(state, 'W1-1', 10, results)
+      play(state, 'W1-2', 30, results)
+      const next = resolveBracket({ entries, slots, results })
+      expect(slotState(next, 'L1-1')).toMatchObject({ status: 'ready', entry1_id: 40, entry2_id: 20 })
+      expect(slotState(next, 'W2-1')).toMatchObject({ status: 'ready', entry1_id: 10, entry2_id: 30 })
+    })
+
+    it('should rank groups and seed the knockout once a group is complete', () => {
+      const { slots: built, groups } = buildBracket('groups_knockout', 4, { groupCount: 2, advancePerGroup: 1 })
+      const slots = withIds(built)
+      const entries = soloEntries(4, groups)
+      const results = []
+      let state = resolveBracket({ entries, slots, results })
+      expect(slotState(state, 'K1-1')).toMatchObject({ status: 'pending', entry1_id: null, entry2_id: null })
+
+      play(state, 'G1-1', 40, results)
+      state = resolveBracket({ entries, slots, results })
+      expect(state.groups[0]).toMatchObject({ complete: true })
+      expect(state.groups[0].standings[0]).toMatchObject({ entry_id: 40, wins: 1, score_difference: 3 })
+      expect(slotState(state, 'K1-1')).toMatchObject({ status: 'pending', entry1_id: 40, entry2_id: null })
+    })
+
+    it('should ignore a linked match that was edited to other players', () => {
+      const slots = withIds(buildBracket('single_elimination', 2).slots)
+      const entries = soloEntries(2)
+      const results = [{ id: 1, tournament_match_id: 1, player1_id: 10, player2_id: null, player3_id: 99, player4_id: null, winning_team: 1 }]
+      const state = resolveBracket({ entries, slots, results })
+      expect(slotState(state, 'W1-1')).toMatchObject({ status: 'ready', conflict: true })
+      expect(state.champion_entry_id).toBeNull()
+    })
+
+    it('should not name a winner for a slot without entrants', () => {
+      const slots = withIds(buildBracket('double_elimination', 5).slots)
+      const state = resolveBracket({ entries: soloEntries(5), slots, results: [] })
+      expect(slotState(state, 'L1-2')).toMatchObject({ status: 'bye', winner_entry_id: null })
+    })
+
+    it('should treat the seed of a removed entry as a bye', () => {
+      const slots = withIds(buildBracket('single_elimination', 4).slots)
+      const entries = soloEntries(4).filter(entry => entry.seed !== 4)
+      expect(slotState(resolveBracket({ entries, slots, results: [] }), 'W1-1')).toMatchObject({ status: 'bye', winner_entry_id: 10 })
+    })
+  })
+
+  describe('tournamentMatchProblem', () => {
+    const slots = withIds(buildBracket('single_elimination', 2).slots)
+    const entries = soloEntries(2)
+    const state = resolveBracket({ entries, slots, results: [] })
+
+    it('should accept the two entrants in either order', () => {
+      expect(tournamentMatchProblem(state.matches[0], entries, { player1Id: 20, player3Id: 10 })).toBeNull()
+    })
+
+    it('should reject other players and decided slots', () => {
+      expect(tournamentMatchProblem(state.matches[0], entries, { player1Id: 10, player3Id: 30 })).toMatchObject({ status: 400 })
+      expect(tournamentMatchProblem({ ...state.matches[0], status: 'completed' }, entries, { player1Id: 10, player3Id: 20 }))
+        .toMatchObject({ status: 409 })
+    })
+  })
+})
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { createServer } from 'http'
+import { createHmac } from 'crypto'
+import {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature,
+  retryDelaySeconds,
+  webhookEvents,
+  createWebhookDispatcher
+} from '../../lib/webhooks.js'
+
+// In-memory stand-in for the webhook tables. A retried delivery is only due
+// again after passTime(), like next_attempt_at in the database
+const memoryDb = (hooks) => {
+  const deliveries = []
+  return {
+    deliveries,
+    getActiveWebhooks: async () => hooks.filter(hook => hook.is_active),
+    addWebhookDeliveries: async (webhookIds, event, payload) => webhookIds.map(webhookId => {
+      deliveries.push({ id: deliveries.length + 1, webhook_id: webhookId, event, payload, status: 'pending', attempts: 0, due: true })
+      return deliveries.length
+    }),
+    claimWebhookDeliveries: async (limit) => deliveries
+      .filter(delivery => delivery.status === 'pending' && delivery.due)
+      .slice(0, limit)
+      .map(delivery => {
+        delivery.due = false
+        const hook = hooks.find(h => h.id === delivery.webhook_id)
+        return { ...delivery, url: hook.url, secret: hook.secret }
+      }),
+    finishWebhookDelivery: async (deliveryId, result) => {
+      Object.assign(deliveries[deliveryId - 1], result)
+    },
+    passTime: () => {
+      for (const delivery of deliveries) delivery.due = true
+    }
+  }
+}
+
+describe('lib/webhooks.js', () => {
+  describe('signPayload', () => {
+    it('should sign the body with HMAC-SHA256 of the secret', () => {
+      const body = '{"event":"ping"}'
+      const expected = createHmac('sha256', 's3cret').update(body).digest('hex')
+      expect(signPayload('s3cret', body)).toBe(`sha256=${expected}`)
+      expect(verifySignature('s3cret', body, `sha256=${expected}`)).toBe(true)
+      expect(verifySignature('other', body, `sha256=${expected}`)).toBe(false)
+      expect(verifySignature('s3cret', `${body} `, `sha256=${expected}`)).toBe(false)
+      expect(verifySignature('s3cret', body, undefined)).toBe(false)
+    })
+  })
+
+  describe('retryDelaySeconds', () => {
+    it('should double the wait after every failed attempt', () => {
+      expect([1, 2, 3, 4].map(attempts => retryDelaySeconds(attempts))).toEqual([30, 60, 120, 240])
+      expect(retryDelaySeconds(3, 5)).toBe(20)
+    })
+  })
+
+  describe('webhookEvents', () => {
+    it('should read the comma-separated event list', () => {
+      expect(webhookEvents({ events: 'match.created,season.ended' })).toEqual(['match.created', 'season.ended'])
+      expect(webhookEvents({ events: '' })).toEqual([])
+    })
+  })
+
+  describe('createWebhookDispatcher', () => {
+    const received = []
+    const answers = []
+    let server
+    let url
+
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+          received.push({ headers: req.headers, body })
+          res.statusCode = answers.shift() || 204
+          res.end()
+        })
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      url = `http://127.0.0.1:${server.address().port}/hook`
+    })
+
+    afterAll(() => new Promise(resolve => server.close(resolve)))
+
+    const reset = (...statuses) => {
+      received.length = 0
+      answers.length = 0
+      answers.push(...statuses)
+    }
+
+    it('should deliver a signed event to the hooks subscribed to it', async () => {
+      reset()
+      const db = memoryDb([
+        { id: 1, url, secret: 'one', events: 'match.created,match.deleted', is_active: true },
+        { id: 2, url, secret: 'two', events: 'season.ended', is_active: true },
+        { id: 3, url, secret: 'three', events: 'match.created', is_active: false }
+      ])
+      const webhooks = createWebhookDispatcher({ db })
+      await webhooks.emit('match.created', { match: { id: 7 } })
+      await webhooks.flush()
+
+      expect(received).toHaveLength(1)
+      const [{ headers, body }] = received
+      expect(JSON.parse(body)).toMatchObject({ event: 'match.created', data: { match: { id: 7 } } })
+      expect(headers['content-type']).toBe('application/json')
+      expect(headers['x-webhook-event']).toBe('match.created')
+      expect(headers['x-webhook-delivery']).toBe('1')
+      expect(verifySignature('one', body, headers[SIGNATURE_HEADER.toLowerCase()])).toBe(true)
+      expect(db.deliveries[0]).toMatchObject({ status: 'success', attempts: 1, responseStatus: 204, error: null })
+    })
+
+    it('should retry a failed delivery with the same body until it succeeds', async () => {
+      reset(500)
+      const db = memoryDb([{ id: 1, url, secret: 'one', events: 'player.created', is_active: true }])
+      const webhooks = createWebhookDispatcher({ db, retryBaseSeconds: 10 })
+      await webhooks.emit('player.created', { player: { id: 3, name: 'An' } })
+      await webhooks.flush()
+      expect(db.deliveries[0]).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500, error: 'HTTP 500', retryInSeconds: 10 })
+
+      db.passTime()
+      await webhooks.flush()
+      expect(db.deliveries[0]).toMatchObject({ status: 'success', attempts: 2, responseStatus: 204, retryInSeconds: null })
+      expect(received).toHaveLength(2)
+      expect(received[1].body).toBe(received[0].body)
+    })
+
+    it('should give up after the last attempt', async () => {
+      reset(503, 503)
+      const db = memoryDb([{ id: 1, url, secret: 'one', events: 'match.deleted', is_active: true }])
+      const webhooks = createWebhookDispatcher({ db, maxAttempts: 2 })
+      await webhooks.emit('match.deleted', { match: { id: 1 } })
+      await webhooks.flush()
+      db.passTime()
+      await webhooks.flush()
+      expect(db.deliveries[0]).toMatchObject({ status: 'failed', attempts: 2, error: 'HTTP 503', retryInSeconds: null })
+    })
+
+    it('should record a receiver that cannot be reached', async () => {
+      const closed = createServer()
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+      const port = closed.address().port
+      await new Promise(resolve => closed.close(resolve))
+
+      const db = memoryDb([{ id: 1, url: `http://127.0.0.1:${port}/hook`, secret: 'one', events: 'match.updated', is_active: true }])
+      const webhooks = createWebhookDispatcher({ db })
+      await webhooks.emit('match.updated', { match: { id: 1 } })
+      await webhooks.flush()
+      expect(db.deliveries[0]).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null })
+      expect(db.deliveries[0].error).toMatch(/ECONNREFUSED/)
+    })
+
+    it('should not throw when the event cannot be queued', async () => {
+      const originalError = console.error
+      console.error = () => {}
+      try {
+        const webhooks = createWebhookDispatcher({ db: { getActiveWebhooks: async () => { throw new Error('db down') } } })
+        await expect(webhooks.emit('match.created', {})).resolves.toBeUndefined()
+      } finally {
+        console.error = originalError
+      }
+    })
+  })
+})
@@ -4,6 +4,7 @@
  * No vulnerabilities, TypeScript support, smaller bundle size
  */
 import writeXlsxFile from 'write-excel-file/node'
+import { formatSets } from '../lib/tennis-score.js'
 
 /**
  * Column width mapping (characters to approximate width)
@@ -97,6 +98,11 @@ export const RANKINGS_COLUMNS = [
   { header: 'Thua', key: 'losses', width: 10 },
   { header: 'Tổng trận', key: 'total_matches', width: 15 },
   { header: 'Điểm', key: 'points', width: 10 },
+  { header: 'Elo', key: 'rating', width: 10 },
+  { header: 'Set thắng', key: 'sets_won', width: 10 },
+  { header: 'Set thua', key: 'sets_lost', width: 10 },
+  { header: 'Game thắng', key: 'games_won', width: 12 },
+  { header: 'Game thua', key: 'games_lost', width: 12 },
   { header: 'Tỷ lệ thắng (%)', key: 'win_percentage', width: 15 },
   { header: 'Tiền thua (VND)', key: 'money_lost', width: 20 },
   { header: 'Phong độ gần đây', key: 'form_text', width: 30 }
@@ -149,6 +155,11 @@ export const MATCHES_FULL_COLUMNS = [
   { header: 'Người chơi 4', key: 'player4_name', width: 20 },
   { header: 'Điểm đội 1', key: 'team1_score', width: 15 },
   { header: 'Điểm đội 2', key: 'team2_score', width: 15 },
+  { header: 'Tỷ số từng set', key: 'set_scores', width: 25 },
+  { header: 'Set đội 1', key: 'team1_sets', width: 10 },
+  { header: 'Set đội 2', key: 'team2_sets', width: 10 },
+  { header: 'Game đội 1', key: 'team1_games', width: 12 },
+  { header: 'Game đội 2', key: 'team2_games', width: 12 },
   { header: 'Đội thắng', key: 'winning_team', width: 15 },
   { header: 'Ngày tạo', key: 'created_at', width: 20 }
 ]
@@ -183,6 +194,43 @@ export const MATCHES_BY_DATE_COLUMNS = [
   { header: 'Đội thắng', key: 'winning_team', width: 15 }
 ]
 
+/**
+ * Expenses sheet columns (date export)
+ */
+export const EXPENSES_COLUMNS = [
+  { header: 'ID', key: 'id', width: 10 },
+  { header: 'Khoản chi', key: 'description', width: 30 },
+  { header: 'Số tiền (VND)', key: 'amount', width: 20 },
+  { header: 'Người trả', key: 'paid_by_name', width: 20 },
+  { header: 'Chia cho', key: 'split_text', width: 50 },
+  { header: 'Chưa chia (VND)', key: 'unallocated', width: 20 }
+]
+
+/**
+ * Expense split per player columns (date export)
+ */
+export const EXPENSE_BALANCES_COLUMNS = [
+  { header: 'Tên', key: 'name', width: 30 },
+  { header: 'Phần chia (VND)', key: 'share', width: 20 },
+  { header: 'Đã trả trước (VND)', key: 'paid', width: 20 },
+  { header: 'Còn phải trả (VND)', key: 'net', width: 20 }
+]
+
+/**
+ * Add the printable split ("An 25000, Bình ×2 50000") to a planned expense
+ */
+export const withSplitText = (expense) => ({
+  ...expense,
+  split_text: expense.shares
+    .map(share => `${share.name}${share.weight !== 1 ? ` ×${share.weight}` : ''} ${share.share}`)
+    .join(', ')
+})
+
+/**
+ * Add the printable set score ("6-4 3-6 [10-7]") to a match row
+ */
+export const withSetScores = (match) => ({ ...match, set_scores: formatSets(match.sets) })
+
 /**
  * Process rankings data to add rank and form_text
  */
@@ -228,21 +276,31 @@ export const createFullExportBuffer = async ({ players, seasons, matches, rankin
   return writeExcelBuffer([
     { name: 'Người chơi', data: players, columns: PLAYERS_COLUMNS },
     { name: 'Mùa giải', data: seasons, columns: SEASONS_COLUMNS },
-    { name: 'Kết quả thi đấu', data: matches, columns: MATCHES_FULL_COLUMNS },
+    { name: 'Kết quả thi đấu', data: matches.map(withSetScores), columns: MATCHES_FULL_COLUMNS },
     { name: 'Bảng xếp hạng tổng', data: rankings, columns: RANKINGS_SIMPLE_COLUMNS }
   ])
 }
 
 /**
  * Create date export workbook
+ * expensePlan (planDateExpenses() result) adds the expense sheets when the
+ * date has expenses
  */
-export const createDateExportBuffer = async ({ date, rankings, matches }) => {
+export const createDateExportBuffer = async ({ date, rankings, matches, expensePlan = null }) => {
   const processedRankings = processRankingsData(rankings)
-  
-  return writeExcelBuffer([
+  const sheets = [
     { name: `Bảng xếp hạng - ${date}`, data: processedRankings, columns: RANKINGS_COLUMNS },
     { name: `Trận đấu - ${date}`, data: matches, columns: MATCHES_BY_DATE_COLUMNS }
-  ])
+  ]
+
+  if (expensePlan?.expenses.length) {
+    sheets.push(
+      { name: `Chi phí - ${date}`, data: expensePlan.expenses.map(withSplitText), columns: EXPENSES_COLUMNS },
+      { name: `Chia tiền - ${date}`, data: expensePlan.balances, columns: EXPENSE_BALANCES_COLUMNS }
+    )
+  }
+
+  return writeExcelBuffer(sheets)
 }
 
 /**
@@ -267,7 +325,7 @@ export const createLifetimeExportBuffer = async ({ players, seasons, matches, ra
     { name: 'Bảng xếp hạng - Toàn thời gian', data: processedRankings, columns: RANKINGS_COLUMNS },
     { name: 'Tất cả người chơi', data: players, columns: PLAYERS_COLUMNS },
     { name: 'Tất cả mùa giải', data: seasons, columns: SEASONS_COLUMNS },
-    { name: 'Tất cả trận đấu', data: matches, columns: MATCHES_FULL_COLUMNS }
+    { name: 'Tất cả trận đấu', data: matches.map(withSetScores), columns: MATCHES_FULL_COLUMNS }
   ])
 }
 
@@ -279,11 +337,15 @@ export default {
   createSeasonExportBuffer,
   createLifetimeExportBuffer,
   processRankingsData,
+  withSetScores,
+  withSplitText,
   RANKINGS_COLUMNS,
   RANKINGS_SIMPLE_COLUMNS,
   PLAYERS_COLUMNS,
   SEASONS_COLUMNS,
   MATCHES_COLUMNS,
   MATCHES_FULL_COLUMNS,
-  MATCHES_BY_DATE_COLUMNS
+  MATCHES_BY_DATE_COLUMNS,
+  EXPENSES_COLUMNS,
+  EXPENSE_BALANCES_COLUMNS
 }
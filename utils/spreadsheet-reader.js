@@ -0,0 +1,191 @@
+/**
+ * Spreadsheet Reader
+ *
+ * Reads the first sheet of an .xlsx workbook or a .csv file into rows of
+ * cell values — the counterpart of excel-helper.js, which only writes.
+ * An .xlsx file is a zip of XML parts; only the parts needed for cell
+ * values are read (workbook, relationships, shared strings, first sheet).
+ *
+ * Cells come back as strings, numbers, booleans or null. Dates stay as
+ * Excel serial numbers (or strings when typed as text); callers convert them.
+ */
+import { inflateRawSync } from 'zlib'
+
+// Upper bound for one inflated part, so a tiny zip can't expand without limit
+const MAX_PART_SIZE = 50 * 1024 * 1024
+
+export class SpreadsheetError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'SpreadsheetError'
+  }
+}
+
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50
+
+/**
+ * List the entries of a zip archive from its central directory.
+ * @returns {Map<string, () => Buffer>} entry name → lazy reader of its contents
+ */
+const readZipEntries = (buffer) => {
+  // End of central directory record: last 22 bytes plus an optional comment
+  let eocd = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd < 0) throw new SpreadsheetError('Not a valid .xlsx file')
+
+  const entryCount = buffer.readUInt16LE(eocd + 10)
+  let offset = buffer.readUInt32LE(eocd + 16)
+  const entries = new Map()
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new SpreadsheetError('Not a valid .xlsx file')
+    }
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const size = buffer.readUInt32LE(offset + 24)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+
+    entries.set(name, () => {
+      if (size > MAX_PART_SIZE) throw new SpreadsheetError(`${name} is too large`)
+      // The local header repeats the name and has its own extra field length
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+      const data = buffer.subarray(dataStart, dataStart + compressedSize)
+      if (method === 0) return data
+      if (method === 8) return inflateRawSync(data, { maxOutputLength: MAX_PART_SIZE })
+      throw new SpreadsheetError(`Unsupported compression in ${name}`)
+    })
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+  return entries
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10))
+  }
+  return XML_ENTITIES[code] ?? entity
+})
+
+const attribute = (attributes, name) => attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1]
+
+// Text of all <t> runs inside an element (rich text is split into runs)
+const textRuns = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('')
+
+// "AB12" → 27 (0-based column index)
+const columnIndex = (ref) => {
+  const letters = ref.match(/^[A-Z]+/)?.[0] || 'A'
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1
+}
+
+// Path of the first sheet in workbook order, via the workbook relationships
+const firstSheetPath = (entries) => {
+  const read = (name) => entries.get(name)?.().toString('utf8')
+  const workbook = read('xl/workbook.xml')
+  const sheetRelId = workbook && attribute(workbook.match(/<sheet\b[^>]*>/)?.[0] || '', 'r:id')
+  const rels = read('xl/_rels/workbook.xml.rels') || ''
+  for (const [, attributes] of rels.matchAll(/<Relationship\b([^>]*)>/g)) {
+    if (attribute(attributes, 'Id') === sheetRelId) {
+      const target = attribute(attributes, 'Target')
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`
+    }
+  }
+  return 'xl/worksheets/sheet1.xml'
+}
+
+const readXlsxRows = (buffer) => {
+  const entries = readZipEntries(buffer)
+  const sheetEntry = entries.get(firstSheetPath(entries))
+  if (!sheetEntry) throw new SpreadsheetError('The workbook has no sheets')
+
+  const sharedStringsXml = entries.get('xl/sharedStrings.xml')?.().toString('utf8') || ''
+  const sharedStrings = [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textRuns(m[1]))
+
+  const rows = []
+  for (const [, rowAttributes, rowXml = ''] of sheetEntry().toString('utf8').matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = []
+    for (const [, cellAttributes, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const type = attribute(cellAttributes, 't')
+      const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1]
+      let value = null
+      if (type === 'inlineStr') value = textRuns(cellXml)
+      else if (raw === undefined || type === 'e') value = null
+      else if (type === 's') value = sharedStrings[parseInt(raw)] ?? null
+      else if (type === 'str') value = decodeXml(raw)
+      else if (type === 'b') value = raw === '1'
+      else value = Number(raw)
+      row[columnIndex(attribute(cellAttributes, 'r') || '')] = value
+    }
+    // Keep row positions so callers can report spreadsheet row numbers
+    rows[(parseInt(attribute(rowAttributes, 'r')) || rows.length + 1) - 1] = Array.from(row, cell => cell ?? null)
+  }
+  return Array.from(rows, row => row || [])
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting). The delimiter is "," or ";" — whichever
+ * appears more often in the first line, since Excel uses ";" in some locales.
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '')
+  const firstLine = content.split(/\r?\n/, 1)[0]
+  const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ','
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows.map(cells => cells.map(value => value === '' ? null : value))
+}
+
+/**
+ * Read the rows of an uploaded spreadsheet; the format is detected from
+ * the content (.xlsx files are zip archives, anything else is CSV).
+ * @param {Buffer} buffer - file contents
+ * @returns {Array<Array<string|number|boolean|null>>} rows of cells
+ */
+export const readSpreadsheet = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw new SpreadsheetError('The file is empty')
+  return isZip(buffer) ? readXlsxRows(buffer) : parseCsv(buffer.toString('utf8'))
+}
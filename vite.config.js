@@ -1,4 +1,8 @@
 import { defineConfig } from 'vite'
+import { resolve, dirname } from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
 
 export default defineConfig(({ mode }) => {
   // Get base path from environment or default
@@ -27,6 +31,11 @@ export default defineConfig(({ mode }) => {
       // CSS code splitting
       cssCodeSplit: true,
       rollupOptions: {
+        // The app, and the public page of share links (src/share.js)
+        input: {
+          main: resolve(__dirname, 'index.html'),
+          share: resolve(__dirname, 'share.html')
+        },
         output: {
           // Use content-hash for long-term caching (immutable assets)
           assetFileNames: 'assets/[name]-[hash][extname]',